@@ -1,11 +1,19 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useRef } from 'react';
+import { parseChat } from './utils/chatParser';
+import { ingestZipFile } from './utils/ingestClient';
 import { ZipHandler } from './utils/zipHandler';
-import { parseChat, formatMessageText } from './utils/chatParser';
-import AttachmentViewer from './components/AttachmentViewer';
-import Poll from './components/Poll';
-import { useObjectUrls } from './hooks/useObjectUrls';
-import { createColorMap } from './utils/colors';
-import { parsePollMessage } from './utils/pollParser';
+import { buildSearchIndex, searchMessages } from './utils/searchIndex';
+import { mergeChats } from './utils/chatMerge';
+import { MergedFileSource } from './utils/mergedFileSource';
+import UploadProgress from './components/UploadProgress';
+import ChatLibrary from './components/ChatLibrary';
+import ChatSidebar from './components/ChatSidebar';
+import ChatView from './components/ChatView';
+import GlobalSearch from './components/GlobalSearch';
+import MergeChatsDialog from './components/MergeChatsDialog';
+import { useChatLibrary } from './hooks/useChatLibrary';
+import { useChatSessions } from './hooks/useChatSessions';
+import { useGlobalSearch } from './hooks/useGlobalSearch';
 import backgroundImage from './assets/bg-dark-BnMQztzI.png';
 
 /**
@@ -13,24 +21,117 @@ import backgroundImage from './assets/bg-dark-BnMQztzI.png';
  * WhatsApp Chat Viewer - Local-only version
  */
 function App() {
-  const [chatContent, setChatContent] = useState(null);
-  const [messages, setMessages] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
-  const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
-  const [zipHandler, setZipHandler] = useState(null);
-  const [selectedAttachment, setSelectedAttachment] = useState(null);
   const [isDragOver, setIsDragOver] = useState(false);
-  const { createObjectUrl, cleanup: cleanupUrls } = useObjectUrls();
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [openingChatId, setOpeningChatId] = useState(null);
+  const [isGlobalSearchOpen, setIsGlobalSearchOpen] = useState(false);
+  const [isMergeDialogOpen, setIsMergeDialogOpen] = useState(false);
+  const uploadAbortRef = useRef(null);
+  const chatViewRef = useRef(null);
+
+  const library = useChatLibrary();
+  const {
+    sessions,
+    activeSession,
+    activeId,
+    setActiveId,
+    addSession,
+    updateSession,
+    closeSession
+  } = useChatSessions();
+
+  // Remember where the open chat was left before showing something else
+  const saveActiveView = () => {
+    const viewState = chatViewRef.current?.getViewState();
+    if (!activeSession || !viewState) return;
+
+    updateSession(activeSession.id, {
+      view: viewState,
+      readIndex: Math.max(activeSession.readIndex, viewState.lastVisibleIndex)
+    });
+  };
+
+  const globalSearch = useGlobalSearch(sessions);
+
+  // Switch chats; null shows the upload screen
+  const handleSelectChat = (id) => {
+    if (id === activeId && !isGlobalSearchOpen) return;
+    saveActiveView();
+    setIsGlobalSearchOpen(false);
+    setActiveId(id);
+  };
+
+  const handleOpenGlobalSearch = () => {
+    saveActiveView();
+    setIsGlobalSearchOpen(true);
+  };
 
-  // Create color map for users
-  const participants = useMemo(() => {
-    if (!messages.length) return [];
-    const uniqueSenders = [...new Set(messages.map(m => m.sender).filter(s => s && s !== 'System'))];
-    return uniqueSenders;
-  }, [messages]);
+  // Open a chat at a global search hit, with the same query active in the chat
+  const handleOpenSearchResult = (chatId, messageIndex) => {
+    const session = sessions.find(item => item.id === chatId);
+    if (!session) return;
+
+    const results = searchMessages(session.searchIndex, session.messages, globalSearch.parsedQuery);
+    updateSession(chatId, {
+      view: {
+        firstVisibleIndex: messageIndex,
+        focusIndex: messageIndex,
+        query: globalSearch.query,
+        activeResult: Math.max(0, results.indexOf(messageIndex))
+      }
+    });
+    setIsGlobalSearchOpen(false);
+    setActiveId(chatId);
+  };
+
+  // Reopen a chat saved in the local library
+  const handleOpenSavedChat = async (id) => {
+    const openSession = sessions.find(session => session.libraryChatId === id);
+    if (openSession) {
+      handleSelectChat(openSession.id);
+      return;
+    }
 
-  const colorMap = useMemo(() => createColorMap(participants), [participants]);
+    setOpeningChatId(id);
+    setError(null);
+
+    try {
+      const { record, chatText, messages, dateFormat, files, archive } = await library.open(id);
+      const handler = new ZipHandler();
+      handler.adoptIndex(archive, files);
+
+      saveActiveView();
+      setIsGlobalSearchOpen(false);
+      addSession({
+        name: record.name,
+        chatText,
+        messages,
+        searchIndex: buildSearchIndex(messages),
+        dateFormat,
+        dateOrder: record.dateOrder,
+        chatFileName: record.chatFileName,
+        zipHandler: handler,
+        libraryChatId: id
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setOpeningChatId(null);
+    }
+  };
+
+  // Saved chats whose stored archive an open chat reads, directly or through a merge
+  const openLibraryChatIds = new Set(sessions.flatMap(session => (
+    session.libraryChatIds || (session.libraryChatId ? [session.libraryChatId] : [])
+  )));
+
+  // Deleting the stored archive would break the open chat reading it
+  const handleDeleteSavedChat = (id) => {
+    if (openLibraryChatIds.has(id)) return;
+    library.remove(id);
+  };
 
   // Handle file upload
   const handleFileUpload = async (event) => {
@@ -43,32 +144,123 @@ function App() {
     }
 
     setIsUploading(true);
-    setIsProcessing(false);
+    setUploadProgress(null);
     setError(null);
 
+    const controller = new AbortController();
+    uploadAbortRef.current = controller;
+
     try {
-      // Create ZIP handler and process file
-      const handler = new ZipHandler();
-      const result = await handler.loadZipFile(file);
-      
+      // Extract and parse in the ingest worker
+      const result = await ingestZipFile(file, {
+        signal: controller.signal,
+        onProgress: setUploadProgress
+      });
+      const name = file.name.replace(/\.zip$/i, '');
+
+      saveActiveView();
+      setIsGlobalSearchOpen(false);
+      const sessionId = addSession({
+        name,
+        chatText: result.chatText,
+        messages: result.messages,
+        searchIndex: result.searchIndex,
+        dateFormat: result.dateFormat,
+        chatFileName: result.chatFileName,
+        zipHandler: result.zipHandler
+      });
+
+      const record = await library.save({
+        name,
+        chatFileName: result.chatFileName,
+        chatText: result.chatText,
+        messages: result.messages,
+        dateFormat: result.dateFormat,
+        file,
+        files: result.zipHandler.getAllFiles()
+      });
+      if (record) {
+        updateSession(sessionId, { libraryChatId: record.id });
+      }
+
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        setError(err.message);
+      }
+    } finally {
+      uploadAbortRef.current = null;
+      setUploadProgress(null);
       setIsUploading(false);
-      setIsProcessing(true);
-
-      // Read chat file content
-      const chatText = await result.chatFile.blob.text();
-      
-      // Parse messages
-      const parsedMessages = parseChat(chatText, result.files);
-      
-      setChatContent(chatText);
-      setMessages(parsedMessages);
-      setZipHandler(handler);
-      setIsProcessing(false);
+      event.target.value = '';
+    }
+  };
+
+  // Cancel an in-progress upload
+  const handleCancelUpload = () => {
+    uploadAbortRef.current?.abort();
+  };
 
+  // Combine several exports of one chat into a new merged chat
+  const handleMergeChats = (ids, name) => {
+    setIsMergeDialogOpen(false);
+    const chosen = sessions.filter(session => ids.includes(session.id));
+
+    try {
+      // Own handlers, so closing a source chat does not break the merged one
+      const handlers = chosen.map(session => {
+        const handler = new ZipHandler();
+        handler.adoptIndex(session.zipHandler.file, new Map(session.zipHandler.getAllFiles()));
+        return handler;
+      });
+
+      // Sources share the copied file maps, which re-parsing with another date order needs
+      const sources = chosen.map((session, index) => ({
+        name: session.name,
+        chatText: session.chatText,
+        files: handlers[index].getAllFiles()
+      }));
+      const { messages, dateFormat, report } = mergeChats(sources);
+
+      saveActiveView();
+      setIsGlobalSearchOpen(false);
+      addSession({
+        name,
+        chatText: null,
+        sources,
+        messages,
+        searchIndex: buildSearchIndex(messages),
+        dateFormat,
+        chatFileName: chosen[0].chatFileName,
+        zipHandler: new MergedFileSource(handlers),
+        mergeReport: report,
+        // Saved chats whose stored archives the merged chat reads
+        libraryChatIds: chosen.map(session => session.libraryChatId).filter(Boolean)
+      });
     } catch (err) {
       setError(err.message);
-      setIsUploading(false);
-      setIsProcessing(false);
+    }
+  };
+
+  // Re-parse the open chat with a user-selected day/month order
+  const handleDateOrderChange = (order) => {
+    if (activeSession.sources) {
+      const { messages, report } = mergeChats(activeSession.sources, { dateOrder: order });
+      // Matching depends on timestamps, so the merged order and search index can change
+      updateSession(activeSession.id, {
+        messages,
+        searchIndex: buildSearchIndex(messages),
+        mergeReport: report,
+        dateOrder: order
+      });
+      return;
+    }
+
+    const { id, chatText, zipHandler, libraryChatId } = activeSession;
+    // Message text and order are unchanged, so the search index stays valid
+    const reparsed = parseChat(chatText, zipHandler.getAllFiles(), { dateOrder: order });
+    updateSession(id, { messages: reparsed, dateOrder: order });
+    if (libraryChatId) {
+      library.updateMessages(libraryChatId, reparsed, order);
     }
   };
 
@@ -79,6 +271,10 @@ function App() {
         return '➕';
       case 'left':
         return '➖';
+      case 'removed':
+        return '🚫';
+      case 'admin':
+        return '⭐';
       case 'created':
         return '👥';
       case 'name_changed':
@@ -96,21 +292,6 @@ function App() {
     }
   };
 
-  // Reset state
-  const handleReset = () => {
-    setChatContent(null);
-    setMessages([]);
-    setError(null);
-    setIsUploading(false);
-    setIsProcessing(false);
-    setSelectedAttachment(null);
-    cleanupUrls(); // Clean up object URLs
-    if (zipHandler) {
-      zipHandler.cleanup();
-      setZipHandler(null);
-    }
-  };
-
   // Drag and drop handlers
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -146,10 +327,14 @@ function App() {
                  <div className="flex items-center justify-between">
                    <h1>WhatsApp Chat Viewer</h1>
                    <div className="flex items-center space-x-4">
-                     {chatContent && (
-                       <div className="text-sm text-gray-400">
-                         {messages.length} messages loaded
-                       </div>
+                     {sessions.length > 0 && library.error && (
+                       <button
+                         onClick={library.clearError}
+                         className="text-xs font-normal text-red-400 hover:text-red-300"
+                         title="Dismiss"
+                       >
+                         {library.error} ✕
+                       </button>
                      )}
                      <a
                        href="https://github.com/prxnav/whatsview"
@@ -168,463 +353,228 @@ function App() {
         </header>
 
         {/* Main Content */}
-        <main className="flex-1 overflow-y-auto">
-          {/* Show upload interface if no chat loaded */}
-          {!chatContent ? (
-            <div className="flex-1 flex items-center justify-center p-6 bg-whatsapp-dark" style={{
-              backgroundImage: `url("${backgroundImage}")`,
-              backgroundRepeat: 'repeat',
-              backgroundSize: 'auto'
-            }}>
-              <div className="w-full max-w-4xl">
-                {/* Error Display */}
-                {error && (
-                  <div className="mb-6 bg-red-900/20 border border-red-800 rounded-lg p-4">
-                    <div className="flex items-center space-x-3">
-                      <div className="text-red-400">⚠️</div>
-                      <div>
-                        <h3 className="text-sm font-medium text-red-200">Upload Error</h3>
-                        <p className="mt-1 text-sm text-red-300">{error}</p>
+        <main className="flex-1 flex overflow-hidden">
+          {sessions.length > 0 && (
+            <ChatSidebar
+              sessions={sessions}
+              activeId={activeId}
+              isGlobalSearchOpen={isGlobalSearchOpen}
+              onSelect={handleSelectChat}
+              onClose={closeSession}
+              onNewChat={() => handleSelectChat(null)}
+              onOpenGlobalSearch={handleOpenGlobalSearch}
+              onMergeChats={() => setIsMergeDialogOpen(true)}
+            />
+          )}
+
+          {isMergeDialogOpen && (
+            <MergeChatsDialog
+              sessions={sessions.filter(session => !session.sources)}
+              onMerge={handleMergeChats}
+              onClose={() => setIsMergeDialogOpen(false)}
+            />
+          )}
+
+          <div className="flex-1 min-w-0 overflow-y-auto">
+            {/* Show upload interface if no chat is open */}
+            {isGlobalSearchOpen && sessions.length > 0 ? (
+              <GlobalSearch
+                search={globalSearch}
+                chatCount={sessions.length}
+                onOpenResult={handleOpenSearchResult}
+                onClose={() => handleSelectChat(activeId)}
+              />
+            ) : !activeSession ? (
+              <div className="flex-1 flex items-center justify-center p-6 bg-whatsapp-dark" style={{
+                backgroundImage: `url("${backgroundImage}")`,
+                backgroundRepeat: 'repeat',
+                backgroundSize: 'auto'
+              }}>
+                <div className="w-full max-w-4xl">
+                  {/* Error Display */}
+                  {error && (
+                    <div className="mb-6 bg-red-900/20 border border-red-800 rounded-lg p-4">
+                      <div className="flex items-center space-x-3">
+                        <div className="text-red-400">⚠️</div>
+                        <div>
+                          <h3 className="text-sm font-medium text-red-200">Upload Error</h3>
+                          <p className="mt-1 text-sm text-red-300">{error}</p>
+                        </div>
+                        <button
+                          onClick={() => setError(null)}
+                          className="ml-auto text-red-400 hover:text-red-300"
+                        >
+                          ✕
+                        </button>
                       </div>
-                      <button
-                        onClick={() => setError(null)}
-                        className="ml-auto text-red-400 hover:text-red-300"
-                      >
-                        ✕
-                      </button>
-                    </div>
-                  </div>
-                )}
-
-                {/* WhatsApp-themed Upload Component */}
-                <div 
-                  className={`bg-whatsapp-gray rounded-2xl p-8 shadow-2xl border-2 border-dashed max-w-2xl mx-auto transition-all duration-200 ${
-                    isDragOver 
-                      ? 'border-whatsapp-green bg-green-900 bg-opacity-20' 
-                      : 'border-gray-700'
-                  }`}
-                  onDragOver={handleDragOver}
-                  onDragLeave={handleDragLeave}
-                  onDrop={handleDrop}
-                >
-                  <div className="text-center">
-
-                    {/* Upload Icon */}
-                    <div className="mx-auto w-16 h-16 bg-whatsapp-green rounded-full flex items-center justify-center mb-6 shadow-lg">
-                      <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                      </svg>
                     </div>
+                  )}
+
+                  {/* WhatsApp-themed Upload Component */}
+                  <div 
+                    className={`bg-whatsapp-gray rounded-2xl p-8 shadow-2xl border-2 border-dashed max-w-2xl mx-auto transition-all duration-200 ${
+                      isDragOver 
+                        ? 'border-whatsapp-green bg-green-900 bg-opacity-20' 
+                        : 'border-gray-700'
+                    }`}
+                    onDragOver={handleDragOver}
+                    onDragLeave={handleDragLeave}
+                    onDrop={handleDrop}
+                  >
+                    <div className="text-center">
 
-                    {/* Title */}
-                    <h3 className="text-2xl font-bold text-white mb-3">
-                      {isUploading ? 'Processing Your Chat...' : 'Upload WhatsApp Chat'}
-                    </h3>
-                    <p className="text-whatsapp-meta text-lg mb-8">
-                      {isUploading 
-                        ? 'Please wait while we process your messages'
-                        : isDragOver
-                        ? 'Drop your ZIP file here'
-                        : 'Drag & drop your ZIP file here or click to browse'
-                      }
-                    </p>
-
-                    {/* File Input */}
-                    <input
-                      type="file"
-                      accept=".zip"
-                      onChange={handleFileUpload}
-                      className="hidden"
-                      id="file-upload"
-                      disabled={isUploading}
-                    />
-                    <label
-                      htmlFor="file-upload"
-                      className={`inline-flex items-center px-8 py-4 bg-whatsapp-green text-white rounded-xl font-semibold cursor-pointer hover:bg-green-600 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:scale-105 ${
-                        isUploading ? 'opacity-50 cursor-not-allowed' : ''
-                      }`}
-                    >
-                      {isUploading ? (
-                        <>
-                          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-3"></div>
-                          Processing...
-                        </>
-                      ) : (
-                        <>
-                          <svg className="w-5 h-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                          </svg>
-                          Choose ZIP File
-                        </>
+                      {/* Upload Icon */}
+                      <div className="mx-auto w-16 h-16 bg-whatsapp-green rounded-full flex items-center justify-center mb-6 shadow-lg">
+                        <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                        </svg>
+                      </div>
+
+                      {/* Title */}
+                      <h3 className="text-2xl font-bold text-white mb-3">
+                        {isUploading ? 'Processing Your Chat...' : 'Upload WhatsApp Chat'}
+                      </h3>
+                      <p className="text-whatsapp-meta text-lg mb-8">
+                        {isUploading 
+                          ? 'Please wait while we process your messages'
+                          : isDragOver
+                          ? 'Drop your ZIP file here'
+                          : 'Drag & drop your ZIP file here or click to browse'
+                        }
+                      </p>
+
+                      {/* File Input */}
+                      <input
+                        type="file"
+                        accept=".zip"
+                        onChange={handleFileUpload}
+                        className="hidden"
+                        id="file-upload"
+                        disabled={isUploading}
+                      />
+                      <label
+                        htmlFor="file-upload"
+                        className={`inline-flex items-center px-8 py-4 bg-whatsapp-green text-white rounded-xl font-semibold cursor-pointer hover:bg-green-600 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:scale-105 ${
+                          isUploading ? 'opacity-50 cursor-not-allowed' : ''
+                        }`}
+                      >
+                        {isUploading ? (
+                          <>
+                            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-3"></div>
+                            Processing...
+                          </>
+                        ) : (
+                          <>
+                            <svg className="w-5 h-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                            </svg>
+                            Choose ZIP File
+                          </>
+                        )}
+                      </label>
+
+                      {isUploading && (
+                        <UploadProgress progress={uploadProgress} onCancel={handleCancelUpload} />
                       )}
-                    </label>
-
-                    {/* Privacy Notice */}
-                    <div className="mt-8 p-4 bg-whatsapp-dark bg-opacity-50 rounded-xl border border-gray-600">
-                      <div className="flex items-start space-x-3">
-                        <div className="flex-shrink-0">
-                          <svg className="w-5 h-5 text-whatsapp-green mt-0.5" fill="currentColor" viewBox="0 0 20 20">
-                            <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
-                          </svg>
-                        </div>
-                        <div className="text-left">
-                          <p className="text-whatsapp-meta text-sm font-medium mb-1">100% Local & Privacy-First</p>
-                          <p className="text-whatsapp-meta text-xs">
-                            Your data never leaves your device. No server uploads, no data collection, no tracking.
-                          </p>
+
+                      {/* Privacy Notice */}
+                      <div className="mt-8 p-4 bg-whatsapp-dark bg-opacity-50 rounded-xl border border-gray-600">
+                        <div className="flex items-start space-x-3">
+                          <div className="flex-shrink-0">
+                            <svg className="w-5 h-5 text-whatsapp-green mt-0.5" fill="currentColor" viewBox="0 0 20 20">
+                              <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
+                            </svg>
+                          </div>
+                          <div className="text-left">
+                            <p className="text-whatsapp-meta text-sm font-medium mb-1">100% Local & Privacy-First</p>
+                            <p className="text-whatsapp-meta text-xs">
+                              Your data never leaves your device. No server uploads, no data collection, no tracking.
+                            </p>
+                          </div>
                         </div>
                       </div>
-                    </div>
 
+                    </div>
                   </div>
-                </div>
 
-                {/* Source Code Section */}
-                <div className="mt-12 max-w-2xl mx-auto">
-                  <div className="bg-gray-900 bg-opacity-60 rounded-2xl p-6 border border-gray-700">
-                    <div className="text-center">
-                      {/* Section Header */}
-                      <div className="mb-6">
-                        <h3 className="text-lg font-semibold text-white mb-2">Open Source & Transparent</h3>
-                        <p className="text-gray-400 text-sm">
-                          View source code, audit the code, or run it locally. Complete transparency and control.
-                        </p>
-                      </div>
-                      
-                      {/* GitHub Button */}
-                      <a
-                        href="https://github.com/pranavkale07/whatsview"
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="inline-flex items-center space-x-2 px-6 py-3 bg-gray-800 text-gray-200 rounded-lg font-medium hover:bg-gray-700 hover:text-white transition-all duration-200 border border-gray-600 hover:border-gray-500 shadow-md hover:shadow-lg transform hover:scale-105"
-                      >
-                        <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
-                          <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
-                        </svg>
-                        <span>View Source Code</span>
-                      </a>
-                      
-                      {/* Additional Info */}
-                      <div className="mt-4 flex items-center justify-center space-x-6 text-xs text-gray-500">
-                        <span className="flex items-center space-x-1">
-                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                            <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
-                          </svg>
-                          <span>100% Local</span>
-                        </span>
-                        <span className="flex items-center space-x-1">
-                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                            <path fillRule="evenodd" d="M12.316 3.051a1 1 0 01.633 1.265l-4 12a1 1 0 11-1.898-.632l4-12a1 1 0 011.265-.633zM5.707 6.293a1 1 0 010 1.414L3.414 10l2.293 2.293a1 1 0 11-1.414 1.414l-3-3a1 1 0 010-1.414l3-3a1 1 0 011.414 0zm8.586 0a1 1 0 011.414 0l3 3a1 1 0 010 1.414l-3 3a1 1 0 11-1.414-1.414L16.586 10l-2.293-2.293a1 1 0 010-1.414z" clipRule="evenodd" />
-                          </svg>
-                          <span>Open Source</span>
-                        </span>
-                        <span className="flex items-center space-x-1">
-                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                            <path fillRule="evenodd" d="M3 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1z" clipRule="evenodd" />
+                  <ChatLibrary
+                    isSupported={library.isSupported}
+                    isEnabled={library.isEnabled}
+                    onToggleEnabled={library.setEnabled}
+                    chats={library.chats}
+                    onOpen={handleOpenSavedChat}
+                    onDelete={handleDeleteSavedChat}
+                    openIds={openLibraryChatIds}
+                    openingId={openingChatId}
+                    error={library.error}
+                    onDismissError={library.clearError}
+                  />
+
+                  {/* Source Code Section */}
+                  <div className="mt-12 max-w-2xl mx-auto">
+                    <div className="bg-gray-900 bg-opacity-60 rounded-2xl p-6 border border-gray-700">
+                      <div className="text-center">
+                        {/* Section Header */}
+                        <div className="mb-6">
+                          <h3 className="text-lg font-semibold text-white mb-2">Open Source & Transparent</h3>
+                          <p className="text-gray-400 text-sm">
+                            View source code, audit the code, or run it locally. Complete transparency and control.
+                          </p>
+                        </div>
+                        
+                        {/* GitHub Button */}
+                        <a
+                          href="https://github.com/pranavkale07/whatsview"
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center space-x-2 px-6 py-3 bg-gray-800 text-gray-200 rounded-lg font-medium hover:bg-gray-700 hover:text-white transition-all duration-200 border border-gray-600 hover:border-gray-500 shadow-md hover:shadow-lg transform hover:scale-105"
+                        >
+                          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                            <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
                           </svg>
-                          <span>MIT License</span>
-                        </span>
+                          <span>View Source Code</span>
+                        </a>
+                        
+                        {/* Additional Info */}
+                        <div className="mt-4 flex items-center justify-center space-x-6 text-xs text-gray-500">
+                          <span className="flex items-center space-x-1">
+                            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                              <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
+                            </svg>
+                            <span>100% Local</span>
+                          </span>
+                          <span className="flex items-center space-x-1">
+                            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                              <path fillRule="evenodd" d="M12.316 3.051a1 1 0 01.633 1.265l-4 12a1 1 0 11-1.898-.632l4-12a1 1 0 011.265-.633zM5.707 6.293a1 1 0 010 1.414L3.414 10l2.293 2.293a1 1 0 11-1.414 1.414l-3-3a1 1 0 010-1.414l3-3a1 1 0 011.414 0zm8.586 0a1 1 0 011.414 0l3 3a1 1 0 010 1.414l-3 3a1 1 0 11-1.414-1.414L16.586 10l-2.293-2.293a1 1 0 010-1.414z" clipRule="evenodd" />
+                            </svg>
+                            <span>Open Source</span>
+                          </span>
+                          <span className="flex items-center space-x-1">
+                            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                              <path fillRule="evenodd" d="M3 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1z" clipRule="evenodd" />
+                            </svg>
+                            <span>MIT License</span>
+                          </span>
+                        </div>
                       </div>
                     </div>
                   </div>
-                </div>
 
-              </div>
-            </div>
-          ) : (
-            /* Show chat interface */
-                   <div className="w-full h-full overflow-y-auto bg-whatsapp-dark" style={{
-                     backgroundImage: `url("${backgroundImage}")`,
-                     backgroundRepeat: 'repeat',
-                     backgroundSize: 'auto'
-                   }}>
-              {isProcessing ? (
-                <div className="flex items-center justify-center h-full">
-                  <div className="text-center space-y-4">
-                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto"></div>
-                    <p className="text-gray-400">Processing chat messages...</p>
-                  </div>
                 </div>
-              ) : messages.length > 0 ? (
-                <div className="space-y-1 px-4 py-4">
-                         {messages.map((message, index) => {
-                           const isOwnMessage = message.sender === 'You';
-                           const isSystemMessage = message.type === 'system';
-                           const showDateSeparator = index === 0 || 
-                             messages[index - 1].date !== message.date;
-                           
-                           // Check if this message is from the same sender as the previous one
-                           const prevMessage = messages[index - 1];
-                           const sameSenderAsPrevious = prevMessage && 
-                             prevMessage.sender === message.sender && 
-                             prevMessage.date === message.date &&
-                             !isSystemMessage && 
-                             prevMessage.type !== 'system' &&
-                             prevMessage.sender !== 'System';
-                           
-                           // Get user color
-                           const userColor = colorMap[message.sender] || '#6B7280';
-                           
-                           // Check if this is a poll message
-                           const pollData = parsePollMessage(message.message);
-                           
-                           // Debug logging for grouping
-                           if (index < 10) {
-                             console.log(`Message ${index}:`, {
-                               sender: message.sender,
-                               prevSender: prevMessage?.sender,
-                               sameSenderAsPrevious,
-                               isOwnMessage,
-                               isSystemMessage,
-                               message: message.message.substring(0, 20) + '...',
-                               cssClass: sameSenderAsPrevious ? 'mt-0' : 'mt-3'
-                             });
-                           }
-
-
-                    return (
-                      <div key={message.id || index} className="flex flex-col items-center">
-                        {/* Date Separator */}
-                        {showDateSeparator && (
-                          <div className="flex justify-center my-4">
-                            <div className="text-gray-400 text-xs px-3 py-1 bg-whatsapp-header rounded-full">
-                              {message.date}
-                            </div>
-                          </div>
-                        )}
-
-                               {/* System Message */}
-                               {isSystemMessage ? (
-                                 <div className="flex justify-center my-1">
-                                   <div className="text-yellow-200 text-xs px-2 py-1 bg-yellow-900 bg-opacity-30 rounded-full inline-block">
-                                     {message.message}
-                                   </div>
-                                 </div>
-                               ) : (
-                                 /* Regular Message Bubble */
-                                 <div className={`flex w-full ${isOwnMessage ? 'justify-end' : 'justify-start'} ${sameSenderAsPrevious ? 'mt-0' : 'mt-3'}`}>
-                                 <div
-                                   className={`max-w-[70%] px-3 py-2 rounded-lg ${
-                                     isOwnMessage
-                                       ? 'bg-whatsapp-green text-white rounded-br-sm' // WhatsApp green with tail
-                                       : 'bg-whatsapp-gray text-gray-200 rounded-bl-sm' // WhatsApp gray with tail
-                                   } ${sameSenderAsPrevious ? 'rounded-tl-sm rounded-tr-sm' : ''}`}
-                                   style={{ 
-                                     whiteSpace: 'pre-wrap',
-                                     wordWrap: 'break-word',
-                                     overflowWrap: 'break-word'
-                                   }}
-                                 >
-                                   {/* Sender Name - only show for group chats and when not same sender as previous */}
-                                   {!isOwnMessage && !sameSenderAsPrevious && (
-                                     <p 
-                                       className="text-xs font-semibold mb-1" 
-                                       style={{ color: userColor }}
-                                     >
-                                       {message.sender}
-                                     </p>
-                                   )}
-
-                                   {/* Message Content - only show if no attachment or if attachment is not image/video */}
-                                   {message.message.includes('<Media omitted>') ? (
-                                     /* Media omitted placeholder */
-                                     <div className="flex items-center space-x-2 p-3 bg-gray-700 rounded-lg border border-gray-600">
-                                       <div className="flex-1">
-                                         <p className="text-sm font-medium text-gray-300">Media omitted</p>
-                                         <p className="text-xs text-gray-400">This media was not included in the export</p>
-                                       </div>
-                                     </div>
-                                   ) : pollData ? (
-                                     /* Poll content */
-                                     <Poll pollData={pollData} />
-                                   ) : !message.attachment || (message.attachment && message.attachment.type !== 'image' && message.attachment.type !== 'video') ? (
-                                     /* Regular message content with inline timestamp */
-                                     <div className="flex items-end justify-end">
-                                       <div className="flex-1">
-                                         <p 
-                                           className="text-sm leading-relaxed"
-                                           dangerouslySetInnerHTML={{
-                                             __html: formatMessageText(message.message)
-                                           }}
-                                         />
-                                       </div>
-                                       <span className={`text-xs ml-2 opacity-70 ${
-                                         isOwnMessage ? 'text-green-100' : 'text-gray-400'
-                                       }`}>
-                                         {message.time}
-                                       </span>
-                                     </div>
-                                   ) : null}
-
-                            {/* Attachment - show first for images and videos */}
-                            {message.attachment && (
-                              <div className="mt-2">
-                                {message.attachment.type === 'image' ? (
-                                  /* Inline Image Display */
-                                  <div 
-                                    className="cursor-pointer rounded-lg overflow-hidden max-w-xs relative"
-                                    onClick={() => setSelectedAttachment(message.attachment)}
-                                  >
-                                    <img
-                                      src={createObjectUrl(message.attachment.blob)}
-                                      alt={message.attachment.filename}
-                                      className="w-full h-auto rounded-lg hover:opacity-90 transition-opacity"
-                                      onError={(e) => {
-                                        e.target.style.display = 'none';
-                                        e.target.nextSibling.style.display = 'block';
-                                      }}
-                                    />
-                                    
-                                    {/* Timestamp overlay for images - only if no text message */}
-                                    {!message.message.trim() && (
-                                      <div className={`absolute bottom-2 right-2 px-2 py-1 rounded text-xs opacity-80 ${
-                                        isOwnMessage ? 'bg-black bg-opacity-50 text-green-100' : 'bg-black bg-opacity-50 text-gray-300'
-                                      }`}>
-                                        {message.time}
-                                      </div>
-                                    )}
-                                    
-                                    <div 
-                                      className="hidden p-2 bg-black bg-opacity-20 rounded cursor-pointer hover:bg-opacity-30 transition-colors"
-                                      onClick={() => setSelectedAttachment(message.attachment)}
-                                    >
-                                      <div className="flex items-center space-x-2">
-                                        <span className="text-lg">🖼️</span>
-                                        <div className="flex-1 min-w-0">
-                                          <p className="text-sm font-medium truncate">{message.attachment.filename}</p>
-                                          <p className="text-xs text-gray-400">Click to view</p>
-                                        </div>
-                                      </div>
-                                    </div>
-                                  </div>
-                                ) : message.attachment.type === 'video' ? (
-                                  /* Inline Video Thumbnail Display */
-                                  <div 
-                                    className="cursor-pointer rounded-lg overflow-hidden max-w-xs relative group"
-                                    onClick={() => setSelectedAttachment(message.attachment)}
-                                  >
-                                    <video
-                                      src={createObjectUrl(message.attachment.blob)}
-                                      className="w-full h-auto rounded-lg"
-                                      preload="metadata"
-                                      onLoadedMetadata={(e) => {
-                                        // Set the video to show the first frame as thumbnail
-                                        e.target.currentTime = 1;
-                                      }}
-                                      onError={(e) => {
-                                        e.target.style.display = 'none';
-                                        e.target.nextSibling.style.display = 'block';
-                                      }}
-                                    />
-                                    
-                                    {/* Play Icon Overlay */}
-                                    <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-30 group-hover:bg-opacity-40 transition-all">
-                                      <div className="w-12 h-12 bg-white bg-opacity-90 rounded-full flex items-center justify-center shadow-lg">
-                                        <svg className="w-6 h-6 text-gray-800 ml-1" fill="currentColor" viewBox="0 0 24 24">
-                                          <path d="M8 5v14l11-7z"/>
-                                        </svg>
-                                      </div>
-                                    </div>
-                                    
-                                    {/* Timestamp overlay for videos - only if no text message */}
-                                    {!message.message.trim() && (
-                                      <div className={`absolute bottom-2 right-2 px-2 py-1 rounded text-xs opacity-80 ${
-                                        isOwnMessage ? 'bg-black bg-opacity-50 text-green-100' : 'bg-black bg-opacity-50 text-gray-300'
-                                      }`}>
-                                        {message.time}
-                                      </div>
-                                    )}
-                                    
-                                    {/* Fallback for video load error */}
-                                    <div 
-                                      className="hidden p-2 bg-black bg-opacity-20 rounded cursor-pointer hover:bg-opacity-30 transition-colors"
-                                      onClick={() => setSelectedAttachment(message.attachment)}
-                                    >
-                                      <div className="flex items-center space-x-2">
-                                        <span className="text-lg">🎥</span>
-                                        <div className="flex-1 min-w-0">
-                                          <p className="text-sm font-medium truncate">{message.attachment.filename}</p>
-                                          <p className="text-xs text-gray-400">Click to view</p>
-                                        </div>
-                                      </div>
-                                    </div>
-                                  </div>
-                                ) : (
-                                  /* Other attachment types - clickable reference */
-                                  <div 
-                                    className="p-2 bg-black bg-opacity-20 rounded cursor-pointer hover:bg-opacity-30 transition-colors"
-                                    onClick={() => setSelectedAttachment(message.attachment)}
-                                  >
-                                    <div className="flex items-center space-x-2">
-                                      <span className="text-lg">
-                                        {message.attachment.type === 'video' ? '🎥' :
-                                         message.attachment.type === 'audio' ? '🎵' :
-                                         message.attachment.type === 'document' ? '📄' : '📎'}
-                                      </span>
-                                      <div className="flex-1 min-w-0">
-                                        <p className="text-sm font-medium truncate">{message.attachment.filename}</p>
-                                        <p className="text-xs text-gray-400 capitalize">{message.attachment.type}</p>
-                                      </div>
-                                      <span className="text-xs text-gray-500">Click to view</span>
-                                    </div>
-                                  </div>
-                                )}
-                              </div>
-                            )}
-
-                            {/* Text content after image/video - only for messages with image/video attachments */}
-                            {message.attachment && (message.attachment.type === 'image' || message.attachment.type === 'video') && message.message.trim() && (
-                              <div className="mt-2 max-w-xs">
-                                <div className="flex items-end justify-end">
-                                  <div className="flex-1">
-                                    <p 
-                                      className="text-sm leading-relaxed"
-                                      dangerouslySetInnerHTML={{
-                                        __html: formatMessageText(message.message)
-                                      }}
-                                    />
-                                  </div>
-                                  <span className={`text-xs ml-2 opacity-70 ${
-                                    isOwnMessage ? 'text-green-100' : 'text-gray-400'
-                                  }`}>
-                                    {message.time}
-                                  </span>
-                                </div>
-                              </div>
-                            )}
-                          </div>
-                        </div>
-                        )}
               </div>
-            );
-          })}
-        </div>
-              ) : (
-                <div className="flex items-center justify-center h-full">
-                  <div className="text-center space-y-4">
-                    <div className="text-gray-400 text-6xl">💬</div>
-                    <h3 className="text-2xl font-semibold text-white">
-                      No Messages Found
-                    </h3>
-                    <p className="text-gray-400">
-                      No messages were found in the chat file.
-                    </p>
-                  </div>
-                </div>
-              )}
-            </div>
-          )}
+            ) : (
+              <ChatView
+                key={activeSession.id}
+                ref={chatViewRef}
+                session={activeSession}
+                onDateOrderChange={handleDateOrderChange}
+              />
+            )}
+          </div>
         </main>
 
       </div>
 
-      {/* Attachment Viewer Modal */}
-      {selectedAttachment && (
-        <AttachmentViewer
-          attachment={selectedAttachment}
-          onClose={() => setSelectedAttachment(null)}
-        />
-      )}
     </div>
   );
 }
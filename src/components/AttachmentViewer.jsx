@@ -1,56 +1,150 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, lazy, Suspense } from 'react';
 import { saveAs } from 'file-saver';
+import ZoomableImage from './ZoomableImage';
+import FormattedText from './FormattedText';
+import DocumentPreview from './DocumentPreview';
+import { useAttachmentUrl } from '../hooks/useAttachmentUrl';
+import { getPreviewKind } from '../utils/documentPreview';
+
+// pdf.js is only downloaded when a PDF is opened
+const PdfViewer = lazy(() => import('./PdfViewer'));
+
+const SLIDESHOW_INTERVAL_MS = 3000;
+// Neighbours shown on each side in the filmstrip
+const FILMSTRIP_RADIUS = 8;
+
+/**
+ * Small filmstrip thumbnail
+ */
+function FilmstripThumb({ item, fileSource, isCurrent, onSelect }) {
+  const { url } = useAttachmentUrl(fileSource, item.filename);
+
+  return (
+    <button
+      onClick={onSelect}
+      className={`relative flex-shrink-0 w-14 h-14 rounded overflow-hidden bg-gray-800 ${
+        isCurrent ? 'ring-2 ring-whatsapp-green' : 'opacity-60 hover:opacity-100'
+      }`}
+      title={`${item.sender} · ${item.date}`}
+    >
+      {url && item.type === 'image' && <img src={url} alt="" className="w-full h-full object-cover" />}
+      {url && item.type === 'video' && <video src={url} className="w-full h-full object-cover" preload="metadata" muted />}
+      {item.type === 'video' && <span className="absolute bottom-0 left-1 text-xs">▶</span>}
+    </button>
+  );
+}
 
 /**
  * Attachment Viewer Component
- * Handles display and interaction with different attachment types
+ * Handles display and interaction with different attachment types.
+ * Given a gallery (the chat's images and videos in order), images and videos can be
+ * browsed with arrows, a filmstrip or a slideshow.
  */
-function AttachmentViewer({ attachment, onClose }) {
+function AttachmentViewer({ attachment, fileSource, gallery, onClose }) {
+  const [position, setPosition] = useState(
+    () => gallery?.findIndex(item => item.filename === attachment.filename) ?? -1
+  );
+  const [rotation, setRotation] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [showInfo, setShowInfo] = useState(false);
+  const current = position >= 0 ? gallery[position] : attachment;
+  const { filename, type } = current;
+  const canNavigate = position >= 0 && gallery.length > 1;
+  const isPdf = type === 'document' && filename.toLowerCase().endsWith('.pdf');
+  const previewKind = getPreviewKind(filename);
+  const usesObjectUrl = type === 'image' || type === 'video' || type === 'audio';
+  const [blob, setBlob] = useState(null);
   const [objectUrl, setObjectUrl] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
-  const objectUrlRef = useRef(null);
   const modalRef = useRef(null);
 
   useEffect(() => {
-    if (attachment && attachment.blob) {
+    let cancelled = false;
+    let acquired = false;
+
+    const loadAttachment = async () => {
       try {
-        // Clean up previous URL if exists
-        if (objectUrlRef.current) {
-          URL.revokeObjectURL(objectUrlRef.current);
+        setIsLoading(true);
+        setError(null);
+
+        // Attachments are decompressed from the archive on demand
+        let fileBlob = await fileSource.getFile(filename);
+        if (cancelled) return;
+        if (!fileBlob) {
+          throw new Error(`Attachment not found: ${filename}`);
         }
-        
+
+        // Media elements share the archive's reference-counted URL with the message bubbles
+        let url = null;
+        if (usesObjectUrl) {
+          url = await fileSource.acquireObjectUrl(filename);
+          if (cancelled) {
+            if (url) fileSource.releaseObjectUrl(filename);
+            return;
+          }
+          acquired = Boolean(url);
+        }
+
         // Create a new blob with proper MIME type for PDFs
-        let blob = attachment.blob;
-        if (attachment.filename.toLowerCase().endsWith('.pdf')) {
-          blob = new Blob([attachment.blob], { type: 'application/pdf' });
+        if (filename.toLowerCase().endsWith('.pdf')) {
+          fileBlob = new Blob([fileBlob], { type: 'application/pdf' });
         }
-        
-        const url = URL.createObjectURL(blob);
-        objectUrlRef.current = url;
+
+        setBlob(fileBlob);
         setObjectUrl(url);
         setIsLoading(false);
       } catch (err) {
-        console.error('Error creating object URL:', err);
+        if (cancelled) return;
+        console.error('Error loading attachment:', err);
         setError('Failed to load attachment');
         setIsLoading(false);
       }
+    };
+
+    if (filename && fileSource) {
+      loadAttachment();
     }
 
-    // Cleanup object URL on unmount
+    // Release the object URL on unmount or when moving to another attachment
     return () => {
-      if (objectUrlRef.current) {
-        URL.revokeObjectURL(objectUrlRef.current);
-        objectUrlRef.current = null;
-      }
+      cancelled = true;
+      if (acquired) fileSource.releaseObjectUrl(filename);
     };
-  }, [attachment]);
+  }, [filename, fileSource, usesObjectUrl]);
+
+  /**
+   * Move through the gallery
+   * @param {number} step - 1 for next, -1 for previous
+   * @returns {boolean} - False at either end
+   */
+  const goTo = useCallback((step) => {
+    if (!canNavigate) return false;
+    const next = position + step;
+    if (next < 0 || next >= gallery.length) return false;
+    setPosition(next);
+    setRotation(0);
+    return true;
+  }, [canNavigate, position, gallery]);
 
-  // Handle ESC key and background clicks
+  // Slideshow advances until the last item
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setTimeout(() => {
+      if (!goTo(1)) setIsPlaying(false);
+    }, SLIDESHOW_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, goTo]);
+
+  // Handle ESC/arrow keys and background clicks
   useEffect(() => {
     const handleKeyDown = (event) => {
       if (event.key === 'Escape') {
         onClose();
+      } else if (event.key === 'ArrowLeft') {
+        goTo(-1);
+      } else if (event.key === 'ArrowRight') {
+        goTo(1);
       }
     };
 
@@ -67,11 +161,11 @@ function AttachmentViewer({ attachment, onClose }) {
       document.removeEventListener('keydown', handleKeyDown);
       document.removeEventListener('mousedown', handleClickOutside);
     };
-  }, [onClose]);
+  }, [onClose, goTo]);
 
   const handleDownload = () => {
-    if (attachment.blob) {
-      saveAs(attachment.blob, attachment.filename);
+    if (blob) {
+      saveAs(blob, filename);
     }
   };
 
@@ -92,26 +186,21 @@ function AttachmentViewer({ attachment, onClose }) {
       );
     }
 
-    switch (attachment.type) {
+    // Office files, text, code and contacts are previewed by extension
+    if (previewKind) {
+      return <DocumentPreview key={filename} blob={blob} filename={filename} />;
+    }
+
+    switch (type) {
       case 'image':
         return (
-          <div className="w-full h-full flex items-center justify-center">
-            <img
-              src={objectUrl}
-              alt={attachment.filename}
-              className="max-w-full max-h-full w-auto h-auto object-contain rounded-lg"
-              style={{ maxHeight: '80vh' }}
-              onLoad={() => {
-                console.log('Image loaded successfully');
-                setIsLoading(false);
-              }}
-              onError={(e) => {
-                console.error('Image failed to load:', e);
-                setError('Failed to load image');
-                setIsLoading(false);
-              }}
-            />
-          </div>
+          <ZoomableImage
+            key={filename}
+            src={objectUrl}
+            alt={filename}
+            rotation={rotation}
+            onError={() => setError('Failed to load image')}
+          />
         );
 
       case 'video':
@@ -146,45 +235,18 @@ function AttachmentViewer({ attachment, onClose }) {
         );
 
       case 'document':
-        // Check if it's a PDF file
-        if (attachment.filename.toLowerCase().endsWith('.pdf')) {
+        if (isPdf) {
           return (
-            <div className="w-full h-full flex flex-col">
-              {/* PDF Preview */}
-              <div className="flex-1 w-full h-full">
-                <iframe
-                  src={`${objectUrl}#toolbar=1&navpanes=1&scrollbar=1`}
-                  className="w-full h-full border-0 rounded-lg"
-                  title={attachment.filename}
-                  type="application/pdf"
-                  onLoad={() => setIsLoading(false)}
-                  onError={() => setError('Failed to load PDF preview')}
-                />
-              </div>
-              
-              {/* PDF Controls */}
-              <div className="p-4 bg-whatsapp-header border-t border-gray-600">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-2">
-                    <span className="text-lg">📄</span>
-                    <span className="text-sm text-gray-300">{attachment.filename}</span>
-                  </div>
-                  <button
-                    onClick={handleDownload}
-                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-white text-sm"
-                  >
-                    Download PDF
-                  </button>
-                </div>
-              </div>
-            </div>
+            <Suspense fallback={<p className="p-8 text-center text-gray-400">Loading PDF viewer…</p>}>
+              <PdfViewer file={blob} />
+            </Suspense>
           );
         } else {
           // Other document types
           return (
             <div className="p-8 text-center">
               <div className="text-6xl mb-4">📄</div>
-              <p className="text-lg font-semibold mb-2">{attachment.filename}</p>
+              <p className="text-lg font-semibold mb-2">{filename}</p>
               <p className="text-gray-400 mb-4">Document preview not available</p>
               <button
                 onClick={handleDownload}
@@ -200,7 +262,7 @@ function AttachmentViewer({ attachment, onClose }) {
         return (
           <div className="p-8 text-center">
             <div className="text-6xl mb-4">📎</div>
-            <p className="text-lg font-semibold mb-2">{attachment.filename}</p>
+            <p className="text-lg font-semibold mb-2">{filename}</p>
             <p className="text-gray-400 mb-4">Unknown file type</p>
             <button
               onClick={handleDownload}
@@ -215,63 +277,139 @@ function AttachmentViewer({ attachment, onClose }) {
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-90 flex items-center justify-center z-50 p-2">
-      {attachment.type === 'image' ? (
-        /* Image-only view - clean and minimal */
-        <div ref={modalRef} className="relative w-full h-full flex items-center justify-center">
-          {/* Close button - floating */}
-          <button
-            onClick={onClose}
-            className="absolute top-4 right-4 z-10 px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
-          >
-            ✕
-          </button>
-          
-          {/* Download button - floating */}
-          <button
-            onClick={handleDownload}
-            className="absolute top-4 right-16 z-10 px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
-            title="Download"
-          >
-            💾
-          </button>
-          
-          {/* Image content */}
-          <div className="w-full h-full flex items-center justify-center">
-            {renderAttachment()}
-          </div>
-        </div>
-      ) : attachment.type === 'video' ? (
-        /* Video-only view - clean and minimal */
-        <div ref={modalRef} className="relative w-full h-full flex items-center justify-center">
-          {/* Close button - floating */}
-          <button
-            onClick={onClose}
-            className="absolute top-4 right-4 z-10 px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
-          >
-            ✕
-          </button>
-          
-          {/* Download button - floating */}
-          <button
-            onClick={handleDownload}
-            className="absolute top-4 right-16 z-10 px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
-            title="Download"
-          >
-            💾
-          </button>
-          
-          {/* Video content */}
-          <div className="w-full h-full flex items-center justify-center">
-            {renderAttachment()}
+      {type === 'image' || type === 'video' ? (
+        /* Image and video view - minimal chrome, optional gallery controls */
+        <div ref={modalRef} className="relative w-full h-full flex">
+          <div className="relative flex-1 min-w-0 flex flex-col">
+            {/* Toolbar - floating */}
+            <div className="absolute top-4 right-4 z-10 flex items-center space-x-2">
+              {canNavigate && (
+                <span className="px-3 py-2 bg-black bg-opacity-50 rounded-full text-white text-sm">
+                  {position + 1} / {gallery.length}
+                </span>
+              )}
+              {canNavigate && (
+                <button
+                  onClick={() => setIsPlaying(playing => !playing)}
+                  className="px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
+                  title={isPlaying ? 'Pause slideshow' : 'Play slideshow'}
+                >
+                  {isPlaying ? '⏸' : '▶'}
+                </button>
+              )}
+              {type === 'image' && (
+                <button
+                  onClick={() => setRotation(angle => (angle + 90) % 360)}
+                  className="px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
+                  title="Rotate"
+                >
+                  ⟳
+                </button>
+              )}
+              {position >= 0 && (
+                <button
+                  onClick={() => setShowInfo(show => !show)}
+                  className="px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
+                  title="Details"
+                >
+                  ℹ️
+                </button>
+              )}
+              <button
+                onClick={handleDownload}
+                className="px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
+                title="Download"
+              >
+                💾
+              </button>
+              <button
+                onClick={onClose}
+                className="px-3 py-2 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-sm transition-all"
+              >
+                ✕
+              </button>
+            </div>
+
+            {/* Previous / next */}
+            {canNavigate && position > 0 && (
+              <button
+                onClick={() => goTo(-1)}
+                className="absolute left-4 top-1/2 -translate-y-1/2 z-10 w-10 h-10 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-xl"
+                title="Previous (←)"
+              >
+                ‹
+              </button>
+            )}
+            {canNavigate && position < gallery.length - 1 && (
+              <button
+                onClick={() => goTo(1)}
+                className="absolute right-4 top-1/2 -translate-y-1/2 z-10 w-10 h-10 bg-black bg-opacity-50 hover:bg-opacity-70 rounded-full text-white text-xl"
+                title="Next (→)"
+              >
+                ›
+              </button>
+            )}
+
+            {/* Content */}
+            <div className="flex-1 min-h-0 flex items-center justify-center">
+              {renderAttachment()}
+            </div>
+
+            {/* Filmstrip */}
+            {canNavigate && (
+              <div className="flex justify-center space-x-2 py-2 overflow-hidden">
+                {gallery
+                  .slice(Math.max(0, position - FILMSTRIP_RADIUS), position + FILMSTRIP_RADIUS + 1)
+                  .map((item, offset) => {
+                    const index = Math.max(0, position - FILMSTRIP_RADIUS) + offset;
+                    return (
+                      <FilmstripThumb
+                        key={`${item.messageIndex}-${item.filename}`}
+                        item={item}
+                        fileSource={fileSource}
+                        isCurrent={index === position}
+                        onSelect={() => goTo(index - position)}
+                      />
+                    );
+                  })}
+              </div>
+            )}
           </div>
+
+          {/* Info pane */}
+          {showInfo && position >= 0 && (
+            <div className="w-80 flex-shrink-0 bg-whatsapp-gray p-4 overflow-y-auto text-sm text-gray-200 space-y-3">
+              <div>
+                <p className="text-xs text-gray-400">Sent by</p>
+                <p className="font-semibold">{current.sender}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-400">When</p>
+                <p>{current.date} {current.time}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-400">File</p>
+                <p className="break-all">{current.filename}</p>
+                {current.sizeLabel && <p className="text-xs text-gray-400">{current.sizeLabel}</p>}
+              </div>
+              {current.caption?.trim() && (
+                <div>
+                  <p className="text-xs text-gray-400">Caption</p>
+                  <p className="whitespace-pre-wrap break-words">
+                    <FormattedText text={current.caption} />
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
         </div>
-      ) : attachment.type === 'document' && attachment.filename.toLowerCase().endsWith('.pdf') ? (
-        /* PDF view - full screen with controls */
+      ) : isPdf || previewKind ? (
+        /* PDF and document preview - full screen with controls */
         <div ref={modalRef} className="bg-whatsapp-gray rounded-lg w-full h-full max-w-7xl max-h-[98vh] overflow-hidden flex flex-col">
           {/* Header */}
           <div className="flex items-center justify-between p-4 border-b border-gray-600">
             <h3 className="text-lg font-semibold text-white truncate">
-              {attachment.filename}
+              {filename}
             </h3>
             <div className="flex items-center space-x-2">
               <button
@@ -289,7 +427,7 @@ function AttachmentViewer({ attachment, onClose }) {
             </div>
           </div>
 
-          {/* PDF Content */}
+          {/* Document Content */}
           <div className="flex-1 overflow-hidden">
             {renderAttachment()}
           </div>
@@ -300,7 +438,7 @@ function AttachmentViewer({ attachment, onClose }) {
           {/* Header */}
           <div className="flex items-center justify-between p-4 border-b border-gray-600">
             <h3 className="text-lg font-semibold text-white truncate">
-              {attachment.filename}
+              {filename}
             </h3>
             <div className="flex items-center space-x-2">
               <button
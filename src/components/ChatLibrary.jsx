@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { formatFileSize } from '../utils/fileTypeDetector';
+
+/**
+ * Chat Library Component
+ * Lists chats saved on this device, with the opt-in switch for saving new ones.
+ * Chats in openIds are still read by an open chat and cannot be deleted.
+ */
+function ChatLibrary({ isSupported, isEnabled, onToggleEnabled, chats, onOpen, onDelete, openIds, openingId, error, onDismissError }) {
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  if (!isSupported) return null;
+
+  const handleDelete = (id) => {
+    if (confirmingId === id) {
+      setConfirmingId(null);
+      onDelete(id);
+    } else {
+      setConfirmingId(id);
+    }
+  };
+
+  return (
+    <div className="mt-8 max-w-2xl mx-auto bg-whatsapp-gray rounded-2xl p-6 border border-gray-700 text-left">
+      <div className="flex items-start justify-between space-x-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Saved chats</h3>
+          <p className="text-xs text-gray-400 mt-1">
+            Stored in this browser only, so chats reopen without the ZIP. Nothing is uploaded.
+          </p>
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-300 whitespace-nowrap cursor-pointer">
+          <input
+            type="checkbox"
+            checked={isEnabled}
+            onChange={(e) => onToggleEnabled(e.target.checked)}
+          />
+          <span>Save opened chats</span>
+        </label>
+      </div>
+
+      {error && (
+        <div className="mt-4 flex items-center justify-between text-sm text-red-300 bg-red-900/20 border border-red-800 rounded p-2">
+          <span>{error}</span>
+          <button onClick={onDismissError} className="ml-2 text-red-400 hover:text-red-300">✕</button>
+        </div>
+      )}
+
+      {chats.length > 0 ? (
+        <ul className="mt-4 divide-y divide-gray-700">
+          {chats.map(chat => (
+            <li key={chat.id} className="flex items-center justify-between py-3 space-x-4">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-200 truncate">{chat.name}</p>
+                <p className="text-xs text-gray-400">
+                  {chat.participantCount} participants · {chat.firstDate} – {chat.lastDate} · {formatFileSize(chat.size)}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <button
+                  onClick={() => onOpen(chat.id)}
+                  disabled={Boolean(openingId)}
+                  className="px-3 py-1 rounded bg-whatsapp-green hover:bg-green-600 text-white text-sm disabled:opacity-50"
+                >
+                  {openingId === chat.id ? 'Opening…' : 'Open'}
+                </button>
+                <button
+                  onClick={() => handleDelete(chat.id)}
+                  onBlur={() => setConfirmingId(null)}
+                  disabled={openIds.has(chat.id)}
+                  className="px-3 py-1 rounded bg-gray-700 hover:bg-red-800 text-gray-300 hover:text-white text-sm disabled:opacity-50 disabled:hover:bg-gray-700 disabled:hover:text-gray-300"
+                  title={openIds.has(chat.id) ? 'Close this chat before deleting it' : undefined}
+                >
+                  {confirmingId === chat.id ? 'Confirm' : 'Delete'}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-4 text-sm text-gray-500">
+          {isEnabled ? 'Chats you open will appear here.' : 'Turn on saving to keep chats between visits.'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ChatLibrary;
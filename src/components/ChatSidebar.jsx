@@ -0,0 +1,105 @@
+import React from 'react';
+import { getMessagePreview } from '../utils/chatSummary';
+
+/**
+ * Chat Sidebar Component
+ * Lists every loaded chat with its last message and how much is left unread
+ */
+function ChatSidebar({
+  sessions,
+  activeId,
+  isGlobalSearchOpen,
+  onSelect,
+  onClose,
+  onNewChat,
+  onOpenGlobalSearch,
+  onMergeChats
+}) {
+  return (
+    <aside className="w-80 flex-shrink-0 flex flex-col bg-whatsapp-dark border-r border-gray-700">
+      <div className="flex items-center justify-between px-4 py-3 bg-whatsapp-header border-b border-gray-700">
+        <h2 className="text-gray-300 font-semibold">Chats</h2>
+        <button
+          onClick={onNewChat}
+          className={`px-3 py-1 rounded text-sm text-white hover:bg-green-600 ${
+            activeId === null && !isGlobalSearchOpen ? 'bg-green-600' : 'bg-whatsapp-green'
+          }`}
+          title="Load another chat"
+        >
+          + Add chat
+        </button>
+      </div>
+
+      <button
+        onClick={onOpenGlobalSearch}
+        className={`flex items-center space-x-2 px-4 py-2 text-sm text-left border-b border-gray-700 ${
+          isGlobalSearchOpen ? 'bg-whatsapp-gray text-white' : 'text-gray-400 hover:bg-gray-800 hover:text-white'
+        }`}
+      >
+        <span>🔍</span>
+        <span>Search all chats</span>
+      </button>
+
+      {sessions.length > 1 && (
+        <button
+          onClick={onMergeChats}
+          className="flex items-center space-x-2 px-4 py-2 text-sm text-left border-b border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white"
+        >
+          <span>🔗</span>
+          <span>Merge exports…</span>
+        </button>
+      )}
+
+      <ul className="flex-1 overflow-y-auto">
+        {sessions.map(session => {
+          const { messages } = session;
+          const lastMessage = messages[messages.length - 1];
+          const isActive = !isGlobalSearchOpen && session.id === activeId;
+          const unreadCount = isActive ? 0 : messages.length - 1 - session.readIndex;
+
+          return (
+            <li
+              key={session.id}
+              className={`group flex items-center px-4 py-3 border-b border-gray-800 cursor-pointer ${
+                isActive ? 'bg-whatsapp-gray' : 'hover:bg-gray-800'
+              }`}
+              onClick={() => onSelect(session.id)}
+            >
+              <div className="min-w-0 flex-1">
+                <div className="flex items-baseline justify-between space-x-2">
+                  <p className="text-sm font-medium text-gray-200 truncate">{session.name}</p>
+                  <span className={`text-xs flex-shrink-0 ${unreadCount > 0 ? 'text-green-400' : 'text-gray-500'}`}>
+                    {lastMessage?.date}
+                  </span>
+                </div>
+                <div className="flex items-center justify-between space-x-2 mt-1">
+                  <p className="text-xs text-gray-400 truncate">{getMessagePreview(lastMessage)}</p>
+                  {unreadCount > 0 && (
+                    <span
+                      className="flex-shrink-0 min-w-[1.25rem] px-1.5 rounded-full bg-green-500 text-black text-xs text-center font-semibold"
+                      title="Messages after where you left off"
+                    >
+                      {unreadCount.toLocaleString()}
+                    </span>
+                  )}
+                </div>
+              </div>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onClose(session.id);
+                }}
+                className="ml-2 text-gray-500 hover:text-white opacity-0 group-hover:opacity-100"
+                title="Close chat"
+              >
+                ✕
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
+
+export default ChatSidebar;
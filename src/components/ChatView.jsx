@@ -0,0 +1,328 @@
+import React, { forwardRef, useState, useEffect, useMemo, useRef, useCallback, useImperativeHandle } from 'react';
+import AttachmentViewer from './AttachmentViewer';
+import DateFormatPicker from './DateFormatPicker';
+import VirtualList from './VirtualList';
+import MessageRow from './MessageRow';
+import SearchBar from './SearchBar';
+import PerspectivePicker from './PerspectivePicker';
+import ExportMenu from './ExportMenu';
+import MergeSummary from './MergeSummary';
+import MediaGallery from './MediaGallery';
+import StatisticsDashboard from './StatisticsDashboard';
+import DateJumpPicker from './DateJumpPicker';
+import TimelineScrubber from './TimelineScrubber';
+import { useChatExport } from '../hooks/useChatExport';
+import { useMessageSearch } from '../hooks/useMessageSearch';
+import { useAttachments } from '../hooks/useAttachments';
+import { getHighlightRanges } from '../utils/searchIndex';
+import { suggestOwner, getChatKey, loadPerspective, savePerspective } from '../utils/perspective';
+import { getParticipants } from '../utils/chatSummary';
+import { createColorMap } from '../utils/colors';
+import { estimateMessageHeight } from '../utils/messageLayout';
+import { buildDateIndex } from '../utils/dateNavigation';
+import backgroundImage from '../assets/bg-dark-BnMQztzI.png';
+
+/**
+ * Chat View Component
+ * One loaded chat: toolbar, message list and attachment viewer.
+ * Mounted per chat; the view it was left in comes back through session.view
+ * (optionally with a focusIndex to open at), and the current view is read back
+ * through the ref's getViewState().
+ */
+const ChatView = forwardRef(function ChatView({ session, onDateOrderChange }, ref) {
+  const { messages, searchIndex, chatFileName, zipHandler, dateFormat, dateOrder, view } = session;
+  const [selectedAttachment, setSelectedAttachment] = useState(null);
+  const [showMergeSummary, setShowMergeSummary] = useState(!view);
+  const [showGallery, setShowGallery] = useState(false);
+  const [showStatistics, setShowStatistics] = useState(false);
+  const [focusedIndex, setFocusedIndex] = useState(null);
+  const [firstVisibleIndex, setFirstVisibleIndex] = useState(0);
+  const messageListRef = useRef(null);
+
+  // Create color map for users
+  const participants = useMemo(() => getParticipants(messages), [messages]);
+
+  const colorMap = useMemo(() => createColorMap(participants), [participants]);
+
+  // Whose messages are shown as our own: the saved choice, or the best guess
+  const suggestedOwner = useMemo(
+    () => suggestOwner(messages, participants, chatFileName),
+    [messages, participants, chatFileName]
+  );
+  const chatKey = useMemo(() => getChatKey(chatFileName, participants), [chatFileName, participants]);
+  const [savedOwner, setSavedOwner] = useState(() => loadPerspective(chatKey));
+  const ownerName = savedOwner && participants.includes(savedOwner) ? savedOwner : suggestedOwner;
+
+  const chatExport = useChatExport({
+    messages,
+    fileSource: zipHandler,
+    chatFileName,
+    ownerName,
+    colorMap
+  });
+
+  const attachments = useAttachments(messages, zipHandler);
+
+  // Images and videos in chat order, browsed from the attachment viewer
+  const visualGallery = useMemo(
+    () => attachments.attachments.filter(item => item.type === 'image' || item.type === 'video'),
+    [attachments.attachments]
+  );
+
+  // First and last dated messages, used as export range defaults
+  const dateBounds = useMemo(() => {
+    const timestamps = messages.map(m => m.timestamp).filter(t => !Number.isNaN(t));
+    if (!timestamps.length) return null;
+    // Spreading hundreds of thousands of arguments overflows the call stack
+    return {
+      min: timestamps.reduce((min, t) => Math.min(min, t), Infinity),
+      max: timestamps.reduce((max, t) => Math.max(max, t), -Infinity)
+    };
+  }, [messages]);
+
+  // Messages after the furthest point read before this chat was last left
+  const [readIndex] = useState(session.readIndex);
+  const unreadCount = readIndex >= 0 ? messages.length - 1 - readIndex : 0;
+
+  const handleOwnerChange = (owner) => {
+    setSavedOwner(owner);
+    savePerspective(chatKey, owner);
+  };
+
+  const search = useMessageSearch(messages, searchIndex, view);
+  const { results: searchResults, goToResult } = search;
+
+  // Jump to the first hit whenever the result set changes, but not for a restored search
+  const restoredResultsRef = useRef(view ? searchResults : null);
+  useEffect(() => {
+    if (searchResults.length && searchResults !== restoredResultsRef.current) {
+      messageListRef.current?.scrollToIndex(searchResults[0], { align: 'center' });
+    }
+  }, [searchResults]);
+
+  // Return to where this chat was left, or to the message it was opened for; only the
+  // view the chat was mounted with counts, later session updates must not scroll again
+  const [initialView] = useState(view);
+  useEffect(() => {
+    if (initialView?.focusIndex !== undefined) {
+      messageListRef.current?.scrollToIndex(initialView.focusIndex, { align: 'center' });
+    } else if (initialView) {
+      messageListRef.current?.scrollToIndex(initialView.firstVisibleIndex, { align: 'start' });
+    }
+  }, [initialView]);
+
+  useImperativeHandle(ref, () => ({
+    getViewState: () => ({
+      firstVisibleIndex: messageListRef.current?.getFirstVisibleIndex() ?? 0,
+      lastVisibleIndex: messageListRef.current?.getLastVisibleIndex() ?? -1,
+      query: search.query,
+      activeResult: search.activeResult
+    })
+  }), [search.query, search.activeResult]);
+
+  // Step through search results and scroll each one into view
+  const handleSearchStep = useCallback((step) => {
+    const messageIndex = goToResult(step);
+    if (messageIndex !== null) {
+      messageListRef.current?.scrollToIndex(messageIndex, { align: 'center' });
+    }
+  }, [goToResult]);
+
+  // Scroll to a message picked elsewhere (e.g. the media gallery) and mark it briefly
+  const jumpToMessage = useCallback((messageIndex) => {
+    setShowStatistics(false);
+    messageListRef.current?.scrollToIndex(messageIndex, { align: 'center' });
+    setFocusedIndex(messageIndex);
+  }, []);
+
+  // Days and months for the date picker and timeline scrubber
+  const dateIndex = useMemo(() => buildDateIndex(messages), [messages]);
+
+  // Scroll a day or point in time to the top, so its date separator is in view
+  const scrollToDate = useCallback((messageIndex) => {
+    setShowStatistics(false);
+    messageListRef.current?.scrollToIndex(messageIndex, { align: 'start' });
+  }, []);
+
+  useEffect(() => {
+    if (focusedIndex === null) return;
+    const timer = setTimeout(() => setFocusedIndex(null), 2000);
+    return () => clearTimeout(timer);
+  }, [focusedIndex]);
+
+  // Row height estimates for the virtualized message list
+  const estimateRowSize = useCallback(
+    (index) => estimateMessageHeight(messages[index], messages[index - 1]),
+    [messages]
+  );
+
+  return (
+    <div className="flex flex-col h-full w-full overflow-hidden">
+      {/* Chat Toolbar */}
+      <div className="flex items-center justify-between px-4 py-2 bg-whatsapp-header border-b border-gray-700 space-x-4">
+        <div className="min-w-0">
+          <h2 className="text-gray-200 font-semibold truncate">{session.name}</h2>
+          <p className="text-xs text-gray-400">
+            {messages.length} messages loaded
+            {session.mergeReport && (
+              <button
+                onClick={() => setShowMergeSummary(show => !show)}
+                className="ml-2 text-green-400 hover:text-green-300"
+              >
+                · merged from {session.mergeReport.sources.length} exports
+              </button>
+            )}
+          </p>
+        </div>
+        <div className="flex items-center space-x-4 flex-shrink-0">
+          <SearchBar
+            query={search.query}
+            onQueryChange={search.setQuery}
+            resultCount={searchResults.length}
+            activeResult={search.activeResult}
+            isActive={search.isActive}
+            onNext={() => handleSearchStep(1)}
+            onPrevious={() => handleSearchStep(-1)}
+            onClear={search.clearSearch}
+          />
+          <PerspectivePicker
+            participants={participants}
+            suggestedOwner={suggestedOwner}
+            owner={savedOwner}
+            onChange={handleOwnerChange}
+          />
+          <DateFormatPicker
+            detectedFormat={dateFormat}
+            dateOrder={dateOrder}
+            onChange={onDateOrderChange}
+          />
+          <DateJumpPicker
+            dateIndex={dateIndex}
+            currentTimestamp={messages[firstVisibleIndex]?.timestamp ?? null}
+            onJump={scrollToDate}
+          />
+          <button
+            onClick={() => setShowGallery(show => !show)}
+            className={`px-2 py-1 rounded text-sm ${showGallery ? 'bg-gray-700 text-white' : 'text-gray-300 hover:bg-gray-700'}`}
+            title="Media, links and docs"
+          >
+            🖼️ Media
+          </button>
+          <button
+            onClick={() => setShowStatistics(show => !show)}
+            className={`px-2 py-1 rounded text-sm ${showStatistics ? 'bg-gray-700 text-white' : 'text-gray-300 hover:bg-gray-700'}`}
+            title="Chat statistics"
+          >
+            📊 Stats
+          </button>
+          <ExportMenu
+            onExport={chatExport.exportChat}
+            onCancel={chatExport.cancelExport}
+            isExporting={chatExport.isExporting}
+            progress={chatExport.progress}
+            error={chatExport.error}
+            onDismissError={chatExport.clearError}
+            dateBounds={dateBounds}
+          />
+        </div>
+      </div>
+
+      {session.mergeReport && showMergeSummary && (
+        <MergeSummary report={session.mergeReport} onClose={() => setShowMergeSummary(false)} />
+      )}
+
+      <div className="flex-1 flex overflow-hidden">
+        <div className="relative flex-1 min-w-0 overflow-hidden bg-whatsapp-dark" style={{
+          backgroundImage: `url("${backgroundImage}")`,
+          backgroundRepeat: 'repeat',
+          backgroundSize: 'auto'
+        }}>
+          {messages.length > 0 ? (
+            <VirtualList
+              ref={messageListRef}
+              className="h-full"
+              innerClassName="px-4 py-4"
+              count={messages.length}
+              resetKey={messages}
+              estimateSize={estimateRowSize}
+              getItemKey={(index) => messages[index].id || index}
+              onFirstVisibleIndexChange={setFirstVisibleIndex}
+              renderItem={(index) => {
+                const message = messages[index];
+                const resultPosition = search.resultPositions.get(index);
+                const isSearchHit = resultPosition !== undefined;
+                return (
+                  <MessageRow
+                    message={message}
+                    prevMessage={messages[index - 1]}
+                    isOwnMessage={message.sender === ownerName}
+                    userColor={colorMap[message.sender] || '#6B7280'}
+                    fileSource={zipHandler}
+                    highlights={isSearchHit ? getHighlightRanges(message.message, search.parsedQuery) : undefined}
+                    isActiveResult={(isSearchHit && resultPosition === search.activeResult) || index === focusedIndex}
+                    unreadCount={index === readIndex + 1 ? unreadCount : 0}
+                    onOpenAttachment={setSelectedAttachment}
+                  />
+                );
+              }}
+            />
+          ) : (
+            <div className="flex items-center justify-center h-full">
+              <div className="text-center space-y-4">
+                <div className="text-gray-400 text-6xl">💬</div>
+                <h3 className="text-2xl font-semibold text-white">
+                  No Messages Found
+                </h3>
+                <p className="text-gray-400">
+                  No messages were found in the chat file.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* Drawn over the list so it keeps its scroll position and can be jumped in */}
+          {showStatistics && (
+            <div className="absolute inset-0 z-10">
+              <StatisticsDashboard
+                messages={messages}
+                colorMap={colorMap}
+                ownerName={ownerName}
+                onJumpToMessage={jumpToMessage}
+                onClose={() => setShowStatistics(false)}
+              />
+            </div>
+          )}
+        </div>
+
+        <TimelineScrubber
+          messages={messages}
+          months={dateIndex.months}
+          firstVisibleIndex={firstVisibleIndex}
+          onScrollToIndex={scrollToDate}
+        />
+
+        {showGallery && (
+          <MediaGallery
+            messages={messages}
+            attachments={attachments}
+            fileSource={zipHandler}
+            onJumpToMessage={jumpToMessage}
+            onClose={() => setShowGallery(false)}
+          />
+        )}
+      </div>
+
+      {/* Attachment Viewer Modal */}
+      {selectedAttachment && (
+        <AttachmentViewer
+          attachment={selectedAttachment}
+          fileSource={zipHandler}
+          gallery={visualGallery}
+          onClose={() => setSelectedAttachment(null)}
+        />
+      )}
+    </div>
+  );
+});
+
+export default ChatView;
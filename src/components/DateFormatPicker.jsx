@@ -0,0 +1,31 @@
+import React from 'react';
+import { DATE_ORDERS, getDateFormatLabel } from '../utils/dateFormat';
+
+/**
+ * Date Format Picker Component
+ * Shows the detected date layout and lets the user force a day/month order
+ */
+function DateFormatPicker({ detectedFormat, dateOrder, onChange }) {
+  if (!detectedFormat) return null;
+
+  return (
+    <label className="flex items-center space-x-2 text-sm text-gray-400 font-normal">
+      <span>Dates:</span>
+      <select
+        value={dateOrder || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="bg-whatsapp-gray text-gray-200 border border-gray-600 rounded px-2 py-1 text-sm"
+        title="Change how dates in this export are read"
+      >
+        <option value="">Auto ({getDateFormatLabel(detectedFormat)})</option>
+        {DATE_ORDERS.map(order => (
+          <option key={order} value={order}>
+            {getDateFormatLabel({ ...detectedFormat, order })}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default DateFormatPicker;
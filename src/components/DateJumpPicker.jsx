@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { getCalendarWeeks, getMonthKey } from '../utils/dateNavigation';
+import { getDayKey } from '../utils/chatStatistics';
+
+const WEEKDAY_LABELS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+/**
+ * Background of a day cell, stronger for busier days
+ * @param {number} count - Messages on the day
+ * @param {number} maxCount - Messages on the busiest day
+ * @returns {string} - CSS colour
+ */
+function getDayColor(count, maxCount) {
+  const alpha = 0.25 + 0.75 * Math.sqrt(count / Math.max(1, maxCount));
+  return `rgba(34, 197, 94, ${alpha.toFixed(2)})`;
+}
+
+/**
+ * Date Jump Picker Component
+ * Header calendar that shades days by message count and jumps to the first message
+ * of the chosen day. Opens on the month currently in view.
+ */
+function DateJumpPicker({ dateIndex, currentTimestamp, onJump }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [shownMonth, setShownMonth] = useState(null);
+  const menuRef = useRef(null);
+  const { days, months, maxCount } = dateIndex;
+
+  // Months in calendar order, for the month list and the arrows
+  const monthKeys = useMemo(() => months.map(month => month.key).sort(), [months]);
+
+  // Close when clicking elsewhere
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  if (monthKeys.length === 0) return null;
+
+  const handleToggle = () => {
+    if (!isOpen) {
+      const visibleKey = currentTimestamp !== null && !Number.isNaN(currentTimestamp)
+        ? getMonthKey(getDayKey(currentTimestamp))
+        : monthKeys[monthKeys.length - 1];
+      setShownMonth(visibleKey);
+    }
+    setIsOpen(open => !open);
+  };
+
+  const handleSelectDay = (dayKey) => {
+    setIsOpen(false);
+    onJump(days.get(dayKey).firstIndex);
+  };
+
+  // Step through calendar months, including ones without messages
+  const stepMonth = (step) => {
+    const date = new Date(Number(shownMonth.slice(0, 4)), Number(shownMonth.slice(5, 7)) - 1 + step, 1);
+    setShownMonth(getMonthKey(getDayKey(date.getTime())));
+  };
+
+  const year = shownMonth ? Number(shownMonth.slice(0, 4)) : 0;
+  const month = shownMonth ? Number(shownMonth.slice(5, 7)) - 1 : 0;
+  const shownCount = months.find(entry => entry.key === shownMonth)?.count || 0;
+
+  return (
+    <div ref={menuRef} className="relative text-sm font-normal">
+      <button
+        onClick={handleToggle}
+        className={`px-2 py-1 rounded text-sm ${isOpen ? 'bg-gray-700 text-white' : 'text-gray-300 hover:bg-gray-700'}`}
+        title="Jump to a date"
+      >
+        📅 Date
+      </button>
+
+      {isOpen && shownMonth && (
+        <div className="absolute right-0 mt-2 w-72 p-3 bg-whatsapp-gray border border-gray-600 rounded-lg shadow-lg z-20">
+          <div className="flex items-center justify-between mb-2">
+            <button
+              onClick={() => stepMonth(-1)}
+              disabled={shownMonth <= monthKeys[0]}
+              className="px-2 py-1 rounded text-gray-300 hover:bg-gray-700 disabled:opacity-30 disabled:hover:bg-transparent"
+              title="Previous month"
+            >
+              ‹
+            </button>
+            <select
+              value={monthKeys.includes(shownMonth) ? shownMonth : ''}
+              onChange={(event) => setShownMonth(event.target.value)}
+              className="bg-gray-700 text-gray-200 rounded px-2 py-1 text-sm"
+            >
+              {!monthKeys.includes(shownMonth) && (
+                <option value="" disabled>
+                  {new Date(year, month, 1).toLocaleDateString(undefined, { year: 'numeric', month: 'long' })}
+                </option>
+              )}
+              {monthKeys.map(key => (
+                <option key={key} value={key}>
+                  {new Date(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, 1)
+                    .toLocaleDateString(undefined, { year: 'numeric', month: 'long' })}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => stepMonth(1)}
+              disabled={shownMonth >= monthKeys[monthKeys.length - 1]}
+              className="px-2 py-1 rounded text-gray-300 hover:bg-gray-700 disabled:opacity-30 disabled:hover:bg-transparent"
+              title="Next month"
+            >
+              ›
+            </button>
+          </div>
+
+          <table className="w-full text-center text-xs">
+            <thead>
+              <tr className="text-gray-400">
+                {WEEKDAY_LABELS.map(label => (
+                  <th key={label} className="py-1 font-normal">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {getCalendarWeeks(year, month).map((week, weekIndex) => (
+                <tr key={weekIndex}>
+                  {week.map((dayKey, dayIndex) => {
+                    const day = dayKey && days.get(dayKey);
+                    return (
+                      <td key={dayIndex} className="p-0.5">
+                        {dayKey && (
+                          <button
+                            onClick={() => handleSelectDay(dayKey)}
+                            disabled={!day}
+                            className={`w-8 h-8 rounded ${day ? 'text-white hover:ring-2 hover:ring-white' : 'text-gray-600 cursor-default'}`}
+                            style={day ? { backgroundColor: getDayColor(day.count, maxCount) } : undefined}
+                            title={day ? `${day.count.toLocaleString()} messages` : 'No messages'}
+                          >
+                            {Number(dayKey.slice(8))}
+                          </button>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="mt-2 text-xs text-gray-400">
+            {shownCount > 0 ? `${shownCount.toLocaleString()} messages this month` : 'No messages this month'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DateJumpPicker;
@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from 'react';
+import {
+  PREVIEW_KINDS,
+  MAX_SHEET_ROWS,
+  MAX_SHEET_COLUMNS,
+  getPreviewKind,
+  loadPreview,
+  columnName
+} from '../utils/documentPreview';
+
+const HEADING_CLASSES = {
+  1: 'text-3xl font-bold mt-6 mb-3',
+  2: 'text-2xl font-bold mt-5 mb-2',
+  3: 'text-xl font-semibold mt-4 mb-2',
+  4: 'text-lg font-semibold mt-3 mb-1',
+  5: 'text-base font-semibold mt-3 mb-1',
+  6: 'text-sm font-semibold uppercase mt-3 mb-1'
+};
+
+const ALIGN_CLASSES = {
+  center: 'text-center',
+  right: 'text-right',
+  end: 'text-right',
+  both: 'text-justify'
+};
+
+/**
+ * Formatted runs of a Word paragraph
+ */
+function DocxRuns({ runs }) {
+  return runs.map((run, index) => {
+    const className = [
+      run.bold && 'font-bold',
+      run.italic && 'italic',
+      run.underline && !run.strike && 'underline',
+      run.strike && 'line-through'
+    ].filter(Boolean).join(' ');
+
+    if (run.href) {
+      return (
+        <a key={index} href={run.href} target="_blank" rel="noopener noreferrer" className={`${className} text-blue-700 underline`}>
+          {run.text}
+        </a>
+      );
+    }
+    return <span key={index} className={className || undefined}>{run.text}</span>;
+  });
+}
+
+/**
+ * Paragraphs and tables of a Word document
+ */
+function DocxBlocks({ blocks }) {
+  return blocks.map((block, index) => {
+    if (block.type === 'table') {
+      return (
+        <table key={index} className="my-3 w-full border-collapse text-sm">
+          <tbody>
+            {block.rows.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                {row.map((cell, cellIndex) => (
+                  <td key={cellIndex} className="border border-gray-300 px-2 py-1 align-top">
+                    <DocxBlocks blocks={cell} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      );
+    }
+
+    const Tag = block.heading ? `h${block.heading}` : 'p';
+    const className = [
+      block.heading ? HEADING_CLASSES[block.heading] : 'my-2 leading-relaxed',
+      ALIGN_CLASSES[block.align],
+      'whitespace-pre-wrap break-words'
+    ].filter(Boolean).join(' ');
+
+    if (block.list) {
+      return (
+        <div key={index} className="flex" style={{ marginLeft: `${(block.list.level + 1) * 1.5}rem` }}>
+          <span className="w-8 flex-shrink-0 text-right pr-2 my-1">
+            {block.list.ordered ? `${block.list.number}.` : '•'}
+          </span>
+          <Tag className={`${className} my-1`}><DocxRuns runs={block.runs} /></Tag>
+        </div>
+      );
+    }
+
+    // Empty paragraphs keep their line, as they do in Word
+    return (
+      <Tag key={index} className={className}>
+        {block.runs.length > 0 ? <DocxRuns runs={block.runs} /> : ' '}
+      </Tag>
+    );
+  });
+}
+
+/**
+ * Spreadsheet grid with a tab per sheet
+ */
+function SheetPreview({ sheets }) {
+  const [activeSheet, setActiveSheet] = useState(0);
+  const sheet = sheets[activeSheet];
+  const columnCount = Math.max(0, ...sheet.rows.map(row => row.length));
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex-1 overflow-auto">
+        {sheet.rows.length === 0 ? (
+          <p className="p-8 text-center text-gray-400">This sheet is empty</p>
+        ) : (
+          <table className="border-collapse text-sm text-gray-200">
+            <thead className="sticky top-0 bg-whatsapp-dark">
+              <tr>
+                <th className="sticky left-0 bg-whatsapp-dark border border-gray-600 px-2 py-1 text-gray-400" />
+                {Array.from({ length: columnCount }, (_, column) => (
+                  <th key={column} className="border border-gray-600 px-2 py-1 font-normal text-gray-400">
+                    {columnName(column)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sheet.rows.map((row, rowIndex) => (
+                <tr key={rowIndex} className="hover:bg-gray-700">
+                  <th className="sticky left-0 bg-whatsapp-dark border border-gray-600 px-2 py-1 font-normal text-gray-400 text-right">
+                    {rowIndex + 1}
+                  </th>
+                  {Array.from({ length: columnCount }, (_, column) => (
+                    <td
+                      key={column}
+                      className="border border-gray-700 px-2 py-1 whitespace-pre-wrap max-w-xs align-top"
+                    >
+                      {row[column]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {sheet.truncated && (
+          <p className="p-3 text-xs text-gray-400">
+            Showing the first {MAX_SHEET_ROWS} rows and {MAX_SHEET_COLUMNS} columns. Download the file to see everything.
+          </p>
+        )}
+      </div>
+
+      {sheets.length > 1 && (
+        <div className="flex overflow-x-auto border-t border-gray-600 bg-whatsapp-dark">
+          {sheets.map((item, index) => (
+            <button
+              key={index}
+              onClick={() => setActiveSheet(index)}
+              className={`px-4 py-2 text-sm whitespace-nowrap ${
+                index === activeSheet ? 'bg-whatsapp-gray text-white border-t-2 border-whatsapp-green' : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {item.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Monospaced text, with line numbers and no wrapping for code
+ */
+function TextPreview({ text, truncated, isCode }) {
+  const [wrap, setWrap] = useState(!isCode);
+  const lineCount = text.split('\n').length;
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-600 text-xs text-gray-400">
+        <span>{lineCount.toLocaleString()} lines{truncated && ' · preview cut off, download for the full file'}</span>
+        <label className="flex items-center space-x-1 cursor-pointer">
+          <input type="checkbox" checked={wrap} onChange={(event) => setWrap(event.target.checked)} />
+          <span>Wrap lines</span>
+        </label>
+      </div>
+      <div className="flex-1 overflow-auto flex font-mono text-sm leading-6" style={{ tabSize: 4 }}>
+        {isCode && !wrap && (
+          <pre className="sticky left-0 px-3 py-3 text-right text-gray-500 bg-whatsapp-dark select-none">
+            {Array.from({ length: lineCount }, (_, index) => index + 1).join('\n')}
+          </pre>
+        )}
+        <pre className={`flex-1 px-4 py-3 text-gray-200 ${wrap ? 'whitespace-pre-wrap break-words' : 'whitespace-pre'}`}>
+          {text}
+        </pre>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One contact from a .vcf file
+ */
+function ContactCard({ contact }) {
+  const initials = contact.name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+  const subtitle = [contact.title, contact.organization].filter(Boolean).join(' · ');
+
+  return (
+    <div className="w-full max-w-md rounded-lg bg-whatsapp-dark p-5 text-gray-200">
+      <div className="flex items-center space-x-4 mb-4">
+        {contact.photo ? (
+          <img src={contact.photo} alt="" className="w-16 h-16 rounded-full object-cover" />
+        ) : (
+          <div className="w-16 h-16 rounded-full bg-whatsapp-green flex items-center justify-center text-2xl text-white">
+            {initials || '👤'}
+          </div>
+        )}
+        <div className="min-w-0">
+          <p className="text-lg font-semibold text-white break-words">{contact.name || 'Unnamed contact'}</p>
+          {subtitle && <p className="text-sm text-gray-400 break-words">{subtitle}</p>}
+        </div>
+      </div>
+
+      <dl className="space-y-3 text-sm">
+        {contact.phones.map((phone, index) => (
+          <div key={`phone-${index}`}>
+            <dt className="text-xs text-gray-400 capitalize">{phone.types.join(', ') || 'Phone'}</dt>
+            <dd>
+              <a href={`tel:${phone.value.replace(/[^\d+]/g, '')}`} className="text-blue-300 hover:underline">{phone.value}</a>
+              {phone.waId && <span className="ml-2 text-xs text-whatsapp-green">WhatsApp</span>}
+            </dd>
+          </div>
+        ))}
+        {contact.emails.map((email, index) => (
+          <div key={`email-${index}`}>
+            <dt className="text-xs text-gray-400 capitalize">{email.types.join(', ') || 'Email'}</dt>
+            <dd><a href={`mailto:${email.value}`} className="text-blue-300 hover:underline break-all">{email.value}</a></dd>
+          </div>
+        ))}
+        {contact.addresses.map((address, index) => (
+          <div key={`address-${index}`}>
+            <dt className="text-xs text-gray-400 capitalize">{address.types.join(', ') || 'Address'}</dt>
+            <dd className="break-words">{address.value}</dd>
+          </div>
+        ))}
+        {contact.urls.map((url, index) => (
+          <div key={`url-${index}`}>
+            <dt className="text-xs text-gray-400">Website</dt>
+            <dd className="break-all">
+              {/^https?:\/\//i.test(url)
+                ? <a href={url} target="_blank" rel="noopener noreferrer" className="text-blue-300 hover:underline">{url}</a>
+                : url}
+            </dd>
+          </div>
+        ))}
+        {contact.birthday && (
+          <div>
+            <dt className="text-xs text-gray-400">Birthday</dt>
+            <dd>{contact.birthday}</dd>
+          </div>
+        )}
+        {contact.note && (
+          <div>
+            <dt className="text-xs text-gray-400">Note</dt>
+            <dd className="whitespace-pre-wrap break-words">{contact.note}</dd>
+          </div>
+        )}
+      </dl>
+    </div>
+  );
+}
+
+/**
+ * Document Preview Component
+ * Renders .docx, .xlsx, .csv, text, code and .vcf attachments in the browser.
+ * Files are parsed locally; nothing is uploaded. Give it a key per file so state resets.
+ */
+function DocumentPreview({ blob, filename }) {
+  const kind = getPreviewKind(filename);
+  const [content, setContent] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadPreview(blob, filename, kind)
+      .then(result => {
+        if (!cancelled) setContent(result);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error reading document for preview:', err);
+        setError(err.message || 'This file could not be read');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [blob, filename, kind]);
+
+  if (error) {
+    return (
+      <div className="p-8 text-center text-gray-400">
+        <p className="text-red-400 mb-2">Preview not available</p>
+        <p className="text-sm">{error}</p>
+      </div>
+    );
+  }
+
+  if (!content) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  switch (kind) {
+    case PREVIEW_KINDS.DOCX:
+      return (
+        <div className="h-full overflow-auto bg-gray-200 p-4">
+          <article className="mx-auto max-w-3xl bg-white text-gray-900 shadow px-8 py-10 sm:px-16">
+            {content.length > 0 ? <DocxBlocks blocks={content} /> : <p className="text-gray-500">This document is empty</p>}
+          </article>
+        </div>
+      );
+
+    case PREVIEW_KINDS.SHEET:
+    case PREVIEW_KINDS.CSV:
+      return content.length > 0
+        ? <SheetPreview sheets={content} />
+        : <p className="p-8 text-center text-gray-400">This workbook has no sheets</p>;
+
+    case PREVIEW_KINDS.TEXT:
+    case PREVIEW_KINDS.CODE:
+      return <TextPreview text={content.text} truncated={content.truncated} isCode={kind === PREVIEW_KINDS.CODE} />;
+
+    case PREVIEW_KINDS.VCARD:
+      return (
+        <div className="h-full overflow-auto p-4 flex flex-col items-center space-y-4">
+          {content.map((contact, index) => <ContactCard key={index} contact={contact} />)}
+        </div>
+      );
+
+    default:
+      return null;
+  }
+}
+
+export default DocumentPreview;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PdfExportDialog from './PdfExportDialog';
+
+const EXPORT_OPTIONS = [
+  { format: 'html', label: 'HTML (single file)', description: 'One page with media embedded' },
+  { format: 'html-folder', label: 'HTML + media folder (.zip)', description: 'index.html with a media/ folder' },
+  { format: 'pdf', label: 'PDF…', description: 'Print-ready pages for a date range' },
+  { format: 'json', label: 'JSON', description: 'Versioned schema with chat metadata', isData: true },
+  { format: 'csv', label: 'CSV', description: 'One row per message', isData: true },
+  { format: 'ndjson', label: 'NDJSON', description: 'One JSON record per line', isData: true }
+];
+
+// Formats that ask for options before exporting
+const DIALOG_FORMATS = ['pdf'];
+
+/**
+ * Export Menu Component
+ * Header dropdown listing the available export formats, with progress while exporting
+ */
+function ExportMenu({ onExport, onCancel, isExporting, progress, error, onDismissError, dateBounds }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [dialogFormat, setDialogFormat] = useState(null);
+  const [includeSystem, setIncludeSystem] = useState(true);
+  const menuRef = useRef(null);
+
+  // Close when clicking elsewhere
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleSelect = (option) => {
+    setIsOpen(false);
+    if (DIALOG_FORMATS.includes(option.format)) {
+      setDialogFormat(option.format);
+    } else {
+      onExport(option.format, option.isData ? { includeSystem } : {});
+    }
+  };
+
+  const handleDialogExport = (options) => {
+    const format = dialogFormat;
+    setDialogFormat(null);
+    onExport(format, options);
+  };
+
+  if (isExporting) {
+    return (
+      <div className="flex items-center space-x-2 text-sm text-gray-400 font-normal">
+        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-whatsapp-green"></div>
+        <span>
+          Exporting
+          {progress && progress.total > 0 && ` (${progress.loaded}/${progress.total})`}
+        </span>
+        <button onClick={onCancel} className="text-gray-400 hover:text-white" title="Cancel export">
+          ✕
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div ref={menuRef} className="relative text-sm font-normal">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="px-3 py-1 rounded border border-gray-600 text-gray-300 hover:bg-gray-700 hover:text-white"
+      >
+        Export ▾
+      </button>
+
+      {error && (
+        <div className="absolute right-0 mt-2 w-64 p-3 bg-red-900 border border-red-800 rounded-lg text-red-200 z-20">
+          <div className="flex items-start justify-between space-x-2">
+            <p>Export failed: {error}</p>
+            <button onClick={onDismissError} className="text-red-300 hover:text-white">✕</button>
+          </div>
+        </div>
+      )}
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-64 bg-whatsapp-gray border border-gray-600 rounded-lg shadow-xl overflow-hidden z-20">
+          {EXPORT_OPTIONS.map((option, index) => (
+            <React.Fragment key={option.format}>
+              {/* Data formats share the system message option */}
+              {option.isData && !EXPORT_OPTIONS[index - 1].isData && (
+                <label className="flex items-center space-x-2 px-4 py-2 border-t border-gray-600 text-xs text-gray-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={includeSystem}
+                    onChange={(e) => setIncludeSystem(e.target.checked)}
+                  />
+                  <span>Include system messages</span>
+                </label>
+              )}
+              <button
+                onClick={() => handleSelect(option)}
+                className="block w-full text-left px-4 py-2 hover:bg-gray-700"
+              >
+                <span className="block text-gray-200">{option.label}</span>
+                <span className="block text-xs text-gray-400">{option.description}</span>
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
+      {dialogFormat === 'pdf' && (
+        <PdfExportDialog
+          dateBounds={dateBounds}
+          onExport={handleDialogExport}
+          onClose={() => setDialogFormat(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
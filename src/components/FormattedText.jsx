@@ -0,0 +1,91 @@
+import React, { useMemo } from 'react';
+import { tokenizeMessage } from '../utils/messageFormatter';
+
+const HIGHLIGHT_CLASS = 'bg-yellow-300 text-gray-900 rounded-sm';
+const LINK_CLASS = 'text-blue-300 hover:text-blue-200 hover:underline underline-offset-2 cursor-pointer';
+
+/**
+ * Split a text run into plain and highlighted pieces
+ * @param {string} text - Text run
+ * @param {number} start - Offset of the run in the original message
+ * @param {Array} highlights - [start, end] ranges in the original message
+ * @param {string} keyPrefix - React key prefix
+ * @returns {Array} - Strings and <mark> elements
+ */
+function renderHighlightedText(text, start, highlights, keyPrefix) {
+  if (!highlights.length) return [text];
+
+  const end = start + text.length;
+  const pieces = [];
+  let cursor = start;
+
+  highlights.forEach(([from, to], index) => {
+    const markStart = Math.max(from, cursor);
+    const markEnd = Math.min(to, end);
+    if (markStart >= markEnd) return;
+
+    if (markStart > cursor) {
+      pieces.push(text.slice(cursor - start, markStart - start));
+    }
+    pieces.push(
+      <mark key={`${keyPrefix}-${index}`} className={HIGHLIGHT_CLASS}>
+        {text.slice(markStart - start, markEnd - start)}
+      </mark>
+    );
+    cursor = markEnd;
+  });
+
+  if (cursor < end) {
+    pieces.push(text.slice(cursor - start));
+  }
+
+  return pieces;
+}
+
+/**
+ * Render formatting nodes as React elements
+ * @param {Array} nodes - Nodes from tokenizeMessage
+ * @param {Array} highlights - Highlight ranges
+ * @param {string} keyPrefix - React key prefix
+ * @returns {Array} - React children
+ */
+function renderNodes(nodes, highlights, keyPrefix = 'n') {
+  return nodes.map((node, index) => {
+    const key = `${keyPrefix}-${index}`;
+
+    switch (node.type) {
+      case 'text':
+        return <React.Fragment key={key}>{renderHighlightedText(node.text, node.start, highlights, key)}</React.Fragment>;
+      case 'bold':
+        return <strong key={key}>{renderNodes(node.children, highlights, key)}</strong>;
+      case 'italic':
+        return <em key={key}>{renderNodes(node.children, highlights, key)}</em>;
+      case 'strike':
+        return <del key={key}>{renderNodes(node.children, highlights, key)}</del>;
+      case 'code':
+        return <code key={key}>{renderHighlightedText(node.text, node.start, highlights, key)}</code>;
+      case 'link':
+        return (
+          <a key={key} href={node.href} target="_blank" rel="noopener noreferrer" className={LINK_CLASS}>
+            {renderHighlightedText(node.text, node.start, highlights, key)}
+          </a>
+        );
+      case 'break':
+        return <br key={key} />;
+      default:
+        return null;
+    }
+  });
+}
+
+/**
+ * Formatted Text Component
+ * Renders WhatsApp markup (bold, italic, strike, monospace, links) as React nodes,
+ * optionally wrapping search matches in <mark>
+ */
+function FormattedText({ text, highlights }) {
+  const nodes = useMemo(() => tokenizeMessage(text), [text]);
+  return <>{renderNodes(nodes, highlights || [])}</>;
+}
+
+export default FormattedText;
@@ -0,0 +1,118 @@
+import React from 'react';
+import FormattedText from './FormattedText';
+import { getHighlightRanges } from '../utils/searchIndex';
+import { getMessagePreview } from '../utils/chatSummary';
+
+/**
+ * Context line shown around a hit
+ */
+function ContextLine({ message }) {
+  return (
+    <p className="text-xs text-gray-500 truncate">
+      {message.time} · {getMessagePreview(message)}
+    </p>
+  );
+}
+
+/**
+ * Global Search Component
+ * Searches every loaded chat and lists hits by chat and day with surrounding messages.
+ * Choosing a hit opens its chat scrolled to the message.
+ */
+function GlobalSearch({ search, chatCount, onOpenResult, onClose }) {
+  const { query, setQuery, parsedQuery, isActive, groups, totalCount } = search;
+
+  return (
+    <div className="flex flex-col h-full w-full overflow-hidden bg-whatsapp-dark">
+      <div className="flex items-center space-x-3 px-4 py-3 bg-whatsapp-header border-b border-gray-700">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setQuery('')}
+          placeholder={`Search all ${chatCount} chats (from:Name after:2025-01-01 "exact phrase")`}
+          className="flex-1 bg-whatsapp-gray text-gray-200 placeholder-gray-500 border border-gray-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-whatsapp-green"
+          aria-label="Search all chats"
+          autoFocus
+        />
+        <button
+          onClick={onClose}
+          className="px-2 py-1 rounded text-gray-400 hover:text-white hover:bg-gray-700"
+          title="Close search"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-4">
+        {!isActive ? (
+          <p className="text-center text-sm text-gray-500 mt-8">
+            Type to search the messages of every open chat.
+          </p>
+        ) : !groups.length ? (
+          <p className="text-center text-sm text-gray-500 mt-8">No results</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-400 mb-4">
+              {totalCount.toLocaleString()} {totalCount === 1 ? 'result' : 'results'} in {groups.length} {groups.length === 1 ? 'chat' : 'chats'}
+            </p>
+
+            {groups.map(group => {
+              const shown = group.days.reduce((sum, day) => sum + day.hits.length, 0);
+
+              return (
+                <section key={group.chatId} className="mb-8">
+                  <h3 className="sticky top-0 z-10 py-2 bg-whatsapp-dark text-gray-200 font-semibold border-b border-gray-700">
+                    {group.name}
+                    <span className="ml-2 text-xs font-normal text-gray-400">
+                      {group.total.toLocaleString()} {group.total === 1 ? 'result' : 'results'}
+                      {shown < group.total && ` · showing the first ${shown}`}
+                    </span>
+                  </h3>
+
+                  {group.days.map(day => (
+                    <div key={day.hits[0].index} className="mt-3">
+                      <div className="flex justify-center mb-2">
+                        <span className="text-gray-400 text-xs px-3 py-1 bg-whatsapp-header rounded-full">{day.date}</span>
+                      </div>
+
+                      {day.hits.map(hit => (
+                        <div
+                          key={hit.index}
+                          role="button"
+                          tabIndex={0}
+                          onClick={() => onOpenResult(group.chatId, hit.index)}
+                          onKeyDown={(e) => e.key === 'Enter' && onOpenResult(group.chatId, hit.index)}
+                          className="cursor-pointer block w-full text-left mb-2 px-3 py-2 rounded-lg bg-whatsapp-gray hover:bg-gray-700 border border-transparent hover:border-gray-600"
+                        >
+                          {hit.before.map((message, i) => <ContextLine key={`b${i}`} message={message} />)}
+                          <div className="my-1">
+                            <p className="text-xs">
+                              <span className="font-semibold text-green-400">
+                                {hit.message.type === 'system' ? 'System' : hit.message.sender}
+                              </span>
+                              <span className="ml-2 text-gray-400">{hit.message.time}</span>
+                            </p>
+                            <p className="text-sm text-gray-200 whitespace-pre-wrap break-words">
+                              <FormattedText
+                                text={hit.message.message}
+                                highlights={getHighlightRanges(hit.message.message, parsedQuery)}
+                              />
+                            </p>
+                          </div>
+                          {hit.after.map((message, i) => <ContextLine key={`a${i}`} message={message} />)}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </section>
+              );
+            })}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GlobalSearch;
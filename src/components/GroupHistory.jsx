@@ -0,0 +1,318 @@
+import React, { useState, useMemo } from 'react';
+import { buildGroupHistory, getMembersAt } from '../utils/groupHistory';
+import { getDayKey } from '../utils/chatStatistics';
+
+const EVENT_ICONS = {
+  created: '👥',
+  added: '➕',
+  joined: '🔗',
+  left: '➖',
+  removed: '🚫',
+  name_changed: '✏️',
+  description_changed: '📝',
+  icon_changed: '🖼️',
+  admin: '⭐',
+  admin_added: '⭐',
+  admin_removed: '☆'
+};
+
+const EVENT_FILTERS = [
+  { id: 'all', label: 'All', types: null },
+  { id: 'members', label: 'Members', types: ['created', 'added', 'joined', 'left', 'removed'] },
+  { id: 'details', label: 'Name & description', types: ['created', 'name_changed', 'description_changed', 'icon_changed'] },
+  { id: 'admins', label: 'Admins', types: ['admin', 'admin_added', 'admin_removed'] }
+];
+
+/**
+ * Format a timestamp as a date
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} - Localized date
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Describe how a membership started
+ * @param {Object} interval - Membership interval from buildGroupHistory
+ * @returns {string} - e.g. "added by Alice"
+ */
+function describeJoin(interval) {
+  switch (interval.joinType) {
+    case 'created':
+      return 'created the group';
+    case 'added':
+      return interval.addedBy ? `added by ${interval.addedBy}` : 'added';
+    case 'joined':
+      return 'joined by link';
+    default:
+      return 'member when the export begins';
+  }
+}
+
+/**
+ * Describe how a membership ended
+ * @param {Object} interval - Membership interval from buildGroupHistory
+ * @returns {string} - e.g. "removed by Alice"
+ */
+function describeLeave(interval) {
+  if (interval.leaveType === 'removed') {
+    return interval.removedBy ? `removed by ${interval.removedBy}` : 'removed';
+  }
+  return interval.leaveType === 'left' ? 'left' : 'still a member';
+}
+
+/**
+ * Dashboard section with a heading
+ */
+function Section({ title, actions, children }) {
+  return (
+    <section className="bg-whatsapp-gray rounded-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-gray-200">{title}</h3>
+        {actions}
+      </div>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Group History Component
+ * Membership over time, name and description changes and admin promotions,
+ * reconstructed from system messages. Shown as a tab of the statistics dashboard.
+ */
+function GroupHistory({ messages, colorMap, ownerName, onJumpToMessage }) {
+  const history = useMemo(
+    () => buildGroupHistory(messages, ownerName ? { exporter: ownerName } : undefined),
+    [messages, ownerName]
+  );
+  const [day, setDay] = useState('');
+  const [eventFilter, setEventFilter] = useState('all');
+
+  const span = history.start !== null ? Math.max(1, history.end - history.start) : 1;
+  const selectedTime = day ? new Date(`${day}T23:59:59.999`).getTime() : history.end;
+  const membersAt = useMemo(
+    () => (selectedTime !== null ? getMembersAt(history.members, selectedTime) : []),
+    [history, selectedTime]
+  );
+
+  const currentMembers = history.members.filter(member => member.intervals.some(interval => interval.end === null));
+  const joins = history.members.reduce((sum, member) =>
+    sum + member.intervals.filter(interval => interval.joinType !== 'initial').length, 0);
+  const leaves = history.members.reduce((sum, member) =>
+    sum + member.intervals.filter(interval => interval.end !== null).length, 0);
+
+  const filterTypes = EVENT_FILTERS.find(filter => filter.id === eventFilter).types;
+  const visibleEvents = filterTypes
+    ? history.events.filter(event => filterTypes.includes(event.type))
+    : history.events;
+
+  const renderDateLink = (index, timestamp) => (
+    <button onClick={() => onJumpToMessage(index)} className="text-blue-300 hover:underline whitespace-nowrap">
+      {Number.isNaN(timestamp) ? messages[index].date : formatDate(timestamp)}
+    </button>
+  );
+
+  if (history.events.length === 0) {
+    return (
+      <div className="bg-whatsapp-gray rounded-lg p-8 text-center text-gray-400">
+        <p className="text-lg text-gray-200 mb-1">No group events</p>
+        <p className="text-sm">Joins, leaves, name and admin changes appear here when the export contains them.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-whatsapp-gray rounded-lg p-4">
+          <p className="text-xs text-gray-400">Members at the end</p>
+          <p className="text-2xl font-semibold text-white">{currentMembers.length.toLocaleString()}</p>
+        </div>
+        <div className="bg-whatsapp-gray rounded-lg p-4">
+          <p className="text-xs text-gray-400">People ever in the group</p>
+          <p className="text-2xl font-semibold text-white">{history.members.length.toLocaleString()}</p>
+        </div>
+        <div className="bg-whatsapp-gray rounded-lg p-4">
+          <p className="text-xs text-gray-400">Joins</p>
+          <p className="text-2xl font-semibold text-white">{joins.toLocaleString()}</p>
+        </div>
+        <div className="bg-whatsapp-gray rounded-lg p-4">
+          <p className="text-xs text-gray-400">Leaves and removals</p>
+          <p className="text-2xl font-semibold text-white">{leaves.toLocaleString()}</p>
+        </div>
+      </div>
+
+      <Section
+        title="Membership over time"
+        actions={
+          <label className="flex items-center space-x-2 text-xs text-gray-400">
+            <span>Members on</span>
+            <input
+              type="date"
+              value={day}
+              min={history.start !== null ? getDayKey(history.start) : undefined}
+              max={history.end !== null ? getDayKey(history.end) : undefined}
+              onChange={(event) => setDay(event.target.value)}
+              className="bg-gray-700 text-white text-sm rounded px-2 py-1"
+            />
+            {day && (
+              <button onClick={() => setDay('')} className="text-gray-400 hover:text-white">Latest</button>
+            )}
+          </label>
+        }
+      >
+        <p className="text-xs text-gray-400 mb-3">
+          {membersAt.length.toLocaleString()} members {day ? `on ${formatDate(selectedTime)}` : 'at the end of the export'}.
+          Bars start when someone joined and end when they left; people without a recorded join were
+          already members when the export begins.
+        </p>
+        <div className="space-y-1">
+          {history.members.map(member => {
+            const color = colorMap[member.name] || '#6B7280';
+            const isMember = membersAt.includes(member.name);
+            return (
+              <div key={member.name} className="flex items-center space-x-3 text-sm">
+                <span
+                  className={`w-36 flex-shrink-0 truncate ${isMember ? 'text-gray-200' : 'text-gray-500'}`}
+                  title={member.name}
+                >
+                  {member.admin && <span title="Admin at the end">⭐ </span>}
+                  {member.name}
+                </span>
+                <div className="relative flex-1 h-3 rounded bg-gray-700">
+                  {member.intervals.map((interval, position) => {
+                    const left = ((interval.start - history.start) / span) * 100;
+                    const right = (((interval.end ?? history.end) - history.start) / span) * 100;
+                    const jumpIndex = interval.startIndex ?? interval.endIndex;
+                    return (
+                      <button
+                        key={position}
+                        onClick={() => jumpIndex !== null && onJumpToMessage(jumpIndex)}
+                        className="absolute inset-y-0 rounded hover:opacity-80"
+                        style={{ left: `${left}%`, width: `${Math.max(0.5, right - left)}%`, backgroundColor: color }}
+                        title={`${member.name}: ${describeJoin(interval)}${interval.startIndex !== null ? ` on ${formatDate(interval.start)}` : ''}, ${describeLeave(interval)}${interval.end !== null ? ` on ${formatDate(interval.end)}` : ''}`}
+                      />
+                    );
+                  })}
+                  {selectedTime !== null && history.start !== null && (
+                    <div
+                      className="absolute -inset-y-0.5 w-px bg-white pointer-events-none"
+                      style={{ left: `${((selectedTime - history.start) / span) * 100}%` }}
+                    />
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </Section>
+
+      <Section title="Joins and leaves">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-gray-300">
+            <thead>
+              <tr className="text-xs text-gray-400 text-left">
+                <th className="py-2 pr-4 font-normal">Name</th>
+                <th className="py-2 pr-4 font-normal">Joined</th>
+                <th className="py-2 font-normal">Left</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.members.flatMap(member => member.intervals.map((interval, position) => (
+                <tr key={`${member.name}-${position}`} className="border-t border-gray-700">
+                  <td className="py-2 pr-4">
+                    <span className="flex items-center space-x-2">
+                      <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: colorMap[member.name] || '#6B7280' }} />
+                      <span className="truncate max-w-[12rem]">{member.name}</span>
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4">
+                    {interval.startIndex !== null && <>{renderDateLink(interval.startIndex, interval.start)} </>}
+                    <span className="text-gray-400">{describeJoin(interval)}</span>
+                  </td>
+                  <td className="py-2">
+                    {interval.endIndex !== null && <>{renderDateLink(interval.endIndex, interval.end)} </>}
+                    <span className="text-gray-400">{describeLeave(interval)}</span>
+                  </td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        </div>
+      </Section>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Section title="Group names">
+          {history.names.length === 0 ? (
+            <p className="text-sm text-gray-400">No name changes in this export</p>
+          ) : (
+            <ol className="space-y-2 text-sm text-gray-300">
+              {history.names.map((entry, position) => (
+                <li key={position} className="flex flex-wrap items-center gap-x-2">
+                  <span className="font-semibold text-white">“{entry.name}”</span>
+                  {entry.index === null ? (
+                    <span className="text-gray-400">before the export begins</span>
+                  ) : (
+                    <>
+                      {renderDateLink(entry.index, entry.timestamp)}
+                      {entry.actor && <span className="text-gray-400">by {entry.actor}</span>}
+                    </>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </Section>
+
+        <Section title="Descriptions and admins">
+          {history.descriptions.length === 0 && history.admins.length === 0 ? (
+            <p className="text-sm text-gray-400">No description or admin changes in this export</p>
+          ) : (
+            <ul className="space-y-2 text-sm text-gray-300">
+              {[...history.descriptions, ...history.admins]
+                .sort((a, b) => a.index - b.index)
+                .map(event => (
+                  <li key={event.index} className="flex flex-wrap items-center gap-x-2">
+                    <span>{EVENT_ICONS[event.type]}</span>
+                    {renderDateLink(event.index, event.timestamp)}
+                    <span className="text-gray-400">{event.text.split('\n')[0]}</span>
+                  </li>
+                ))}
+            </ul>
+          )}
+        </Section>
+      </div>
+
+      <Section
+        title="All group events"
+        actions={
+          <div className="flex text-xs">
+            {EVENT_FILTERS.map(filter => (
+              <button
+                key={filter.id}
+                onClick={() => setEventFilter(filter.id)}
+                className={`px-2 py-1 rounded ${filter.id === eventFilter ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        }
+      >
+        <ul className="space-y-2 text-sm text-gray-300">
+          {visibleEvents.map(event => (
+            <li key={event.index} className="flex items-start space-x-2">
+              <span className="w-5 flex-shrink-0 text-center">{EVENT_ICONS[event.type] || 'ℹ️'}</span>
+              <span className="w-28 flex-shrink-0">{renderDateLink(event.index, event.timestamp)}</span>
+              <span className="whitespace-pre-wrap break-words">{event.text}</span>
+            </li>
+          ))}
+        </ul>
+      </Section>
+    </div>
+  );
+}
+
+export default GroupHistory;
@@ -0,0 +1,201 @@
+import React, { useState, useMemo } from 'react';
+import { ATTACHMENT_SORTS, useLinks } from '../hooks/useAttachments';
+import { useAttachmentUrl } from '../hooks/useAttachmentUrl';
+import { useInView } from '../hooks/useInView';
+import { getFileIcon } from '../utils/fileTypeDetector';
+
+const TABS = [
+  { id: 'media', label: 'Media' },
+  { id: 'audio', label: 'Audio' },
+  { id: 'docs', label: 'Docs' },
+  { id: 'links', label: 'Links' }
+];
+
+// Items rendered at once; more are added on request
+const PAGE_SIZE = 120;
+
+/**
+ * Image or video thumbnail that only loads once scrolled into view
+ */
+function MediaThumbnail({ item, fileSource, onSelect }) {
+  const [ref, inView] = useInView();
+  const { url } = useAttachmentUrl(fileSource, item.filename, inView);
+
+  return (
+    <button
+      ref={ref}
+      onClick={() => onSelect(item.messageIndex)}
+      className="relative aspect-square bg-gray-800 rounded overflow-hidden hover:ring-2 hover:ring-whatsapp-green"
+      title={`${item.sender} · ${item.date}`}
+    >
+      {url && item.type === 'image' && (
+        <img src={url} alt={item.filename} className="w-full h-full object-cover" loading="lazy" />
+      )}
+      {url && item.type === 'video' && (
+        <video src={url} className="w-full h-full object-cover" preload="metadata" muted />
+      )}
+      {item.type === 'video' && (
+        <span className="absolute bottom-1 left-1 text-xs bg-black bg-opacity-60 rounded px-1">▶</span>
+      )}
+    </button>
+  );
+}
+
+/**
+ * One row of the audio, document or link lists
+ */
+function ListRow({ icon, title, detail, onSelect, children }) {
+  return (
+    <li>
+      <button
+        onClick={onSelect}
+        className="flex items-start w-full text-left px-3 py-2 space-x-3 hover:bg-gray-800 rounded"
+      >
+        <span className="text-xl flex-shrink-0">{icon}</span>
+        <span className="min-w-0 flex-1">
+          <span className="block text-sm text-gray-200 truncate">{title}</span>
+          <span className="block text-xs text-gray-400 truncate">{detail}</span>
+          {children}
+        </span>
+      </button>
+    </li>
+  );
+}
+
+/**
+ * Media Gallery Component
+ * "Media, links and docs" panel for one chat, fed by useAttachments.
+ * Links are collected the first time the Links tab is opened.
+ * Choosing an item jumps to its message.
+ */
+function MediaGallery({ messages, attachments, fileSource, onJumpToMessage, onClose }) {
+  const [tab, setTab] = useState('media');
+  const [sortBy, setSortBy] = useState(ATTACHMENT_SORTS.NEWEST);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [linksOpened, setLinksOpened] = useState(false);
+  const { groupedAttachments, sortItems } = attachments;
+  const links = useLinks(messages, linksOpened);
+
+  const tabItems = useMemo(() => ({
+    media: [...groupedAttachments.image, ...groupedAttachments.video],
+    audio: groupedAttachments.audio,
+    docs: [...groupedAttachments.document, ...groupedAttachments.other],
+    links: links ?? []
+  }), [groupedAttachments, links]);
+
+  const isLinks = tab === 'links';
+  // Links have no size, so only the date orders apply
+  const effectiveSort = isLinks && (sortBy === ATTACHMENT_SORTS.LARGEST || sortBy === ATTACHMENT_SORTS.SMALLEST)
+    ? ATTACHMENT_SORTS.NEWEST
+    : sortBy;
+  const items = useMemo(() => sortItems(tabItems[tab], effectiveSort), [sortItems, tabItems, tab, effectiveSort]);
+  const visibleItems = items.slice(0, limit);
+
+  const selectTab = (id) => {
+    setTab(id);
+    setLimit(PAGE_SIZE);
+    if (id === 'links') setLinksOpened(true);
+  };
+
+  return (
+    <aside className="w-96 flex-shrink-0 flex flex-col bg-whatsapp-dark border-l border-gray-700">
+      <div className="flex items-center justify-between px-4 py-3 bg-whatsapp-header border-b border-gray-700">
+        <h3 className="text-gray-200 font-semibold">Media, links and docs</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" title="Close">✕</button>
+      </div>
+
+      <div className="flex border-b border-gray-700">
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => selectTab(id)}
+            className={`flex-1 py-2 text-sm ${
+              tab === id ? 'text-green-400 border-b-2 border-green-400' : 'text-gray-400 hover:text-gray-200'
+            }`}
+          >
+            {label}
+            {(id !== 'links' || links) && (
+              <span className="ml-1 text-xs opacity-70">{tabItems[id].length}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-end px-3 py-2">
+        <label className="text-xs text-gray-400 space-x-2">
+          <span>Sort</span>
+          <select
+            value={effectiveSort}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="bg-whatsapp-gray text-gray-200 border border-gray-600 rounded px-1 py-0.5"
+          >
+            <option value={ATTACHMENT_SORTS.NEWEST}>Newest first</option>
+            <option value={ATTACHMENT_SORTS.OLDEST}>Oldest first</option>
+            {!isLinks && <option value={ATTACHMENT_SORTS.LARGEST}>Largest first</option>}
+            {!isLinks && <option value={ATTACHMENT_SORTS.SMALLEST}>Smallest first</option>}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-3 pb-3">
+        {!items.length && (
+          <p className="text-center text-sm text-gray-500 mt-8">Nothing here in this chat.</p>
+        )}
+
+        {tab === 'media' && (
+          <div className="grid grid-cols-3 gap-1">
+            {visibleItems.map(item => (
+              <MediaThumbnail
+                key={`${item.messageIndex}-${item.filename}`}
+                item={item}
+                fileSource={fileSource}
+                onSelect={onJumpToMessage}
+              />
+            ))}
+          </div>
+        )}
+
+        {(tab === 'audio' || tab === 'docs') && (
+          <ul>
+            {visibleItems.map(item => (
+              <ListRow
+                key={`${item.messageIndex}-${item.filename}`}
+                icon={getFileIcon(item.filename)}
+                title={item.filename.split('/').pop()}
+                detail={[item.sizeLabel, item.sender, item.date].filter(Boolean).join(' · ')}
+                onSelect={() => onJumpToMessage(item.messageIndex)}
+              />
+            ))}
+          </ul>
+        )}
+
+        {isLinks && (
+          <ul>
+            {visibleItems.map((item, index) => (
+              <ListRow
+                key={`${item.messageIndex}-${index}`}
+                icon="🔗"
+                title={item.domain || item.text}
+                detail={`${item.sender} · ${item.date}`}
+                onSelect={() => onJumpToMessage(item.messageIndex)}
+              >
+                <span className="block text-xs text-blue-300 truncate">{item.text}</span>
+              </ListRow>
+            ))}
+          </ul>
+        )}
+
+        {items.length > limit && (
+          <button
+            onClick={() => setLimit(current => current + PAGE_SIZE)}
+            className="w-full mt-3 py-2 text-sm text-gray-300 bg-gray-800 hover:bg-gray-700 rounded"
+          >
+            Show more ({(items.length - limit).toLocaleString()} left)
+          </button>
+        )}
+      </div>
+    </aside>
+  );
+}
+
+export default MediaGallery;
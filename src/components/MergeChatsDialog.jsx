@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+
+/**
+ * Merge Chats Dialog Component
+ * Picks two or more loaded exports of the same chat to combine into one timeline
+ */
+function MergeChatsDialog({ sessions, onMerge, onClose }) {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [name, setName] = useState('');
+
+  const toggle = (id) => {
+    setSelectedIds(current => (
+      current.includes(id) ? current.filter(selected => selected !== id) : [...current, id]
+    ));
+  };
+
+  const defaultName = sessions.find(session => session.id === selectedIds[0])?.name || '';
+  const canMerge = selectedIds.length >= 2;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canMerge) return;
+    onMerge(selectedIds, name.trim() || `${defaultName} (merged)`);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-whatsapp-gray rounded-lg w-full max-w-md p-6 space-y-4 text-sm text-gray-200 shadow-2xl"
+      >
+        <div>
+          <h3 className="text-lg font-semibold text-white">Merge exports</h3>
+          <p className="text-xs text-gray-400 mt-1">
+            Combine exports of the same chat taken at different times. Repeated messages are kept once.
+          </p>
+        </div>
+
+        <ul className="max-h-64 overflow-y-auto space-y-1">
+          {sessions.map(session => (
+            <li key={session.id}>
+              <label className="flex items-center space-x-2 p-2 rounded hover:bg-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(session.id)}
+                  onChange={() => toggle(session.id)}
+                />
+                <span className="flex-1 truncate">{session.name}</span>
+                <span className="text-xs text-gray-400 whitespace-nowrap">
+                  {session.messages[0]?.date} – {session.messages[session.messages.length - 1]?.date}
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+
+        <label className="block space-y-1">
+          <span className="block text-xs text-gray-400">Name</span>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={defaultName ? `${defaultName} (merged)` : 'Merged chat'}
+            className="w-full bg-whatsapp-dark border border-gray-600 rounded px-2 py-1"
+          />
+        </label>
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button type="button" onClick={onClose} className="px-3 py-1 rounded bg-gray-600 hover:bg-gray-700">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canMerge}
+            className="px-3 py-1 rounded bg-whatsapp-green hover:bg-green-600 text-white disabled:opacity-50"
+          >
+            Merge {selectedIds.length >= 2 ? selectedIds.length : ''} exports
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default MergeChatsDialog;
@@ -0,0 +1,71 @@
+import React from 'react';
+
+/**
+ * Format a timestamp as a short local date
+ * @param {number|null} timestamp - Timestamp
+ * @returns {string} - Date text
+ */
+function formatDate(timestamp) {
+  return timestamp === null ? '—' : new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * Merge Summary Component
+ * What each export contributed to a merged chat, and the periods none of them cover
+ */
+function MergeSummary({ report, onClose }) {
+  return (
+    <div className="px-4 py-3 bg-whatsapp-dark border-b border-gray-700 text-sm text-gray-300">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-200">
+          Merged from {report.sources.length} exports · {report.duplicateCount.toLocaleString()} duplicates removed
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" title="Hide summary">✕</button>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead className="text-gray-400 text-left">
+          <tr>
+            <th className="font-normal py-1">Export</th>
+            <th className="font-normal py-1">Covers</th>
+            <th className="font-normal py-1 text-right">Messages</th>
+            <th className="font-normal py-1 text-right">Added</th>
+            <th className="font-normal py-1 text-right">Duplicates</th>
+            <th className="font-normal py-1 text-right">Media files</th>
+            <th className="font-normal py-1 text-right">Media recovered</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.sources.map((source, index) => (
+            <tr key={index} className="border-t border-gray-800">
+              <td className="py-1 pr-2 truncate max-w-[12rem]">{source.name}</td>
+              <td className="py-1 pr-2 whitespace-nowrap">
+                {formatDate(source.firstTimestamp)} – {formatDate(source.lastTimestamp)}
+              </td>
+              <td className="py-1 text-right">{source.messageCount.toLocaleString()}</td>
+              <td className="py-1 text-right text-green-400">{source.added.toLocaleString()}</td>
+              <td className="py-1 text-right">{source.duplicates.toLocaleString()}</td>
+              <td className="py-1 text-right">{source.mediaFiles.toLocaleString()}</td>
+              <td className="py-1 text-right">{source.mediaRecovered.toLocaleString()}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {report.gaps.length > 0 ? (
+        <div className="mt-2 text-xs text-yellow-300">
+          <p>No export covers these periods, so messages from them are missing:</p>
+          <ul className="list-disc list-inside">
+            {report.gaps.map((gap, index) => (
+              <li key={index}>{new Date(gap.from).toLocaleString()} – {new Date(gap.to).toLocaleString()}</li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <p className="mt-2 text-xs text-gray-400">The exports overlap, so the merged timeline has no gaps between them.</p>
+      )}
+    </div>
+  );
+}
+
+export default MergeSummary;
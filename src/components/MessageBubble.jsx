@@ -1,5 +1,6 @@
 import React from 'react';
 import AttachmentViewer from './AttachmentViewer';
+import FormattedText from './FormattedText';
 
 /**
  * Individual Message Bubble Component
@@ -8,28 +9,6 @@ import AttachmentViewer from './AttachmentViewer';
 const MessageBubble = ({ message, isOwnMessage = false }) => {
   const { sender, message: content, time, attachment } = message;
 
-  // Format message text
-  const formatMessage = (text) => {
-    if (!text) return '';
-
-    return text
-      // Bold text: *text* -> <strong>text</strong>
-      .replace(/\*(.*?)\*/g, '<strong>$1</strong>')
-      // Italic text: _text_ -> <em>text</em>
-      .replace(/_(.*?)_/g, '<em>$1</em>')
-      // Strikethrough: ~text~ -> <del>text</del>
-      .replace(/~(.*?)~/g, '<del>$1</del>')
-      // Monospace: ```text``` -> <code>text</code>
-      .replace(/```(.*?)```/g, '<code>$1</code>')
-      // Links: https://example.com -> <a>https://example.com</a>
-      .replace(
-        /(https?:\/\/[^\s]+)/g,
-        '<a href="$1" target="_blank" rel="noopener noreferrer" class="text-blue-400 hover:underline">$1</a>'
-      )
-      // Line breaks
-      .replace(/\n/g, '<br>');
-  };
-
   return (
     <div className={`flex w-full ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
       <div
@@ -49,10 +28,9 @@ const MessageBubble = ({ message, isOwnMessage = false }) => {
         <div className="space-y-2">
           {/* Text Content */}
           {content && (
-            <p
-              className="text-base"
-              dangerouslySetInnerHTML={{ __html: formatMessage(content) }}
-            />
+            <p className="text-base">
+              <FormattedText text={content} />
+            </p>
           )}
 
           {/* Attachment */}
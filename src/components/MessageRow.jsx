@@ -0,0 +1,266 @@
+import React, { memo, lazy, Suspense } from 'react';
+import Poll from './Poll';
+import FormattedText from './FormattedText';
+import { parsePollMessage } from '../utils/pollParser';
+import { useAttachmentUrl } from '../hooks/useAttachmentUrl';
+
+// pdf.js is only downloaded once a chat actually shows a PDF
+const PdfThumbnail = lazy(() => import('./PdfThumbnail'));
+
+/**
+ * Message Row Component
+ * Renders one chat row: optional date separator plus a system pill or message bubble.
+ * Grouping is derived from the previous message so rows render correctly in isolation.
+ */
+function MessageRow({
+  message,
+  prevMessage,
+  isOwnMessage,
+  userColor,
+  fileSource,
+  highlights,
+  isActiveResult,
+  unreadCount,
+  onOpenAttachment
+}) {
+  const isSystemMessage = message.type === 'system';
+  const showDateSeparator = !prevMessage || prevMessage.date !== message.date;
+
+  // Check if this message is from the same sender as the previous one
+  const sameSenderAsPrevious = prevMessage &&
+    prevMessage.sender === message.sender &&
+    prevMessage.date === message.date &&
+    !isSystemMessage &&
+    prevMessage.type !== 'system' &&
+    prevMessage.sender !== 'System';
+
+  // Check if this is a poll message
+  const pollData = isSystemMessage ? null : parsePollMessage(message.message);
+
+  const attachment = message.attachment;
+  const isVisualAttachment = attachment && (attachment.type === 'image' || attachment.type === 'video');
+  const isPdf = attachment?.type === 'document' && attachment.filename.toLowerCase().endsWith('.pdf');
+  // Rows are only mounted near the viewport, so media is decompressed as it scrolls into view
+  const { url: mediaUrl } = useAttachmentUrl(fileSource, isVisualAttachment ? attachment.filename : null);
+  const activeResultClass = isActiveResult ? 'ring-2 ring-yellow-400' : '';
+  const timeClass = `text-xs ml-2 opacity-70 ${isOwnMessage ? 'text-green-100' : 'text-gray-400'}`;
+  const overlayClass = `absolute bottom-2 right-2 px-2 py-1 rounded text-xs opacity-80 bg-black bg-opacity-50 ${
+    isOwnMessage ? 'text-green-100' : 'text-gray-300'
+  }`;
+
+  const showFallback = (e) => {
+    e.target.style.display = 'none';
+    e.target.nextSibling.style.display = 'block';
+  };
+
+  return (
+    <div className="flex flex-col items-center pb-1">
+      {/* Where the reader left off last time this chat was open */}
+      {unreadCount > 0 && (
+        <div className="w-full flex justify-center my-3 py-1 bg-whatsapp-header bg-opacity-80">
+          <span className="text-xs text-gray-300">
+            {unreadCount.toLocaleString()} unread {unreadCount === 1 ? 'message' : 'messages'}
+          </span>
+        </div>
+      )}
+
+      {/* Date Separator */}
+      {showDateSeparator && (
+        <div className="flex justify-center my-4">
+          <div className="text-gray-400 text-xs px-3 py-1 bg-whatsapp-header rounded-full">
+            {message.date}
+          </div>
+        </div>
+      )}
+
+      {/* System Message */}
+      {isSystemMessage ? (
+        <div className="flex justify-center my-1">
+          <div className={`text-yellow-200 text-xs px-2 py-1 bg-yellow-900 bg-opacity-30 rounded-full inline-block ${activeResultClass}`}>
+            {message.message}
+          </div>
+        </div>
+      ) : (
+        /* Regular Message Bubble */
+        <div className={`flex w-full ${isOwnMessage ? 'justify-end' : 'justify-start'} ${sameSenderAsPrevious ? 'mt-0' : 'mt-3'}`}>
+          <div
+            className={`max-w-[70%] px-3 py-2 rounded-lg ${
+              isOwnMessage
+                ? 'bg-whatsapp-green text-white rounded-br-sm' // WhatsApp green with tail
+                : 'bg-whatsapp-gray text-gray-200 rounded-bl-sm' // WhatsApp gray with tail
+            } ${sameSenderAsPrevious ? 'rounded-tl-sm rounded-tr-sm' : ''} ${activeResultClass}`}
+            style={{
+              whiteSpace: 'pre-wrap',
+              wordWrap: 'break-word',
+              overflowWrap: 'break-word'
+            }}
+          >
+            {/* Sender Name - only show for group chats and when not same sender as previous */}
+            {!isOwnMessage && !sameSenderAsPrevious && (
+              <p
+                className="text-xs font-semibold mb-1"
+                style={{ color: userColor }}
+              >
+                {message.sender}
+              </p>
+            )}
+
+            {/* Message Content - only show if no attachment or if attachment is not image/video */}
+            {message.mediaOmitted ? (
+              /* Media omitted placeholder */
+              <div className="flex items-center space-x-2 p-3 bg-gray-700 rounded-lg border border-gray-600">
+                <div className="flex-1">
+                  <p className="text-sm font-medium text-gray-300">Media omitted</p>
+                  <p className="text-xs text-gray-400">This media was not included in the export</p>
+                </div>
+              </div>
+            ) : message.deleted ? (
+              /* Deleted message placeholder */
+              <div className="flex items-end justify-end">
+                <p className="flex-1 text-sm italic opacity-70">🚫 {message.message}</p>
+                <span className={timeClass}>{message.time}</span>
+              </div>
+            ) : pollData ? (
+              /* Poll content */
+              <Poll pollData={pollData} />
+            ) : !isVisualAttachment ? (
+              /* Regular message content with inline timestamp */
+              <div className="flex items-end justify-end">
+                <div className="flex-1">
+                  <p className="text-sm leading-relaxed">
+                    <FormattedText text={message.message} highlights={highlights} />
+                  </p>
+                </div>
+                <span className={timeClass}>
+                  {message.edited && 'Edited '}{message.time}
+                </span>
+              </div>
+            ) : null}
+
+            {/* Attachment - show first for images and videos */}
+            {attachment && (
+              <div className="mt-2">
+                {attachment.type === 'image' ? (
+                  /* Inline Image Display */
+                  <div
+                    className="cursor-pointer rounded-lg overflow-hidden max-w-xs relative"
+                    onClick={() => onOpenAttachment(attachment)}
+                  >
+                    {mediaUrl && (
+                      <img
+                        src={mediaUrl}
+                        alt={attachment.filename}
+                        className="w-full h-auto rounded-lg hover:opacity-90 transition-opacity"
+                        onError={showFallback}
+                      />
+                    )}
+
+                    {/* Timestamp overlay for images - only if no text message */}
+                    {!message.message.trim() && (
+                      <div className={overlayClass}>{message.time}</div>
+                    )}
+
+                    <div className="hidden p-2 bg-black bg-opacity-20 rounded cursor-pointer hover:bg-opacity-30 transition-colors">
+                      <div className="flex items-center space-x-2">
+                        <span className="text-lg">🖼️</span>
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium truncate">{attachment.filename}</p>
+                          <p className="text-xs text-gray-400">Click to view</p>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                ) : attachment.type === 'video' ? (
+                  /* Inline Video Thumbnail Display */
+                  <div
+                    className="cursor-pointer rounded-lg overflow-hidden max-w-xs relative group"
+                    onClick={() => onOpenAttachment(attachment)}
+                  >
+                    {mediaUrl && (
+                      <video
+                        src={mediaUrl}
+                        className="w-full h-auto rounded-lg"
+                        preload="metadata"
+                        onLoadedMetadata={(e) => {
+                          // Set the video to show the first frame as thumbnail
+                          e.target.currentTime = 1;
+                        }}
+                        onError={showFallback}
+                      />
+                    )}
+
+                    {/* Play Icon Overlay */}
+                    <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-30 group-hover:bg-opacity-40 transition-all">
+                      <div className="w-12 h-12 bg-white bg-opacity-90 rounded-full flex items-center justify-center shadow-lg">
+                        <svg className="w-6 h-6 text-gray-800 ml-1" fill="currentColor" viewBox="0 0 24 24">
+                          <path d="M8 5v14l11-7z"/>
+                        </svg>
+                      </div>
+                    </div>
+
+                    {/* Timestamp overlay for videos - only if no text message */}
+                    {!message.message.trim() && (
+                      <div className={overlayClass}>{message.time}</div>
+                    )}
+
+                    {/* Fallback for video load error */}
+                    <div className="hidden p-2 bg-black bg-opacity-20 rounded cursor-pointer hover:bg-opacity-30 transition-colors">
+                      <div className="flex items-center space-x-2">
+                        <span className="text-lg">🎥</span>
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium truncate">{attachment.filename}</p>
+                          <p className="text-xs text-gray-400">Click to view</p>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                ) : (
+                  /* Other attachment types - clickable reference */
+                  <div
+                    className="p-2 bg-black bg-opacity-20 rounded cursor-pointer hover:bg-opacity-30 transition-colors"
+                    onClick={() => onOpenAttachment(attachment)}
+                  >
+                    {isPdf && (
+                      <Suspense fallback={null}>
+                        <PdfThumbnail fileSource={fileSource} filename={attachment.filename} />
+                      </Suspense>
+                    )}
+                    <div className="flex items-center space-x-2">
+                      <span className="text-lg">
+                        {attachment.type === 'audio' ? '🎵' :
+                         attachment.type === 'document' ? '📄' : '📎'}
+                      </span>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium truncate">{attachment.filename}</p>
+                        <p className="text-xs text-gray-400 capitalize">{attachment.type}</p>
+                      </div>
+                      <span className="text-xs text-gray-500">Click to view</span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Text content after image/video - only for messages with image/video attachments */}
+            {isVisualAttachment && message.message.trim() && (
+              <div className="mt-2 max-w-xs">
+                <div className="flex items-end justify-end">
+                  <div className="flex-1">
+                    <p className="text-sm leading-relaxed">
+                      <FormattedText text={message.message} highlights={highlights} />
+                    </p>
+                  </div>
+                  <span className={timeClass}>
+                    {message.edited && 'Edited '}{message.time}
+                  </span>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default memo(MessageRow);
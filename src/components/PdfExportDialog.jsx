@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+
+/**
+ * Format a timestamp as a date input value (YYYY-MM-DD, local time)
+ * @param {number} timestamp - Timestamp
+ * @returns {string} - Input value
+ */
+function toInputValue(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a date input value to local midnight
+ * @param {string} value - Input value
+ * @param {number} [dayOffset] - Days to add
+ * @returns {number|null} - Timestamp or null if empty
+ */
+function fromInputValue(value, dayOffset = 0) {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + dayOffset).getTime();
+}
+
+/**
+ * PDF Export Dialog Component
+ * Picks the date range to include in a PDF export
+ */
+function PdfExportDialog({ dateBounds, onExport, onClose }) {
+  const [wholeChat, setWholeChat] = useState(true);
+  const [from, setFrom] = useState(dateBounds ? toInputValue(dateBounds.min) : '');
+  const [to, setTo] = useState(dateBounds ? toInputValue(dateBounds.max) : '');
+
+  const isInvalid = !wholeChat && from && to && from > to;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isInvalid) return;
+
+    onExport(wholeChat
+      ? { from: null, to: null }
+      : { from: fromInputValue(from), to: fromInputValue(to, 1) });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-whatsapp-gray rounded-lg w-full max-w-sm p-6 space-y-4 text-sm text-gray-200 shadow-2xl"
+      >
+        <h3 className="text-lg font-semibold text-white">Export PDF</h3>
+
+        <label className="flex items-center space-x-2">
+          <input type="radio" checked={wholeChat} onChange={() => setWholeChat(true)} />
+          <span>Whole chat</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="radio" checked={!wholeChat} onChange={() => setWholeChat(false)} />
+          <span>Date range</span>
+        </label>
+
+        {!wholeChat && (
+          <div className="grid grid-cols-2 gap-3">
+            <label className="space-y-1">
+              <span className="block text-xs text-gray-400">From</span>
+              <input
+                type="date"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className="w-full bg-whatsapp-dark border border-gray-600 rounded px-2 py-1"
+              />
+            </label>
+            <label className="space-y-1">
+              <span className="block text-xs text-gray-400">To</span>
+              <input
+                type="date"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                className="w-full bg-whatsapp-dark border border-gray-600 rounded px-2 py-1"
+              />
+            </label>
+          </div>
+        )}
+
+        {isInvalid && <p className="text-red-400 text-xs">The start date must be before the end date.</p>}
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button type="button" onClick={onClose} className="px-3 py-1 rounded bg-gray-600 hover:bg-gray-700">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isInvalid}
+            className="px-3 py-1 rounded bg-whatsapp-green hover:bg-green-600 text-white disabled:opacity-50"
+          >
+            Export
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default PdfExportDialog;
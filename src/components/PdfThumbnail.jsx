@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { Document, Page } from 'react-pdf';
+import { useInView } from '../hooks/useInView';
+import '../utils/pdfDocument';
+
+const THUMBNAIL_WIDTH = 220;
+
+/**
+ * PDF Thumbnail Component
+ * First page of a PDF attachment, rendered once its bubble scrolls into view.
+ * Renders nothing if the file cannot be read, leaving the plain document row.
+ */
+function PdfThumbnail({ fileSource, filename }) {
+  const [ref, inView] = useInView();
+  const [file, setFile] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!inView || !fileSource) return;
+
+    let cancelled = false;
+    fileSource.getFile(filename)
+      .then(blob => {
+        if (cancelled) return;
+        if (blob) {
+          setFile(blob);
+        } else {
+          setFailed(true);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [inView, fileSource, filename]);
+
+  if (failed) return null;
+
+  return (
+    <div
+      ref={ref}
+      className="mb-2 rounded overflow-hidden bg-white"
+      style={{ width: THUMBNAIL_WIDTH, minHeight: file ? undefined : THUMBNAIL_WIDTH * 0.6 }}
+    >
+      {file && (
+        <Document file={file} loading={null} error={null} onLoadError={() => setFailed(true)}>
+          <Page
+            pageNumber={1}
+            width={THUMBNAIL_WIDTH}
+            renderTextLayer={false}
+            renderAnnotationLayer={false}
+            loading={null}
+          />
+        </Document>
+      )}
+    </div>
+  );
+}
+
+export default PdfThumbnail;
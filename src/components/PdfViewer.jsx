@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback, useDeferredValue } from 'react';
+import { Document, Page, Thumbnail } from 'react-pdf';
+import 'react-pdf/dist/Page/TextLayer.css';
+import 'react-pdf/dist/Page/AnnotationLayer.css';
+import { findPdfMatches, highlightPdfText } from '../utils/pdfDocument';
+import { useInView } from '../hooks/useInView';
+
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+const THUMBNAIL_WIDTH = 96;
+
+/**
+ * Page thumbnail that only renders once scrolled into view
+ */
+function PageThumbnail({ pageNumber, isCurrent, onSelect }) {
+  const [ref, inView] = useInView();
+
+  return (
+    <button
+      ref={ref}
+      onClick={() => onSelect(pageNumber)}
+      className={`block mx-auto mb-3 rounded overflow-hidden ${isCurrent ? 'ring-2 ring-whatsapp-green' : 'opacity-70 hover:opacity-100'}`}
+      style={{ width: THUMBNAIL_WIDTH, minHeight: THUMBNAIL_WIDTH * 1.3 }}
+      title={`Page ${pageNumber}`}
+    >
+      {inView && <Thumbnail pageNumber={pageNumber} width={THUMBNAIL_WIDTH} />}
+      <span className="block text-xs text-gray-400 py-0.5">{pageNumber}</span>
+    </button>
+  );
+}
+
+/**
+ * PDF Viewer Component
+ * Renders a PDF with react-pdf: page thumbnails, page navigation, zoom,
+ * a selectable text layer and search within the document.
+ */
+function PdfViewer({ file }) {
+  const [pdf, setPdf] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [zoomIndex, setZoomIndex] = useState(ZOOM_STEPS.indexOf(1));
+  const [query, setQuery] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const deferredQuery = useDeferredValue(query);
+  const numPages = pdf?.numPages || 0;
+
+  // Pages containing the query
+  useEffect(() => {
+    if (!pdf) return;
+
+    let cancelled = false;
+    findPdfMatches(pdf, deferredQuery)
+      .then(found => {
+        if (cancelled) return;
+        setMatches(found);
+        if (found.length) setPageNumber(found[0].pageNumber);
+      })
+      .catch(error => console.warn('PDF search failed', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, deferredQuery]);
+
+  const goToPage = useCallback((page) => {
+    setPageNumber(Math.min(Math.max(1, page), numPages || 1));
+  }, [numPages]);
+
+  /**
+   * Jump to the next or previous page with a match, wrapping around
+   * @param {number} step - 1 for next, -1 for previous
+   */
+  const goToMatch = (step) => {
+    if (!matches.length) return;
+    const pages = matches.map(match => match.pageNumber);
+    const next = step > 0
+      ? pages.find(page => page > pageNumber) ?? pages[0]
+      : [...pages].reverse().find(page => page < pageNumber) ?? pages[pages.length - 1];
+    setPageNumber(next);
+  };
+
+  const renderText = useCallback(
+    ({ str }) => highlightPdfText(str, deferredQuery),
+    [deferredQuery]
+  );
+
+  const totalMatches = matches.reduce((sum, match) => sum + match.count, 0);
+  const scale = ZOOM_STEPS[zoomIndex];
+
+  return (
+    <div className="w-full h-full flex flex-col bg-whatsapp-dark text-gray-200">
+      {/* Toolbar */}
+      <div className="flex items-center justify-between px-4 py-2 bg-whatsapp-header border-b border-gray-700 text-sm space-x-4">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => goToPage(pageNumber - 1)}
+            disabled={pageNumber <= 1}
+            className="px-2 py-1 rounded hover:bg-gray-700 disabled:opacity-40"
+            title="Previous page"
+          >
+            ‹
+          </button>
+          <input
+            type="number"
+            min={1}
+            max={numPages || 1}
+            value={pageNumber}
+            onChange={(e) => goToPage(Number(e.target.value))}
+            className="w-14 bg-whatsapp-gray border border-gray-600 rounded px-1 py-0.5 text-center"
+            aria-label="Page number"
+          />
+          <span className="text-gray-400">/ {numPages || '…'}</span>
+          <button
+            onClick={() => goToPage(pageNumber + 1)}
+            disabled={pageNumber >= numPages}
+            className="px-2 py-1 rounded hover:bg-gray-700 disabled:opacity-40"
+            title="Next page"
+          >
+            ›
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setZoomIndex(index => Math.max(0, index - 1))}
+            disabled={zoomIndex === 0}
+            className="px-2 py-1 rounded hover:bg-gray-700 disabled:opacity-40"
+            title="Zoom out"
+          >
+            −
+          </button>
+          <span className="w-12 text-center text-gray-400">{Math.round(scale * 100)}%</span>
+          <button
+            onClick={() => setZoomIndex(index => Math.min(ZOOM_STEPS.length - 1, index + 1))}
+            disabled={zoomIndex === ZOOM_STEPS.length - 1}
+            className="px-2 py-1 rounded hover:bg-gray-700 disabled:opacity-40"
+            title="Zoom in"
+          >
+            +
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') goToMatch(e.shiftKey ? -1 : 1);
+            }}
+            placeholder="Search in document"
+            className="w-48 bg-whatsapp-gray border border-gray-600 rounded px-2 py-1 focus:outline-none focus:border-whatsapp-green"
+            aria-label="Search in document"
+          />
+          {deferredQuery.trim() && (
+            <>
+              <span className="text-gray-400 whitespace-nowrap">
+                {totalMatches ? `${totalMatches} on ${matches.length} ${matches.length === 1 ? 'page' : 'pages'}` : 'No matches'}
+              </span>
+              <button
+                onClick={() => goToMatch(-1)}
+                disabled={!matches.length}
+                className="px-2 py-1 rounded hover:bg-gray-700 disabled:opacity-40"
+                title="Previous page with a match (Shift+Enter)"
+              >
+                ▲
+              </button>
+              <button
+                onClick={() => goToMatch(1)}
+                disabled={!matches.length}
+                className="px-2 py-1 rounded hover:bg-gray-700 disabled:opacity-40"
+                title="Next page with a match (Enter)"
+              >
+                ▼
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <Document
+        file={file}
+        onLoadSuccess={(loaded) => {
+          setPdf(loaded);
+          setLoadError(null);
+        }}
+        onLoadError={(error) => setLoadError(error.message)}
+        loading={<p className="p-8 text-center text-gray-400">Loading PDF…</p>}
+        error={<p className="p-8 text-center text-red-400">Failed to load PDF{loadError ? `: ${loadError}` : ''}</p>}
+        className="flex-1 min-h-0 flex"
+      >
+        {/* Page thumbnails */}
+        <div className="w-32 flex-shrink-0 overflow-y-auto py-3 border-r border-gray-700 text-center">
+          {Array.from({ length: numPages }, (_, index) => (
+            <PageThumbnail
+              key={index}
+              pageNumber={index + 1}
+              isCurrent={index + 1 === pageNumber}
+              onSelect={goToPage}
+            />
+          ))}
+        </div>
+
+        {/* Current page */}
+        <div className="flex-1 overflow-auto p-4">
+          {pdf && (
+            <Page
+              pageNumber={pageNumber}
+              scale={scale}
+              customTextRenderer={renderText}
+              className="mx-auto w-fit shadow-lg"
+            />
+          )}
+        </div>
+      </Document>
+    </div>
+  );
+}
+
+export default PdfViewer;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+/**
+ * Perspective Picker Component
+ * Chooses which participant's messages are shown as your own (right-aligned, green)
+ */
+function PerspectivePicker({ participants, suggestedOwner, owner, onChange }) {
+  if (!participants.length) return null;
+
+  return (
+    <label className="flex items-center space-x-2 text-sm text-gray-400 font-normal">
+      <span>View as:</span>
+      <select
+        value={owner || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="bg-whatsapp-gray text-gray-200 border border-gray-600 rounded px-2 py-1 text-sm max-w-[12rem]"
+        title="Choose whose messages appear on the right"
+      >
+        <option value="">Auto ({suggestedOwner || 'nobody'})</option>
+        {participants.map(name => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default PerspectivePicker;
@@ -0,0 +1,206 @@
+import React, { useState, useMemo } from 'react';
+import { InlineBar } from './StatsCharts';
+import { analyzeConversations, DEFAULT_IDLE_GAP_MINUTES } from '../utils/conversationAnalysis';
+import { formatDuration, getDayKey } from '../utils/chatStatistics';
+
+const IDLE_GAP_OPTIONS = [15, 30, 60, 120, 240, 480, 1440];
+
+/**
+ * Describe an idle gap option
+ * @param {number} minutes - Gap in minutes
+ * @returns {string} - e.g. "30 min", "2 h"
+ */
+function formatGap(minutes) {
+  return minutes < 60 ? `${minutes} min` : `${minutes / 60} h`;
+}
+
+/**
+ * Format a duration that may be missing
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} - Formatted duration or a dash
+ */
+function formatOptionalDuration(ms) {
+  return ms === null ? '–' : formatDuration(ms);
+}
+
+/**
+ * Response Analysis Component
+ * Conversation sessions and reply times per participant, with a configurable idle
+ * gap and date range. Shown as a tab of the statistics dashboard.
+ */
+function ResponseAnalysis({ messages, colorMap, onJumpToMessage }) {
+  const [idleGapMinutes, setIdleGapMinutes] = useState(DEFAULT_IDLE_GAP_MINUTES);
+  const [fromDay, setFromDay] = useState('');
+  const [toDay, setToDay] = useState('');
+
+  const dayBounds = useMemo(() => {
+    const dated = messages.filter(message => !Number.isNaN(message.timestamp));
+    return dated.length > 0
+      ? { min: getDayKey(dated[0].timestamp), max: getDayKey(dated[dated.length - 1].timestamp) }
+      : { min: '', max: '' };
+  }, [messages]);
+
+  const analysis = useMemo(() => analyzeConversations(messages, {
+    idleGapMinutes,
+    from: fromDay ? new Date(`${fromDay}T00:00`).getTime() : undefined,
+    to: toDay ? new Date(`${toDay}T23:59:59.999`).getTime() : undefined
+  }), [messages, idleGapMinutes, fromDay, toDay]);
+
+  const slowestP90 = Math.max(0, ...analysis.participants.map(participant => participant.p90 || 0));
+  const mostStarted = Math.max(0, ...analysis.participants.map(participant => participant.started));
+
+  return (
+    <div className="space-y-4">
+      <section className="bg-whatsapp-gray rounded-lg p-4 flex flex-wrap items-end gap-4 text-sm text-gray-300">
+        <label className="flex flex-col">
+          <span className="text-xs text-gray-400 mb-1">New conversation after</span>
+          <select
+            value={idleGapMinutes}
+            onChange={(event) => setIdleGapMinutes(Number(event.target.value))}
+            className="bg-gray-700 text-white rounded px-2 py-1"
+          >
+            {IDLE_GAP_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{formatGap(minutes)} of silence</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          <span className="text-xs text-gray-400 mb-1">From</span>
+          <input
+            type="date"
+            value={fromDay}
+            min={dayBounds.min}
+            max={toDay || dayBounds.max}
+            onChange={(event) => setFromDay(event.target.value)}
+            className="bg-gray-700 text-white rounded px-2 py-1"
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="text-xs text-gray-400 mb-1">To</span>
+          <input
+            type="date"
+            value={toDay}
+            min={fromDay || dayBounds.min}
+            max={dayBounds.max}
+            onChange={(event) => setToDay(event.target.value)}
+            className="bg-gray-700 text-white rounded px-2 py-1"
+          />
+        </label>
+        {(fromDay || toDay) && (
+          <button
+            onClick={() => { setFromDay(''); setToDay(''); }}
+            className="px-2 py-1 text-gray-400 hover:text-white"
+          >
+            Whole chat
+          </button>
+        )}
+        <p className="basis-full text-xs text-gray-400">
+          A reply is the first message after someone else's, within the same conversation.
+          Raise the gap to count slower replies.
+        </p>
+      </section>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-whatsapp-gray rounded-lg p-4">
+          <p className="text-xs text-gray-400">Conversations</p>
+          <p className="text-2xl font-semibold text-white">{analysis.sessions.toLocaleString()}</p>
+        </div>
+        <div className="bg-whatsapp-gray rounded-lg p-4">
+          <p className="text-xs text-gray-400">With more than one person</p>
+          <p className="text-2xl font-semibold text-white">{analysis.summary.multiPersonSessions.toLocaleString()}</p>
+        </div>
+        <div className="bg-whatsapp-gray rounded-lg p-4">
+          <p className="text-xs text-gray-400">Messages per conversation</p>
+          <p className="text-2xl font-semibold text-white">{analysis.summary.averageMessages.toFixed(1)}</p>
+        </div>
+        <div className="bg-whatsapp-gray rounded-lg p-4">
+          <p className="text-xs text-gray-400">Median length</p>
+          <p className="text-2xl font-semibold text-white">{formatOptionalDuration(analysis.summary.medianDuration)}</p>
+        </div>
+      </div>
+
+      <section className="bg-whatsapp-gray rounded-lg p-4">
+        <h3 className="text-sm font-semibold text-gray-200 mb-3">Reply times</h3>
+        {analysis.participants.length === 0 ? (
+          <p className="text-sm text-gray-400">No dated messages in this range</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-gray-300">
+              <thead>
+                <tr className="text-xs text-gray-400 text-left">
+                  <th className="py-2 pr-4 font-normal">Name</th>
+                  <th className="py-2 pr-4 font-normal text-right">Replies</th>
+                  <th className="py-2 pr-4 font-normal text-right">Median</th>
+                  <th className="py-2 pr-4 font-normal text-right">75th pct.</th>
+                  <th className="py-2 pr-4 font-normal text-right">90th pct.</th>
+                  <th className="py-2 pr-4 font-normal w-48" title="Solid: median, light: 90th percentile">Median / 90th</th>
+                  <th className="py-2 pr-4 font-normal w-36">Started</th>
+                  <th className="py-2 font-normal text-right">Ended</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.participants.map(participant => {
+                  const color = colorMap[participant.name] || '#6B7280';
+                  return (
+                    <tr key={participant.name} className="border-t border-gray-700">
+                      <td className="py-2 pr-4">
+                        <span className="flex items-center space-x-2">
+                          <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: color }} />
+                          <span className="truncate max-w-[12rem]">{participant.name}</span>
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 text-right tabular-nums">{participant.replies.toLocaleString()}</td>
+                      <td className="py-2 pr-4 text-right tabular-nums">{formatOptionalDuration(participant.median)}</td>
+                      <td className="py-2 pr-4 text-right tabular-nums">{formatOptionalDuration(participant.p75)}</td>
+                      <td className="py-2 pr-4 text-right tabular-nums">{formatOptionalDuration(participant.p90)}</td>
+                      <td className="py-2 pr-4">
+                        <div className="relative h-2 w-full rounded bg-gray-700 overflow-hidden">
+                          <div
+                            className="absolute inset-y-0 left-0 rounded opacity-40"
+                            style={{ width: `${slowestP90 > 0 ? ((participant.p90 || 0) / slowestP90) * 100 : 0}%`, backgroundColor: color }}
+                          />
+                          <div
+                            className="absolute inset-y-0 left-0 rounded"
+                            style={{ width: `${slowestP90 > 0 ? ((participant.median || 0) / slowestP90) * 100 : 0}%`, backgroundColor: color }}
+                          />
+                        </div>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <div className="flex items-center space-x-2">
+                          <span className="w-10 text-right tabular-nums">{participant.started.toLocaleString()}</span>
+                          <InlineBar value={participant.started} max={mostStarted} color={color} />
+                        </div>
+                      </td>
+                      <td className="py-2 text-right tabular-nums">{participant.ended.toLocaleString()}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {analysis.longestSessions.length > 0 && (
+        <section className="bg-whatsapp-gray rounded-lg p-4">
+          <h3 className="text-sm font-semibold text-gray-200 mb-3">Longest conversations</h3>
+          <ul className="space-y-2 text-sm text-gray-300">
+            {analysis.longestSessions.map(session => (
+              <li key={session.startIndex} className="flex flex-wrap items-center gap-x-2">
+                <button onClick={() => onJumpToMessage(session.startIndex)} className="text-blue-300 hover:underline">
+                  {messages[session.startIndex].date} {messages[session.startIndex].time}
+                </button>
+                <span className="text-gray-400">
+                  {session.messageCount.toLocaleString()} messages over {formatDuration(session.end - session.start)},
+                  started by {messages[session.startIndex].sender}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default ResponseAnalysis;
@@ -0,0 +1,70 @@
+import React from 'react';
+
+/**
+ * Search Bar Component
+ * Query input with result count and previous/next navigation.
+ * Enter jumps to the next result, Shift+Enter to the previous, Escape clears.
+ */
+function SearchBar({ query, onQueryChange, resultCount, activeResult, isActive, onNext, onPrevious, onClear }) {
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        onPrevious();
+      } else {
+        onNext();
+      }
+    } else if (e.key === 'Escape') {
+      onClear();
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2 text-sm font-normal">
+      <div className="relative">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder='Search (from:Name after:2025-01-01 "exact phrase")'
+          className="w-72 bg-whatsapp-gray text-gray-200 placeholder-gray-500 border border-gray-600 rounded px-3 py-1 text-sm focus:outline-none focus:border-whatsapp-green"
+          aria-label="Search messages"
+        />
+      </div>
+
+      {isActive && (
+        <>
+          <span className="text-gray-400 whitespace-nowrap min-w-[4rem] text-right">
+            {resultCount ? `${activeResult + 1} of ${resultCount}` : 'No results'}
+          </span>
+          <button
+            onClick={onPrevious}
+            disabled={!resultCount}
+            className="px-2 py-1 rounded text-gray-300 hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+            title="Previous result (Shift+Enter)"
+          >
+            ▲
+          </button>
+          <button
+            onClick={onNext}
+            disabled={!resultCount}
+            className="px-2 py-1 rounded text-gray-300 hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+            title="Next result (Enter)"
+          >
+            ▼
+          </button>
+          <button
+            onClick={onClear}
+            className="px-2 py-1 rounded text-gray-400 hover:text-white hover:bg-gray-700"
+            title="Clear search (Esc)"
+          >
+            ✕
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SearchBar;
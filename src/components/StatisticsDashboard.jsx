@@ -0,0 +1,311 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Heatmap, InlineBar } from './StatsCharts';
+import ResponseAnalysis from './ResponseAnalysis';
+import WordAnalysis from './WordAnalysis';
+import GroupHistory from './GroupHistory';
+import { computeChatStatistics, formatDuration, TIMELINE_GRANULARITIES } from '../utils/chatStatistics';
+
+const TABS = [
+  { id: 'overview', label: 'Overview' },
+  { id: 'responses', label: 'Replies & conversations' },
+  { id: 'words', label: 'Words & emoji' },
+  { id: 'group', label: 'Group history' }
+];
+
+// Monday first, as indexes into Date.getDay()
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => (hour % 3 === 0 ? String(hour) : ''));
+
+const MEDIA_COLUMNS = [
+  { type: 'image', icon: '🖼️', label: 'Images' },
+  { type: 'video', icon: '🎥', label: 'Videos' },
+  { type: 'audio', icon: '🎵', label: 'Audio' },
+  { type: 'document', icon: '📄', label: 'Documents' },
+  { type: 'other', icon: '📎', label: 'Other files' }
+];
+
+/**
+ * Format a timestamp or day key as a date
+ * @param {number|string} value - Timestamp in milliseconds or day key (YYYY-MM-DD)
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @returns {string} - Localized date
+ */
+function formatDate(value, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+  const date = typeof value === 'string' ? new Date(`${value}T12:00`) : new Date(value);
+  return date.toLocaleDateString(undefined, options);
+}
+
+/**
+ * Dashboard section with a heading
+ */
+function Section({ title, actions, children }) {
+  return (
+    <section className="bg-whatsapp-gray rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-200">{title}</h3>
+        {actions}
+      </div>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Single figure in the summary row
+ */
+function SummaryCard({ label, value, detail }) {
+  return (
+    <div className="bg-whatsapp-gray rounded-lg p-4">
+      <p className="text-xs text-gray-400">{label}</p>
+      <p className="text-2xl font-semibold text-white">{value}</p>
+      {detail && <p className="text-xs text-gray-400 mt-1">{detail}</p>}
+    </div>
+  );
+}
+
+/**
+ * Overview tab: who is most active and when
+ */
+function ActivityOverview({ messages, colorMap, onJumpToMessage }) {
+  const [granularity, setGranularity] = useState('month');
+  const stats = useMemo(() => computeChatStatistics(messages), [messages]);
+  const topMessages = stats.participants[0]?.messages || 0;
+  const sentMessages = stats.participants.reduce((sum, participant) => sum + participant.messages, 0);
+
+  const timelineData = useMemo(() => stats.timeline[granularity].map(bucket => ({
+    value: bucket.count,
+    label: granularity === 'month'
+      ? formatDate(bucket.start, { year: 'numeric', month: 'short' })
+      : formatDate(bucket.start),
+    title: `${granularity === 'week' ? 'Week of ' : ''}${formatDate(bucket.start, granularity === 'month'
+      ? { year: 'numeric', month: 'long' }
+      : undefined)}: ${bucket.count.toLocaleString()} messages`
+  })), [stats, granularity]);
+
+  // First message of a timeline bucket, for jumping from the chart
+  const handleSelectBucket = (bucketIndex) => {
+    const buckets = stats.timeline[granularity];
+    const start = buckets[bucketIndex].start;
+    const end = buckets[bucketIndex + 1]?.start ?? Infinity;
+    const index = messages.findIndex(message => message.timestamp >= start && message.timestamp < end);
+    if (index !== -1) onJumpToMessage(index);
+  };
+
+  const renderMessageLink = (entry) => {
+    const message = messages[entry.index];
+    return (
+      <button onClick={() => onJumpToMessage(entry.index)} className="text-left text-blue-300 hover:underline">
+        {message.date} {message.time}
+      </button>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        <SummaryCard label="Messages" value={sentMessages.toLocaleString()} />
+        <SummaryCard label="Words" value={stats.totalWords.toLocaleString()} />
+        <SummaryCard
+          label="Media"
+          value={(stats.totalAttachments + stats.totalMediaOmitted).toLocaleString()}
+          detail={stats.totalMediaOmitted > 0 ? `${stats.totalMediaOmitted.toLocaleString()} omitted from the export` : null}
+        />
+        <SummaryCard label="Participants" value={stats.participants.length.toLocaleString()} />
+        <SummaryCard
+          label="Active days"
+          value={stats.activeDays.toLocaleString()}
+          detail={stats.firstTimestamp !== null
+            ? `${formatDate(stats.firstTimestamp)} – ${formatDate(stats.lastTimestamp)}`
+            : null}
+        />
+        <SummaryCard
+          label="Longest streak"
+          value={stats.longestStreak ? `${stats.longestStreak.days} d` : '–'}
+          detail={stats.longestStreak && stats.longestStreak.days > 1
+            ? `${formatDate(stats.longestStreak.start)} – ${formatDate(stats.longestStreak.end)}`
+            : null}
+        />
+      </div>
+
+      <Section title="Participants">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-gray-300">
+            <thead>
+              <tr className="text-xs text-gray-400 text-left">
+                <th className="py-2 pr-4 font-normal">Name</th>
+                <th className="py-2 pr-4 font-normal w-48">Messages</th>
+                <th className="py-2 pr-4 font-normal text-right">Words</th>
+                <th className="py-2 pr-4 font-normal text-right" title="Words per message">Avg</th>
+                {MEDIA_COLUMNS.map(column => (
+                  <th key={column.type} className="py-2 px-1 font-normal text-right" title={column.label}>{column.icon}</th>
+                ))}
+                <th className="py-2 px-1 font-normal text-right" title="Media omitted from the export">⊘</th>
+                <th className="py-2 px-4 font-normal">First message</th>
+                <th className="py-2 font-normal">Last message</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.participants.map(participant => (
+                <tr key={participant.name} className="border-t border-gray-700">
+                  <td className="py-2 pr-4">
+                    <span className="flex items-center space-x-2">
+                      <span
+                        className="w-2.5 h-2.5 rounded-full flex-shrink-0"
+                        style={{ backgroundColor: colorMap[participant.name] || '#6B7280' }}
+                      />
+                      <span className="truncate max-w-[12rem]">{participant.name}</span>
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4">
+                    <div className="flex items-center space-x-2">
+                      <span className="w-14 text-right tabular-nums">{participant.messages.toLocaleString()}</span>
+                      <InlineBar value={participant.messages} max={topMessages} color={colorMap[participant.name]} />
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4 text-right tabular-nums">{participant.words.toLocaleString()}</td>
+                  <td className="py-2 pr-4 text-right tabular-nums">{(participant.words / participant.messages).toFixed(1)}</td>
+                  {MEDIA_COLUMNS.map(column => (
+                    <td key={column.type} className="py-2 px-1 text-right tabular-nums">
+                      {participant.media[column.type] || <span className="text-gray-600">0</span>}
+                    </td>
+                  ))}
+                  <td className="py-2 px-1 text-right tabular-nums">
+                    {participant.mediaOmitted || <span className="text-gray-600">0</span>}
+                  </td>
+                  <td className="py-2 px-4 whitespace-nowrap">{renderMessageLink(participant.first)}</td>
+                  <td className="py-2 whitespace-nowrap">{renderMessageLink(participant.last)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Section>
+
+      <Section
+        title="Messages over time"
+        actions={
+          <div className="flex text-xs">
+            {TIMELINE_GRANULARITIES.map(option => (
+              <button
+                key={option}
+                onClick={() => setGranularity(option)}
+                className={`px-2 py-1 rounded capitalize ${
+                  option === granularity ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        }
+      >
+        <BarChart data={timelineData} onSelect={handleSelectBucket} />
+      </Section>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Section title="Activity by weekday and hour">
+          <Heatmap
+            grid={WEEKDAYS.map(day => stats.heatmap[day])}
+            rowLabels={WEEKDAYS.map(day => WEEKDAY_LABELS[day])}
+            columnLabels={HOUR_LABELS}
+            formatTitle={(row, hour, value) =>
+              `${WEEKDAY_LABELS[WEEKDAYS[row]]} ${String(hour).padStart(2, '0')}:00–${String(hour).padStart(2, '0')}:59: ${value.toLocaleString()} messages`
+            }
+          />
+        </Section>
+
+        <Section title="Busiest days">
+          <ol className="space-y-2 text-sm">
+            {stats.busiestDays.map(day => (
+              <li key={day.key} className="flex items-center space-x-3">
+                <button
+                  onClick={() => onJumpToMessage(day.firstIndex)}
+                  className="w-32 flex-shrink-0 text-left text-blue-300 hover:underline"
+                >
+                  {formatDate(day.key)}
+                </button>
+                <InlineBar value={day.count} max={stats.busiestDays[0].count} />
+                <span className="w-14 flex-shrink-0 text-right text-gray-300 tabular-nums">{day.count.toLocaleString()}</span>
+              </li>
+            ))}
+          </ol>
+        </Section>
+      </div>
+
+      <Section title="Longest silences">
+        {stats.longestSilences.length === 0 ? (
+          <p className="text-sm text-gray-400">No gaps between dated messages</p>
+        ) : (
+          <ul className="space-y-2 text-sm text-gray-300">
+            {stats.longestSilences.map(silence => (
+              <li key={silence.fromIndex} className="flex flex-wrap items-center gap-x-2">
+                <span className="w-24 font-semibold text-white">{formatDuration(silence.duration)}</span>
+                <span>after</span>
+                <button onClick={() => onJumpToMessage(silence.fromIndex)} className="text-blue-300 hover:underline">
+                  {formatDate(silence.from)}
+                </button>
+                <span>until</span>
+                <button onClick={() => onJumpToMessage(silence.toIndex)} className="text-blue-300 hover:underline">
+                  {formatDate(silence.to)}
+                </button>
+                <span className="text-gray-400">({messages[silence.toIndex].sender} broke the silence)</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Section>
+    </div>
+  );
+}
+
+/**
+ * Statistics Dashboard Component
+ * Who is most active and when: per-participant figures, an activity heatmap,
+ * a message timeline, busiest days, streaks and silences, conversation sessions
+ * and reply times, word, emoji and link frequencies, and the group's membership
+ * history. Everything is computed locally from the parsed messages.
+ * Dates and messages can be clicked to jump there.
+ */
+function StatisticsDashboard({ messages, colorMap, ownerName, onJumpToMessage, onClose }) {
+  const [tab, setTab] = useState('overview');
+
+  return (
+    <div className="h-full overflow-y-auto bg-whatsapp-dark">
+      <div className="sticky top-0 z-10 flex items-center justify-between px-4 py-3 bg-whatsapp-header border-b border-gray-700">
+        <div className="flex items-center space-x-4">
+          <h2 className="text-gray-200 font-semibold">📊 Chat statistics</h2>
+          <div className="flex text-sm">
+            {TABS.map(item => (
+              <button
+                key={item.id}
+                onClick={() => setTab(item.id)}
+                className={`px-3 py-1 rounded ${tab === item.id ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" title="Back to chat">✕</button>
+      </div>
+
+      <div className="max-w-6xl mx-auto p-4">
+        {tab === 'overview' && (
+          <ActivityOverview messages={messages} colorMap={colorMap} onJumpToMessage={onJumpToMessage} />
+        )}
+        {tab === 'responses' && (
+          <ResponseAnalysis messages={messages} colorMap={colorMap} onJumpToMessage={onJumpToMessage} />
+        )}
+        {tab === 'words' && (
+          <WordAnalysis messages={messages} colorMap={colorMap} onJumpToMessage={onJumpToMessage} />
+        )}
+        {tab === 'group' && (
+          <GroupHistory messages={messages} colorMap={colorMap} ownerName={ownerName} onJumpToMessage={onJumpToMessage} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StatisticsDashboard;
@@ -0,0 +1,148 @@
+import React from 'react';
+
+/**
+ * Statistics Charts
+ * Small SVG charts for the statistics dashboard, drawn without any charting library.
+ */
+
+// Bright enough to read on the dark theme
+const CHART_COLOR = '#22C55E';
+const HEATMAP_CELL = 18;
+const HEATMAP_GAP = 2;
+const HEATMAP_LABEL_WIDTH = 36;
+const HEATMAP_HEADER_HEIGHT = 16;
+
+/**
+ * Vertical bar chart; bars stretch to fill the width
+ * @param {Array} data - Bars as { value, label, title }
+ * @param {number} [height] - Chart height in pixels
+ * @param {string} [color] - Bar colour
+ * @param {Function} [onSelect] - Called with the bar index when a bar is clicked
+ */
+export function BarChart({ data, height = 160, color = CHART_COLOR, onSelect }) {
+  if (data.length === 0) {
+    return <p className="text-sm text-gray-400">No dated messages</p>;
+  }
+
+  const max = Math.max(1, ...data.map(item => item.value));
+  const tickIndexes = [...new Set([0, Math.floor((data.length - 1) / 2), data.length - 1])];
+
+  return (
+    <div>
+      <div className="flex">
+        <div className="w-12 flex-shrink-0 flex flex-col justify-between pr-2 text-xs text-gray-500 text-right" style={{ height }}>
+          <span>{max.toLocaleString()}</span>
+          <span>0</span>
+        </div>
+        <svg
+          className="flex-1 border-b border-l border-gray-600"
+          style={{ height }}
+          viewBox={`0 0 ${data.length} 100`}
+          preserveAspectRatio="none"
+          role="img"
+        >
+          {data.map((item, index) => {
+            const barHeight = (item.value / max) * 100;
+            return (
+              <rect
+                key={index}
+                x={index + 0.1}
+                y={100 - barHeight}
+                width={0.8}
+                height={barHeight}
+                fill={color}
+                className={onSelect && item.value > 0 ? 'cursor-pointer hover:opacity-70' : undefined}
+                onClick={onSelect && item.value > 0 ? () => onSelect(index) : undefined}
+              >
+                <title>{item.title || `${item.label}: ${item.value.toLocaleString()}`}</title>
+              </rect>
+            );
+          })}
+        </svg>
+      </div>
+      <div className="relative h-4 mt-1 ml-12 text-xs text-gray-500">
+        {tickIndexes.map(index => (
+          <span
+            key={index}
+            className="absolute whitespace-nowrap"
+            style={{
+              left: `${((index + 0.5) / data.length) * 100}%`,
+              transform: index === 0 ? 'none' : index === data.length - 1 ? 'translateX(-100%)' : 'translateX(-50%)'
+            }}
+          >
+            {data[index].label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Grid of counts shaded by intensity, e.g. weekday × hour
+ * @param {Array<Array<number>>} grid - Rows of counts
+ * @param {Array<string>} rowLabels - Label per row
+ * @param {Array<string>} columnLabels - Label per column; empty labels are skipped
+ * @param {Function} [formatTitle] - (row, column, value) => tooltip
+ * @param {string} [color] - Cell colour at full intensity
+ */
+export function Heatmap({ grid, rowLabels, columnLabels, formatTitle, color = CHART_COLOR }) {
+  const max = Math.max(1, ...grid.flat());
+  const columns = grid[0]?.length || 0;
+  const width = HEATMAP_LABEL_WIDTH + columns * (HEATMAP_CELL + HEATMAP_GAP);
+  const height = HEATMAP_HEADER_HEIGHT + grid.length * (HEATMAP_CELL + HEATMAP_GAP);
+
+  return (
+    <svg width={width} height={height} className="max-w-full" viewBox={`0 0 ${width} ${height}`} role="img">
+      {columnLabels.map((label, column) => label && (
+        <text
+          key={`column-${column}`}
+          x={HEATMAP_LABEL_WIDTH + column * (HEATMAP_CELL + HEATMAP_GAP) + HEATMAP_CELL / 2}
+          y={HEATMAP_HEADER_HEIGHT - 4}
+          textAnchor="middle"
+          className="fill-gray-500 text-[10px]"
+        >
+          {label}
+        </text>
+      ))}
+      {grid.map((row, rowIndex) => {
+        const y = HEATMAP_HEADER_HEIGHT + rowIndex * (HEATMAP_CELL + HEATMAP_GAP);
+        return (
+          <g key={rowIndex}>
+            <text x={0} y={y + HEATMAP_CELL * 0.7} className="fill-gray-400 text-[11px]">
+              {rowLabels[rowIndex]}
+            </text>
+            {row.map((value, column) => (
+              <rect
+                key={column}
+                x={HEATMAP_LABEL_WIDTH + column * (HEATMAP_CELL + HEATMAP_GAP)}
+                y={y}
+                width={HEATMAP_CELL}
+                height={HEATMAP_CELL}
+                rx={3}
+                fill={value > 0 ? color : '#374151'}
+                fillOpacity={value > 0 ? 0.15 + 0.85 * (value / max) : 1}
+              >
+                <title>{formatTitle ? formatTitle(rowIndex, column, value) : value.toLocaleString()}</title>
+              </rect>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Horizontal bar used inside tables and lists
+ * @param {number} value - Value
+ * @param {number} max - Value of a full-width bar
+ * @param {string} [color] - Bar colour
+ */
+export function InlineBar({ value, max, color = CHART_COLOR }) {
+  return (
+    <div className="h-2 w-full rounded bg-gray-700 overflow-hidden">
+      <div className="h-full rounded" style={{ width: `${max > 0 ? (value / max) * 100 : 0}%`, backgroundColor: color }} />
+    </div>
+  );
+}
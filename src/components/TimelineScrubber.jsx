@@ -0,0 +1,189 @@
+import React, { useState, useRef, useMemo } from 'react';
+
+// Smallest distance between two labels, as a fraction of the track
+const MIN_LABEL_GAP = 0.04;
+
+/**
+ * Timeline Scrubber Component
+ * Vertical track beside the message list with year and month marks placed by
+ * message position. Click or drag anywhere on it to scroll the chat there. When
+ * focused, the arrow keys step by month, Page Up and Page Down by year, and Home and
+ * End go to the start and end of the chat.
+ */
+function TimelineScrubber({ messages, months, firstVisibleIndex, onScrollToIndex }) {
+  const trackRef = useRef(null);
+  const lastIndexRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const count = messages.length;
+
+  // Years are always labelled; months only where there is room
+  const marks = useMemo(() => {
+    let lastLabelled = -Infinity;
+    return months.map((month, position) => {
+      const offset = month.firstIndex / count;
+      const isNewYear = position === 0 || months[position - 1].year !== month.year;
+      let label = null;
+      if (isNewYear) {
+        label = String(month.year);
+      } else if (offset - lastLabelled >= MIN_LABEL_GAP) {
+        label = new Date(month.year, month.month, 1).toLocaleDateString(undefined, { month: 'short' });
+      }
+      if (label) lastLabelled = offset;
+      return { ...month, offset, label, isNewYear };
+    });
+  }, [months, count]);
+
+  if (count === 0 || months.length === 0) return null;
+
+  /**
+   * Message index under a pointer position
+   * @param {number} clientY - Pointer position in viewport pixels
+   * @returns {number} - Message index
+   */
+  const getIndexAt = (clientY) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (clientY - rect.top) / rect.height));
+    return Math.min(count - 1, Math.floor(fraction * count));
+  };
+
+  const scrubTo = (clientY) => {
+    const index = getIndexAt(clientY);
+    setDragIndex(index);
+    if (index !== lastIndexRef.current) {
+      lastIndexRef.current = index;
+      onScrollToIndex(index);
+    }
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    lastIndexRef.current = null;
+    scrubTo(event.clientY);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragIndex !== null) scrubTo(event.clientY);
+  };
+
+  const handlePointerUp = () => {
+    setDragIndex(null);
+  };
+
+  /**
+   * Position of the last month that starts at or before a message
+   * @param {number} index - Message index
+   * @returns {number} - Position in months
+   */
+  const getMonthPosition = (index) => {
+    let position = 0;
+    months.forEach((month, current) => {
+      if (month.firstIndex <= index) position = current;
+    });
+    return position;
+  };
+
+  /**
+   * Position of the first month of the year a month belongs to
+   * @param {number} position - Position in months
+   * @returns {number} - Position in months
+   */
+  const getYearStart = (position) => {
+    let start = position;
+    while (start > 0 && months[start - 1].year === months[position].year) start--;
+    return start;
+  };
+
+  const handleKeyDown = (event) => {
+    const position = getMonthPosition(firstVisibleIndex);
+    const monthStart = months[position].firstIndex;
+    const yearStart = getYearStart(position);
+    let index;
+
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowRight':
+        index = months[position + 1]?.firstIndex ?? count - 1;
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        // Back to the start of this month first, then to the month before
+        index = monthStart < firstVisibleIndex ? monthStart : months[position - 1]?.firstIndex ?? 0;
+        break;
+      case 'PageDown':
+        index = months.find((month, current) => current > position && month.year !== months[position].year)
+          ?.firstIndex ?? count - 1;
+        break;
+      case 'PageUp':
+        if (months[yearStart].firstIndex < firstVisibleIndex) {
+          index = months[yearStart].firstIndex;
+        } else {
+          index = yearStart > 0 ? months[getYearStart(yearStart - 1)].firstIndex : 0;
+        }
+        break;
+      case 'Home':
+        index = 0;
+        break;
+      case 'End':
+        index = count - 1;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    onScrollToIndex(index);
+  };
+
+  const thumbIndex = dragIndex ?? firstVisibleIndex;
+  const thumbMessage = messages[thumbIndex];
+
+  return (
+    <div className="w-14 flex-shrink-0 bg-whatsapp-header border-l border-gray-700 py-3 select-none">
+      <div
+        ref={trackRef}
+        className="relative h-full cursor-pointer touch-none rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-green-400"
+        tabIndex={0}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={handleKeyDown}
+        role="slider"
+        aria-label="Chat timeline"
+        aria-orientation="vertical"
+        aria-valuemin={0}
+        aria-valuemax={count - 1}
+        aria-valuenow={thumbIndex}
+        aria-valuetext={thumbMessage?.date}
+      >
+        <div className="absolute inset-y-0 right-2 w-px bg-gray-600" />
+        {marks.map(mark => (
+          <div
+            key={mark.key}
+            className="absolute right-0 left-0 flex items-center justify-end -translate-y-1/2 pointer-events-none"
+            style={{ top: `${mark.offset * 100}%` }}
+          >
+            {mark.label && (
+              <span className={`mr-1 text-[10px] leading-none ${mark.isNewYear ? 'text-gray-200 font-semibold' : 'text-gray-400'}`}>
+                {mark.label}
+              </span>
+            )}
+            <span className={`h-px ${mark.isNewYear ? 'w-3 bg-gray-300' : 'w-1.5 bg-gray-500'}`} />
+          </div>
+        ))}
+        <div
+          className="absolute left-0 right-0 h-0.5 bg-green-400 pointer-events-none"
+          style={{ top: `${(thumbIndex / count) * 100}%` }}
+        >
+          {dragIndex !== null && thumbMessage && (
+            <span className="absolute right-full mr-2 -translate-y-1/2 whitespace-nowrap px-2 py-1 rounded bg-gray-900 text-xs text-white shadow">
+              {thumbMessage.date}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TimelineScrubber;
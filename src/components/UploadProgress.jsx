@@ -0,0 +1,44 @@
+import React from 'react';
+
+const PHASE_LABELS = {
+  loading: 'Reading ZIP archive',
+  extracting: 'Extracting files',
+  parsing: 'Parsing messages'
+};
+
+/**
+ * Upload Progress Component
+ * Shows ingest progress reported by the worker with a cancel action
+ */
+function UploadProgress({ progress, onCancel }) {
+  const label = progress ? PHASE_LABELS[progress.phase] || 'Processing' : 'Starting';
+  const percentage = progress && progress.phase === 'extracting' && progress.total > 0
+    ? Math.round((progress.loaded / progress.total) * 100)
+    : null;
+
+  return (
+    <div className="mt-6 space-y-3">
+      <div className="flex items-center justify-between text-sm text-gray-400">
+        <span>
+          {label}
+          {percentage !== null && ` (${progress.loaded}/${progress.total})`}
+        </span>
+        {percentage !== null && <span>{percentage}%</span>}
+      </div>
+      <div className="w-full bg-gray-700 rounded-full h-2 overflow-hidden">
+        <div
+          className={`bg-whatsapp-green h-2 rounded-full transition-all duration-300 ${percentage === null ? 'animate-pulse w-full' : ''}`}
+          style={percentage !== null ? { width: `${percentage}%` } : undefined}
+        />
+      </div>
+      <button
+        onClick={onCancel}
+        className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm text-gray-200"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+export default UploadProgress;
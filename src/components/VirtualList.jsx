@@ -0,0 +1,64 @@
+import React, { forwardRef, useEffect, useImperativeHandle } from 'react';
+import { useVirtualList } from '../hooks/useVirtualList';
+
+/**
+ * Virtual List Component
+ * Scroll container that only mounts the items near the viewport.
+ * Exposes scrollToIndex, getFirstVisibleIndex and getLastVisibleIndex through its ref,
+ * and reports the item at the top of the viewport through onFirstVisibleIndexChange.
+ */
+const VirtualList = forwardRef(function VirtualList({
+  count,
+  estimateSize,
+  renderItem,
+  getItemKey = (index) => index,
+  resetKey,
+  className = '',
+  style,
+  innerClassName = '',
+  onFirstVisibleIndexChange
+}, ref) {
+  const {
+    scrollRef,
+    listRef,
+    virtualItems,
+    totalSize,
+    firstVisibleIndex,
+    measureElement,
+    scrollToIndex,
+    getFirstVisibleIndex,
+    getLastVisibleIndex
+  } = useVirtualList({ count, estimateSize, resetKey });
+
+  useImperativeHandle(
+    ref,
+    () => ({ scrollToIndex, getFirstVisibleIndex, getLastVisibleIndex }),
+    [scrollToIndex, getFirstVisibleIndex, getLastVisibleIndex]
+  );
+
+  useEffect(() => {
+    onFirstVisibleIndexChange?.(firstVisibleIndex);
+  }, [firstVisibleIndex, onFirstVisibleIndexChange]);
+
+  return (
+    <div ref={scrollRef} className={`relative overflow-y-auto ${className}`} style={style}>
+      <div className={innerClassName}>
+        <div ref={listRef} className="relative w-full" style={{ height: totalSize }}>
+          {virtualItems.map(({ index, start }) => (
+            <div
+              key={getItemKey(index)}
+              ref={measureElement}
+              data-index={index}
+              className="absolute left-0 top-0 w-full"
+              style={{ transform: `translateY(${start}px)` }}
+            >
+              {renderItem(index)}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default VirtualList;
@@ -0,0 +1,295 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, InlineBar } from './StatsCharts';
+import { analyzeText, getStopWords, getWordTrend, tokenizeWords } from '../utils/textAnalysis';
+import { TIMELINE_GRANULARITIES } from '../utils/chatStatistics';
+import { getLocales } from '../utils/locales';
+
+const CLOUD_WORDS = 60;
+const LIST_WORDS = 25;
+const CLOUD_MIN_SIZE = 0.8;
+const CLOUD_MAX_SIZE = 2.6;
+const CLOUD_COLORS = ['#22C55E', '#38BDF8', '#FBBF24', '#F472B6', '#A78BFA', '#F87171'];
+
+/**
+ * Dashboard section with a heading
+ */
+function Section({ title, actions, children }) {
+  return (
+    <section className="bg-whatsapp-gray rounded-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-gray-200">{title}</h3>
+        {actions}
+      </div>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Small toggle button group
+ */
+function Toggle({ options, value, onChange }) {
+  return (
+    <div className="flex text-xs">
+      {options.map(option => (
+        <button
+          key={option.value}
+          onClick={() => onChange(option.value)}
+          className={`px-2 py-1 rounded capitalize ${option.value === value ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Word Analysis Component
+ * Top words, phrases, a word cloud, emoji per participant, shared domains and the
+ * use of a chosen word over time. Shown as a tab of the statistics dashboard.
+ */
+function WordAnalysis({ messages, colorMap, onJumpToMessage }) {
+  const locales = useMemo(() => getLocales(), []);
+  const [stopWordLocales, setStopWordLocales] = useState(() => locales.map(locale => locale.code));
+  const [phraseSize, setPhraseSize] = useState(2);
+  const [trendDraft, setTrendDraft] = useState('');
+  const [trendWord, setTrendWord] = useState('');
+  const [granularity, setGranularity] = useState('month');
+
+  const stopWords = useMemo(() => getStopWords(stopWordLocales), [stopWordLocales]);
+  const analysis = useMemo(() => analyzeText(messages, { stopWords }), [messages, stopWords]);
+
+  // Until a word is chosen, follow the most used one
+  const activeTrendWord = trendWord || analysis.topWords[0]?.word || '';
+  const trend = useMemo(
+    () => (activeTrendWord ? getWordTrend(messages, activeTrendWord, granularity) : []),
+    [messages, activeTrendWord, granularity]
+  );
+
+  const cloudWords = useMemo(() => {
+    const words = analysis.topWords.slice(0, CLOUD_WORDS);
+    const max = Math.sqrt(words[0]?.count || 1);
+    const min = Math.sqrt(words[words.length - 1]?.count || 1);
+    // Alphabetical order scatters the large words through the cloud
+    return words
+      .map(entry => ({
+        ...entry,
+        size: max === min
+          ? CLOUD_MAX_SIZE
+          : CLOUD_MIN_SIZE + ((Math.sqrt(entry.count) - min) / (max - min)) * (CLOUD_MAX_SIZE - CLOUD_MIN_SIZE)
+      }))
+      .sort((a, b) => a.word.localeCompare(b.word));
+  }, [analysis]);
+
+  const phrases = phraseSize === 2 ? analysis.topBigrams : analysis.topTrigrams;
+  const topWordCount = analysis.topWords[0]?.count || 0;
+
+  const toggleLocale = (code) => {
+    setStopWordLocales(codes => (codes.includes(code) ? codes.filter(item => item !== code) : [...codes, code]));
+  };
+
+  const followWord = (word) => {
+    setTrendWord(word);
+    setTrendDraft(word);
+  };
+
+  // First message of a trend bucket that uses the word
+  const handleSelectBucket = (bucketIndex) => {
+    const start = trend[bucketIndex].start;
+    const end = trend[bucketIndex + 1]?.start ?? Infinity;
+    const target = tokenizeWords(activeTrendWord)[0];
+    const index = messages.findIndex(message =>
+      message.timestamp >= start && message.timestamp < end && tokenizeWords(message.message).includes(target)
+    );
+    if (index !== -1) onJumpToMessage(index);
+  };
+
+  return (
+    <div className="space-y-4">
+      <section className="bg-whatsapp-gray rounded-lg p-4 text-sm text-gray-300">
+        <p className="text-xs text-gray-400 mb-2">Leave out common words in</p>
+        <div className="flex flex-wrap gap-2">
+          {locales.map(locale => (
+            <label key={locale.code} className="flex items-center space-x-1 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={stopWordLocales.includes(locale.code)}
+                onChange={() => toggleLocale(locale.code)}
+              />
+              <span>{locale.name}</span>
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-gray-400 mt-3">
+          {analysis.totalWords.toLocaleString()} words, {analysis.uniqueWords.toLocaleString()} distinct after
+          leaving out common words. System messages, deleted messages, media placeholders, links and
+          ```code``` are not counted.
+        </p>
+      </section>
+
+      <Section title="Word cloud">
+        {cloudWords.length === 0 ? (
+          <p className="text-sm text-gray-400">No words to show</p>
+        ) : (
+          <div className="flex flex-wrap items-center justify-center gap-x-3 gap-y-1 py-2">
+            {cloudWords.map((entry, index) => (
+              <button
+                key={entry.word}
+                onClick={() => followWord(entry.word)}
+                className="leading-tight hover:underline"
+                style={{
+                  fontSize: `${entry.size}rem`,
+                  color: CLOUD_COLORS[index % CLOUD_COLORS.length]
+                }}
+                title={`${entry.word}: ${entry.count.toLocaleString()} times`}
+              >
+                {entry.word}
+              </button>
+            ))}
+          </div>
+        )}
+      </Section>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Section title="Top words">
+          <ol className="space-y-1 text-sm">
+            {analysis.topWords.slice(0, LIST_WORDS).map(entry => (
+              <li key={entry.word} className="flex items-center space-x-3">
+                <button onClick={() => followWord(entry.word)} className="w-32 flex-shrink-0 text-left text-gray-200 truncate hover:underline">
+                  {entry.word}
+                </button>
+                <InlineBar value={entry.count} max={topWordCount} />
+                <span className="w-14 flex-shrink-0 text-right text-gray-400 tabular-nums">{entry.count.toLocaleString()}</span>
+              </li>
+            ))}
+          </ol>
+        </Section>
+
+        <Section
+          title="Top phrases"
+          actions={
+            <Toggle
+              options={[{ value: 2, label: '2 words' }, { value: 3, label: '3 words' }]}
+              value={phraseSize}
+              onChange={setPhraseSize}
+            />
+          }
+        >
+          {phrases.length === 0 ? (
+            <p className="text-sm text-gray-400">No repeated phrases</p>
+          ) : (
+            <ol className="space-y-1 text-sm">
+              {phrases.slice(0, LIST_WORDS).map(entry => (
+                <li key={entry.phrase} className="flex items-center space-x-3">
+                  <span className="w-48 flex-shrink-0 text-gray-200 truncate">{entry.phrase}</span>
+                  <InlineBar value={entry.count} max={phrases[0].count} />
+                  <span className="w-14 flex-shrink-0 text-right text-gray-400 tabular-nums">{entry.count.toLocaleString()}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </Section>
+      </div>
+
+      <Section
+        title={activeTrendWord ? `“${activeTrendWord}” over time` : 'Word over time'}
+        actions={
+          <div className="flex items-center space-x-3">
+            <form
+              onSubmit={(event) => {
+                event.preventDefault();
+                setTrendWord(trendDraft.trim());
+              }}
+            >
+              <input
+                type="search"
+                value={trendDraft}
+                onChange={(event) => setTrendDraft(event.target.value)}
+                placeholder="Follow a word…"
+                className="bg-gray-700 text-white text-sm rounded px-2 py-1 w-40"
+              />
+            </form>
+            <Toggle
+              options={TIMELINE_GRANULARITIES.map(option => ({ value: option, label: option }))}
+              value={granularity}
+              onChange={setGranularity}
+            />
+          </div>
+        }
+      >
+        <BarChart
+          data={trend.map(bucket => {
+            const label = new Date(bucket.start).toLocaleDateString(undefined, granularity === 'month'
+              ? { year: 'numeric', month: 'short' }
+              : { year: 'numeric', month: 'short', day: 'numeric' });
+            return {
+              value: bucket.count,
+              label,
+              title: `${granularity === 'week' ? 'Week of ' : ''}${label}: ${bucket.count.toLocaleString()} times`
+            };
+          })}
+          onSelect={handleSelectBucket}
+        />
+      </Section>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Section title="Emoji">
+          {analysis.topEmoji.length === 0 ? (
+            <p className="text-sm text-gray-400">No emoji used</p>
+          ) : (
+            <div className="space-y-4">
+              <div className="flex flex-wrap gap-3">
+                {analysis.topEmoji.map(entry => (
+                  <span key={entry.emoji} className="flex flex-col items-center" title={`${entry.count.toLocaleString()} times`}>
+                    <span className="text-2xl">{entry.emoji}</span>
+                    <span className="text-xs text-gray-400 tabular-nums">{entry.count.toLocaleString()}</span>
+                  </span>
+                ))}
+              </div>
+              <ul className="space-y-2 text-sm">
+                {analysis.emojiByParticipant.map(participant => (
+                  <li key={participant.name} className="flex items-center space-x-3">
+                    <span className="w-32 flex-shrink-0 truncate" style={{ color: colorMap[participant.name] || '#D1D5DB' }}>
+                      {participant.name}
+                    </span>
+                    <span className="w-12 flex-shrink-0 text-right text-gray-400 tabular-nums">{participant.total.toLocaleString()}</span>
+                    <span className="flex flex-wrap gap-x-2 text-base">
+                      {participant.top.map(entry => (
+                        <span key={entry.emoji} title={`${entry.count.toLocaleString()} times`}>{entry.emoji}</span>
+                      ))}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </Section>
+
+        <Section title="Most shared sites">
+          {analysis.domains.length === 0 ? (
+            <p className="text-sm text-gray-400">No links shared</p>
+          ) : (
+            <ol className="space-y-1 text-sm">
+              {analysis.domains.map(entry => (
+                <li key={entry.domain} className="flex items-center space-x-3">
+                  <button
+                    onClick={() => onJumpToMessage(entry.lastIndex)}
+                    className="w-48 flex-shrink-0 text-left text-blue-300 truncate hover:underline"
+                    title="Jump to the latest link"
+                  >
+                    {entry.domain}
+                  </button>
+                  <InlineBar value={entry.count} max={analysis.domains[0].count} />
+                  <span className="w-14 flex-shrink-0 text-right text-gray-400 tabular-nums">{entry.count.toLocaleString()}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </Section>
+      </div>
+    </div>
+  );
+}
+
+export default WordAnalysis;
@@ -159,7 +159,6 @@ const ZipUploader = ({ onUploadSuccess, onUploadError }) => {
           {!error && !isUploading && !isProcessing && (
             <div className="text-xs text-gray-500 dark:text-gray-400 space-y-1">
               <p>• Export your WhatsApp chat with "Attach media" option</p>
-              <p>• Maximum file size: 500MB</p>
               <p>• Supported format: ZIP files only</p>
             </div>
           )}
@@ -0,0 +1,109 @@
+import React, { useState, useRef } from 'react';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+const WHEEL_ZOOM_STEP = 0.0015;
+
+/**
+ * Keep a scale inside the allowed range
+ * @param {number} scale - Requested scale
+ * @returns {number} - Clamped scale
+ */
+function clampScale(scale) {
+  return Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+}
+
+/**
+ * Zoomable Image Component
+ * Scroll-wheel and pinch zoom, drag to pan, double-click to toggle 2x.
+ * Remount it (via key) to reset the view for another image.
+ */
+function ZoomableImage({ src, alt, rotation = 0, onError }) {
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+
+  const zoomBy = (factor) => {
+    setView(current => {
+      const scale = clampScale(current.scale * factor);
+      return scale === 1 ? { scale, x: 0, y: 0 } : { ...current, scale };
+    });
+  };
+
+  const handleWheel = (e) => {
+    zoomBy(Math.exp(-e.deltaY * WHEEL_ZOOM_STEP));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    gestureRef.current = null;
+  };
+
+  const handlePointerMove = (e) => {
+    const pointers = pointersRef.current;
+    if (!pointers.has(e.pointerId)) return;
+
+    const previous = pointers.get(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 2) {
+      // Pinch: scale by the change in distance between the two fingers
+      const [a, b] = [...pointers.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      if (gestureRef.current) {
+        zoomBy(distance / gestureRef.current);
+      }
+      gestureRef.current = distance;
+    } else if (pointers.size === 1) {
+      // Pan only makes sense once zoomed in
+      setView(current => (
+        current.scale === 1
+          ? current
+          : { ...current, x: current.x + e.clientX - previous.x, y: current.y + e.clientY - previous.y }
+      ));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    gestureRef.current = null;
+  };
+
+  const handleDoubleClick = () => {
+    setView(current => (current.scale === 1 ? { ...current, scale: 2 } : { scale: 1, x: 0, y: 0 }));
+  };
+
+  return (
+    <div
+      className={`w-full h-full flex items-center justify-center overflow-hidden touch-none select-none ${
+        view.scale > 1 ? 'cursor-grab active:cursor-grabbing' : 'cursor-zoom-in'
+      }`}
+      onWheel={handleWheel}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onDoubleClick={handleDoubleClick}
+    >
+      <img
+        src={src}
+        alt={alt}
+        draggable={false}
+        className="max-w-full max-h-full w-auto h-auto object-contain rounded-lg"
+        style={{
+          maxHeight: '80vh',
+          transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale}) rotate(${rotation}deg)`
+        }}
+        onError={onError}
+      />
+      {view.scale > 1 && (
+        <span className="absolute top-4 left-4 px-2 py-1 rounded bg-black bg-opacity-50 text-xs text-white">
+          {Math.round(view.scale * 100)}%
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default ZoomableImage;
@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Hook to lazily resolve an attachment to an object URL
+ * Decompression only starts once enabled (e.g. when the bubble scrolls into view).
+ * The URL is held while the component uses it and released on unmount or change.
+ * @param {Object} fileSource - Lazy file source such as ZipHandler
+ * @param {string|null} filename - Attachment filename
+ * @param {boolean} enabled - Whether to load now
+ * @returns {Object} - { url, error }
+ */
+export function useAttachmentUrl(fileSource, filename, enabled = true) {
+  const [state, setState] = useState({ filename: null, url: null, error: null });
+
+  useEffect(() => {
+    if (!fileSource || !filename || !enabled) return;
+
+    let cancelled = false;
+    let acquired = false;
+
+    fileSource.acquireObjectUrl(filename)
+      .then(url => {
+        if (cancelled) {
+          if (url) fileSource.releaseObjectUrl(filename);
+          return;
+        }
+        acquired = Boolean(url);
+        setState({ filename, url, error: null });
+      })
+      .catch(error => {
+        console.warn(`Failed to load attachment: ${filename}`, error);
+        if (!cancelled) setState({ filename, url: null, error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+      if (acquired) fileSource.releaseObjectUrl(filename);
+    };
+  }, [fileSource, filename, enabled]);
+
+  // Ignore results that belong to a previous filename
+  return state.filename === filename
+    ? { url: state.url, error: state.error }
+    : { url: null, error: null };
+}
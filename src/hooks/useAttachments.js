@@ -1,45 +1,119 @@
-import { useState, useCallback, useMemo } from 'react';
-import { getFileType, canPreview, getComponentType, formatFileSize } from '../utils/fileTypeDetector';
-import { ObjectURLManager } from '../utils/performanceUtils';
+import { useCallback, useMemo } from 'react';
+import { saveAs } from 'file-saver';
+import { canPreview, getComponentType, formatFileSize } from '../utils/fileTypeDetector';
+import { extractLinks } from '../utils/messageFormatter';
+
+export const ATTACHMENT_SORTS = {
+  NEWEST: 'newest',
+  OLDEST: 'oldest',
+  LARGEST: 'largest',
+  SMALLEST: 'smallest'
+};
+
+/**
+ * Compare two items for a sort order
+ * @param {string} sortBy - One of ATTACHMENT_SORTS
+ * @returns {Function} - Comparator
+ */
+function getComparator(sortBy) {
+  switch (sortBy) {
+    case ATTACHMENT_SORTS.OLDEST:
+      return (a, b) => a.messageIndex - b.messageIndex;
+    case ATTACHMENT_SORTS.LARGEST:
+      return (a, b) => (b.size ?? -1) - (a.size ?? -1) || b.messageIndex - a.messageIndex;
+    case ATTACHMENT_SORTS.SMALLEST:
+      return (a, b) => (a.size ?? Infinity) - (b.size ?? Infinity) || b.messageIndex - a.messageIndex;
+    default:
+      return (a, b) => b.messageIndex - a.messageIndex;
+  }
+}
+
+/**
+ * Get the host of a link for display
+ * @param {string} href - Link URL
+ * @returns {string} - Host name without www.
+ */
+function getDomain(href) {
+  try {
+    return new URL(href).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Collect the links shared in message text
+ * @param {Array} messages - Parsed messages
+ * @returns {Array} - Links with the message they were shared in
+ */
+function collectLinks(messages) {
+  const linkList = [];
+
+  messages.forEach((message, messageIndex) => {
+    if (message.type === 'system' || message.deleted) return;
+
+    extractLinks(message.message).forEach(link => {
+      linkList.push({
+        href: link.href,
+        text: link.text,
+        domain: getDomain(link.href),
+        messageIndex,
+        sender: message.sender,
+        date: message.date,
+        timestamp: message.timestamp
+      });
+    });
+  });
+
+  return linkList;
+}
+
+/**
+ * Custom hook for the links shared in a chat
+ * Every message has to be tokenized, so links are only collected once they are shown.
+ * @param {Array} messages - Parsed messages
+ * @param {boolean} enabled - Whether the links are needed yet
+ * @returns {Array|null} - Links, or null while disabled
+ */
+export function useLinks(messages, enabled) {
+  return useMemo(() => (enabled ? collectLinks(messages) : null), [messages, enabled]);
+}
 
 /**
  * Custom hook for managing attachments
- * @param {Map} files - Map of extracted files
+ * Attachments are collected from the messages that carry them, so every item knows
+ * which message to jump to; contents are only read through fileSource on demand.
+ * @param {Array} messages - Parsed messages
+ * @param {Object} fileSource - Lazy file source such as ZipHandler
  * @returns {Object} - Attachment utilities and state
  */
-export function useAttachments(files) {
-  const [urlManager] = useState(() => new ObjectURLManager());
-  const [previewUrl, setPreviewUrl] = useState(null);
-  const [isPreviewOpen, setIsPreviewOpen] = useState(false);
-
+export function useAttachments(messages, fileSource) {
   // Process attachments
   const attachments = useMemo(() => {
-    if (!files || files.size === 0) return [];
-
     const attachmentList = [];
-    
-    files.forEach((blob, filename) => {
-      const type = getFileType(filename);
-      const canBePreviewed = canPreview(filename);
-      const componentType = getComponentType(filename);
-      const size = formatFileSize(blob.size);
-      
-      // Create object URL for the file
-      const url = urlManager.createURL(blob, filename);
+
+    messages.forEach((message, messageIndex) => {
+      const { attachment } = message;
+      if (!attachment || message.deleted) return;
 
       attachmentList.push({
-        filename,
-        type,
-        componentType,
-        canPreview: canBePreviewed,
-        size,
-        url,
-        blob
+        filename: attachment.filename,
+        type: attachment.type,
+        componentType: getComponentType(attachment.filename),
+        canPreview: canPreview(attachment.filename),
+        size: attachment.size ?? null,
+        sizeLabel: attachment.size !== undefined ? formatFileSize(attachment.size) : '',
+        messageIndex,
+        sender: message.sender,
+        date: message.date,
+        time: message.time,
+        timestamp: message.timestamp,
+        caption: message.message
       });
     });
 
     return attachmentList;
-  }, [files, urlManager]);
+  }, [messages]);
 
   // Group attachments by type
   const groupedAttachments = useMemo(() => {
@@ -68,41 +142,16 @@ export function useAttachments(files) {
     return attachments.find(att => att.filename === filename) || null;
   }, [attachments]);
 
-  /**
-   * Preview an attachment
-   * @param {string} filename - Name of the file to preview
-   */
-  const previewAttachment = useCallback((filename) => {
-    const attachment = getAttachment(filename);
-    if (attachment && attachment.canPreview) {
-      setPreviewUrl(attachment.url);
-      setIsPreviewOpen(true);
-    }
-  }, [getAttachment]);
-
-  /**
-   * Close preview
-   */
-  const closePreview = useCallback(() => {
-    setPreviewUrl(null);
-    setIsPreviewOpen(false);
-  }, []);
-
   /**
    * Download an attachment
    * @param {string} filename - Name of the file to download
    */
-  const downloadAttachment = useCallback((filename) => {
-    const attachment = getAttachment(filename);
-    if (attachment) {
-      const link = document.createElement('a');
-      link.href = attachment.url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+  const downloadAttachment = useCallback(async (filename) => {
+    const blob = await fileSource?.getFile(filename);
+    if (blob) {
+      saveAs(blob, filename.split('/').pop());
     }
-  }, [getAttachment]);
+  }, [fileSource]);
 
   /**
    * Get attachments by type
@@ -127,12 +176,22 @@ export function useAttachments(files) {
     );
   }, [attachments]);
 
+  /**
+   * Sort a list of attachments or links
+   * @param {Array} items - Items from this hook
+   * @param {string} sortBy - One of ATTACHMENT_SORTS
+   * @returns {Array} - Sorted copy
+   */
+  const sortItems = useCallback((items, sortBy) => {
+    return [...items].sort(getComparator(sortBy));
+  }, []);
+
   /**
    * Get total size of all attachments
    * @returns {string} - Formatted total size
    */
   const getTotalSize = useCallback(() => {
-    const totalBytes = attachments.reduce((sum, att) => sum + att.blob.size, 0);
+    const totalBytes = attachments.reduce((sum, att) => sum + (att.size || 0), 0);
     return formatFileSize(totalBytes);
   }, [attachments]);
 
@@ -155,31 +214,18 @@ export function useAttachments(files) {
     return stats;
   }, [attachments, getTotalSize]);
 
-  /**
-   * Clean up resources
-   */
-  const cleanup = useCallback(() => {
-    urlManager.revokeAll();
-    setPreviewUrl(null);
-    setIsPreviewOpen(false);
-  }, [urlManager]);
-
   return {
     // State
     attachments,
     groupedAttachments,
-    previewUrl,
-    isPreviewOpen,
-    
+
     // Actions
     getAttachment,
-    previewAttachment,
-    closePreview,
     downloadAttachment,
     getAttachmentsByType,
     searchAttachments,
+    sortItems,
     getTotalSize,
-    getStatistics,
-    cleanup
+    getStatistics
   };
 }
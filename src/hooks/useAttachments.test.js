@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { useAttachments, useLinks, ATTACHMENT_SORTS } from './useAttachments';
+import { createMessage, createSystemMessage, renderHook } from '../test/fixtures';
+
+const MESSAGES = [
+  createSystemMessage('Alice changed the group description to www.group.example'),
+  createMessage('Alice', '', { attachment: { filename: 'IMG-1.jpg', type: 'image', size: 2048 } }),
+  createMessage('Bob', 'read https://www.example.com/a and docs.test.org'),
+  createMessage('Bob', 'At the beach', {
+    date: '19/10/2026',
+    time: '12:05',
+    attachment: { filename: 'VID-1.mp4', type: 'video', size: 10 }
+  }),
+  createMessage('Alice', 'This message was deleted', {
+    deleted: true,
+    attachment: { filename: 'IMG-2.jpg', type: 'image', size: 1 }
+  }),
+  createMessage('Alice', '', { attachment: { filename: 'notes.pdf', type: 'document' } })
+];
+
+describe('useAttachments', () => {
+  it('collects attachments with the message they belong to', () => {
+    const { attachments, groupedAttachments } = renderHook(() => useAttachments(MESSAGES, null));
+
+    expect(attachments.map(item => [item.filename, item.messageIndex, item.sender])).toEqual([
+      ['IMG-1.jpg', 1, 'Alice'],
+      ['VID-1.mp4', 3, 'Bob'],
+      ['notes.pdf', 5, 'Alice']
+    ]);
+    expect(attachments[0].sizeLabel).toBe('2 KB');
+    expect(attachments[2]).toMatchObject({ size: null, sizeLabel: '' });
+    expect(groupedAttachments.image).toHaveLength(1);
+    expect(groupedAttachments.document).toHaveLength(1);
+  });
+
+  it('keeps the caption and time shown in the viewer', () => {
+    const { attachments } = renderHook(() => useAttachments(MESSAGES, null));
+    expect(attachments[1]).toMatchObject({ caption: 'At the beach', date: '19/10/2026', time: '12:05' });
+  });
+
+  it('sorts by message order or size', () => {
+    const { attachments, sortItems } = renderHook(() => useAttachments(MESSAGES, null));
+    const names = (sortBy) => sortItems(attachments, sortBy).map(item => item.filename);
+
+    expect(names(ATTACHMENT_SORTS.NEWEST)).toEqual(['notes.pdf', 'VID-1.mp4', 'IMG-1.jpg']);
+    expect(names(ATTACHMENT_SORTS.OLDEST)).toEqual(['IMG-1.jpg', 'VID-1.mp4', 'notes.pdf']);
+    expect(names(ATTACHMENT_SORTS.LARGEST)).toEqual(['IMG-1.jpg', 'VID-1.mp4', 'notes.pdf']);
+    expect(names(ATTACHMENT_SORTS.SMALLEST)).toEqual(['VID-1.mp4', 'IMG-1.jpg', 'notes.pdf']);
+  });
+});
+
+describe('useLinks', () => {
+  it('collects nothing until enabled', () => {
+    expect(renderHook(() => useLinks(MESSAGES, false))).toBeNull();
+  });
+
+  it('lists links from message text but not from system messages', () => {
+    const links = renderHook(() => useLinks(MESSAGES, true));
+
+    expect(links.map(link => [link.domain, link.messageIndex])).toEqual([
+      ['example.com', 2],
+      ['docs.test.org', 2]
+    ]);
+  });
+});
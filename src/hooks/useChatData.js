@@ -1,5 +1,7 @@
 import { useState, useCallback, useMemo } from 'react';
-import { parseChat, formatMessageText, groupMessagesByDate, getDateRange } from '../utils/chatParser';
+import { parseChat, groupMessagesByDate, getDateRange } from '../utils/chatParser';
+import { tokenizeMessage } from '../utils/messageFormatter';
+import { computeChatStatistics } from '../utils/chatStatistics';
 import { ObjectURLManager } from '../utils/performanceUtils';
 
 /**
@@ -70,19 +72,17 @@ export function useChatData(chatContent, files) {
   );
 
   const statistics = useMemo(() => ({
-    totalMessages: messages.length,
-    totalAttachments: messages.filter(msg => msg.attachment).length,
-    uniqueSenders: [...new Set(messages.map(msg => msg.sender))].length,
+    ...computeChatStatistics(messages),
     dateRange
   }), [messages, dateRange]);
 
   /**
-   * Format message text for display
+   * Tokenize message text for display with FormattedText
    * @param {string} text - Raw message text
-   * @returns {string} - Formatted HTML
+   * @returns {Array} - Formatting nodes
    */
   const formatMessage = useCallback((text) => {
-    return formatMessageText(text);
+    return tokenizeMessage(text);
   }, []);
 
   /**
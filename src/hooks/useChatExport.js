@@ -0,0 +1,106 @@
+import { useState, useRef, useCallback } from 'react';
+import { saveAs } from 'file-saver';
+import { exportChatHtml, HTML_EXPORT_MODES } from '../utils/htmlExport';
+import { exportChatPdf, filterMessagesByDate } from '../utils/pdfExport';
+import { exportChatData, DATA_EXPORT_FORMATS } from '../utils/dataExport';
+
+/**
+ * Get a file-system friendly base name for exports
+ * @param {string|null} chatFileName - Chat file name inside the ZIP
+ * @returns {string} - Base name without extension
+ */
+export function getExportBaseName(chatFileName) {
+  const name = (chatFileName || 'WhatsApp Chat').split('/').pop().replace(/\.txt$/i, '');
+  return name.replace(/[\\/:*?"<>|]/g, '_').trim() || 'WhatsApp Chat';
+}
+
+/**
+ * Hook that runs chat exports and tracks their progress
+ * @param {Object} chat - Loaded chat
+ * @param {Array} chat.messages - Parsed messages
+ * @param {Object} chat.fileSource - Attachment source (ZipHandler)
+ * @param {string|null} chat.chatFileName - Chat file name inside the ZIP
+ * @param {string|null} chat.ownerName - Participant shown on the right
+ * @param {Object} chat.colorMap - Sender name to colour
+ * @returns {Object} - { exportChat, cancelExport, isExporting, progress, error, clearError }
+ */
+export function useChatExport({ messages, fileSource, chatFileName, ownerName, colorMap }) {
+  const [isExporting, setIsExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  /**
+   * Run an export and save the result
+   * @param {string} format - Export format
+   * @param {Object} [options] - Format options: { from, to } for PDF, { includeSystem } for data formats
+   */
+  const exportChat = useCallback(async (format, options = {}) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const baseName = getExportBaseName(chatFileName);
+
+    setIsExporting(true);
+    setProgress(null);
+    setError(null);
+
+    try {
+      switch (format) {
+        case 'html':
+        case 'html-folder': {
+          const mode = format === 'html' ? HTML_EXPORT_MODES.SINGLE_FILE : HTML_EXPORT_MODES.FOLDER;
+          const blob = await exportChatHtml(messages, fileSource, {
+            mode,
+            title: baseName,
+            ownerName,
+            colorMap,
+            onProgress: setProgress,
+            signal: controller.signal
+          });
+          saveAs(blob, mode === HTML_EXPORT_MODES.FOLDER ? `${baseName}.zip` : `${baseName}.html`);
+          break;
+        }
+        case 'pdf': {
+          const rangeMessages = filterMessagesByDate(messages, options.from ?? null, options.to ?? null);
+          const blob = await exportChatPdf(rangeMessages, fileSource, {
+            title: baseName,
+            ownerName,
+            colorMap,
+            onProgress: setProgress,
+            signal: controller.signal
+          });
+          saveAs(blob, `${baseName}.pdf`);
+          break;
+        }
+        case 'json':
+        case 'ndjson':
+        case 'csv': {
+          const blob = exportChatData(messages, format, {
+            chatName: baseName,
+            includeSystem: options.includeSystem ?? true
+          });
+          saveAs(blob, `${baseName}.${DATA_EXPORT_FORMATS[format].extension}`);
+          break;
+        }
+        default:
+          throw new Error(`Unknown export format: ${format}`);
+      }
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        setError(err.message);
+      }
+    } finally {
+      abortRef.current = null;
+      setIsExporting(false);
+      setProgress(null);
+    }
+  }, [messages, fileSource, chatFileName, ownerName, colorMap]);
+
+  const cancelExport = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return { exportChat, cancelExport, isExporting, progress, error, clearError };
+}
@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  isLibrarySupported,
+  listChats,
+  saveChat,
+  loadChat,
+  deleteChat,
+  updateChatMessages,
+  requestPersistentStorage
+} from '../utils/chatLibrary';
+
+const ENABLED_KEY = 'whatsview:library:enabled';
+
+/**
+ * Read the saved opt-in preference
+ * @returns {boolean} - True if the user turned the library on
+ */
+function readEnabled() {
+  try {
+    return localStorage.getItem(ENABLED_KEY) === 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Hook for the opt-in local chat library
+ * @returns {Object} - Library state and actions
+ */
+export function useChatLibrary() {
+  const isSupported = isLibrarySupported();
+  const [isEnabled, setIsEnabled] = useState(() => isSupported && readEnabled());
+  const [chats, setChats] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!isSupported) return;
+
+    try {
+      setChats(await listChats());
+    } catch (err) {
+      setError(`Could not read the chat library: ${err.message}`);
+    }
+  }, [isSupported]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const setEnabled = useCallback((enabled) => {
+    setIsEnabled(enabled);
+    try {
+      localStorage.setItem(ENABLED_KEY, String(enabled));
+    } catch (err) {
+      console.warn('Could not save library preference', err);
+    }
+    if (enabled) {
+      requestPersistentStorage();
+    }
+  }, []);
+
+  /**
+   * Save a chat if the library is enabled
+   * @param {Object} chat - See saveChat
+   * @returns {Promise<Object|null>} - Saved record, or null if not saved
+   */
+  const save = useCallback(async (chat) => {
+    if (!isSupported || !isEnabled) return null;
+
+    try {
+      const record = await saveChat(chat);
+      await refresh();
+      return record;
+    } catch (err) {
+      setError(`Could not save the chat to this device: ${err.message}`);
+      return null;
+    }
+  }, [isSupported, isEnabled, refresh]);
+
+  /**
+   * Open a saved chat
+   * @param {string} id - Chat id
+   * @returns {Promise<Object>} - See loadChat
+   */
+  const open = useCallback(async (id) => {
+    const result = await loadChat(id);
+    refresh();
+    return result;
+  }, [refresh]);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteChat(id);
+      await refresh();
+    } catch (err) {
+      setError(`Could not delete the chat: ${err.message}`);
+    }
+  }, [refresh]);
+
+  const updateMessages = useCallback(async (id, messages, dateOrder) => {
+    try {
+      await updateChatMessages(id, messages, dateOrder);
+      await refresh();
+    } catch (err) {
+      setError(`Could not update the saved chat: ${err.message}`);
+    }
+  }, [refresh]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    isSupported,
+    isEnabled,
+    setEnabled,
+    chats,
+    error,
+    clearError,
+    save,
+    open,
+    remove,
+    updateMessages
+  };
+}
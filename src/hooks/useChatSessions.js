@@ -0,0 +1,73 @@
+import { useState, useCallback } from 'react';
+
+let nextSessionId = 1;
+
+/**
+ * Hook that holds every loaded chat and which one is shown
+ * Each session owns its ZipHandler and remembers its view (scroll position,
+ * search query, read position) while another chat is active.
+ * @returns {Object} - Sessions, the active session and actions
+ */
+export function useChatSessions() {
+  const [sessions, setSessions] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+
+  /**
+   * Add a loaded chat and show it
+   * @param {Object} chat - { name, chatText, messages, searchIndex, dateFormat, dateOrder, chatFileName, zipHandler, libraryChatId },
+   * plus { sources, mergeReport } for a chat merged from several exports
+   * @returns {string} - Session id
+   */
+  const addSession = useCallback((chat) => {
+    const id = `chat-${nextSessionId++}`;
+    setSessions(current => [...current, {
+      dateOrder: null,
+      libraryChatId: null,
+      ...chat,
+      id,
+      view: null,
+      readIndex: -1
+    }]);
+    setActiveId(id);
+    return id;
+  }, []);
+
+  /**
+   * Merge changes into a session
+   * @param {string} id - Session id
+   * @param {Object} changes - Fields to replace
+   */
+  const updateSession = useCallback((id, changes) => {
+    setSessions(current => current.map(session => (
+      session.id === id ? { ...session, ...changes } : session
+    )));
+  }, []);
+
+  /**
+   * Close a session and release its archive
+   * @param {string} id - Session id
+   */
+  const closeSession = useCallback((id) => {
+    const index = sessions.findIndex(session => session.id === id);
+    if (index === -1) return;
+
+    sessions[index].zipHandler?.cleanup();
+    const remaining = sessions.filter(session => session.id !== id);
+    setSessions(current => current.filter(session => session.id !== id));
+    if (activeId === id) {
+      setActiveId(remaining[Math.min(index, remaining.length - 1)]?.id ?? null);
+    }
+  }, [sessions, activeId]);
+
+  const activeSession = sessions.find(session => session.id === activeId) || null;
+
+  return {
+    sessions,
+    activeSession,
+    activeId,
+    setActiveId,
+    addSession,
+    updateSession,
+    closeSession
+  };
+}
@@ -0,0 +1,31 @@
+import { useState, useMemo, useDeferredValue } from 'react';
+import { parseSearchQuery, isEmptyQuery } from '../utils/searchIndex';
+import { searchAllChats } from '../utils/globalSearch';
+
+/**
+ * Hook for searching all loaded chats at once
+ * @param {Array} chats - Chats as { id, name, messages, searchIndex }
+ * @returns {Object} - { query, setQuery, parsedQuery, isActive, groups, totalCount }
+ */
+export function useGlobalSearch(chats) {
+  const [query, setQuery] = useState('');
+  const deferredQuery = useDeferredValue(query);
+
+  const parsedQuery = useMemo(() => parseSearchQuery(deferredQuery), [deferredQuery]);
+
+  const groups = useMemo(() => searchAllChats(chats, parsedQuery), [chats, parsedQuery]);
+
+  const totalCount = useMemo(
+    () => groups.reduce((sum, group) => sum + group.total, 0),
+    [groups]
+  );
+
+  return {
+    query,
+    setQuery,
+    parsedQuery,
+    isActive: !isEmptyQuery(parsedQuery),
+    groups,
+    totalCount
+  };
+}
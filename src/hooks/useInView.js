@@ -0,0 +1,34 @@
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * Hook that reports once an element has come near the viewport
+ * Stays true afterwards, so loaded content is not thrown away on scroll.
+ * @param {string} [rootMargin] - Margin around the viewport that counts as visible
+ * @returns {Array} - [ref, hasBeenInView]
+ */
+export function useInView(rootMargin = '200px') {
+  const ref = useRef(null);
+  const [inView, setInView] = useState(false);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || inView) return;
+
+    if (typeof IntersectionObserver === 'undefined') {
+      setInView(true);
+      return;
+    }
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setInView(true);
+        observer.disconnect();
+      }
+    }, { rootMargin });
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [rootMargin, inView]);
+
+  return [ref, inView];
+}
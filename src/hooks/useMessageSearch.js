@@ -0,0 +1,62 @@
+import { useState, useMemo, useCallback, useDeferredValue } from 'react';
+import { parseSearchQuery, searchMessages, isEmptyQuery } from '../utils/searchIndex';
+
+/**
+ * Hook for searching the loaded chat and stepping through results
+ * @param {Array} messages - Parsed messages
+ * @param {Object|null} searchIndex - Index from buildSearchIndex
+ * @param {Object} [initialState] - { query, activeResult } to restore a previous search
+ * @returns {Object} - Query state, results and navigation helpers
+ */
+export function useMessageSearch(messages, searchIndex, initialState = null) {
+  const [query, setQuery] = useState(initialState?.query || '');
+  const [activeResult, setActiveResult] = useState(initialState?.activeResult || 0);
+  const deferredQuery = useDeferredValue(query);
+
+  const parsedQuery = useMemo(() => parseSearchQuery(deferredQuery), [deferredQuery]);
+
+  const results = useMemo(
+    () => searchMessages(searchIndex, messages, parsedQuery),
+    [searchIndex, messages, parsedQuery]
+  );
+
+  // Message index -> position in results, for highlighting rows
+  const resultPositions = useMemo(
+    () => new Map(results.map((messageIndex, position) => [messageIndex, position])),
+    [results]
+  );
+
+  const updateQuery = useCallback((value) => {
+    setQuery(value);
+    setActiveResult(0);
+  }, []);
+
+  /**
+   * Move to the next or previous result, wrapping around
+   * @param {number} step - 1 for next, -1 for previous
+   * @returns {number|null} - Message index of the new active result
+   */
+  const goToResult = useCallback((step) => {
+    if (!results.length) return null;
+    const position = (activeResult + step + results.length) % results.length;
+    setActiveResult(position);
+    return results[position];
+  }, [results, activeResult]);
+
+  const clearSearch = useCallback(() => {
+    setQuery('');
+    setActiveResult(0);
+  }, []);
+
+  return {
+    query,
+    setQuery: updateQuery,
+    parsedQuery,
+    isActive: !isEmptyQuery(parsedQuery),
+    results,
+    resultPositions,
+    activeResult: Math.min(activeResult, Math.max(results.length - 1, 0)),
+    goToResult,
+    clearSearch
+  };
+}
@@ -0,0 +1,258 @@
+import { useState, useRef, useMemo, useCallback, useEffect, useLayoutEffect } from 'react';
+
+// How long a jump keeps correcting itself while measurements arrive
+const PENDING_SCROLL_MS = 1000;
+
+/**
+ * Find the last index whose offset is at or before a position
+ * @param {Float64Array} offsets - Prefix sums of item sizes (length count + 1)
+ * @param {number} position - Position in pixels
+ * @returns {number} - Item index
+ */
+function findIndexAtOffset(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 2;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return Math.max(0, low);
+}
+
+/**
+ * Custom hook for windowed rendering of variable-height lists
+ * Only items near the viewport are returned; heights are measured as items mount
+ * @param {Object} options - List options
+ * @param {number} options.count - Number of items
+ * @param {Function} options.estimateSize - (index) => estimated height in pixels, must be stable
+ * @param {number} [options.overscan] - Extra pixels rendered above and below the viewport
+ * @param {*} [options.resetKey] - Measurements are discarded when this changes
+ * @returns {Object} - Refs, visible items and scroll helpers
+ */
+export function useVirtualList({ count, estimateSize, overscan = 800, resetKey }) {
+  const scrollRef = useRef(null);
+  const listRef = useRef(null);
+  const sizesRef = useRef(null);
+  const offsetsRef = useRef(null);
+  const pendingScrollRef = useRef(null);
+  const frameRef = useRef(null);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+  // Measured heights by index; the observer fills the array in place and replaces the
+  // wrapper object, so offsets recompute without copying every size
+  const [measurements, setMeasurements] = useState(() => ({ resetKey, sizes: [] }));
+
+  // Discard measurements when the underlying data changes
+  if (measurements.resetKey !== resetKey) {
+    setMeasurements({ resetKey, sizes: [] });
+  }
+  sizesRef.current = measurements.sizes;
+
+  const offsets = useMemo(() => {
+    const { sizes } = measurements;
+    const result = new Float64Array(count + 1);
+    for (let i = 0; i < count; i++) {
+      result[i + 1] = result[i] + (sizes[i] ?? estimateSize(i));
+    }
+    return result;
+  }, [count, estimateSize, measurements]);
+
+  offsetsRef.current = offsets;
+
+  /**
+   * Distance from the top of the scroll content to the top of the list
+   * @returns {number} - Offset in pixels
+   */
+  const getListTop = useCallback(() => {
+    return listRef.current ? listRef.current.offsetTop : 0;
+  }, []);
+
+  const updateViewport = useCallback(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+    setViewport(current => (
+      current.scrollTop === element.scrollTop && current.height === element.clientHeight
+        ? current
+        : { scrollTop: element.scrollTop, height: element.clientHeight }
+    ));
+  }, []);
+
+  // Track scroll position and viewport size
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    const handleScroll = () => {
+      if (frameRef.current) return;
+      frameRef.current = requestAnimationFrame(() => {
+        frameRef.current = null;
+        updateViewport();
+      });
+    };
+
+    const resizeObserver = new ResizeObserver(updateViewport);
+    resizeObserver.observe(element);
+    element.addEventListener('scroll', handleScroll, { passive: true });
+    updateViewport();
+
+    return () => {
+      element.removeEventListener('scroll', handleScroll);
+      resizeObserver.disconnect();
+      if (frameRef.current) {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+      }
+    };
+  }, [updateViewport]);
+
+  /**
+   * Pending jump target, dropped once it has had time to settle
+   * @returns {Object|null} - Pending scroll or null
+   */
+  const getPendingScroll = useCallback(() => {
+    const pending = pendingScrollRef.current;
+    if (pending && performance.now() > pending.expires) {
+      pendingScrollRef.current = null;
+      return null;
+    }
+    return pending;
+  }, []);
+
+  // Measure mounted items and keep the visible content anchored when items above resize
+  const [itemObserver] = useState(() => new ResizeObserver((entries) => {
+    const sizes = sizesRef.current;
+    const element = scrollRef.current;
+    const currentOffsets = offsetsRef.current;
+    const viewportTop = element ? element.scrollTop - getListTop() : 0;
+    let scrollAdjustment = 0;
+    let changed = false;
+
+    entries.forEach(entry => {
+      const index = Number(entry.target.dataset.index);
+      if (Number.isNaN(index) || !currentOffsets || index >= currentOffsets.length - 1) return;
+
+      const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+      const previous = currentOffsets[index + 1] - currentOffsets[index];
+      if (Math.abs(height - previous) < 0.5) {
+        sizes[index] = height;
+        return;
+      }
+
+      if (currentOffsets[index] < viewportTop && !getPendingScroll()) {
+        scrollAdjustment += height - previous;
+      }
+      sizes[index] = height;
+      changed = true;
+    });
+
+    if (scrollAdjustment && element) {
+      element.scrollTop += scrollAdjustment;
+    }
+    if (changed) {
+      setMeasurements(current => ({ ...current }));
+    }
+  }));
+
+  useEffect(() => () => itemObserver.disconnect(), [itemObserver]);
+
+  /**
+   * Callback ref for rendered items; elements must carry a data-index attribute
+   */
+  const measureElement = useCallback((element) => {
+    if (!element) return;
+    itemObserver.observe(element);
+    return () => itemObserver.unobserve(element);
+  }, [itemObserver]);
+
+  /**
+   * Scroll so that an item is visible without rendering everything before it
+   * @param {number} index - Item index
+   * @param {Object} options - { align: 'start' | 'center' }
+   */
+  const scrollToIndex = useCallback((index, { align = 'start' } = {}) => {
+    const element = scrollRef.current;
+    if (!element || index < 0 || index >= count) return;
+
+    pendingScrollRef.current = { index, align, expires: performance.now() + PENDING_SCROLL_MS };
+
+    const currentOffsets = offsetsRef.current;
+    const itemTop = getListTop() + currentOffsets[index];
+    const itemHeight = currentOffsets[index + 1] - currentOffsets[index];
+    element.scrollTop = align === 'center'
+      ? itemTop - (element.clientHeight - itemHeight) / 2
+      : itemTop;
+    updateViewport();
+  }, [count, getListTop, updateViewport]);
+
+  // Re-apply a pending jump while estimates are replaced by real measurements
+  useLayoutEffect(() => {
+    const pending = getPendingScroll();
+    const element = scrollRef.current;
+    if (!pending || !element) return;
+
+    const itemTop = getListTop() + offsets[pending.index];
+    const itemHeight = offsets[pending.index + 1] - offsets[pending.index];
+    const target = pending.align === 'center'
+      ? itemTop - (element.clientHeight - itemHeight) / 2
+      : itemTop;
+
+    if (Math.abs(element.scrollTop - target) > 1) {
+      element.scrollTop = target;
+      updateViewport();
+    }
+  }, [offsets, getListTop, getPendingScroll, updateViewport]);
+
+  // Work out which items intersect the viewport
+  const listTop = getListTop();
+  const rangeStart = Math.max(0, viewport.scrollTop - listTop - overscan);
+  const rangeEnd = viewport.scrollTop - listTop + viewport.height + overscan;
+
+  const virtualItems = [];
+  if (count > 0) {
+    for (let i = findIndexAtOffset(offsets, rangeStart); i < count && offsets[i] < rangeEnd; i++) {
+      virtualItems.push({ index: i, start: offsets[i] });
+    }
+  }
+
+  // First item at the top of the viewport as of the last render
+  const firstVisibleIndex = count > 0 ? findIndexAtOffset(offsets, Math.max(0, viewport.scrollTop - listTop)) : 0;
+
+  /**
+   * Index of the first item at the top of the viewport
+   * @returns {number} - Item index
+   */
+  const getFirstVisibleIndex = useCallback(() => {
+    const element = scrollRef.current;
+    if (!element || count === 0) return 0;
+    return findIndexAtOffset(offsetsRef.current, element.scrollTop - getListTop());
+  }, [count, getListTop]);
+
+  /**
+   * Index of the last item that is at least partly in the viewport
+   * @returns {number} - Item index, or -1 if the list is empty
+   */
+  const getLastVisibleIndex = useCallback(() => {
+    const element = scrollRef.current;
+    if (!element || count === 0) return -1;
+    const bottom = element.scrollTop + element.clientHeight - getListTop();
+    return findIndexAtOffset(offsetsRef.current, Math.max(0, bottom - 1));
+  }, [count, getListTop]);
+
+  return {
+    scrollRef,
+    listRef,
+    virtualItems,
+    totalSize: offsets[count] || 0,
+    firstVisibleIndex,
+    measureElement,
+    scrollToIndex,
+    getFirstVisibleIndex,
+    getLastVisibleIndex
+  };
+}
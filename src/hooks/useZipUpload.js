@@ -32,12 +32,6 @@ export function useZipUpload() {
         throw new Error('Please select a ZIP file');
       }
 
-      // Check file size (500MB limit)
-      const maxSize = 500 * 1024 * 1024;
-      if (file.size > maxSize) {
-        throw new Error('File too large. Maximum size is 500MB');
-      }
-
       setIsUploading(false);
       setIsProcessing(true);
       setProgress(10);
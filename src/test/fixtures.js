@@ -0,0 +1,63 @@
+/**
+ * Test Fixtures
+ * Builders for parsed messages and chat archives shared by the unit tests
+ */
+
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import JSZip from 'jszip';
+
+export const DAY = 24 * 60 * 60 * 1000;
+
+// Noon on 19 October 2026, local time
+export const START = new Date(2026, 9, 19, 12).getTime();
+
+/**
+ * Build a message in the shape parseChat returns
+ * @param {string} sender - Sender
+ * @param {string} text - Message text
+ * @param {Object} [fields] - Fields to override, such as timestamp or deleted
+ * @returns {Object} - Message
+ */
+export function createMessage(sender, text, fields = {}) {
+  return { sender, message: text, type: 'message', systemType: null, timestamp: START, ...fields };
+}
+
+/**
+ * Build a system message
+ * @param {string} text - Message text
+ * @param {string} [systemType] - System message type
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} - Message
+ */
+export function createSystemMessage(text, systemType = null, fields = {}) {
+  return createMessage('', text, { type: 'system', systemType, ...fields });
+}
+
+/**
+ * Build a ZIP export
+ * @param {Object} entries - File name to text or bytes
+ * @param {string} [name] - Archive file name
+ * @returns {Promise<File>} - Archive
+ */
+export async function createZipFile(entries, name = 'WhatsApp Chat with Alice.zip') {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([filename, content]) => zip.file(filename, content));
+  return new File([await zip.generateAsync({ type: 'uint8array' })], name);
+}
+
+/**
+ * Run a hook once outside the browser and return its result
+ * Effects do not run, so this only covers what the hook computes while rendering.
+ * @param {Function} hook - Function that calls the hook
+ * @returns {*} - Hook result
+ */
+export function renderHook(hook) {
+  let result;
+  const Probe = () => {
+    result = hook();
+    return null;
+  };
+  renderToStaticMarkup(createElement(Probe));
+  return result;
+}
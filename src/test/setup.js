@@ -0,0 +1,36 @@
+/**
+ * Test Setup
+ * Browser APIs the code relies on that Node does not provide
+ */
+
+// JSZip and the exports read Blob and File input through FileReader
+if (typeof globalThis.FileReader === 'undefined') {
+  globalThis.FileReader = class FileReader {
+    read(blob, convert) {
+      blob.arrayBuffer().then(
+        (buffer) => {
+          this.result = convert(buffer);
+          this.onload?.({ target: this });
+        },
+        (error) => {
+          this.error = error;
+          this.onerror?.({ target: this });
+        }
+      );
+    }
+
+    readAsArrayBuffer(blob) {
+      this.read(blob, buffer => buffer);
+    }
+
+    readAsDataURL(blob) {
+      this.read(blob, (buffer) => {
+        let binary = '';
+        new Uint8Array(buffer).forEach(byte => {
+          binary += String.fromCharCode(byte);
+        });
+        return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+      });
+    }
+  };
+}
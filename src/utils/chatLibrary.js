@@ -0,0 +1,344 @@
+/**
+ * Local Chat Library
+ * Keeps previously opened chats on this device so they can be reopened without the ZIP.
+ * Metadata and parsed messages live in IndexedDB. The original archive is kept in the
+ * Origin Private File System when the browser supports writing there, otherwise as an
+ * IndexedDB blob, and attachments are still read from it on demand.
+ * Nothing is ever sent off the device.
+ */
+
+const DB_NAME = 'whatsview-library';
+const DB_VERSION = 1;
+const CHATS_STORE = 'chats';
+const CHAT_DATA_STORE = 'chatData';
+const ARCHIVES_STORE = 'archives';
+const OPFS_DIRECTORY = 'chats';
+
+const STORAGE_OPFS = 'opfs';
+const STORAGE_IDB = 'idb';
+
+let dbPromise = null;
+
+/**
+ * Check whether the library can be used in this browser
+ * @returns {boolean} - True if IndexedDB is available
+ */
+export function isLibrarySupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} - Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>} - Resolves on commit
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open (and create or upgrade) the library database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CHATS_STORE)) {
+          db.createObjectStore(CHATS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(CHAT_DATA_STORE)) {
+          db.createObjectStore(CHAT_DATA_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(ARCHIVES_STORE)) {
+          db.createObjectStore(ARCHIVES_STORE, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Get the OPFS directory for archives, or null if OPFS writes are unsupported
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - Directory handle
+ */
+async function getArchiveDirectory() {
+  // Some browsers only allow OPFS writes from workers
+  if (!navigator.storage?.getDirectory ||
+      typeof FileSystemFileHandle === 'undefined' ||
+      !('createWritable' in FileSystemFileHandle.prototype)) {
+    return null;
+  }
+
+  try {
+    const root = await navigator.storage.getDirectory();
+    return await root.getDirectoryHandle(OPFS_DIRECTORY, { create: true });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store the original archive
+ * @param {string} id - Chat id
+ * @param {Blob} file - ZIP file
+ * @returns {Promise<string>} - Storage backend used
+ */
+async function writeArchive(id, file) {
+  const directory = await getArchiveDirectory();
+
+  if (directory) {
+    try {
+      const handle = await directory.getFileHandle(`${id}.zip`, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(file);
+      await writable.close();
+      return STORAGE_OPFS;
+    } catch (error) {
+      console.warn('Could not write to OPFS, storing the archive in IndexedDB', error);
+      await directory.removeEntry(`${id}.zip`).catch(() => {});
+    }
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction(ARCHIVES_STORE, 'readwrite');
+  transaction.objectStore(ARCHIVES_STORE).put({ id, blob: file });
+  await transactionDone(transaction);
+  return STORAGE_IDB;
+}
+
+/**
+ * Read the original archive
+ * @param {Object} record - Chat record
+ * @returns {Promise<Blob>} - ZIP file
+ */
+async function readArchive(record) {
+  if (record.storage === STORAGE_OPFS) {
+    const directory = await getArchiveDirectory();
+    if (!directory) {
+      throw new Error('This browser can no longer read the stored archive');
+    }
+    const handle = await directory.getFileHandle(`${record.id}.zip`);
+    return handle.getFile();
+  }
+
+  const db = await openDatabase();
+  const entry = await promisifyRequest(
+    db.transaction(ARCHIVES_STORE).objectStore(ARCHIVES_STORE).get(record.id)
+  );
+  if (!entry) {
+    throw new Error('The stored archive for this chat is missing');
+  }
+  return entry.blob;
+}
+
+/**
+ * Summarize a chat for the library list
+ * @param {Array} messages - Parsed messages
+ * @returns {Object} - { participantCount, messageCount, firstTimestamp, lastTimestamp, firstDate, lastDate }
+ */
+function summarizeMessages(messages) {
+  const participants = new Set();
+  let firstTimestamp = null;
+  let lastTimestamp = null;
+
+  messages.forEach(message => {
+    if (message.type !== 'system') participants.add(message.sender);
+    if (!Number.isNaN(message.timestamp)) {
+      if (firstTimestamp === null || message.timestamp < firstTimestamp) firstTimestamp = message.timestamp;
+      if (lastTimestamp === null || message.timestamp > lastTimestamp) lastTimestamp = message.timestamp;
+    }
+  });
+
+  return {
+    participantCount: participants.size,
+    messageCount: messages.length,
+    firstTimestamp,
+    lastTimestamp,
+    firstDate: messages[0]?.date || null,
+    lastDate: messages[messages.length - 1]?.date || null
+  };
+}
+
+/**
+ * Find the saved chat of an archive
+ * Name, size and chat file name together tell a re-upload of the same export apart
+ * from a different export of the same chat
+ * @param {Object} archive - { name, chatFileName, size }
+ * @returns {Promise<Object|null>} - Chat record, or null if it was never saved
+ */
+async function findSavedChat({ name, chatFileName, size }) {
+  const records = await listChats();
+  return records.find(record => (
+    record.name === name && record.chatFileName === chatFileName && record.size === size
+  )) || null;
+}
+
+/**
+ * Save a chat to the library
+ * A chat saved before from the same archive is updated in place instead of stored again
+ * @param {Object} chat - Chat to save
+ * @param {string} chat.name - Display name
+ * @param {string} chat.chatFileName - Chat file name inside the ZIP
+ * @param {string} chat.chatText - Raw chat text, kept for re-parsing
+ * @param {Array} chat.messages - Parsed messages
+ * @param {Object} chat.dateFormat - Detected date format
+ * @param {Blob} chat.file - Original ZIP file
+ * @param {Map} chat.files - ZIP index from ZipHandler.getAllFiles()
+ * @returns {Promise<Object>} - Saved chat record
+ */
+export async function saveChat({ name, chatFileName, chatText, messages, dateFormat, file, files }) {
+  const existing = await findSavedChat({ name, chatFileName, size: file.size });
+
+  // The stored copy of the same archive is kept as is, since an open chat may be reading it
+  const id = existing?.id ?? crypto.randomUUID();
+  const storage = existing?.storage ?? await writeArchive(id, file);
+  const now = Date.now();
+
+  const record = {
+    id,
+    name,
+    chatFileName,
+    size: file.size,
+    storage,
+    dateOrder: null,
+    savedAt: existing?.savedAt ?? now,
+    lastOpenedAt: now,
+    ...summarizeMessages(messages)
+  };
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([CHATS_STORE, CHAT_DATA_STORE], 'readwrite');
+    transaction.objectStore(CHATS_STORE).put(record);
+    transaction.objectStore(CHAT_DATA_STORE).put({ id, chatText, messages, dateFormat, files });
+    await transactionDone(transaction);
+  } catch (error) {
+    if (!existing) {
+      await deleteChat(id).catch(() => {});
+    }
+    throw error;
+  }
+
+  return record;
+}
+
+/**
+ * List saved chats, most recently opened first
+ * @returns {Promise<Array>} - Chat records
+ */
+export async function listChats() {
+  const db = await openDatabase();
+  const records = await promisifyRequest(db.transaction(CHATS_STORE).objectStore(CHATS_STORE).getAll());
+  return records.sort((a, b) => b.lastOpenedAt - a.lastOpenedAt);
+}
+
+/**
+ * Load a saved chat
+ * @param {string} id - Chat id
+ * @returns {Promise<Object>} - { record, chatText, messages, dateFormat, files, archive }
+ */
+export async function loadChat(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([CHATS_STORE, CHAT_DATA_STORE], 'readwrite');
+  const chats = transaction.objectStore(CHATS_STORE);
+  const [record, data] = await Promise.all([
+    promisifyRequest(chats.get(id)),
+    promisifyRequest(transaction.objectStore(CHAT_DATA_STORE).get(id))
+  ]);
+
+  if (!record || !data) {
+    throw new Error('This chat is no longer in the library');
+  }
+
+  record.lastOpenedAt = Date.now();
+  chats.put(record);
+  await transactionDone(transaction);
+
+  const archive = await readArchive(record);
+  return { record, ...data, archive };
+}
+
+/**
+ * Replace the stored messages of a chat, e.g. after changing the date order
+ * @param {string} id - Chat id
+ * @param {Array} messages - Re-parsed messages
+ * @param {string|null} dateOrder - Date order override
+ * @returns {Promise<Object>} - Updated chat record
+ */
+export async function updateChatMessages(id, messages, dateOrder) {
+  const db = await openDatabase();
+  const transaction = db.transaction([CHATS_STORE, CHAT_DATA_STORE], 'readwrite');
+  const chats = transaction.objectStore(CHATS_STORE);
+  const dataStore = transaction.objectStore(CHAT_DATA_STORE);
+  const [record, data] = await Promise.all([
+    promisifyRequest(chats.get(id)),
+    promisifyRequest(dataStore.get(id))
+  ]);
+
+  if (!record || !data) {
+    throw new Error('This chat is no longer in the library');
+  }
+
+  const updated = { ...record, ...summarizeMessages(messages), dateOrder };
+  chats.put(updated);
+  dataStore.put({ ...data, messages });
+  await transactionDone(transaction);
+  return updated;
+}
+
+/**
+ * Delete a chat and its archive
+ * @param {string} id - Chat id
+ */
+export async function deleteChat(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([CHATS_STORE, CHAT_DATA_STORE, ARCHIVES_STORE], 'readwrite');
+  transaction.objectStore(CHATS_STORE).delete(id);
+  transaction.objectStore(CHAT_DATA_STORE).delete(id);
+  transaction.objectStore(ARCHIVES_STORE).delete(id);
+  await transactionDone(transaction);
+
+  const directory = await getArchiveDirectory();
+  if (directory) {
+    await directory.removeEntry(`${id}.zip`).catch(() => {});
+  }
+}
+
+/**
+ * Ask the browser not to evict the library under storage pressure
+ * @returns {Promise<boolean>} - True if storage is persistent
+ */
+export async function requestPersistentStorage() {
+  try {
+    return Boolean(await navigator.storage?.persist?.());
+  } catch {
+    return false;
+  }
+}
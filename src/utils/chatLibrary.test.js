@@ -0,0 +1,160 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { saveChat, listChats, loadChat, updateChatMessages, deleteChat, isLibrarySupported } from './chatLibrary';
+import { createMessage, createSystemMessage, DAY, START } from '../test/fixtures';
+
+const MESSAGES = [
+  createSystemMessage('Alice added Bob', 'joined', { date: '19/10/2026' }),
+  createMessage('Alice', 'Hi', { date: '19/10/2026' }),
+  createMessage('Bob', 'Hello', { date: '20/10/2026', timestamp: START + DAY })
+];
+
+/**
+ * Build the chat details saveChat expects
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} - Chat
+ */
+function createChat(fields = {}) {
+  return {
+    name: 'Trip',
+    chatFileName: 'WhatsApp Chat with Trip.txt',
+    chatText: '19/10/2026, 12:00 - Alice: Hi',
+    messages: MESSAGES,
+    dateFormat: { order: 'DMY' },
+    file: new Blob(['zip bytes']),
+    files: new Map([['IMG-1.jpg', { size: 10 }]]),
+    ...fields
+  };
+}
+
+/**
+ * Origin private file system with one directory held in memory
+ * @returns {Map} - File name to stored blob
+ */
+function stubFileSystem() {
+  const stored = new Map();
+
+  class FakeFileHandle {
+    constructor(name) {
+      this.name = name;
+    }
+
+    async createWritable() {
+      const parts = [];
+      return {
+        write: async (data) => parts.push(data),
+        close: async () => stored.set(this.name, new Blob(parts))
+      };
+    }
+
+    async getFile() {
+      if (!stored.has(this.name)) throw new Error('NotFoundError');
+      return stored.get(this.name);
+    }
+  }
+
+  const directory = {
+    getFileHandle: async (name) => new FakeFileHandle(name),
+    removeEntry: async (name) => stored.delete(name)
+  };
+
+  vi.stubGlobal('FileSystemFileHandle', FakeFileHandle);
+  vi.stubGlobal('navigator', {
+    storage: { getDirectory: async () => ({ getDirectoryHandle: async () => directory }) }
+  });
+  return stored;
+}
+
+describe('chat library', () => {
+  beforeEach(async () => {
+    vi.stubGlobal('navigator', {});
+    await Promise.all((await listChats()).map(record => deleteChat(record.id)));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('is available where IndexedDB is', () => {
+    expect(isLibrarySupported()).toBe(true);
+  });
+
+  it('saves a summary and reloads the chat with its archive', async () => {
+    const record = await saveChat(createChat());
+
+    expect(record).toMatchObject({
+      name: 'Trip',
+      storage: 'idb',
+      participantCount: 2,
+      messageCount: 3,
+      firstTimestamp: START,
+      lastTimestamp: START + DAY,
+      firstDate: '19/10/2026',
+      lastDate: '20/10/2026'
+    });
+
+    const loaded = await loadChat(record.id);
+    expect(loaded.messages).toEqual(MESSAGES);
+    expect(loaded.files.get('IMG-1.jpg')).toEqual({ size: 10 });
+    expect(await loaded.archive.text()).toBe('zip bytes');
+  });
+
+  it('lists the most recently opened chat first', async () => {
+    const now = vi.spyOn(Date, 'now');
+    now.mockReturnValue(1000);
+    const first = await saveChat(createChat({ name: 'First' }));
+    now.mockReturnValue(2000);
+    await saveChat(createChat({ name: 'Second' }));
+    expect((await listChats()).map(record => record.name)).toEqual(['Second', 'First']);
+
+    now.mockReturnValue(3000);
+    await loadChat(first.id);
+    expect((await listChats()).map(record => record.name)).toEqual(['First', 'Second']);
+  });
+
+  it('replaces messages and the date order', async () => {
+    const record = await saveChat(createChat());
+    const updated = await updateChatMessages(record.id, MESSAGES.slice(1), 'MDY');
+
+    expect(updated).toMatchObject({ dateOrder: 'MDY', messageCount: 2 });
+    expect((await loadChat(record.id)).messages).toHaveLength(2);
+  });
+
+  it('updates the saved entry when the same archive is uploaded again', async () => {
+    const now = vi.spyOn(Date, 'now');
+    now.mockReturnValue(1000);
+    const first = await saveChat(createChat());
+    now.mockReturnValue(2000);
+    const second = await saveChat(createChat({ messages: MESSAGES.slice(1) }));
+
+    expect(second).toMatchObject({ id: first.id, savedAt: 1000, lastOpenedAt: 2000, messageCount: 2 });
+    expect(await listChats()).toHaveLength(1);
+  });
+
+  it('stores a different export of the same chat separately', async () => {
+    await saveChat(createChat());
+    await saveChat(createChat({ file: new Blob(['other zip bytes']) }));
+    expect(await listChats()).toHaveLength(2);
+  });
+
+  it('forgets deleted chats', async () => {
+    const record = await saveChat(createChat());
+    await deleteChat(record.id);
+
+    expect(await listChats()).toEqual([]);
+    await expect(loadChat(record.id)).rejects.toThrow('This chat is no longer in the library');
+  });
+
+  it('keeps archives in the origin private file system when it can', async () => {
+    const stored = stubFileSystem();
+    const record = await saveChat(createChat());
+
+    expect(record.storage).toBe('opfs');
+    expect([...stored.keys()]).toEqual([`${record.id}.zip`]);
+    expect(await (await loadChat(record.id)).archive.text()).toBe('zip bytes');
+
+    await deleteChat(record.id);
+    expect(stored.size).toBe(0);
+  });
+});
@@ -0,0 +1,169 @@
+import { parseChat, detectChatDateFormat } from './chatParser';
+
+/**
+ * Chat Merge
+ * Combines several exports of the same chat into one timeline.
+ * Every export is parsed against the files of all archives, so an attachment
+ * missing from one ZIP is picked up from another. Messages are matched on
+ * timestamp, sender and text; repeats inside one export are kept, because the
+ * n-th copy of a message only matches the n-th copy from another export.
+ */
+
+// Media messages only match on timestamp and sender: depending on how the chat
+// was exported, the same photo reads as a file name or as "<Media omitted>"
+const MEDIA_KEY = '\u0000media';
+
+/**
+ * Build the key two copies of the same message share
+ * @param {Object} message - Parsed message
+ * @returns {string} - Match key
+ */
+function getMatchKey(message) {
+  const time = Number.isNaN(message.timestamp) ? `${message.date} ${message.time}` : message.timestamp;
+  const text = message.attachment || message.mediaOmitted
+    ? MEDIA_KEY
+    : message.message.replace(/\s+/g, ' ').trim();
+  return `${time}|${message.sender}|${text}`;
+}
+
+/**
+ * Get the first and last valid timestamps of a message list
+ * @param {Array} messages - Parsed messages
+ * @returns {Object} - { first, last } in milliseconds, or null when undated
+ */
+function getTimeRange(messages) {
+  let first = null;
+  let last = null;
+  messages.forEach(({ timestamp }) => {
+    if (Number.isNaN(timestamp)) return;
+    if (first === null || timestamp < first) first = timestamp;
+    if (last === null || timestamp > last) last = timestamp;
+  });
+  return { first, last };
+}
+
+/**
+ * Find periods that none of the exports cover
+ * @param {Array} ranges - { first, last } per export
+ * @returns {Array} - Gaps as { from, to } in milliseconds
+ */
+function findCoverageGaps(ranges) {
+  const sorted = ranges
+    .filter(range => range.first !== null)
+    .sort((a, b) => a.first - b.first);
+
+  const gaps = [];
+  let coveredUntil = sorted[0]?.last ?? null;
+  sorted.slice(1).forEach(range => {
+    if (range.first > coveredUntil) {
+      gaps.push({ from: coveredUntil, to: range.first });
+    }
+    coveredUntil = Math.max(coveredUntil, range.last);
+  });
+  return gaps;
+}
+
+/**
+ * Merge several exports of one chat
+ * @param {Array} sources - Exports as { name, chatText, files }
+ * @param {Object} [options] - Merge options
+ * @param {string|null} [options.dateOrder] - Force a date order for every export
+ * @returns {Object} - { messages, dateFormat, report: { sources, gaps, duplicateCount } }
+ */
+export function mergeChats(sources, { dateOrder = null } = {}) {
+  if (sources.length < 2) {
+    throw new Error('Choose at least two exports to merge');
+  }
+
+  // Exports of one chat share a date layout; reading them together gives the detector more to go on
+  const dateFormat = detectChatDateFormat(sources.map(source => source.chatText).join('\n'));
+  const order = dateOrder || dateFormat.order;
+
+  // Attachment name -> index of the first export whose archive has it
+  const files = new Map();
+  const fileOwners = new Map();
+  sources.forEach((source, sourceIndex) => {
+    source.files.forEach((entry, filename) => {
+      if (!files.has(filename)) {
+        files.set(filename, entry);
+        fileOwners.set(filename, sourceIndex);
+      }
+    });
+  });
+
+  const parsed = sources.map((source, sourceIndex) => {
+    const messages = parseChat(source.chatText, files, { dateOrder: order });
+    return { source, sourceIndex, messages, range: getTimeRange(messages) };
+  });
+
+  // Oldest export first, so "added" reads as what each later export brought
+  const processingOrder = [...parsed].sort((a, b) => (a.range.first ?? Infinity) - (b.range.first ?? Infinity));
+
+  const entries = [];
+  const entriesByKey = new Map();
+  const stats = parsed.map(({ source, messages, range }) => ({
+    name: source.name,
+    messageCount: messages.length,
+    firstTimestamp: range.first,
+    lastTimestamp: range.last,
+    added: 0,
+    duplicates: 0,
+    mediaRecovered: 0,
+    mediaFiles: 0
+  }));
+
+  processingOrder.forEach(({ sourceIndex, messages }) => {
+    const sourceStats = stats[sourceIndex];
+    const occurrences = new Map();
+    let sortTime = -Infinity;
+
+    messages.forEach((message, index) => {
+      // Undated lines sort with the message before them
+      if (!Number.isNaN(message.timestamp)) sortTime = message.timestamp;
+
+      const key = getMatchKey(message);
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+
+      const copies = entriesByKey.get(key) || [];
+      const existing = copies[occurrence];
+
+      if (existing) {
+        sourceStats.duplicates++;
+        // A later export may carry media an earlier one omitted
+        if (existing.message.mediaOmitted && message.attachment) {
+          existing.message = { ...existing.message, ...message, id: existing.message.id };
+          sourceStats.mediaRecovered++;
+        }
+        return;
+      }
+
+      const entry = { message: { ...message }, sortTime, sourceIndex, index };
+      copies.push(entry);
+      entriesByKey.set(key, copies);
+      entries.push(entry);
+      sourceStats.added++;
+    });
+  });
+
+  entries.sort((a, b) => (
+    a.sortTime - b.sortTime || a.sourceIndex - b.sourceIndex || a.index - b.index
+  ));
+
+  const messages = entries.map((entry, position) => ({ ...entry.message, id: `merged-${position}` }));
+
+  // Credit each attachment to the archive it is read from
+  new Set(messages.filter(m => m.attachment).map(m => m.attachment.filename)).forEach(filename => {
+    stats[fileOwners.get(filename)].mediaFiles++;
+  });
+
+  return {
+    messages,
+    dateFormat,
+    report: {
+      sources: stats,
+      gaps: findCoverageGaps(parsed.map(({ range }) => range)),
+      duplicateCount: stats.reduce((sum, source) => sum + source.duplicates, 0)
+    }
+  };
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { mergeChats } from './chatMerge';
+
+const OLDER = {
+  name: 'October',
+  chatText: [
+    '19/10/2026, 10:00 - Ana: Morning',
+    '19/10/2026, 10:01 - Ben: <Media omitted>',
+    '19/10/2026, 10:02 - Ana: ok',
+    '19/10/2026, 10:02 - Ana: ok',
+    '20/10/2026, 09:00 - Ben: See you'
+  ].join('\n'),
+  files: new Map()
+};
+
+const NEWER = {
+  name: 'November',
+  chatText: [
+    '19/10/2026, 10:01 - Ben: IMG-20261019-WA0001.jpg (file attached)',
+    '19/10/2026, 10:02 - Ana: ok',
+    '20/10/2026, 09:00 - Ben: See you',
+    '20/10/2026, 09:05 - Ana: Later'
+  ].join('\n'),
+  files: new Map([['IMG-20261019-WA0001.jpg', { size: 10 }]])
+};
+
+const LATER = {
+  name: 'December',
+  chatText: '01/12/2026, 08:00 - Ana: Back again',
+  files: new Map()
+};
+
+describe('mergeChats', () => {
+  it('needs at least two exports', () => {
+    expect(() => mergeChats([OLDER])).toThrow('at least two');
+  });
+
+  it('combines exports into one timeline without duplicates', () => {
+    const { messages, report } = mergeChats([NEWER, OLDER]);
+
+    expect(messages.map(message => `${message.sender}: ${message.message}`)).toEqual([
+      'Ana: Morning',
+      'Ben: ',
+      'Ana: ok',
+      'Ana: ok',
+      'Ben: See you',
+      'Ana: Later'
+    ]);
+    expect(messages.map(message => message.id)).toEqual(messages.map((message, index) => `merged-${index}`));
+    expect(report.duplicateCount).toBe(3);
+  });
+
+  it('keeps repeats inside one export and fills in omitted media', () => {
+    const { messages, report } = mergeChats([OLDER, NEWER]);
+    const media = messages[1];
+
+    expect(messages.filter(message => message.message === 'ok')).toHaveLength(2);
+    expect(media.mediaOmitted).toBe(false);
+    expect(media.attachment).toMatchObject({ filename: 'IMG-20261019-WA0001.jpg' });
+    expect(report.sources.map(source => [source.name, source.added, source.duplicates, source.mediaRecovered, source.mediaFiles]))
+      .toEqual([['October', 5, 0, 0, 0], ['November', 1, 3, 1, 1]]);
+  });
+
+  it('reports periods no export covers', () => {
+    const { report } = mergeChats([OLDER, LATER]);
+    expect(report.gaps).toEqual([{
+      from: new Date(2026, 9, 20, 9, 0).getTime(),
+      to: new Date(2026, 11, 1, 8, 0).getTime()
+    }]);
+  });
+
+  it('applies a forced date order to every export', () => {
+    const { messages } = mergeChats([LATER, { ...LATER, name: 'Copy' }], { dateOrder: 'MDY' });
+    expect(messages).toHaveLength(1);
+    expect(messages[0].timestamp).toBe(new Date(2026, 0, 12, 8, 0).getTime());
+  });
+});
@@ -3,48 +3,75 @@
  * Parses WhatsApp chat export files and extracts messages with attachments
  */
 
+import { detectDateFormat, parseTimestamp } from './dateFormat';
+import {
+  SYSTEM_MESSAGE_TYPES,
+  DEFAULT_LOCALE,
+  getLocale,
+  detectLocale,
+  matchesAnyPhrase
+} from './locales';
+
+// Date such as 10/19/26, 19.10.2026 or 2026-10-19
+const DATE_PATTERN = '\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4}';
+// Time such as 2:03 PM, 21:15, 14:03:22 or 9.05 a. m.
+const TIME_PATTERN = '\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?(?:\\s*[APap]\\.?\\s?[Mm]\\.?)?';
+
+/**
+ * Supported message header layouts
+ * Android: DATE, TIME - Sender: Message
+ * iOS:     [DATE, TIME] Sender: Message
+ */
+const HEADER_PATTERNS = [
+  new RegExp(`^(${DATE_PATTERN}),?\\s*(${TIME_PATTERN})\\s*[-\u2013]\\s*(.+)$`),
+  new RegExp(`^\\[(${DATE_PATTERN}),?\\s*(${TIME_PATTERN})\\]\\s*(.+)$`)
+];
+
+// Left-to-right marks iOS inserts before headers, attachments and system text
+const DIRECTIONAL_MARKS = /[\u200E\u200F\u202A-\u202E]/g;
+
 /**
  * Parse WhatsApp chat content
  * @param {string} chatContent - Raw chat file content
  * @param {Map} files - Map of extracted files from ZIP
+ * @param {Object} options - Parse options
+ * @param {string} [options.dateOrder] - Force 'DMY', 'MDY' or 'YMD' instead of the detected order
+ * @param {string} [options.locale] - Force a locale code instead of detecting the export language
  * @returns {Array} - Array of parsed messages
  */
-export function parseChat(chatContent, files = new Map()) {
-  try {
-    // Remove UTF-8 BOM if present
-    if (chatContent.charCodeAt(0) === 0xFEFF) {
-      chatContent = chatContent.slice(1);
-    }
+export function parseChat(chatContent, files = new Map(), options = {}) {
+  return parseChatWithFormat(chatContent, files, options).messages;
+}
 
-    const lines = chatContent.split('\n').map(line => line.trim());
+/**
+ * Parse WhatsApp chat content and report the date format the timestamps were read with
+ * @param {string} chatContent - Raw chat file content
+ * @param {Map} files - Map of extracted files from ZIP
+ * @param {Object} options - Parse options, as for parseChat
+ * @returns {Object} - { messages, dateFormat }, dateFormat including a forced order
+ */
+export function parseChatWithFormat(chatContent, files = new Map(), options = {}) {
+  try {
+    const lines = splitLines(chatContent);
+    const headers = lines.map(matchMessageHeader);
+    const dateFormat = resolveDateFormat(headers, options.dateOrder);
+    const locale = getLocale(options.locale || detectHeaderLocale(headers));
     const chatMessages = [];
     
-    // Simple and effective regex patterns
-    // Matches: MM/DD/YY, HH:MM AM/PM - Sender: Message
-    const messageRegex = /^(\d{1,2}\/\d{1,2}\/\d{2,4}),\s*(\d{1,2}:\d{2}\s*[APMapm]{2})\s*-\s*([^:]+):\s*(.+)$/;
-    
-    // Regex pattern for system messages (joined, left, created group, etc.)
-    // Matches: MM/DD/YY, HH:MM AM/PM - System Message (no colon)
-    const systemMessageRegex = /^(\d{1,2}\/\d{1,2}\/\d{2,4}),\s*(\d{1,2}:\d{2}\s*[APmapm]{2})\s*-\s*(.+)$/;
-    
     let lastMessage = null;
 
     lines.forEach((line, index) => {
       // Don't skip any lines - empty lines are important for message formatting
 
-
-      // Check if line starts with date pattern - use a very flexible pattern
-      const dateTimeMatch = line.match(/^(\d{1,2}\/\d{1,2}\/\d{2,4}),\s*(\d{1,2}:\d{2}\s*[APMapm]{2})\s*-\s*(.+)$/i);
+      const header = headers[index];
       
-      if (dateTimeMatch) {
+      if (header) {
         // Save previous message if exists
         if (lastMessage) {
-          chatMessages.push(lastMessage);
+          chatMessages.push(finalizeMessage(lastMessage, locale));
         }
 
-        const date = dateTimeMatch[1];
-        const time = dateTimeMatch[2];
-        const content = dateTimeMatch[3].trim();
+        const { date, time, content } = header;
 
         // Check if it's a regular message (has colon) or system message (no colon)
         const colonIndex = content.indexOf(':');
@@ -56,7 +83,7 @@ export function parseChat(chatContent, files = new Map()) {
           
           
           // Check for attachments
-          const attachment = extractAttachment(messageText, files);
+          const attachment = extractAttachment(messageText, files, locale);
           
           // Remove attachment reference from message text
           let finalMessageText = messageText;
@@ -71,12 +98,12 @@ export function parseChat(chatContent, files = new Map()) {
             sender: sender,
             message: finalMessageText,
             attachment: attachment,
-            timestamp: new Date(`${date} ${time}`).getTime(),
+            timestamp: parseTimestamp(date, time, dateFormat),
             type: 'message'
           };
         } else {
           // System message: No colon, treat as system message
-          const systemType = getSystemMessageType(content);
+          const systemType = getSystemMessageType(content, locale);
 
           lastMessage = {
             id: `${Date.now()}-${index}`,
@@ -85,37 +112,159 @@ export function parseChat(chatContent, files = new Map()) {
             sender: 'System',
             message: content,
             attachment: null,
-            timestamp: new Date(`${date} ${time}`).getTime(),
+            timestamp: parseTimestamp(date, time, dateFormat),
             type: 'system',
             systemType: systemType
           };
         }
       } else if (lastMessage) {
         // Multi-line message - append to last message (including empty lines)
-        lastMessage.message += '\n' + line;
+        lastMessage.message += '\n' + line.replace(DIRECTIONAL_MARKS, '');
       }
     });
 
     // Add the last message
     if (lastMessage) {
-      chatMessages.push(lastMessage);
+      chatMessages.push(finalizeMessage(lastMessage, locale));
     }
 
-
-    return chatMessages;
+    return { messages: chatMessages, dateFormat };
   } catch (error) {
     console.error('Error parsing chat:', error);
     throw new Error(`Failed to parse chat: ${error.message}`);
   }
 }
 
+/**
+ * Flag media-omitted, deleted and edited messages once their text is complete
+ * @param {Object} message - Parsed message
+ * @param {Object} locale - Locale phrase table
+ * @returns {Object} - The same message with marker flags set
+ */
+function finalizeMessage(message, locale) {
+  if (message.type !== 'message') return message;
+
+  const lowerText = message.message.toLowerCase();
+  const editedMarker = locale.editedMessage.find(marker => lowerText.includes(marker));
+  if (editedMarker) {
+    message.message = message.message.replace(new RegExp(escapeRegExp(editedMarker), 'i'), '').trim();
+  }
+
+  const bareText = message.message.toLowerCase().trim().replace(/\.$/, '');
+  message.edited = Boolean(editedMarker);
+  message.deleted = locale.deletedMessage.includes(bareText);
+  // Only the exporter's own deletions are worded in the first person
+  message.deletedByOwner = locale.ownDeletedMessage.includes(bareText);
+  message.mediaOmitted = !message.attachment && matchesAnyPhrase(bareText, locale.mediaOmitted);
+
+  return message;
+}
+
+/**
+ * Detect the export language from matched headers
+ * @param {Array} headers - Matched headers (null for continuation lines)
+ * @returns {string} - Locale code
+ */
+function detectHeaderLocale(headers) {
+  const systemLines = [];
+  const messageBodies = [];
+
+  headers.forEach(header => {
+    if (!header) return;
+    const colonIndex = header.content.indexOf(':');
+    if (colonIndex > 0) {
+      messageBodies.push(header.content.substring(colonIndex + 1));
+    } else {
+      systemLines.push(header.content);
+    }
+  });
+
+  return detectLocale(systemLines, messageBodies);
+}
+
+/**
+ * Detect the language of a chat export
+ * @param {string} chatContent - Raw chat file content
+ * @returns {string} - Locale code
+ */
+export function detectChatLocale(chatContent) {
+  return detectHeaderLocale(splitLines(chatContent).map(matchMessageHeader));
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Match a line against the known message header layouts
+ * @param {string} line - Trimmed chat line
+ * @returns {Object|null} - Date, time and remaining content, or null
+ */
+function matchMessageHeader(line) {
+  const cleanLine = line.replace(DIRECTIONAL_MARKS, '');
+
+  for (const pattern of HEADER_PATTERNS) {
+    const match = cleanLine.match(pattern);
+    if (match) {
+      return {
+        date: match[1],
+        time: match[2].trim(),
+        content: match[3].trim()
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detect the date format of a chat export
+ * @param {string} chatContent - Raw chat file content
+ * @returns {Object} - Detected date format (see detectDateFormat)
+ */
+export function detectChatDateFormat(chatContent) {
+  const headers = splitLines(chatContent).map(matchMessageHeader);
+  return resolveDateFormat(headers);
+}
+
+/**
+ * Detect the date format from matched headers, applying an optional order override
+ * @param {Array} headers - Matched headers (null for continuation lines)
+ * @param {string} [dateOrder] - Forced date order
+ * @returns {Object} - Date format
+ */
+function resolveDateFormat(headers, dateOrder) {
+  const detected = detectDateFormat(headers.filter(Boolean));
+  return dateOrder ? { ...detected, order: dateOrder } : detected;
+}
+
+/**
+ * Split raw chat content into trimmed lines
+ * @param {string} chatContent - Raw chat file content
+ * @returns {Array} - Array of lines
+ */
+function splitLines(chatContent) {
+  // Remove UTF-8 BOM if present
+  if (chatContent.charCodeAt(0) === 0xFEFF) {
+    chatContent = chatContent.slice(1);
+  }
+
+  return chatContent.split('\n').map(line => line.trim());
+}
+
 /**
  * Extract attachment information from message text
  * @param {string} messageText - Message text to analyze
  * @param {Map} files - Map of available files
+ * @param {Object} locale - Locale phrase table
  * @returns {Object|null} - Attachment info or null
  */
-function extractAttachment(messageText, files) {
+function extractAttachment(messageText, files, locale = getLocale(DEFAULT_LOCALE)) {
   if (!messageText) return null;
 
   // Pattern 1: <attached: filename.ext>
@@ -131,13 +280,14 @@ function extractAttachment(messageText, files) {
         filename,
         type: getFileType(filename),
         originalText: attachedMatch[0],
-        blob: file
+        size: file.size
       };
     }
   }
 
-  // Pattern 2: (file attached) or (image attached)
-  const fileAttachedPattern = /(.+?)\s*\((file|image)\s+attached\)/i;
+  // Pattern 2: (file attached) or (image attached), in the export's language
+  const attachedPhrases = [...new Set([...locale.fileAttached, ...getLocale(DEFAULT_LOCALE).fileAttached])];
+  const fileAttachedPattern = new RegExp(`(.+?)\\s*\\((?:${attachedPhrases.map(escapeRegExp).join('|')})\\)`, 'i');
   const fileAttachedMatch = messageText.match(fileAttachedPattern);
   
   if (fileAttachedMatch) {
@@ -149,7 +299,7 @@ function extractAttachment(messageText, files) {
         filename,
         type: getFileType(filename),
         originalText: fileAttachedMatch[0],
-        blob: file
+        size: file.size
       };
     }
   }
@@ -167,7 +317,7 @@ function extractAttachment(messageText, files) {
         filename,
         type: getFileType(filename),
         originalText: filename,
-        blob: file
+        size: file.size
       };
     }
   }
@@ -178,38 +328,22 @@ function extractAttachment(messageText, files) {
 /**
  * Determine system message type
  * @param {string} message - System message text
+ * @param {Object} locale - Locale phrase table
  * @returns {string} - System message type
  */
-function getSystemMessageType(message) {
+function getSystemMessageType(message, locale = getLocale(DEFAULT_LOCALE)) {
   const lowerMessage = message.toLowerCase();
-  
-  if (lowerMessage.includes('joined using this group\'s invite link') || 
-      lowerMessage.includes('joined') || 
-      lowerMessage.includes('added')) {
-    return 'joined';
-  } else if (lowerMessage.includes('removed') || 
-             lowerMessage.includes('left')) {
-    return 'left';
-  } else if (lowerMessage.includes('created group') || 
-             lowerMessage.includes('group created')) {
-    return 'created';
-  } else if (lowerMessage.includes('changed the group name') || 
-             lowerMessage.includes('group name changed')) {
-    return 'name_changed';
-  } else if (lowerMessage.includes('changed group description') || 
-             lowerMessage.includes('group description changed')) {
-    return 'description_changed';
-  } else if (lowerMessage.includes('changed this group\'s icon') || 
-             lowerMessage.includes('group icon changed')) {
-    return 'icon_changed';
-  } else if (lowerMessage.includes('messages and calls are end-to-end encrypted')) {
-    return 'encryption';
-  } else if (lowerMessage.includes('ended') || 
-             lowerMessage.includes('deleted')) {
-    return 'ended';
-  } else {
-    return 'other';
+  // Some phrases (e.g. the encryption notice) stay in English on localized phones
+  const candidates = locale.code === DEFAULT_LOCALE ? [locale] : [locale, getLocale(DEFAULT_LOCALE)];
+
+  for (const candidate of candidates) {
+    const type = SYSTEM_MESSAGE_TYPES.find(systemType =>
+      matchesAnyPhrase(lowerMessage, candidate.systemMessages[systemType])
+    );
+    if (type) return type;
   }
+
+  return 'other';
 }
 
 /**
@@ -223,7 +357,7 @@ function getFileType(filename) {
   const imageTypes = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'];
   const videoTypes = ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm'];
   const audioTypes = ['mp3', 'wav', 'ogg', 'aac', 'm4a', 'flac'];
-  const documentTypes = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt'];
+  const documentTypes = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv', 'json', 'vcf'];
   
   if (imageTypes.includes(extension)) return 'image';
   if (videoTypes.includes(extension)) return 'video';
@@ -232,33 +366,3 @@ function getFileType(filename) {
   
   return 'unknown';
 }
-
-/**
- * Format message text for display (bold, links, etc.)
- * @param {string} text - Raw message text
- * @returns {string} - Formatted HTML string
- */
-export function formatMessageText(text) {
-  if (!text) return '';
-
-  return text
-    // Bold text: *text* -> <strong>text</strong>
-    .replace(/\*(.*?)\*/g, '<strong>$1</strong>')
-    // Italic text: _text_ -> <em>text</em>
-    .replace(/_(.*?)_/g, '<em>$1</em>')
-    // Strikethrough: ~text~ -> <del>text</del>
-    .replace(/~(.*?)~/g, '<del>$1</del>')
-    // Monospace: ```text``` -> <code>text</code>
-    .replace(/```(.*?)```/g, '<code>$1</code>')
-    // Links: https://example.com -> <a>https://example.com</a>
-    .replace(
-      /(https?:\/\/[^\s]+|www\.[^\s]+|[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}(?:\/[^\s]*)?)/g,
-      (match) => {
-        // Ensure protocol is added for www. links
-        const url = match.startsWith('http') ? match : `https://${match}`;
-        return `<a href="${url}" target="_blank" rel="noopener noreferrer" class="text-blue-300 hover:text-blue-200 hover:underline underline-offset-2 cursor-pointer">${match}</a>`;
-      }
-    )
-    // Line breaks - preserve all newlines including multiple consecutive ones
-    .replace(/\n/g, '<br>');
-}
\ No newline at end of file
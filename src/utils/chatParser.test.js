@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { parseChat, parseChatWithFormat, detectChatLocale, detectChatDateFormat } from './chatParser';
+
+const ANDROID_CHAT = [
+  '10/19/26, 2:03 PM - Messages and calls are end-to-end encrypted.',
+  '10/19/26, 2:05 PM - Alice: Hi there',
+  'second line',
+  '',
+  'fourth line',
+  '10/19/26, 2:06 PM - Bob: IMG-20261019-WA0001.jpg (file attached)',
+  '10/19/26, 2:07 PM - Alice added Carol'
+].join('\n');
+
+// iOS exports wrap the header in brackets and add directional marks
+const IOS_CHAT = [
+  '﻿[10/19/26, 2:03:05 PM] Alice: Hello',
+  '‎[10/19/26, 2:04:00 PM] Bob: ‎<attached: 00000012-PHOTO-2026-10-19.jpg>',
+  '[10/19/26, 11:59:59 PM] Alice: Night',
+  '‎second line'
+].join('\n');
+
+const FILES = new Map([
+  ['IMG-20261019-WA0001.jpg', { size: 1234 }],
+  ['00000012-PHOTO-2026-10-19.jpg', { size: 99 }]
+]);
+
+describe('parseChat', () => {
+  it('parses Android headers, senders and timestamps', () => {
+    const messages = parseChat(ANDROID_CHAT, FILES);
+    expect(messages).toHaveLength(4);
+    expect(messages[1]).toMatchObject({
+      date: '10/19/26',
+      time: '2:05 PM',
+      sender: 'Alice',
+      type: 'message',
+      message: 'Hi there\nsecond line\n\nfourth line',
+      timestamp: new Date(2026, 9, 19, 14, 5).getTime()
+    });
+    expect(messages[2].attachment).toMatchObject({ filename: 'IMG-20261019-WA0001.jpg', type: 'image' });
+    expect(messages[3]).toMatchObject({ type: 'system', systemType: 'joined' });
+  });
+
+  it('parses iOS headers with seconds and a 12-hour clock', () => {
+    const messages = parseChat(IOS_CHAT, FILES);
+    expect(messages.map(message => message.sender)).toEqual(['Alice', 'Bob', 'Alice']);
+    expect(messages[0].timestamp).toBe(new Date(2026, 9, 19, 14, 3, 5).getTime());
+    expect(messages[2].timestamp).toBe(new Date(2026, 9, 19, 23, 59, 59).getTime());
+  });
+
+  it('strips directional marks from iOS attachments and continuation lines', () => {
+    const messages = parseChat(IOS_CHAT, FILES);
+    expect(messages[1].attachment).toMatchObject({ filename: '00000012-PHOTO-2026-10-19.jpg', type: 'image' });
+    expect(messages[1].message).toBe('');
+    expect(messages[2].message).toBe('Night\nsecond line');
+  });
+
+  it('reads day-first iOS dates when the first part cannot be a month', () => {
+    const [message] = parseChat('[19/10/26, 14:03:05] Alice: Hallo');
+    expect(message.timestamp).toBe(new Date(2026, 9, 19, 14, 3, 5).getTime());
+  });
+
+  it('leaves attachments that are not in the archive as text', () => {
+    const [message] = parseChat('[10/19/26, 2:04:00 PM] Bob: <attached: 00000013-PHOTO-2026-10-19.jpg>');
+    expect(message.attachment).toBeNull();
+  });
+
+  it('reads 24-hour exports with dots and dashes', () => {
+    expect(parseChat('19.10.2026, 14:03 - Alice: Hallo')[0].timestamp).toBe(new Date(2026, 9, 19, 14, 3).getTime());
+    expect(parseChat('2026-10-19 14:04 – Bob: Hi')[0].timestamp).toBe(new Date(2026, 9, 19, 14, 4).getTime());
+  });
+
+  it('applies a forced date order', () => {
+    const [message] = parseChat('03/04/2026, 10:00 - Alice: Hi', new Map(), { dateOrder: 'MDY' });
+    expect(message.timestamp).toBe(new Date(2026, 2, 4, 10, 0).getTime());
+  });
+});
+
+describe('markers and system messages', () => {
+  const ENGLISH_CHAT = [
+    '19/10/2026, 14:03 - Messages and calls are end-to-end encrypted.',
+    '19/10/2026, 14:04 - Bob: <Media omitted>',
+    '19/10/2026, 14:05 - Alice: This message was deleted',
+    '19/10/2026, 14:06 - Alice: Fixed it <This message was edited>',
+    '19/10/2026, 14:07 - Alice removed Bob',
+    '19/10/2026, 14:08 - Alice: You deleted this message'
+  ].join('\n');
+
+  const GERMAN_CHAT = [
+    '19.10.26, 14:03 - Nachrichten und Anrufe sind Ende-zu-Ende-verschlüsselt.',
+    '19.10.26, 14:04 - Bob: <Medien ausgeschlossen>',
+    '19.10.26, 14:05 - Alice: Diese Nachricht wurde gelöscht.',
+    '19.10.26, 14:06 - Alice hat Carol hinzugefügt'
+  ].join('\n');
+
+  it('flags media placeholders, deleted and edited messages', () => {
+    const messages = parseChat(ENGLISH_CHAT);
+    expect(messages[1].mediaOmitted).toBe(true);
+    expect(messages[2].deleted).toBe(true);
+    expect(messages[3]).toMatchObject({ edited: true, message: 'Fixed it' });
+    expect(messages.map(message => message.systemType ?? null)).toEqual(['encryption', null, null, null, 'removed', null]);
+  });
+
+  it('tells the exporter\'s own deletions apart', () => {
+    const messages = parseChat(ENGLISH_CHAT);
+    expect(messages[2]).toMatchObject({ deleted: true, deletedByOwner: false });
+    expect(messages[5]).toMatchObject({ deleted: true, deletedByOwner: true });
+  });
+
+  it('reads markers and system messages in the export language', () => {
+    const messages = parseChat(GERMAN_CHAT);
+    expect(messages[1].mediaOmitted).toBe(true);
+    expect(messages[2].deleted).toBe(true);
+    expect(messages[3].systemType).toBe('joined');
+  });
+
+  it('applies a forced locale', () => {
+    const [, media] = parseChat(GERMAN_CHAT, new Map(), { locale: 'en' });
+    expect(media.mediaOmitted).toBe(false);
+  });
+
+  it('detects the export language', () => {
+    expect(detectChatLocale(ENGLISH_CHAT)).toBe('en');
+    expect(detectChatLocale(GERMAN_CHAT)).toBe('de');
+  });
+});
+
+describe('detectChatDateFormat', () => {
+  it('detects the layout of the export', () => {
+    expect(detectChatDateFormat('19/10/2026, 14:03 - Alice: Hi')).toMatchObject({ order: 'DMY', yearDigits: 4, hour12: false, confident: true });
+    expect(detectChatDateFormat(IOS_CHAT)).toMatchObject({ order: 'MDY', yearDigits: 2, hour12: true });
+  });
+});
+
+describe('parseChatWithFormat', () => {
+  it('returns the messages with the format they were read with', () => {
+    const { messages, dateFormat } = parseChatWithFormat(ANDROID_CHAT);
+    expect(messages.map(message => message.timestamp)).toEqual(parseChat(ANDROID_CHAT).map(message => message.timestamp));
+    expect(dateFormat).toEqual(detectChatDateFormat(ANDROID_CHAT));
+  });
+
+  it('reports a forced date order', () => {
+    expect(parseChatWithFormat(ANDROID_CHAT, new Map(), { dateOrder: 'DMY' }).dateFormat.order).toBe('DMY');
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Chat Statistics
+ * Activity figures for the statistics dashboard, computed from parsed messages.
+ * Time-based figures use the message timestamps in local time and skip messages
+ * whose date could not be parsed.
+ */
+
+export const TIMELINE_GRANULARITIES = ['day', 'week', 'month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'other'];
+const TOP_DAYS = 10;
+const TOP_SILENCES = 5;
+
+/**
+ * Get the local calendar day key of a timestamp
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} - Day key (YYYY-MM-DD)
+ */
+export function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Get the start of the timeline bucket containing a timestamp
+ * @param {number} timestamp - Time in milliseconds
+ * @param {string} granularity - 'day', 'week' (starting Monday) or 'month'
+ * @returns {Date} - Local start of the bucket
+ */
+function getBucketStart(timestamp, granularity) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  if (granularity === 'week') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  } else if (granularity === 'month') {
+    date.setDate(1);
+  }
+  return date;
+}
+
+/**
+ * Get the start of the following bucket
+ * @param {Date} start - Start of a bucket
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {Date} - Start of the next bucket
+ */
+function getNextBucket(start, granularity) {
+  const next = new Date(start);
+  if (granularity === 'month') {
+    next.setMonth(next.getMonth() + 1);
+  } else {
+    next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+  }
+  return next;
+}
+
+/**
+ * Count timestamps per day, week or month, including empty periods
+ * @param {Array<number>} timestamps - Timestamps in chronological order
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @param {Object} [bounds] - { from, to } timestamps to cover, defaulting to the first and last timestamp
+ * @returns {Array} - Buckets as { start, count }, start in milliseconds
+ */
+export function buildTimeline(timestamps, granularity, {
+  from = timestamps[0],
+  to = timestamps[timestamps.length - 1]
+} = {}) {
+  if (from === undefined || to === undefined) return [];
+
+  const counts = new Map();
+  timestamps.forEach(timestamp => {
+    const key = getBucketStart(timestamp, granularity).getTime();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const buckets = [];
+  const last = getBucketStart(to, granularity).getTime();
+  for (let start = getBucketStart(from, granularity); start.getTime() <= last; start = getNextBucket(start, granularity)) {
+    buckets.push({ start: start.getTime(), count: counts.get(start.getTime()) || 0 });
+  }
+  return buckets;
+}
+
+/**
+ * Count the words of a message, ignoring media placeholders and deleted messages
+ * @param {Object} message - Parsed message
+ * @returns {number} - Word count
+ */
+function countWords(message) {
+  if (message.mediaOmitted || message.deleted) return 0;
+  const text = message.message.trim();
+  return text ? text.split(/\s+/).length : 0;
+}
+
+/**
+ * Find the longest run of consecutive days with messages
+ * @param {Array<string>} dayKeys - Active day keys in ascending order
+ * @returns {Object|null} - { days, start, end } with day keys
+ */
+function findLongestStreak(dayKeys) {
+  let best = null;
+  let runStart = 0;
+
+  for (let i = 0; i < dayKeys.length; i++) {
+    // Noon avoids daylight saving shifts when comparing calendar days
+    const isConsecutive = i > 0 &&
+      Math.round((new Date(`${dayKeys[i]}T12:00`) - new Date(`${dayKeys[i - 1]}T12:00`)) / DAY_MS) === 1;
+    if (!isConsecutive) runStart = i;
+
+    const days = i - runStart + 1;
+    if (!best || days > best.days) {
+      best = { days, start: dayKeys[runStart], end: dayKeys[i] };
+    }
+  }
+  return best;
+}
+
+/**
+ * Compute the dashboard statistics of a chat
+ * @param {Array} messages - Parsed messages in chat order
+ * @returns {Object} - Totals, per-participant figures, heatmap, timelines, busiest days, streaks and silences
+ */
+export function computeChatStatistics(messages) {
+  const participants = new Map();
+  // heatmap[weekday][hour], weekday as in Date.getDay() (0 = Sunday)
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const days = new Map();
+  const timestamps = [];
+  const silences = [];
+  let previous = null;
+  let totalWords = 0;
+  let totalAttachments = 0;
+  let totalMediaOmitted = 0;
+
+  messages.forEach((message, index) => {
+    if (message.type === 'system') return;
+
+    let participant = participants.get(message.sender);
+    if (!participant) {
+      participant = {
+        name: message.sender,
+        messages: 0,
+        words: 0,
+        media: Object.fromEntries(MEDIA_TYPES.map(type => [type, 0])),
+        mediaOmitted: 0,
+        deleted: 0,
+        first: null,
+        last: null
+      };
+      participants.set(message.sender, participant);
+    }
+
+    const words = countWords(message);
+    participant.messages++;
+    participant.words += words;
+    totalWords += words;
+
+    if (message.mediaOmitted) {
+      participant.mediaOmitted++;
+      totalMediaOmitted++;
+    } else if (message.attachment) {
+      const type = MEDIA_TYPES.includes(message.attachment.type) ? message.attachment.type : 'other';
+      participant.media[type]++;
+      totalAttachments++;
+    }
+    if (message.deleted) participant.deleted++;
+
+    const { timestamp } = message;
+    participant.first ??= { index, timestamp };
+    participant.last = { index, timestamp };
+    if (Number.isNaN(timestamp)) return;
+
+    const date = new Date(timestamp);
+    heatmap[date.getDay()][date.getHours()]++;
+    timestamps.push(timestamp);
+
+    const dayKey = getDayKey(timestamp);
+    const day = days.get(dayKey);
+    if (day) {
+      day.count++;
+    } else {
+      days.set(dayKey, { key: dayKey, count: 1, firstIndex: index });
+    }
+
+    if (previous && timestamp > previous.timestamp) {
+      silences.push({
+        duration: timestamp - previous.timestamp,
+        fromIndex: previous.index,
+        toIndex: index,
+        from: previous.timestamp,
+        to: timestamp
+      });
+    }
+    previous = { index, timestamp };
+  });
+
+  // Exports from several devices can be slightly out of order
+  timestamps.sort((a, b) => a - b);
+  const dayList = [...days.values()];
+  const activeDayKeys = dayList.map(day => day.key).sort();
+  const participantList = [...participants.values()].sort((a, b) => b.messages - a.messages);
+
+  return {
+    totalMessages: messages.length,
+    totalAttachments,
+    totalMediaOmitted,
+    totalWords,
+    uniqueSenders: participantList.length,
+    firstTimestamp: timestamps[0] ?? null,
+    lastTimestamp: timestamps[timestamps.length - 1] ?? null,
+    activeDays: dayList.length,
+    participants: participantList,
+    heatmap,
+    timeline: Object.fromEntries(
+      TIMELINE_GRANULARITIES.map(granularity => [granularity, buildTimeline(timestamps, granularity)])
+    ),
+    busiestDays: dayList.sort((a, b) => b.count - a.count || a.key.localeCompare(b.key)).slice(0, TOP_DAYS),
+    longestStreak: findLongestStreak(activeDayKeys),
+    longestSilences: silences.sort((a, b) => b.duration - a.duration).slice(0, TOP_SILENCES)
+  };
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "3 d 4 h", "5 h 12 min", "42 s"
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds} s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days} d ${hours % 24} h` : `${days} d`;
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { computeChatStatistics, formatDuration, getDayKey } from './chatStatistics';
+import { createMessage, createSystemMessage, DAY, START } from '../test/fixtures';
+
+const HOUR = 60 * 60 * 1000;
+
+// START is Monday 19 October 2026 at noon
+const MESSAGES = [
+  createSystemMessage('Alice created group "Trip"', 'created'),
+  createMessage('Alice', 'Good morning everyone', { timestamp: START }),
+  createMessage('Bob', 'Hi', { timestamp: START + HOUR }),
+  createMessage('Bob', '', { timestamp: START + DAY, attachment: { filename: 'IMG-1.jpg', type: 'image' } }),
+  createMessage('Alice', '<Media omitted>', { timestamp: START + DAY + HOUR, mediaOmitted: true }),
+  createMessage('Bob', 'This message was deleted', { timestamp: START + 2 * DAY, deleted: true }),
+  createMessage('Alice', 'Back home', { timestamp: START + 10 * DAY }),
+  createMessage('Carol', 'hello?', { timestamp: NaN })
+];
+
+describe('computeChatStatistics', () => {
+  const stats = computeChatStatistics(MESSAGES);
+
+  it('totals messages, words and media', () => {
+    expect(stats).toMatchObject({
+      totalMessages: 8,
+      totalAttachments: 1,
+      totalMediaOmitted: 1,
+      totalWords: 7,
+      uniqueSenders: 3,
+      firstTimestamp: START,
+      lastTimestamp: START + 10 * DAY,
+      activeDays: 4
+    });
+  });
+
+  it('ranks participants by message count', () => {
+    expect(stats.participants.map(p => [p.name, p.messages, p.words])).toEqual([
+      ['Alice', 3, 5],
+      ['Bob', 3, 1],
+      ['Carol', 1, 1]
+    ]);
+    expect(stats.participants[1]).toMatchObject({ deleted: 1, media: { image: 1 }, first: { index: 2 }, last: { index: 5 } });
+    expect(stats.participants[0].mediaOmitted).toBe(1);
+  });
+
+  it('fills the weekday and hour heatmap', () => {
+    expect(stats.heatmap[1][12]).toBe(1);
+    expect(stats.heatmap[1][13]).toBe(1);
+    expect(stats.heatmap[2][12]).toBe(1);
+    expect(stats.heatmap.flat().reduce((sum, count) => sum + count, 0)).toBe(6);
+  });
+
+  it('builds timelines with empty periods', () => {
+    expect(stats.timeline.day).toHaveLength(11);
+    expect(stats.timeline.day.map(bucket => bucket.count).slice(0, 4)).toEqual([2, 2, 1, 0]);
+    expect(stats.timeline.week.map(bucket => bucket.count)).toEqual([5, 1]);
+    expect(stats.timeline.month).toEqual([{ start: new Date(2026, 9, 1).getTime(), count: 6 }]);
+  });
+
+  it('finds busy days, the longest streak and the longest silences', () => {
+    expect(stats.busiestDays.map(day => [day.key, day.count])).toEqual([
+      ['2026-10-19', 2],
+      ['2026-10-20', 2],
+      ['2026-10-21', 1],
+      ['2026-10-29', 1]
+    ]);
+    expect(stats.longestStreak).toEqual({ days: 3, start: '2026-10-19', end: '2026-10-21' });
+    expect(stats.longestSilences[0]).toMatchObject({ duration: 8 * DAY, fromIndex: 5, toIndex: 6 });
+  });
+
+  it('handles chats without dated messages', () => {
+    const empty = computeChatStatistics([createMessage('Alice', 'Hi', { timestamp: NaN })]);
+    expect(empty).toMatchObject({ firstTimestamp: null, activeDays: 0, longestStreak: null, longestSilences: [] });
+    expect(empty.timeline.day).toEqual([]);
+  });
+});
+
+describe('getDayKey', () => {
+  it('uses the local calendar day', () => {
+    expect(getDayKey(new Date(2026, 0, 5, 23, 59).getTime())).toBe('2026-01-05');
+  });
+});
+
+describe('formatDuration', () => {
+  it('uses the two largest units', () => {
+    expect(formatDuration(42 * 1000)).toBe('42 s');
+    expect(formatDuration(5 * 60 * 1000)).toBe('5 min');
+    expect(formatDuration(5 * HOUR + 12 * 60 * 1000)).toBe('5 h 12 min');
+    expect(formatDuration(2 * HOUR)).toBe('2 h');
+    expect(formatDuration(3 * DAY + 4 * HOUR)).toBe('3 d 4 h');
+    expect(formatDuration(DAY)).toBe('1 d');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Chat Summary Helpers
+ * Small derived values shown outside the message list, such as the chat sidebar.
+ */
+
+/**
+ * Get unique sender names, excluding system messages
+ * @param {Array} messages - Parsed messages
+ * @returns {Array} - Sender names in order of first appearance
+ */
+export function getParticipants(messages) {
+  return [...new Set(messages.map(m => m.sender).filter(s => s && s !== 'System'))];
+}
+
+/**
+ * Describe a message in one line, as in a chat list
+ * @param {Object|undefined} message - Parsed message
+ * @returns {string} - Preview text
+ */
+export function getMessagePreview(message) {
+  if (!message) return '';
+
+  let text;
+  if (message.mediaOmitted) {
+    text = '📎 Media omitted';
+  } else if (message.attachment && !message.deleted) {
+    text = `📎 ${message.message.trim() || message.attachment.filename}`;
+  } else {
+    text = message.message;
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+
+  return message.type === 'system' ? text : `${message.sender}: ${text}`;
+}
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { getParticipants, getMessagePreview } from './chatSummary';
+import { createMessage, createSystemMessage } from '../test/fixtures';
+
+describe('getParticipants', () => {
+  it('lists senders once in order of appearance', () => {
+    const messages = [
+      createSystemMessage('Alice added Bob'),
+      createMessage('Bob', 'Hi'),
+      createMessage('Alice', 'Hello'),
+      createMessage('Bob', 'Again'),
+      createMessage('System', 'Older exports name system lines this way', { type: 'system' })
+    ];
+    expect(getParticipants(messages)).toEqual(['Bob', 'Alice']);
+  });
+});
+
+describe('getMessagePreview', () => {
+  it('puts the sender in front and flattens lines', () => {
+    expect(getMessagePreview(createMessage('Alice', 'See you\n  tomorrow'))).toBe('Alice: See you tomorrow');
+  });
+
+  it('describes attachments and omitted media', () => {
+    const attachment = { filename: 'IMG-1.jpg', type: 'image' };
+    expect(getMessagePreview(createMessage('Bob', '', { attachment }))).toBe('Bob: 📎 IMG-1.jpg');
+    expect(getMessagePreview(createMessage('Bob', 'Look', { attachment }))).toBe('Bob: 📎 Look');
+    expect(getMessagePreview(createMessage('Bob', '<Media omitted>', { mediaOmitted: true }))).toBe('Bob: 📎 Media omitted');
+  });
+
+  it('shows system messages and deletions as they are', () => {
+    expect(getMessagePreview(createSystemMessage('Alice added Bob'))).toBe('Alice added Bob');
+    const deleted = createMessage('Bob', 'This message was deleted', { deleted: true, attachment: { filename: 'IMG-1.jpg' } });
+    expect(getMessagePreview(deleted)).toBe('Bob: This message was deleted');
+  });
+
+  it('returns nothing without a message', () => {
+    expect(getMessagePreview(undefined)).toBe('');
+  });
+});
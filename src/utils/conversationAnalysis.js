@@ -0,0 +1,127 @@
+/**
+ * Conversation Analysis
+ * Splits a chat into conversation sessions separated by idle gaps and measures how
+ * quickly each participant replies to others. A reply is a message that follows
+ * someone else's message within the same session; the first message after an idle
+ * gap starts a new conversation instead of counting as a slow reply.
+ */
+
+export const DEFAULT_IDLE_GAP_MINUTES = 60;
+const TOP_SESSIONS = 5;
+
+/**
+ * Read a percentile from sorted values, interpolating between neighbours
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - Percentile value, or null without values
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Split dated messages into conversation sessions
+ * @param {Array} messages - Parsed messages in chat order
+ * @param {number} idleGapMs - Silence that ends a session
+ * @param {Object} [range] - { from, to } timestamps; messages outside are ignored
+ * @returns {Array} - Sessions as { indexes, start, end }
+ */
+export function splitSessions(messages, idleGapMs, { from = -Infinity, to = Infinity } = {}) {
+  const sessions = [];
+  let current = null;
+
+  messages.forEach((message, index) => {
+    const { timestamp } = message;
+    if (message.type === 'system' || Number.isNaN(timestamp) || timestamp < from || timestamp > to) return;
+
+    if (!current || timestamp - current.end > idleGapMs) {
+      current = { indexes: [], start: timestamp, end: timestamp };
+      sessions.push(current);
+    }
+    current.indexes.push(index);
+    current.end = Math.max(current.end, timestamp);
+  });
+
+  return sessions;
+}
+
+/**
+ * Analyse conversation sessions and reply times
+ * @param {Array} messages - Parsed messages in chat order
+ * @param {Object} options - Analysis options
+ * @param {number} [options.idleGapMinutes] - Minutes of silence that end a session
+ * @param {number} [options.from] - Only include messages from this timestamp
+ * @param {number} [options.to] - Only include messages up to this timestamp
+ * @returns {Object} - { sessions, summary, participants, longestSessions }
+ */
+export function analyzeConversations(messages, { idleGapMinutes = DEFAULT_IDLE_GAP_MINUTES, from, to } = {}) {
+  const sessions = splitSessions(messages, idleGapMinutes * 60 * 1000, { from, to });
+  const participants = new Map();
+
+  const getParticipant = (name) => {
+    if (!participants.has(name)) {
+      participants.set(name, { name, messages: 0, replyTimes: [], started: 0, ended: 0 });
+    }
+    return participants.get(name);
+  };
+
+  sessions.forEach(session => {
+    const { indexes } = session;
+    getParticipant(messages[indexes[0]].sender).started++;
+    getParticipant(messages[indexes[indexes.length - 1]].sender).ended++;
+
+    indexes.forEach((messageIndex, position) => {
+      const message = messages[messageIndex];
+      const participant = getParticipant(message.sender);
+      participant.messages++;
+
+      // Only the first message of a turn answers the previous speaker
+      const previous = messages[indexes[position - 1]];
+      if (previous && previous.sender !== message.sender) {
+        participant.replyTimes.push(Math.max(0, message.timestamp - previous.timestamp));
+      }
+    });
+  });
+
+  const participantList = [...participants.values()].map(({ replyTimes, ...participant }) => {
+    const sorted = replyTimes.sort((a, b) => a - b);
+    return {
+      ...participant,
+      replies: sorted.length,
+      median: percentile(sorted, 50),
+      p75: percentile(sorted, 75),
+      p90: percentile(sorted, 90)
+    };
+  }).sort((a, b) => b.messages - a.messages);
+
+  const durations = sessions.map(session => session.end - session.start).sort((a, b) => a - b);
+  const sessionSizes = sessions.map(session => session.indexes.length);
+
+  return {
+    sessions: sessions.length,
+    summary: {
+      medianDuration: percentile(durations, 50),
+      averageMessages: sessions.length > 0
+        ? sessionSizes.reduce((sum, size) => sum + size, 0) / sessions.length
+        : 0,
+      multiPersonSessions: sessions.filter(session =>
+        new Set(session.indexes.map(index => messages[index].sender)).size > 1
+      ).length
+    },
+    participants: participantList,
+    longestSessions: [...sessions]
+      .sort((a, b) => b.indexes.length - a.indexes.length)
+      .slice(0, TOP_SESSIONS)
+      .map(session => ({
+        startIndex: session.indexes[0],
+        endIndex: session.indexes[session.indexes.length - 1],
+        start: session.start,
+        end: session.end,
+        messageCount: session.indexes.length
+      }))
+  };
+}
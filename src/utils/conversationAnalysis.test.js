@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeConversations, splitSessions, percentile } from './conversationAnalysis';
+import { createMessage, createSystemMessage, START } from '../test/fixtures';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Build a message sent some minutes after START
+ * @param {string} sender - Sender
+ * @param {number} minutes - Minutes after START
+ * @returns {Object} - Message
+ */
+function at(sender, minutes) {
+  return createMessage(sender, 'text', { timestamp: START + minutes * MINUTE });
+}
+
+const MESSAGES = [
+  at('Alice', 0),
+  at('Bob', 2),
+  at('Bob', 3),
+  at('Alice', 13),
+  createSystemMessage('Carol joined using this group\'s invite link', 'joined', { timestamp: START + 20 * MINUTE }),
+  at('Bob', 200),
+  at('Carol', 204),
+  createMessage('Alice', 'undated', { timestamp: NaN })
+];
+
+describe('percentile', () => {
+  it('interpolates between neighbours', () => {
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([10, 20, 30], 90)).toBe(28);
+    expect(percentile([5], 75)).toBe(5);
+    expect(percentile([], 50)).toBeNull();
+  });
+});
+
+describe('splitSessions', () => {
+  it('starts a new session after the idle gap and skips system and undated messages', () => {
+    expect(splitSessions(MESSAGES, 60 * MINUTE).map(session => session.indexes)).toEqual([[0, 1, 2, 3], [5, 6]]);
+  });
+
+  it('only includes messages inside the range', () => {
+    const sessions = splitSessions(MESSAGES, 60 * MINUTE, { from: START + MINUTE, to: START + 100 * MINUTE });
+    expect(sessions).toEqual([{ indexes: [1, 2, 3], start: START + 2 * MINUTE, end: START + 13 * MINUTE }]);
+  });
+});
+
+describe('analyzeConversations', () => {
+  it('measures replies to other participants within sessions', () => {
+    const result = analyzeConversations(MESSAGES);
+
+    expect(result.participants).toEqual([
+      { name: 'Bob', messages: 3, started: 1, ended: 0, replies: 1, median: 2 * MINUTE, p75: 2 * MINUTE, p90: 2 * MINUTE },
+      { name: 'Alice', messages: 2, started: 1, ended: 1, replies: 1, median: 10 * MINUTE, p75: 10 * MINUTE, p90: 10 * MINUTE },
+      { name: 'Carol', messages: 1, started: 0, ended: 1, replies: 1, median: 4 * MINUTE, p75: 4 * MINUTE, p90: 4 * MINUTE }
+    ]);
+  });
+
+  it('summarises sessions', () => {
+    const result = analyzeConversations(MESSAGES);
+
+    expect(result.sessions).toBe(2);
+    expect(result.summary).toEqual({ medianDuration: 8.5 * MINUTE, averageMessages: 3, multiPersonSessions: 2 });
+    expect(result.longestSessions[0]).toEqual({
+      startIndex: 0,
+      endIndex: 3,
+      start: START,
+      end: START + 13 * MINUTE,
+      messageCount: 4
+    });
+  });
+
+  it('treats a shorter idle gap as separate conversations', () => {
+    const result = analyzeConversations(MESSAGES, { idleGapMinutes: 5 });
+    expect(result.sessions).toBe(3);
+    expect(result.participants.find(p => p.name === 'Alice')).toMatchObject({ started: 2, replies: 0 });
+  });
+
+  it('handles chats without dated messages', () => {
+    expect(analyzeConversations([createMessage('Alice', 'Hi', { timestamp: NaN })])).toEqual({
+      sessions: 0,
+      summary: { medianDuration: null, averageMessages: 0, multiPersonSessions: 0 },
+      participants: [],
+      longestSessions: []
+    });
+  });
+});
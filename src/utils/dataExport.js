@@ -0,0 +1,178 @@
+/**
+ * Structured Data Export
+ * Serializes parsed messages as JSON, NDJSON or CSV.
+ * The record layout is versioned; see docs/export-format.md before changing it.
+ */
+
+export const EXPORT_SCHEMA = 'whatsview.chat';
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const DATA_EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+  csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+const CSV_COLUMNS = [
+  'index',
+  'timestamp',
+  'date',
+  'time',
+  'sender',
+  'type',
+  'system_type',
+  'message',
+  'attachment_filename',
+  'attachment_type',
+  'edited',
+  'deleted',
+  'media_omitted'
+];
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Convert a parsed message to an export record
+ * @param {Object} message - Parsed message
+ * @param {number} index - Position in the full chat
+ * @returns {Object} - Export record (schema version 1)
+ */
+export function toExportRecord(message, index) {
+  return {
+    index,
+    timestamp: Number.isNaN(message.timestamp) ? null : new Date(message.timestamp).toISOString(),
+    date: message.date,
+    time: message.time,
+    sender: message.type === 'system' ? null : message.sender,
+    type: message.type,
+    systemType: message.systemType || null,
+    message: message.message,
+    attachment: message.attachment
+      ? {
+        filename: message.attachment.filename,
+        type: message.attachment.type,
+        size: message.attachment.size ?? null
+      }
+      : null,
+    edited: Boolean(message.edited),
+    deleted: Boolean(message.deleted),
+    mediaOmitted: Boolean(message.mediaOmitted)
+  };
+}
+
+/**
+ * Build export records, optionally leaving out system messages
+ * @param {Array} messages - Parsed messages
+ * @param {boolean} includeSystem - Whether to keep system messages
+ * @returns {Array} - Export records
+ */
+function toRecords(messages, includeSystem) {
+  const records = [];
+  messages.forEach((message, index) => {
+    if (includeSystem || message.type !== 'system') {
+      records.push(toExportRecord(message, index));
+    }
+  });
+  return records;
+}
+
+/**
+ * Quote a CSV field (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} - Quoted field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize messages as a JSON document
+ * @param {Array} messages - Parsed messages
+ * @param {Object} options - { chatName, includeSystem }
+ * @returns {string} - JSON text
+ */
+export function toJson(messages, { chatName = null, includeSystem = true } = {}) {
+  const records = toRecords(messages, includeSystem);
+  const participants = [...new Set(records.map(record => record.sender).filter(Boolean))];
+
+  return JSON.stringify({
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    chat: {
+      name: chatName,
+      participants,
+      messageCount: records.length
+    },
+    messages: records
+  }, null, 2);
+}
+
+/**
+ * Serialize messages as newline-delimited JSON, one record per line
+ * @param {Array} messages - Parsed messages
+ * @param {Object} options - { includeSystem }
+ * @returns {string} - NDJSON text
+ */
+export function toNdjson(messages, { includeSystem = true } = {}) {
+  return toRecords(messages, includeSystem)
+    .map(record => `${JSON.stringify(record)}\n`)
+    .join('');
+}
+
+/**
+ * Serialize messages as CSV with a header row
+ * @param {Array} messages - Parsed messages
+ * @param {Object} options - { includeSystem }
+ * @returns {string} - CSV text
+ */
+export function toCsv(messages, { includeSystem = true } = {}) {
+  const rows = toRecords(messages, includeSystem).map(record => [
+    record.index,
+    record.timestamp,
+    record.date,
+    record.time,
+    record.sender,
+    record.type,
+    record.systemType,
+    record.message,
+    record.attachment?.filename,
+    record.attachment?.type,
+    record.edited,
+    record.deleted,
+    record.mediaOmitted
+  ].map(toCsvField).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Export messages in a structured format
+ * @param {Array} messages - Parsed messages
+ * @param {string} format - 'json', 'ndjson' or 'csv'
+ * @param {Object} options - { chatName, includeSystem }
+ * @returns {Blob} - Export file
+ */
+export function exportChatData(messages, format, options = {}) {
+  const { mimeType } = DATA_EXPORT_FORMATS[format] || {};
+
+  switch (format) {
+    case 'json':
+      return new Blob([toJson(messages, options)], { type: `${mimeType};charset=utf-8` });
+    case 'ndjson':
+      return new Blob([toNdjson(messages, options)], { type: `${mimeType};charset=utf-8` });
+    case 'csv':
+      // The byte order mark makes Excel read the file as UTF-8
+      return new Blob(['\uFEFF', toCsv(messages, options)], { type: `${mimeType};charset=utf-8` });
+    default:
+      throw new Error(`Unknown data export format: ${format}`);
+  }
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { toExportRecord, toJson, toNdjson, toCsv, exportChatData, EXPORT_SCHEMA, EXPORT_SCHEMA_VERSION } from './dataExport';
+
+const MESSAGES = [
+  {
+    date: '19/10/2026',
+    time: '14:03',
+    sender: 'System',
+    message: 'Ana added Ben',
+    type: 'system',
+    systemType: 'joined',
+    timestamp: Date.UTC(2026, 9, 19, 14, 3)
+  },
+  {
+    date: '19/10/2026',
+    time: '14:05',
+    sender: 'Ana',
+    message: 'Hi "Ben",\nsee this',
+    type: 'message',
+    attachment: { filename: 'IMG-1.jpg', type: 'image', size: 10, originalText: 'IMG-1.jpg (file attached)' },
+    edited: true,
+    timestamp: Date.UTC(2026, 9, 19, 14, 5)
+  },
+  {
+    date: '??',
+    time: '14:06',
+    sender: 'Ben',
+    message: '=SUM(A1:A2)',
+    type: 'message',
+    timestamp: NaN
+  }
+];
+
+describe('toExportRecord', () => {
+  it('maps a message to the versioned record layout', () => {
+    expect(toExportRecord(MESSAGES[1], 1)).toEqual({
+      index: 1,
+      timestamp: '2026-10-19T14:05:00.000Z',
+      date: '19/10/2026',
+      time: '14:05',
+      sender: 'Ana',
+      type: 'message',
+      systemType: null,
+      message: 'Hi "Ben",\nsee this',
+      attachment: { filename: 'IMG-1.jpg', type: 'image', size: 10 },
+      edited: true,
+      deleted: false,
+      mediaOmitted: false
+    });
+  });
+
+  it('leaves out the sender of system messages and unknown timestamps', () => {
+    expect(toExportRecord(MESSAGES[0], 0)).toMatchObject({ sender: null, systemType: 'joined' });
+    expect(toExportRecord(MESSAGES[2], 2).timestamp).toBeNull();
+  });
+});
+
+describe('toJson', () => {
+  it('wraps records with the schema and chat details', () => {
+    const document = JSON.parse(toJson(MESSAGES, { chatName: 'Ana & Ben', includeSystem: false }));
+    expect(document).toMatchObject({
+      schema: EXPORT_SCHEMA,
+      version: EXPORT_SCHEMA_VERSION,
+      chat: { name: 'Ana & Ben', participants: ['Ana', 'Ben'], messageCount: 2 }
+    });
+    // Indices keep pointing into the full chat
+    expect(document.messages.map(record => record.index)).toEqual([1, 2]);
+  });
+});
+
+describe('toNdjson', () => {
+  it('writes one record per line', () => {
+    const lines = toNdjson(MESSAGES).split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[3]).toBe('');
+    expect(JSON.parse(lines[2]).message).toBe('=SUM(A1:A2)');
+  });
+});
+
+describe('toCsv', () => {
+  const rows = toCsv(MESSAGES).split('\r\n');
+
+  it('writes a header and quotes fields that need it', () => {
+    expect(rows[0]).toBe('index,timestamp,date,time,sender,type,system_type,message,attachment_filename,attachment_type,edited,deleted,media_omitted');
+    expect(rows[2]).toBe('1,2026-10-19T14:05:00.000Z,19/10/2026,14:05,Ana,message,,"Hi ""Ben"",\nsee this",IMG-1.jpg,image,true,false,false');
+  });
+
+  it('keeps spreadsheet apps from running formulas', () => {
+    expect(rows[3]).toBe('2,,??,14:06,Ben,message,,\'=SUM(A1:A2),,,false,false,false');
+  });
+});
+
+describe('exportChatData', () => {
+  it('starts CSV files with a byte order mark', async () => {
+    const blob = exportChatData(MESSAGES, 'csv');
+    expect(blob.type).toBe('text/csv;charset=utf-8');
+    expect(new Uint8Array(await blob.arrayBuffer()).slice(0, 3)).toEqual(new Uint8Array([0xef, 0xbb, 0xbf]));
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => exportChatData(MESSAGES, 'xml')).toThrow('Unknown data export format: xml');
+  });
+});
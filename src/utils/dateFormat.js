@@ -0,0 +1,170 @@
+/**
+ * Date Format Detection
+ * Infers the date/time layout of a chat export and builds timestamps from it
+ */
+
+// Supported day/month/year orderings
+export const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+
+const ORDER_LABELS = {
+  DMY: ['DD', 'MM', 'YY'],
+  MDY: ['MM', 'DD', 'YY'],
+  YMD: ['YY', 'MM', 'DD']
+};
+
+const DATE_SPLIT_REGEX = /[./-]/;
+const TIME_REGEX = /^(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*(?:([AaPp])\.?\s?[Mm]\.?)?$/;
+
+/**
+ * Split a date string into its three numeric parts
+ * @param {string} date - Date string such as 19/10/26 or 2026-10-19
+ * @returns {Array|null} - Array of three part strings or null
+ */
+function splitDate(date) {
+  const parts = date.split(DATE_SPLIT_REGEX);
+  return parts.length === 3 ? parts : null;
+}
+
+/**
+ * Detect the date format used by a set of message headers
+ * @param {Array} headers - Array of { date, time } strings in chat order
+ * @returns {Object} - Detected format { order, separator, yearDigits, hour12, confident }
+ */
+export function detectDateFormat(headers) {
+  const format = {
+    order: 'MDY',
+    separator: '/',
+    yearDigits: 2,
+    hour12: false,
+    confident: false
+  };
+
+  const samples = headers
+    .map(header => ({ parts: splitDate(header.date), header }))
+    .filter(sample => sample.parts);
+
+  if (samples.length === 0) return format;
+
+  const firstDate = samples[0].header.date;
+  format.separator = firstDate.match(DATE_SPLIT_REGEX)[0];
+  format.hour12 = headers.some(header => /[AaPp]\.?\s?[Mm]\.?$/.test(header.time));
+
+  // Year-first dates are unambiguous
+  if (samples[0].parts[0].length === 4) {
+    format.order = 'YMD';
+    format.yearDigits = 4;
+    format.confident = true;
+    return format;
+  }
+
+  format.yearDigits = samples[0].parts[2].length === 4 ? 4 : 2;
+
+  // A part larger than 12 can only be a day
+  let dayFirstVotes = 0;
+  let monthFirstVotes = 0;
+  samples.forEach(({ parts }) => {
+    const first = parseInt(parts[0], 10);
+    const second = parseInt(parts[1], 10);
+    if (first > 12 && second <= 12) dayFirstVotes++;
+    if (second > 12 && first <= 12) monthFirstVotes++;
+  });
+
+  if (dayFirstVotes !== monthFirstVotes) {
+    format.order = dayFirstVotes > monthFirstVotes ? 'DMY' : 'MDY';
+    format.confident = true;
+    return format;
+  }
+
+  // Every date is ambiguous: prefer the ordering that keeps the chat chronological
+  const dayFirstRegressions = countRegressions(headers, { ...format, order: 'DMY' });
+  const monthFirstRegressions = countRegressions(headers, { ...format, order: 'MDY' });
+
+  if (dayFirstRegressions !== monthFirstRegressions) {
+    format.order = dayFirstRegressions < monthFirstRegressions ? 'DMY' : 'MDY';
+    return format;
+  }
+
+  // No evidence either way: US exports use slashes with a 12-hour clock
+  format.order = format.separator === '/' && format.hour12 ? 'MDY' : 'DMY';
+  return format;
+}
+
+/**
+ * Count how often timestamps go backwards under a given format
+ * @param {Array} headers - Array of { date, time } strings in chat order
+ * @param {Object} format - Date format to test
+ * @returns {number} - Number of backwards steps
+ */
+function countRegressions(headers, format) {
+  let regressions = 0;
+  let previous = -Infinity;
+
+  headers.forEach(({ date, time }) => {
+    const timestamp = parseTimestamp(date, time, format);
+    if (isNaN(timestamp)) return;
+    if (timestamp < previous) regressions++;
+    previous = timestamp;
+  });
+
+  return regressions;
+}
+
+/**
+ * Build a timestamp from export date and time strings
+ * @param {string} date - Date string in the export's layout
+ * @param {string} time - Time string (HH:MM[:SS] with optional AM/PM)
+ * @param {Object} format - Date format from detectDateFormat
+ * @returns {number} - Milliseconds since epoch, or NaN if unparseable
+ */
+export function parseTimestamp(date, time, format) {
+  const parts = splitDate(date);
+  const timeMatch = time.match(TIME_REGEX);
+  if (!parts || !timeMatch) return NaN;
+
+  const values = parts.map(part => parseInt(part, 10));
+  let day;
+  let month;
+  let year;
+
+  switch (format.order) {
+    case 'YMD':
+      [year, month, day] = values;
+      break;
+    case 'DMY':
+      [day, month, year] = values;
+      break;
+    default:
+      [month, day, year] = values;
+  }
+
+  if (year < 100) {
+    year += 2000;
+  }
+  if (month < 1 || month > 12 || day < 1 || day > 31) return NaN;
+
+  let hours = parseInt(timeMatch[1], 10);
+  const minutes = parseInt(timeMatch[2], 10);
+  const seconds = timeMatch[3] ? parseInt(timeMatch[3], 10) : 0;
+  const meridiem = timeMatch[4] ? timeMatch[4].toUpperCase() : null;
+  if (meridiem === 'P' && hours < 12) hours += 12;
+  if (meridiem === 'A' && hours === 12) hours = 0;
+
+  // Date rolls days such as 31 February over into the next month
+  const result = new Date(year, month - 1, day, hours, minutes, seconds);
+  if (result.getFullYear() !== year || result.getMonth() !== month - 1 || result.getDate() !== day) {
+    return NaN;
+  }
+  return result.getTime();
+}
+
+/**
+ * Describe a date format for display, e.g. DD/MM/YYYY 24h
+ * @param {Object} format - Date format from detectDateFormat
+ * @returns {string} - Human readable label
+ */
+export function getDateFormatLabel(format) {
+  const labels = ORDER_LABELS[format.order].map(label =>
+    label === 'YY' && format.yearDigits === 4 ? 'YYYY' : label
+  );
+  return `${labels.join(format.separator)} ${format.hour12 ? '12h' : '24h'}`;
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { detectDateFormat, parseTimestamp, getDateFormatLabel } from './dateFormat';
+
+/**
+ * Build headers from date strings
+ * @param {Array<string>} dates - Dates in chat order
+ * @param {string} [time] - Time of every header
+ * @returns {Array} - Headers as { date, time }
+ */
+function headers(dates, time = '10:00') {
+  return dates.map(date => ({ date, time }));
+}
+
+describe('detectDateFormat', () => {
+  it('reads year-first dates as YMD', () => {
+    expect(detectDateFormat(headers(['2026-10-19']))).toMatchObject({
+      order: 'YMD',
+      separator: '-',
+      yearDigits: 4,
+      confident: true
+    });
+  });
+
+  it('uses a part above 12 to tell day from month', () => {
+    expect(detectDateFormat(headers(['01/02/26', '19/10/26']))).toMatchObject({ order: 'DMY', confident: true });
+    expect(detectDateFormat(headers(['01/02/26', '10/19/26']))).toMatchObject({ order: 'MDY', confident: true });
+  });
+
+  it('prefers the order that keeps ambiguous dates chronological', () => {
+    // Day-first reads 12 Jan, 1 Feb, 2 Feb; month-first would go back from 1 Dec to 2 Jan
+    const format = detectDateFormat(headers(['12.01.2026', '01.02.2026', '02.02.2026']));
+    expect(format).toMatchObject({ order: 'DMY', separator: '.', yearDigits: 4, confident: false });
+  });
+
+  it('falls back on the clock and separator without evidence', () => {
+    expect(detectDateFormat(headers(['01/02/26'], '9:00 AM')).order).toBe('MDY');
+    expect(detectDateFormat(headers(['01/02/26'], '09:00')).order).toBe('DMY');
+  });
+
+  it('detects a 12-hour clock', () => {
+    expect(detectDateFormat(headers(['19/10/26'], '9.05 p. m.')).hour12).toBe(true);
+  });
+});
+
+describe('parseTimestamp', () => {
+  const dmy = { order: 'DMY' };
+
+  it('builds local timestamps in the given order', () => {
+    expect(parseTimestamp('19/10/26', '14:03', dmy)).toBe(new Date(2026, 9, 19, 14, 3).getTime());
+    expect(parseTimestamp('10/19/2026', '14:03:22', { order: 'MDY' })).toBe(new Date(2026, 9, 19, 14, 3, 22).getTime());
+    expect(parseTimestamp('2026-10-19', '14:03', { order: 'YMD' })).toBe(new Date(2026, 9, 19, 14, 3).getTime());
+  });
+
+  it('converts 12-hour times', () => {
+    expect(parseTimestamp('19/10/26', '12:15 AM', dmy)).toBe(new Date(2026, 9, 19, 0, 15).getTime());
+    expect(parseTimestamp('19/10/26', '12:15 PM', dmy)).toBe(new Date(2026, 9, 19, 12, 15).getTime());
+    expect(parseTimestamp('19/10/26', '9.05 p. m.', dmy)).toBe(new Date(2026, 9, 19, 21, 5).getTime());
+  });
+
+  it('returns NaN for impossible or unreadable dates', () => {
+    expect(parseTimestamp('19/10/26', '14:03', { order: 'MDY' })).toBeNaN();
+    expect(parseTimestamp('19/10', '14:03', dmy)).toBeNaN();
+    expect(parseTimestamp('19/10/26', 'noon', dmy)).toBeNaN();
+  });
+
+  it('rejects days the month does not have', () => {
+    expect(parseTimestamp('31/02/2024', '14:03', dmy)).toBeNaN();
+    expect(parseTimestamp('31/04/2026', '14:03', dmy)).toBeNaN();
+    expect(parseTimestamp('29/02/2023', '14:03', dmy)).toBeNaN();
+    expect(parseTimestamp('29/02/2024', '14:03', dmy)).toBe(new Date(2024, 1, 29, 14, 3).getTime());
+  });
+});
+
+describe('getDateFormatLabel', () => {
+  it('describes the order, separator, year digits and clock', () => {
+    expect(getDateFormatLabel({ order: 'DMY', separator: '.', yearDigits: 4, hour12: false })).toBe('DD.MM.YYYY 24h');
+    expect(getDateFormatLabel({ order: 'MDY', separator: '/', yearDigits: 2, hour12: true })).toBe('MM/DD/YY 12h');
+  });
+});
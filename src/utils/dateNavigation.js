@@ -0,0 +1,86 @@
+import { getDayKey } from './chatStatistics';
+
+/**
+ * Date Navigation
+ * Day and month positions in a chat for the jump-to-date calendar and the timeline
+ * scrubber. A day starts at the first message of that date, which is the row the
+ * message list draws the date separator above.
+ */
+
+/**
+ * Get the month key of a day key
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {string} - Month key (YYYY-MM)
+ */
+export function getMonthKey(dayKey) {
+  return dayKey.slice(0, 7);
+}
+
+/**
+ * Index the days and months of a chat
+ * @param {Array} messages - Parsed messages in chat order
+ * @returns {Object} - { days: Map of day key to { key, count, firstIndex }, months: [{ key, year, month, count, firstIndex }], maxCount }
+ */
+export function buildDateIndex(messages) {
+  const days = new Map();
+  const months = new Map();
+  let maxCount = 0;
+
+  messages.forEach((message, index) => {
+    if (Number.isNaN(message.timestamp)) return;
+
+    const key = getDayKey(message.timestamp);
+    const day = days.get(key);
+    if (day) {
+      day.count++;
+      maxCount = Math.max(maxCount, day.count);
+    } else {
+      days.set(key, { key, count: 1, firstIndex: index });
+      maxCount = Math.max(maxCount, 1);
+    }
+
+    const monthKey = getMonthKey(key);
+    const month = months.get(monthKey);
+    if (month) {
+      month.count++;
+    } else {
+      months.set(monthKey, {
+        key: monthKey,
+        year: Number(monthKey.slice(0, 4)),
+        month: Number(monthKey.slice(5, 7)) - 1,
+        count: 1,
+        firstIndex: index
+      });
+    }
+  });
+
+  return {
+    days,
+    // Merged exports can place a month before an earlier one; the scrubber follows chat order
+    months: [...months.values()].sort((a, b) => a.firstIndex - b.firstIndex),
+    maxCount
+  };
+}
+
+/**
+ * Build the weeks of a calendar month, starting on Monday
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @returns {Array<Array<string|null>>} - Weeks of day keys, null outside the month
+ */
+export function getCalendarWeeks(year, month) {
+  const first = new Date(year, month, 1);
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const cells = new Array((first.getDay() + 6) % 7).fill(null);
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(getDayKey(new Date(year, month, day).getTime()));
+  }
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+}
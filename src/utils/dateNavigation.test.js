@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { buildDateIndex, getCalendarWeeks, getMonthKey } from './dateNavigation';
+import { createMessage, createSystemMessage, DAY, START } from '../test/fixtures';
+
+describe('buildDateIndex', () => {
+  const messages = [
+    createSystemMessage('Messages and calls are end-to-end encrypted.', null, { timestamp: START }),
+    createMessage('Alice', 'Hi', { timestamp: START }),
+    createMessage('Bob', 'undated', { timestamp: NaN }),
+    createMessage('Bob', 'Hello', { timestamp: START + DAY }),
+    createMessage('Alice', 'Next month', { timestamp: START + 20 * DAY }),
+    // A merged export can continue with an earlier day
+    createMessage('Carol', 'Late copy', { timestamp: START - 30 * DAY })
+  ];
+  const index = buildDateIndex(messages);
+
+  it('points every day at its first message', () => {
+    expect(index.days.get('2026-10-19')).toEqual({ key: '2026-10-19', count: 2, firstIndex: 0 });
+    expect(index.days.get('2026-10-20')).toEqual({ key: '2026-10-20', count: 1, firstIndex: 3 });
+    expect(index.days.size).toBe(4);
+    expect(index.maxCount).toBe(2);
+  });
+
+  it('lists months in chat order', () => {
+    expect(index.months.map(month => [month.key, month.year, month.month, month.count, month.firstIndex])).toEqual([
+      ['2026-10', 2026, 9, 3, 0],
+      ['2026-11', 2026, 10, 1, 4],
+      ['2026-09', 2026, 8, 1, 5]
+    ]);
+  });
+
+  it('is empty for chats without dates', () => {
+    expect(buildDateIndex([createMessage('Alice', 'Hi', { timestamp: NaN })])).toEqual({ days: new Map(), months: [], maxCount: 0 });
+  });
+});
+
+describe('getCalendarWeeks', () => {
+  it('lays out a month in weeks starting on Monday', () => {
+    const weeks = getCalendarWeeks(2026, 9);
+
+    expect(weeks).toHaveLength(5);
+    expect(weeks[0]).toEqual([null, null, null, '2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04']);
+    expect(weeks[3][0]).toBe('2026-10-19');
+    expect(weeks[4]).toEqual(['2026-10-26', '2026-10-27', '2026-10-28', '2026-10-29', '2026-10-30', '2026-10-31', null]);
+  });
+
+  it('needs no padding when a month starts on Monday', () => {
+    expect(getCalendarWeeks(2021, 1)).toHaveLength(4);
+  });
+});
+
+describe('getMonthKey', () => {
+  it('keeps the year and month', () => {
+    expect(getMonthKey('2026-10-19')).toBe('2026-10');
+  });
+});
@@ -0,0 +1,866 @@
+import JSZip from 'jszip';
+
+/**
+ * Document Preview Parsers
+ * Turns Office documents, spreadsheets, text files and contact cards into plain data
+ * that the preview components render as React elements. Everything is read in the
+ * browser; .docx and .xlsx are ZIP packages of XML and are unpacked with JSZip.
+ */
+
+export const PREVIEW_KINDS = {
+  DOCX: 'docx',
+  SHEET: 'sheet',
+  CSV: 'csv',
+  TEXT: 'text',
+  CODE: 'code',
+  VCARD: 'vcard'
+};
+
+const CODE_EXTENSIONS = [
+  'json', 'js', 'jsx', 'mjs', 'ts', 'tsx', 'html', 'htm', 'css', 'scss', 'sass', 'less',
+  'py', 'java', 'kt', 'c', 'h', 'cpp', 'hpp', 'cs', 'php', 'rb', 'go', 'rs', 'swift',
+  'sh', 'bat', 'ps1', 'sql', 'xml', 'yml', 'yaml', 'toml', 'ini'
+];
+const TEXT_EXTENSIONS = ['txt', 'md', 'log'];
+
+// Larger files are cut off; the full file can still be downloaded
+export const MAX_TEXT_LENGTH = 1024 * 1024;
+export const MAX_SHEET_ROWS = 1000;
+export const MAX_SHEET_COLUMNS = 100;
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Built-in spreadsheet number formats that display a date or time
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+// Days between the spreadsheet epoch (1899-12-30) and the Unix epoch
+const SHEET_EPOCH_OFFSET_DAYS = 25569;
+
+/**
+ * Decide how a file can be previewed
+ * @param {string} filename - Name of the file
+ * @returns {string|null} - One of PREVIEW_KINDS, or null if there is no preview
+ */
+export function getPreviewKind(filename) {
+  const extension = filename.toLowerCase().split('.').pop();
+
+  if (extension === 'docx') return PREVIEW_KINDS.DOCX;
+  if (extension === 'xlsx') return PREVIEW_KINDS.SHEET;
+  if (extension === 'csv' || extension === 'tsv') return PREVIEW_KINDS.CSV;
+  if (extension === 'vcf') return PREVIEW_KINDS.VCARD;
+  if (TEXT_EXTENSIONS.includes(extension)) return PREVIEW_KINDS.TEXT;
+  if (CODE_EXTENSIONS.includes(extension)) return PREVIEW_KINDS.CODE;
+  return null;
+}
+
+/**
+ * Read a file as UTF-8 text, without a byte order mark
+ * @param {Blob} blob - File
+ * @param {number} [maxLength] - Characters to keep
+ * @returns {Promise<Object>} - { text, truncated }
+ */
+async function readText(blob, maxLength = Infinity) {
+  const text = (await blob.text()).replace(/^\uFEFF/, '');
+  return text.length > maxLength
+    ? { text: text.slice(0, maxLength), truncated: true }
+    : { text, truncated: false };
+}
+
+/**
+ * Parse an XML part
+ * @param {string} xml - XML text
+ * @returns {Document} - Parsed document
+ */
+function parseXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The document contains invalid XML');
+  }
+  return doc;
+}
+
+/**
+ * Read and parse an XML part from a package
+ * @param {JSZip} zip - Opened package
+ * @param {string} path - Part path
+ * @returns {Promise<Document|null>} - Parsed part, or null if it is missing
+ */
+async function readXmlPart(zip, path) {
+  const entry = zip.file(path);
+  return entry ? parseXml(await entry.async('string')) : null;
+}
+
+/**
+ * Get the child elements with a given local name
+ * @param {Element} element - Parent element
+ * @param {string} [localName] - Local name to keep, or all children if omitted
+ * @returns {Array<Element>} - Matching children
+ */
+function childElements(element, localName) {
+  return Array.from(element?.children || [])
+    .filter(child => !localName || child.localName === localName);
+}
+
+/**
+ * Get the first child element with a given local name
+ * @param {Element} element - Parent element
+ * @param {string} localName - Local name
+ * @returns {Element|null} - First match
+ */
+function childElement(element, localName) {
+  return childElements(element, localName)[0] || null;
+}
+
+/**
+ * Read a namespaced attribute, falling back to the prefixed name
+ * @param {Element} element - Element
+ * @param {string} namespace - Attribute namespace
+ * @param {string} name - Local attribute name
+ * @returns {string|null} - Attribute value
+ */
+function getAttribute(element, namespace, name) {
+  if (!element) return null;
+  return element.getAttributeNS(namespace, name) ?? element.getAttribute(name);
+}
+
+/**
+ * Read package relationships (Id to target)
+ * @param {JSZip} zip - Opened package
+ * @param {string} path - Path of the .rels part
+ * @returns {Promise<Map>} - Relationship id to { target, external }
+ */
+async function readRelationships(zip, path) {
+  const relationships = new Map();
+  const doc = await readXmlPart(zip, path);
+  if (!doc) return relationships;
+
+  Array.from(doc.getElementsByTagName('Relationship')).forEach(relationship => {
+    relationships.set(relationship.getAttribute('Id'), {
+      target: relationship.getAttribute('Target'),
+      external: relationship.getAttribute('TargetMode') === 'External'
+    });
+  });
+  return relationships;
+}
+
+/**
+ * Check whether a Word on/off property is switched on
+ * @param {Element} properties - w:rPr element
+ * @param {string} name - Property name, e.g. 'b'
+ * @returns {boolean} - True if set and not turned off
+ */
+function isToggleOn(properties, name) {
+  const element = childElement(properties, name);
+  if (!element) return false;
+  const value = getAttribute(element, WORD_NS, 'val');
+  return value === null || !['0', 'false', 'off', 'none'].includes(value);
+}
+
+/**
+ * Map Word style ids to heading levels (1 = title or Heading 1)
+ * @param {Document|null} stylesDoc - Parsed word/styles.xml
+ * @returns {Map} - Style id to heading level
+ */
+function readHeadingStyles(stylesDoc) {
+  const headings = new Map();
+  if (!stylesDoc) return headings;
+
+  Array.from(stylesDoc.getElementsByTagNameNS(WORD_NS, 'style')).forEach(style => {
+    const id = getAttribute(style, WORD_NS, 'styleId');
+    // Style names are stable even when the ids are localized
+    const name = (getAttribute(childElement(style, 'name'), WORD_NS, 'val') || id || '').toLowerCase();
+    const match = name.match(/^heading\s*(\d)$/);
+    if (match) {
+      headings.set(id, Math.min(Number(match[1]), 6));
+    } else if (name === 'title') {
+      headings.set(id, 1);
+    } else if (name === 'subtitle') {
+      headings.set(id, 2);
+    }
+  });
+  return headings;
+}
+
+/**
+ * Find which Word list definitions are numbered rather than bulleted
+ * @param {Document|null} numberingDoc - Parsed word/numbering.xml
+ * @returns {Function} - (numId, level) => true if the list level is numbered
+ */
+function readNumbering(numberingDoc) {
+  const abstractFormats = new Map();
+  const instances = new Map();
+
+  if (numberingDoc) {
+    Array.from(numberingDoc.getElementsByTagNameNS(WORD_NS, 'abstractNum')).forEach(abstractNum => {
+      const levels = new Map();
+      childElements(abstractNum, 'lvl').forEach(level => {
+        const format = getAttribute(childElement(level, 'numFmt'), WORD_NS, 'val');
+        levels.set(Number(getAttribute(level, WORD_NS, 'ilvl')), format);
+      });
+      abstractFormats.set(getAttribute(abstractNum, WORD_NS, 'abstractNumId'), levels);
+    });
+
+    Array.from(numberingDoc.getElementsByTagNameNS(WORD_NS, 'num')).forEach(num => {
+      const abstractId = getAttribute(childElement(num, 'abstractNumId'), WORD_NS, 'val');
+      instances.set(getAttribute(num, WORD_NS, 'numId'), abstractId);
+    });
+  }
+
+  return (numId, level) => {
+    const format = abstractFormats.get(instances.get(numId))?.get(level);
+    return Boolean(format) && format !== 'bullet' && format !== 'none';
+  };
+}
+
+/**
+ * Collect the text runs of a paragraph
+ * @param {Element} element - Paragraph or run container
+ * @param {Object} context - { relationships }
+ * @param {string|null} href - Link target of an enclosing hyperlink
+ * @param {Array} runs - Runs collected so far
+ * @returns {Array} - Runs as { text, bold, italic, underline, strike, href }
+ */
+function collectRuns(element, context, href = null, runs = []) {
+  childElements(element).forEach(child => {
+    switch (child.localName) {
+      case 'r': {
+        const properties = childElement(child, 'rPr');
+        const style = {
+          bold: isToggleOn(properties, 'b'),
+          italic: isToggleOn(properties, 'i'),
+          underline: isToggleOn(properties, 'u'),
+          strike: isToggleOn(properties, 'strike') || isToggleOn(properties, 'dstrike'),
+          href
+        };
+        let text = '';
+        childElements(child).forEach(part => {
+          if (part.localName === 't') text += part.textContent;
+          else if (part.localName === 'tab') text += '\t';
+          else if (part.localName === 'br' || part.localName === 'cr') text += '\n';
+          else if (part.localName === 'noBreakHyphen') text += '‑';
+        });
+        if (text) runs.push({ text, ...style });
+        break;
+      }
+      case 'hyperlink': {
+        const relationship = context.relationships.get(getAttribute(child, RELATIONSHIP_NS, 'id'));
+        const target = relationship?.external ? relationship.target : null;
+        collectRuns(child, context, target && /^(https?:|mailto:)/i.test(target) ? target : href, runs);
+        break;
+      }
+      case 'pPr':
+      case 'del':
+      case 'moveFrom':
+        // Paragraph properties and tracked deletions carry no visible text
+        break;
+      default:
+        // Insertions, smart tags, fields and content controls wrap ordinary runs
+        collectRuns(child, context, href, runs);
+    }
+  });
+  return runs;
+}
+
+/**
+ * Convert a Word paragraph
+ * @param {Element} paragraph - w:p element
+ * @param {Object} context - { relationships, headings, isNumbered, counters }
+ * @returns {Object} - Paragraph block
+ */
+function parseParagraph(paragraph, context) {
+  const properties = childElement(paragraph, 'pPr');
+  const styleId = getAttribute(childElement(properties, 'pStyle'), WORD_NS, 'val');
+  const alignment = getAttribute(childElement(properties, 'jc'), WORD_NS, 'val');
+  const numbering = childElement(properties, 'numPr');
+
+  let list = null;
+  if (numbering) {
+    const numId = getAttribute(childElement(numbering, 'numId'), WORD_NS, 'val');
+    const level = Number(getAttribute(childElement(numbering, 'ilvl'), WORD_NS, 'val') || 0);
+    // numId 0 removes numbering inherited from the style
+    if (numId && numId !== '0') {
+      const counters = context.counters.get(numId) || [];
+      counters[level] = (counters[level] || 0) + 1;
+      counters.length = level + 1;
+      context.counters.set(numId, counters);
+      list = {
+        level,
+        ordered: context.isNumbered(numId, level),
+        number: counters[level]
+      };
+    }
+  }
+
+  return {
+    type: 'paragraph',
+    heading: context.headings.get(styleId) || null,
+    align: ['center', 'right', 'both', 'end'].includes(alignment) ? alignment : null,
+    list,
+    runs: collectRuns(paragraph, context)
+  };
+}
+
+/**
+ * Convert the block content of a body, table cell or content control
+ * @param {Element} container - Element holding paragraphs and tables
+ * @param {Object} context - Parser context
+ * @returns {Array} - Blocks
+ */
+function parseBlocks(container, context) {
+  const blocks = [];
+  childElements(container).forEach(child => {
+    if (child.localName === 'p') {
+      blocks.push(parseParagraph(child, context));
+    } else if (child.localName === 'tbl') {
+      blocks.push({
+        type: 'table',
+        rows: childElements(child, 'tr').map(row =>
+          childElements(row, 'tc').map(cell => parseBlocks(cell, context))
+        )
+      });
+    } else if (child.localName === 'sdt') {
+      blocks.push(...parseBlocks(childElement(child, 'sdtContent'), context));
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Parse a Word document (.docx)
+ * @param {Blob} blob - Document file
+ * @returns {Promise<Array>} - Blocks: { type: 'paragraph', heading, align, list, runs } or { type: 'table', rows }
+ */
+export async function parseDocx(blob) {
+  const zip = await JSZip.loadAsync(blob);
+  const documentDoc = await readXmlPart(zip, 'word/document.xml');
+  if (!documentDoc) {
+    throw new Error('This is not a Word document');
+  }
+
+  const [stylesDoc, numberingDoc, relationships] = await Promise.all([
+    readXmlPart(zip, 'word/styles.xml'),
+    readXmlPart(zip, 'word/numbering.xml'),
+    readRelationships(zip, 'word/_rels/document.xml.rels')
+  ]);
+
+  const body = documentDoc.getElementsByTagNameNS(WORD_NS, 'body')[0];
+  return parseBlocks(body, {
+    relationships,
+    headings: readHeadingStyles(stylesDoc),
+    isNumbered: readNumbering(numberingDoc),
+    counters: new Map()
+  });
+}
+
+/**
+ * Convert a column name (A, B, …, AA) to a zero-based index
+ * @param {string} letters - Column letters
+ * @returns {number} - Column index
+ */
+function columnIndex(letters) {
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Convert a zero-based column index to its name
+ * @param {number} index - Column index
+ * @returns {string} - Column letters
+ */
+export function columnName(index) {
+  let name = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const digit = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + digit) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Get the text of a shared or inline string, without phonetic hints
+ * @param {Element} element - si or is element
+ * @returns {string} - Text
+ */
+function stringItemText(element) {
+  const plain = childElement(element, 't');
+  if (plain) return plain.textContent;
+  return childElements(element, 'r')
+    .map(run => childElement(run, 't')?.textContent || '')
+    .join('');
+}
+
+/**
+ * Find which cell styles display numbers as dates
+ * @param {Document|null} stylesDoc - Parsed xl/styles.xml
+ * @returns {Set<number>} - Indexes into cellXfs that are date formats
+ */
+function readDateStyles(stylesDoc) {
+  const dateStyles = new Set();
+  if (!stylesDoc) return dateStyles;
+
+  const customDateFormats = new Set();
+  Array.from(stylesDoc.getElementsByTagNameNS('*', 'numFmt')).forEach(format => {
+    // Ignore quoted literals and colours like [Red] before looking for date parts
+    const code = (format.getAttribute('formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmyhs]/i.test(code)) {
+      customDateFormats.add(Number(format.getAttribute('numFmtId')));
+    }
+  });
+
+  const cellFormats = stylesDoc.getElementsByTagNameNS('*', 'cellXfs')[0];
+  childElements(cellFormats, 'xf').forEach((xf, index) => {
+    const id = Number(xf.getAttribute('numFmtId'));
+    if (DATE_FORMAT_IDS.has(id) || customDateFormats.has(id)) {
+      dateStyles.add(index);
+    }
+  });
+  return dateStyles;
+}
+
+/**
+ * Format a spreadsheet date serial
+ * @param {number} serial - Days since 1899-12-30, with the time as a fraction
+ * @returns {string} - ISO-like date, with the time if there is one
+ */
+function formatSheetDate(serial) {
+  const date = new Date(Math.round((serial - SHEET_EPOCH_OFFSET_DAYS) * 86400000));
+  if (Number.isNaN(date.getTime())) return String(serial);
+  const iso = date.toISOString();
+  return serial % 1 === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+}
+
+/**
+ * Read the display value of a worksheet cell
+ * @param {Element} cell - c element
+ * @param {Array<string>} sharedStrings - Shared string table
+ * @param {Set<number>} dateStyles - Date style indexes
+ * @returns {string} - Cell text
+ */
+function cellText(cell, sharedStrings, dateStyles) {
+  const type = cell.getAttribute('t');
+  const value = childElement(cell, 'v')?.textContent ?? '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(value)] ?? '';
+    case 'inlineStr':
+      return stringItemText(childElement(cell, 'is'));
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    case 'str':
+    case 'e':
+      return value;
+    default: {
+      if (value === '') return '';
+      const number = Number(value);
+      if (dateStyles.has(Number(cell.getAttribute('s') || 0))) {
+        return formatSheetDate(number);
+      }
+      // Drop floating point noise such as 0.30000000000000004
+      return Number.isFinite(number) ? String(Number(number.toPrecision(15))) : value;
+    }
+  }
+}
+
+/**
+ * Parse one worksheet into a grid of strings
+ * @param {Document} sheetDoc - Parsed worksheet part
+ * @param {Array<string>} sharedStrings - Shared string table
+ * @param {Set<number>} dateStyles - Date style indexes
+ * @returns {Object} - { rows, truncated }
+ */
+function parseWorksheet(sheetDoc, sharedStrings, dateStyles) {
+  const rows = [];
+  let truncated = false;
+  let nextRow = 0;
+
+  const sheetData = sheetDoc.getElementsByTagNameNS('*', 'sheetData')[0];
+  childElements(sheetData, 'row').forEach(row => {
+    const rowIndex = row.getAttribute('r') ? Number(row.getAttribute('r')) - 1 : nextRow;
+    nextRow = rowIndex + 1;
+    if (rowIndex >= MAX_SHEET_ROWS) {
+      truncated = true;
+      return;
+    }
+
+    const values = [];
+    let nextColumn = 0;
+    childElements(row, 'c').forEach(cell => {
+      const reference = cell.getAttribute('r')?.match(/^[A-Z]+/);
+      const column = reference ? columnIndex(reference[0]) : nextColumn;
+      nextColumn = column + 1;
+      if (column >= MAX_SHEET_COLUMNS) {
+        truncated = true;
+        return;
+      }
+      values[column] = cellText(cell, sharedStrings, dateStyles);
+    });
+    rows[rowIndex] = Array.from(values, value => value ?? '');
+  });
+
+  return { rows: Array.from(rows, row => row || []), truncated };
+}
+
+/**
+ * Resolve a workbook relationship target to a package path
+ * @param {string} target - Relationship target
+ * @returns {string} - Path inside the package
+ */
+function resolveWorkbookPath(target) {
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Parse an Excel workbook (.xlsx)
+ * @param {Blob} blob - Workbook file
+ * @returns {Promise<Array>} - Sheets as { name, rows, truncated }
+ */
+export async function parseXlsx(blob) {
+  const zip = await JSZip.loadAsync(blob);
+  const workbookDoc = await readXmlPart(zip, 'xl/workbook.xml');
+  if (!workbookDoc) {
+    throw new Error('This is not an Excel workbook');
+  }
+
+  const [sharedStringsDoc, stylesDoc, relationships] = await Promise.all([
+    readXmlPart(zip, 'xl/sharedStrings.xml'),
+    readXmlPart(zip, 'xl/styles.xml'),
+    readRelationships(zip, 'xl/_rels/workbook.xml.rels')
+  ]);
+
+  const sharedStrings = sharedStringsDoc
+    ? childElements(sharedStringsDoc.documentElement, 'si').map(stringItemText)
+    : [];
+  const dateStyles = readDateStyles(stylesDoc);
+
+  const sheets = [];
+  for (const sheet of Array.from(workbookDoc.getElementsByTagNameNS('*', 'sheet'))) {
+    const relationship = relationships.get(getAttribute(sheet, RELATIONSHIP_NS, 'id'));
+    const sheetDoc = relationship ? await readXmlPart(zip, resolveWorkbookPath(relationship.target)) : null;
+    // Chart sheets and missing parts have no cell grid
+    if (sheetDoc?.getElementsByTagNameNS('*', 'sheetData').length) {
+      sheets.push({ name: sheet.getAttribute('name'), ...parseWorksheet(sheetDoc, sharedStrings, dateStyles) });
+    }
+  }
+  return sheets;
+}
+
+/**
+ * Guess the delimiter of delimited text from its first line
+ * @param {string} text - CSV text
+ * @returns {string} - Delimiter
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Field delimiter, detected if omitted
+ * @returns {Object} - { rows, truncated }
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < text.length && rows.length < MAX_SHEET_ROWS) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  const truncated = i < text.length;
+  if (!truncated && (field !== '' || row.length > 0)) {
+    endRow();
+  }
+  return { rows: rows.map(cells => cells.slice(0, MAX_SHEET_COLUMNS)), truncated };
+}
+
+/**
+ * Read a CSV or TSV file
+ * @param {Blob} blob - File
+ * @param {string} filename - Name of the file
+ * @returns {Promise<Array>} - A single sheet as { name, rows, truncated }
+ */
+export async function readCsv(blob, filename) {
+  const { text } = await readText(blob);
+  const delimiter = filename.toLowerCase().endsWith('.tsv') ? '\t' : undefined;
+  return [{ name: filename, ...parseCsv(text, delimiter) }];
+}
+
+/**
+ * Read a text or code file for display
+ * @param {Blob} blob - File
+ * @param {string} filename - Name of the file
+ * @returns {Promise<Object>} - { text, truncated }
+ */
+export async function readTextFile(blob, filename) {
+  const result = await readText(blob, MAX_TEXT_LENGTH);
+
+  // Minified JSON is re-indented so it can be read
+  if (filename.toLowerCase().endsWith('.json') && !result.truncated) {
+    try {
+      return { text: JSON.stringify(JSON.parse(result.text), null, 2), truncated: false };
+    } catch {
+      return result;
+    }
+  }
+  return result;
+}
+
+/**
+ * Decode a quoted-printable value (vCard 2.1)
+ * @param {string} value - Encoded value
+ * @returns {string} - Decoded text
+ */
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...new TextEncoder().encode(value[i]));
+    }
+  }
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+/**
+ * Undo vCard text escaping
+ * @param {string} value - Escaped value
+ * @returns {string} - Plain text
+ */
+function unescapeVCard(value) {
+  return value.replace(/\\([nN,;:\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a structured vCard value on unescaped semicolons
+ * @param {string} value - Raw value
+ * @returns {Array<string>} - Unescaped components
+ */
+function splitComponents(value) {
+  return value.split(/(?<!\\);/).map(unescapeVCard);
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} - { name, params, types, value }
+ */
+function parseContentLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  const types = [];
+  rawParams.forEach(param => {
+    const [key, rawValue] = param.includes('=') ? param.split(/=(.*)/s) : ['TYPE', param];
+    const value = rawValue.replace(/^"|"$/g, '');
+    params[key.toUpperCase()] = value;
+    if (key.toUpperCase() === 'TYPE') {
+      types.push(...value.split(',').map(type => type.toLowerCase()).filter(Boolean));
+    }
+  });
+
+  // Grouped properties such as item1.TEL keep only the property name
+  return { name: rawName.split('.').pop().toUpperCase(), params, types, value: line.slice(colon + 1) };
+}
+
+/**
+ * Build a data URI for an embedded contact photo
+ * @param {Object} property - Parsed PHOTO property
+ * @returns {string|null} - Data URI, or null for linked or malformed photos
+ */
+function photoUrl(property) {
+  const value = property.value.trim();
+  if (/^data:image\/(jpeg|png|gif|webp);base64,[A-Za-z0-9+/=\s]+$/i.test(value)) {
+    return value.replace(/\s/g, '');
+  }
+  const encoding = (property.params.ENCODING || '').toLowerCase();
+  if ((encoding === 'b' || encoding === 'base64') && /^[A-Za-z0-9+/=\s]+$/.test(value)) {
+    const format = property.types.find(type => ['jpeg', 'jpg', 'png', 'gif'].includes(type)) || 'jpeg';
+    return `data:image/${format === 'jpg' ? 'jpeg' : format};base64,${value.replace(/\s/g, '')}`;
+  }
+  return null;
+}
+
+/**
+ * Join folded content lines
+ * @param {string} text - File contents
+ * @returns {Array<string>} - Logical lines
+ */
+function unfoldLines(text) {
+  const lines = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    const previous = lines[lines.length - 1];
+    if (previous !== undefined && /^[ \t]/.test(line)) {
+      lines[lines.length - 1] = previous + line.slice(1);
+    } else if (previous !== undefined && previous.endsWith('=') && /ENCODING=QUOTED-PRINTABLE/i.test(previous)) {
+      // Quoted-printable values continue after a trailing '=' soft break
+      lines[lines.length - 1] = previous.slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Parse contact cards (.vcf, vCard 2.1 to 4.0)
+ * @param {string} text - File contents
+ * @returns {Array} - Contacts as { name, organization, title, phones, emails, addresses, urls, birthday, note, photo }
+ */
+export function parseVCards(text) {
+  const lines = unfoldLines(text);
+  const contacts = [];
+  let contact = null;
+
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      contact = { name: '', organization: '', title: '', phones: [], emails: [], addresses: [], urls: [], birthday: '', note: '', photo: null };
+      return;
+    }
+    if (!contact) return;
+    if (property.name === 'END') {
+      contacts.push(contact);
+      contact = null;
+      return;
+    }
+
+    const value = (property.params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE'
+      ? decodeQuotedPrintable(property.value)
+      : property.value;
+    const types = property.types.filter(type => !['voice', 'internet', 'pref', 'x-internet'].includes(type));
+
+    switch (property.name) {
+      case 'FN':
+        contact.name = unescapeVCard(value);
+        break;
+      case 'N':
+        if (!contact.name) {
+          const [family, given, additional, prefix, suffix] = splitComponents(value);
+          contact.name = [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+        }
+        break;
+      case 'ORG':
+        contact.organization = splitComponents(value).filter(Boolean).join(', ');
+        break;
+      case 'TITLE':
+        contact.title = unescapeVCard(value);
+        break;
+      case 'TEL':
+        contact.phones.push({ value: value.replace(/^tel:/i, ''), types, waId: property.params.WAID || null });
+        break;
+      case 'EMAIL':
+        contact.emails.push({ value: unescapeVCard(value), types });
+        break;
+      case 'ADR':
+        contact.addresses.push({
+          value: splitComponents(value).map(part => part.trim()).filter(Boolean).join(', '),
+          types
+        });
+        break;
+      case 'URL':
+        contact.urls.push(unescapeVCard(value));
+        break;
+      case 'BDAY':
+        contact.birthday = value;
+        break;
+      case 'NOTE':
+        contact.note = unescapeVCard(value);
+        break;
+      case 'PHOTO':
+        contact.photo = photoUrl({ ...property, value });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return contacts;
+}
+
+/**
+ * Read a contact file
+ * @param {Blob} blob - File
+ * @returns {Promise<Array>} - Contacts from parseVCards
+ */
+export async function readVCards(blob) {
+  const { text } = await readText(blob);
+  const contacts = parseVCards(text);
+  if (contacts.length === 0) {
+    throw new Error('No contacts found in this file');
+  }
+  return contacts;
+}
+
+/**
+ * Load a file for preview
+ * @param {Blob} blob - File
+ * @param {string} filename - Name of the file
+ * @param {string} kind - One of PREVIEW_KINDS
+ * @returns {Promise<*>} - Parsed content for the matching preview component
+ */
+export function loadPreview(blob, filename, kind) {
+  switch (kind) {
+    case PREVIEW_KINDS.DOCX:
+      return parseDocx(blob);
+    case PREVIEW_KINDS.SHEET:
+      return parseXlsx(blob);
+    case PREVIEW_KINDS.CSV:
+      return readCsv(blob, filename);
+    case PREVIEW_KINDS.TEXT:
+    case PREVIEW_KINDS.CODE:
+      return readTextFile(blob, filename);
+    case PREVIEW_KINDS.VCARD:
+      return readVCards(blob);
+    default:
+      return Promise.reject(new Error(`No preview for ${filename}`));
+  }
+}
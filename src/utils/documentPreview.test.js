@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PREVIEW_KINDS,
+  MAX_SHEET_ROWS,
+  getPreviewKind,
+  columnName,
+  parseCsv,
+  readCsv,
+  readTextFile,
+  parseVCards,
+  loadPreview
+} from './documentPreview';
+
+const VCARD = [
+  'BEGIN:VCARD',
+  'VERSION:3.0',
+  'N:Doe;Jane;;Dr.;',
+  'ORG:Acme\\, Inc.;Research',
+  'item1.TEL;TYPE=CELL,VOICE;waid=491701234567:+49 170 1234567',
+  'EMAIL;TYPE=INTERNET,WORK:jane@example.com',
+  'ADR;TYPE=HOME:;;Main St 1;Berlin;;10115;Germany',
+  'NOTE:First line\\nsecond',
+  ' continued',
+  'PHOTO;ENCODING=b;TYPE=PNG:iVBORw0K',
+  'END:VCARD',
+  'BEGIN:VCARD',
+  'VERSION:2.1',
+  'FN;ENCODING=QUOTED-PRINTABLE;CHARSET=UTF-8:J=C3=BCrgen=',
+  '=20M=C3=BCller',
+  'TEL;HOME:0301234',
+  'END:VCARD'
+].join('\r\n');
+
+describe('getPreviewKind', () => {
+  it('maps extensions to preview kinds', () => {
+    expect(getPreviewKind('Report.DOCX')).toBe(PREVIEW_KINDS.DOCX);
+    expect(getPreviewKind('budget.xlsx')).toBe(PREVIEW_KINDS.SHEET);
+    expect(getPreviewKind('data.tsv')).toBe(PREVIEW_KINDS.CSV);
+    expect(getPreviewKind('contact.vcf')).toBe(PREVIEW_KINDS.VCARD);
+    expect(getPreviewKind('notes.md')).toBe(PREVIEW_KINDS.TEXT);
+    expect(getPreviewKind('script.py')).toBe(PREVIEW_KINDS.CODE);
+    expect(getPreviewKind('slides.pptx')).toBeNull();
+  });
+});
+
+describe('columnName', () => {
+  it('names columns like a spreadsheet', () => {
+    expect([0, 25, 26, 51, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'AZ', 'ZZ', 'AAA']);
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and line breaks', () => {
+    const text = 'name,comment\r\n"Doe, Jane","said ""hi""\nthen left"\nBob,\n';
+    expect(parseCsv(text)).toEqual({
+      rows: [['name', 'comment'], ['Doe, Jane', 'said "hi"\nthen left'], ['Bob', '']],
+      truncated: false
+    });
+  });
+
+  it('detects the delimiter from the first line', () => {
+    expect(parseCsv('a;b;c\n1;2,5;3').rows).toEqual([['a', 'b', 'c'], ['1', '2,5', '3']]);
+  });
+
+  it('stops after the row limit', () => {
+    const { rows, truncated } = parseCsv('x\n'.repeat(MAX_SHEET_ROWS + 5));
+    expect(rows).toHaveLength(MAX_SHEET_ROWS);
+    expect(truncated).toBe(true);
+  });
+});
+
+describe('file readers', () => {
+  it('reads TSV files as a single sheet', async () => {
+    const sheets = await readCsv(new Blob(['﻿a\tb,c\n1\t2']), 'data.tsv');
+    expect(sheets).toEqual([{ name: 'data.tsv', rows: [['a', 'b,c'], ['1', '2']], truncated: false }]);
+  });
+
+  it('re-indents JSON and leaves invalid JSON as it is', async () => {
+    expect((await readTextFile(new Blob(['{"a":[1]}']), 'data.json')).text).toBe('{\n  "a": [\n    1\n  ]\n}');
+    expect((await readTextFile(new Blob(['{oops']), 'data.json')).text).toBe('{oops');
+  });
+
+  it('rejects kinds without a preview', async () => {
+    await expect(loadPreview(new Blob(['']), 'slides.pptx', null)).rejects.toThrow('No preview for slides.pptx');
+  });
+
+  it('rejects contact files without contacts', async () => {
+    await expect(loadPreview(new Blob(['hello']), 'x.vcf', PREVIEW_KINDS.VCARD)).rejects.toThrow('No contacts found in this file');
+  });
+});
+
+describe('parseVCards', () => {
+  it('reads structured and escaped vCard 3.0 fields', () => {
+    const [contact] = parseVCards(VCARD);
+
+    expect(contact).toMatchObject({
+      name: 'Dr. Jane Doe',
+      organization: 'Acme, Inc., Research',
+      phones: [{ value: '+49 170 1234567', types: ['cell'], waId: '491701234567' }],
+      emails: [{ value: 'jane@example.com', types: ['work'] }],
+      addresses: [{ value: 'Main St 1, Berlin, 10115, Germany', types: ['home'] }],
+      note: 'First line\nsecondcontinued',
+      photo: 'data:image/png;base64,iVBORw0K'
+    });
+  });
+
+  it('decodes quoted-printable vCard 2.1 values across soft breaks', () => {
+    const [, contact] = parseVCards(VCARD);
+    expect(contact.name).toBe('Jürgen Müller');
+    expect(contact.phones).toEqual([{ value: '0301234', types: ['home'], waId: null }]);
+  });
+});
@@ -21,7 +21,7 @@ export function getFileType(filename) {
     // Audio
     audio: ['mp3', 'wav', 'ogg', 'aac', 'm4a', 'flac', 'wma', 'opus'],
     // Documents
-    document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'rtf', 'odt', 'ods', 'odp'],
+    document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'rtf', 'odt', 'ods', 'odp', 'csv', 'tsv', 'json', 'vcf'],
     // Archives
     archive: ['zip', 'rar', '7z', 'tar', 'gz', 'bz2'],
     // Code
@@ -130,6 +130,10 @@ export function getMimeType(filename) {
     'odt': 'application/vnd.oasis.opendocument.text',
     'ods': 'application/vnd.oasis.opendocument.spreadsheet',
     'odp': 'application/vnd.oasis.opendocument.presentation',
+    'csv': 'text/csv',
+    'tsv': 'text/tab-separated-values',
+    'json': 'application/json',
+    'vcf': 'text/vcard',
     
     // Archives
     'zip': 'application/zip',
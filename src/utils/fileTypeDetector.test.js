@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { getFileType, getMimeType, formatFileSize } from './fileTypeDetector';
+
+describe('getFileType', () => {
+  it('groups files by extension regardless of case', () => {
+    expect(getFileType('IMG-20261019-WA0001.JPG')).toBe('image');
+    expect(getFileType('PTT-20261019-WA0002.opus')).toBe('audio');
+    expect(getFileType('report.final.pdf')).toBe('document');
+  });
+
+  it('reports missing names and unknown extensions as unknown', () => {
+    expect(getFileType('')).toBe('unknown');
+    expect(getFileType('contact.xyz')).toBe('unknown');
+  });
+});
+
+describe('getMimeType', () => {
+  it('falls back to a generic binary type', () => {
+    expect(getMimeType('clip.mp4')).toBe('video/mp4');
+    expect(getMimeType('contact.xyz')).toBe('application/octet-stream');
+  });
+});
+
+describe('formatFileSize', () => {
+  it('uses binary units with at most two decimals', () => {
+    expect(formatFileSize(0)).toBe('0 Bytes');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(5 * 1024 * 1024)).toBe('5 MB');
+  });
+});
@@ -0,0 +1,74 @@
+import { buildSearchIndex, searchMessages, isEmptyQuery } from './searchIndex';
+
+/**
+ * Global Search
+ * Runs one parsed query over several loaded chats and groups the hits by chat and day.
+ */
+
+// Messages shown before and after each hit
+export const CONTEXT_LINES = 1;
+
+// Hits listed per chat; the total is still reported
+export const MAX_HITS_PER_CHAT = 200;
+
+// Indexes built for chats that arrived without one, keyed by their message array
+const fallbackIndexes = new WeakMap();
+
+/**
+ * Get a search index for a chat, building one if it has none
+ * @param {Object} chat - { messages, searchIndex }
+ * @returns {Object} - Search index
+ */
+function getIndex({ messages, searchIndex }) {
+  if (searchIndex) return searchIndex;
+
+  let index = fallbackIndexes.get(messages);
+  if (!index) {
+    index = buildSearchIndex(messages);
+    fallbackIndexes.set(messages, index);
+  }
+  return index;
+}
+
+/**
+ * Search every chat
+ * @param {Array} chats - Chats as { id, name, messages, searchIndex }
+ * @param {Object} parsed - Query from parseSearchQuery
+ * @param {Object} [options] - { contextLines, maxHitsPerChat }
+ * @returns {Array} - Per chat: { chatId, name, total, days: [{ date, hits: [{ index, message, before, after }] }] }
+ */
+export function searchAllChats(chats, parsed, {
+  contextLines = CONTEXT_LINES,
+  maxHitsPerChat = MAX_HITS_PER_CHAT
+} = {}) {
+  if (isEmptyQuery(parsed)) return [];
+
+  const groups = [];
+
+  chats.forEach(chat => {
+    const { messages } = chat;
+    const indices = searchMessages(getIndex(chat), messages, parsed);
+    if (!indices.length) return;
+
+    const days = [];
+    indices.slice(0, maxHitsPerChat).forEach(index => {
+      const message = messages[index];
+      let day = days[days.length - 1];
+      if (!day || day.date !== message.date) {
+        day = { date: message.date, hits: [] };
+        days.push(day);
+      }
+
+      day.hits.push({
+        index,
+        message,
+        before: messages.slice(Math.max(0, index - contextLines), index),
+        after: messages.slice(index + 1, index + 1 + contextLines)
+      });
+    });
+
+    groups.push({ chatId: chat.id, name: chat.name, total: indices.length, days });
+  });
+
+  return groups;
+}
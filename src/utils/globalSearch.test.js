@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { searchAllChats } from './globalSearch';
+import { buildSearchIndex, parseSearchQuery } from './searchIndex';
+import { createMessage, DAY, START } from '../test/fixtures';
+
+const TRIP = {
+  id: 'chat-1',
+  name: 'Trip',
+  messages: [
+    createMessage('Alice', 'Pizza tonight?', { date: '19/10/2026' }),
+    createMessage('Bob', 'Sure', { date: '19/10/2026' }),
+    createMessage('Alice', 'More pizza', { date: '20/10/2026', timestamp: START + DAY }),
+    createMessage('Bob', 'Again?', { date: '20/10/2026', timestamp: START + DAY })
+  ]
+};
+TRIP.searchIndex = buildSearchIndex(TRIP.messages);
+
+// Arrives without a prebuilt index
+const WORK = {
+  id: 'chat-2',
+  name: 'Work',
+  messages: [createMessage('Carol', 'Pizza party on Friday', { date: '19/10/2026' })]
+};
+
+describe('searchAllChats', () => {
+  it('groups hits by chat and day with surrounding messages', () => {
+    const [trip, work] = searchAllChats([TRIP, WORK], parseSearchQuery('pizza'));
+
+    expect(trip).toMatchObject({ chatId: 'chat-1', name: 'Trip', total: 2 });
+    expect(trip.days.map(day => [day.date, day.hits.map(hit => hit.index)])).toEqual([
+      ['19/10/2026', [0]],
+      ['20/10/2026', [2]]
+    ]);
+    expect(trip.days[1].hits[0].before.map(message => message.message)).toEqual(['Sure']);
+    expect(trip.days[1].hits[0].after.map(message => message.message)).toEqual(['Again?']);
+    expect(work.days[0].hits[0].message.sender).toBe('Carol');
+  });
+
+  it('leaves out chats without hits', () => {
+    expect(searchAllChats([TRIP, WORK], parseSearchQuery('friday')).map(group => group.name)).toEqual(['Work']);
+  });
+
+  it('caps the listed hits but reports the total', () => {
+    const [trip] = searchAllChats([TRIP], parseSearchQuery('pizza'), { maxHitsPerChat: 1, contextLines: 0 });
+    expect(trip.total).toBe(2);
+    expect(trip.days).toEqual([{ date: '19/10/2026', hits: [{ index: 0, message: TRIP.messages[0], before: [], after: [] }] }]);
+  });
+
+  it('returns nothing for an empty query', () => {
+    expect(searchAllChats([TRIP], parseSearchQuery(' '))).toEqual([]);
+  });
+});
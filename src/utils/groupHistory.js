@@ -0,0 +1,209 @@
+import { getLocales } from './locales';
+
+/**
+ * Group History
+ * Reconstructs group membership, names, descriptions and admins from the system
+ * messages of a chat export. Exports only contain what happened while the exporter
+ * was in the group, so anyone who sends messages or leaves without a recorded join
+ * is treated as a member from the start of the chat.
+ */
+
+// System message types that describe a change to the group
+export const GROUP_EVENT_TYPES = [
+  'created',
+  'name_changed',
+  'description_changed',
+  'icon_changed',
+  'admin',
+  'removed',
+  'left',
+  'joined'
+];
+
+const JOIN_TYPES = ['created', 'added', 'joined'];
+const LEAVE_TYPES = ['left', 'removed'];
+const YOU = 'You';
+
+/**
+ * Resolve a name from a system message, mapping the locale's "you" to the exporter
+ * @param {string} name - Name as written in the message
+ * @param {Object} groupEvents - Locale group event table
+ * @param {string} exporter - Display name of the exporter
+ * @returns {string} - Participant name
+ */
+function resolveName(name, groupEvents, exporter) {
+  const trimmed = name.trim();
+  return groupEvents.you.includes(trimmed.toLowerCase()) ? exporter : trimmed;
+}
+
+/**
+ * Split a list of names such as "Bob, Carol and Dave"
+ * @param {string} text - Names as written in the message
+ * @param {string} and - The locale's word for "and"
+ * @returns {Array<string>} - Individual names
+ */
+function splitNames(text, and) {
+  const separator = and ? new RegExp(`\\s*,\\s*|\\s+${and}\\s+`, 'i') : /\s*,\s*/;
+  return text.split(separator).filter(Boolean);
+}
+
+/**
+ * Read the people and names involved in a group system message
+ * @param {string} text - System message text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.exporter] - Name used for the exporter ("you" in the message)
+ * @returns {Object|null} - { type, actor, targets, from, to }, or null if no locale pattern matches
+ */
+export function parseGroupEvent(text, { exporter = YOU } = {}) {
+  const firstLine = text.split('\n')[0].trim();
+
+  for (const locale of getLocales()) {
+    const { groupEvents } = locale;
+    for (const entry of groupEvents.patterns) {
+      const match = firstLine.match(entry.pattern);
+      if (!match) continue;
+
+      const groups = match.groups || {};
+      const actor = groups.actor
+        ? resolveName(groups.actor, groupEvents, exporter)
+        : (entry.you === 'actor' ? exporter : null);
+      const targets = groups.targets
+        ? splitNames(groups.targets, groupEvents.and).map(name => resolveName(name, groupEvents, exporter))
+        : (entry.you === 'targets' ? [exporter] : []);
+
+      return {
+        type: entry.type,
+        actor,
+        // Joining by link or creating the group names only the person themselves
+        targets: targets.length === 0 && JOIN_TYPES.includes(entry.type) && actor ? [actor] : targets,
+        from: groups.from ?? null,
+        to: groups.to ?? null
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the history of a group chat
+ * @param {Array} messages - Parsed messages in chat order
+ * @param {Object} [options] - History options
+ * @param {string} [options.exporter] - Name of the person who exported the chat, shown instead of "You"
+ * @returns {Object} - { events, members, names, descriptions, admins, start, end }
+ */
+export function buildGroupHistory(messages, { exporter = YOU } = {}) {
+  const events = [];
+  const members = new Map();
+  const dated = messages.filter(message => !Number.isNaN(message.timestamp));
+  const start = dated.length > 0 ? dated.reduce((min, message) => Math.min(min, message.timestamp), Infinity) : null;
+  const end = dated.length > 0 ? dated.reduce((max, message) => Math.max(max, message.timestamp), -Infinity) : null;
+
+  const getMember = (name) => {
+    if (!members.has(name)) {
+      members.set(name, { name, intervals: [], admin: false });
+    }
+    return members.get(name);
+  };
+
+  const openInterval = (member, interval) => {
+    member.intervals.push({ end: null, endIndex: null, leaveType: null, removedBy: null, ...interval });
+  };
+
+  // Someone seen without a recorded join was already a member when the export begins
+  const ensureMember = (name) => {
+    const member = getMember(name);
+    if (member.intervals.length === 0) {
+      openInterval(member, { start, startIndex: null, joinType: 'initial', addedBy: null });
+    }
+    return member;
+  };
+
+  messages.forEach((message, index) => {
+    if (message.type !== 'system') {
+      ensureMember(message.sender);
+      return;
+    }
+    if (!GROUP_EVENT_TYPES.includes(message.systemType)) return;
+
+    const parsed = parseGroupEvent(message.message, { exporter });
+    const event = {
+      index,
+      timestamp: message.timestamp,
+      text: message.message,
+      ...(parsed || { type: message.systemType, actor: null, targets: [], from: null, to: null }),
+      parsed: Boolean(parsed)
+    };
+    events.push(event);
+    if (!parsed) return;
+
+    // The creator or someone joining by link is the target of their own join
+    if (event.actor && !event.targets.includes(event.actor)) ensureMember(event.actor);
+
+    event.targets.forEach(name => {
+      if (JOIN_TYPES.includes(event.type)) {
+        const member = getMember(name);
+        const current = member.intervals[member.intervals.length - 1];
+        if (current && current.end === null) return;
+        openInterval(member, {
+          start: event.timestamp,
+          startIndex: index,
+          joinType: event.type,
+          addedBy: event.type === 'added' ? event.actor : null
+        });
+      } else if (LEAVE_TYPES.includes(event.type)) {
+        const member = ensureMember(name);
+        const current = member.intervals[member.intervals.length - 1];
+        if (current.end !== null) return;
+        Object.assign(current, {
+          end: event.timestamp,
+          endIndex: index,
+          leaveType: event.type,
+          removedBy: event.type === 'removed' ? event.actor : null
+        });
+        member.admin = false;
+      } else if (event.type === 'admin_added' || event.type === 'admin_removed') {
+        ensureMember(name).admin = event.type === 'admin_added';
+      }
+    });
+  });
+
+  const nameEvents = events.filter(event => event.parsed && event.to !== null &&
+    (event.type === 'created' || event.type === 'name_changed'));
+  const names = nameEvents.map(event => ({
+    name: event.to,
+    actor: event.actor,
+    index: event.index,
+    timestamp: event.timestamp
+  }));
+  // A rename also tells us what the group was called before the export begins
+  if (nameEvents[0]?.from) {
+    names.unshift({ name: nameEvents[0].from, actor: null, index: null, timestamp: null });
+  }
+
+  return {
+    events,
+    members: [...members.values()].sort((a, b) =>
+      (a.intervals[0].start ?? Infinity) - (b.intervals[0].start ?? Infinity) || a.name.localeCompare(b.name)
+    ),
+    names,
+    descriptions: events.filter(event => event.type === 'description_changed'),
+    admins: events.filter(event => event.type === 'admin_added' || event.type === 'admin_removed' || event.type === 'admin'),
+    start,
+    end
+  };
+}
+
+/**
+ * Get who was in the group at a point in time
+ * @param {Array} members - Members from buildGroupHistory
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {Array<string>} - Names of the members at that time
+ */
+export function getMembersAt(members, timestamp) {
+  return members
+    .filter(member => member.intervals.some(interval =>
+      interval.start <= timestamp && (interval.end === null || timestamp < interval.end)
+    ))
+    .map(member => member.name);
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { parseGroupEvent, buildGroupHistory, getMembersAt } from './groupHistory';
+import { createMessage, createSystemMessage, DAY, START } from '../test/fixtures';
+
+/**
+ * Build a message sent some days after START
+ * @param {number} day - Days after START
+ * @param {string} sender - Sender, or null for a system message
+ * @param {string} text - Message text
+ * @param {string} [systemType] - System message type
+ * @returns {Object} - Message
+ */
+function onDay(day, sender, text, systemType = null) {
+  const fields = { timestamp: START + day * DAY };
+  return sender ? createMessage(sender, text, fields) : createSystemMessage(text, systemType, fields);
+}
+
+describe('parseGroupEvent', () => {
+  it('reads the actor and every added person', () => {
+    expect(parseGroupEvent('Alice added Bob, Carol and Dave')).toEqual({
+      type: 'added',
+      actor: 'Alice',
+      targets: ['Bob', 'Carol', 'Dave'],
+      from: null,
+      to: null
+    });
+  });
+
+  it('reads old and new group names', () => {
+    expect(parseGroupEvent('Bob changed the group name from "Trip" to "Trip 2024"')).toMatchObject({
+      type: 'name_changed',
+      actor: 'Bob',
+      from: 'Trip',
+      to: 'Trip 2024'
+    });
+  });
+
+  it('makes the creator and people joining by link their own targets', () => {
+    expect(parseGroupEvent('Alice created group "Trip"')).toMatchObject({ actor: 'Alice', targets: ['Alice'], to: 'Trip' });
+    expect(parseGroupEvent('Eve joined using this group\'s invite link')).toMatchObject({ type: 'joined', targets: ['Eve'] });
+  });
+
+  it('maps "you" to the exporter', () => {
+    expect(parseGroupEvent('You removed Bob', { exporter: 'Me' })).toMatchObject({ actor: 'Me', targets: ['Bob'] });
+    expect(parseGroupEvent('You\'re now an admin', { exporter: 'Me' })).toMatchObject({ type: 'admin_added', targets: ['Me'] });
+  });
+
+  it('reads other locales', () => {
+    expect(parseGroupEvent('Alice hat Bob hinzugefügt')).toMatchObject({ type: 'added', actor: 'Alice', targets: ['Bob'] });
+  });
+
+  it('returns null for other system messages', () => {
+    expect(parseGroupEvent('Messages and calls are end-to-end encrypted.')).toBeNull();
+  });
+});
+
+describe('buildGroupHistory', () => {
+  const messages = [
+    onDay(0, null, 'Alice created group "Trip"', 'created'),
+    onDay(1, 'Alice', 'Hi'),
+    onDay(1, 'Bob', 'Hello'),
+    onDay(2, null, 'Alice added Carol', 'joined'),
+    onDay(3, null, 'Alice made Carol an admin', 'admin'),
+    onDay(3, null, 'Carol is now an admin', 'admin'),
+    onDay(4, null, 'Alice changed the group name from "Trip" to "Trip 2024"', 'name_changed'),
+    onDay(5, null, 'Alice removed Bob', 'removed'),
+    onDay(6, null, 'Carol left', 'left')
+  ];
+  const history = buildGroupHistory(messages);
+  const member = (name) => history.members.find(item => item.name === name);
+
+  it('treats people seen without a join as members from the start', () => {
+    expect(member('Bob').intervals).toEqual([expect.objectContaining({
+      start: START,
+      joinType: 'initial',
+      end: START + 5 * DAY,
+      leaveType: 'removed',
+      removedBy: 'Alice'
+    })]);
+  });
+
+  it('records joins, leaves and admin changes', () => {
+    expect(member('Carol').intervals).toEqual([expect.objectContaining({
+      start: START + 2 * DAY,
+      joinType: 'added',
+      addedBy: 'Alice',
+      end: START + 6 * DAY,
+      leaveType: 'left'
+    })]);
+    expect(member('Carol').admin).toBe(false);
+    expect(history.admins.map(event => event.type)).toContain('admin_added');
+  });
+
+  it('keeps unrecognised group messages as unparsed events', () => {
+    const unparsed = history.events.find(event => event.text === 'Alice made Carol an admin');
+    expect(unparsed).toMatchObject({ parsed: false, type: 'admin', targets: [] });
+  });
+
+  it('lists names including the one from before the first rename', () => {
+    expect(history.names.map(entry => entry.name)).toEqual(['Trip', 'Trip 2024']);
+  });
+
+  it('reports members at a point in time', () => {
+    expect(getMembersAt(history.members, START + 2.5 * DAY).sort()).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(getMembersAt(history.members, START + 6 * DAY)).toEqual(['Alice']);
+  });
+});
@@ -0,0 +1,298 @@
+import JSZip from 'jszip';
+import { tokenizeMessage } from './messageFormatter';
+
+/**
+ * Offline HTML Export
+ * Renders the parsed chat to a standalone HTML page that opens without network access.
+ * Media is either inlined as data URIs (single file) or written next to index.html
+ * in a media/ folder (ZIP archive).
+ */
+
+export const HTML_EXPORT_MODES = {
+  SINGLE_FILE: 'single',
+  FOLDER: 'folder'
+};
+
+const MEDIA_FOLDER = 'media/';
+const DEFAULT_SENDER_COLOR = '#6B7280';
+
+const PAGE_STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #121212; color: #e5e7eb; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; }
+  header { position: sticky; top: 0; padding: 16px; background: #2a2a2a; color: #d1d5db; font-weight: 600; font-size: 18px; border-bottom: 1px solid #374151; z-index: 1; }
+  header small { display: block; margin-top: 2px; font-weight: 400; font-size: 12px; color: #9ca3af; }
+  main { max-width: 960px; margin: 0 auto; padding: 16px; }
+  .date { display: flex; justify-content: center; margin: 16px 0; }
+  .date span { padding: 4px 12px; border-radius: 9999px; background: #2a2a2a; color: #9ca3af; font-size: 12px; }
+  .system { display: flex; justify-content: center; margin: 4px 0; }
+  .system span { padding: 4px 8px; border-radius: 9999px; background: rgba(113, 63, 18, 0.3); color: #fef08a; font-size: 12px; }
+  .row { display: flex; margin-top: 12px; }
+  .row.same { margin-top: 4px; }
+  .row.own { justify-content: flex-end; }
+  .bubble { max-width: 70%; padding: 8px 12px; border-radius: 8px; background: #262d31; color: #e5e7eb; white-space: pre-wrap; overflow-wrap: break-word; }
+  .own .bubble { background: #056162; color: #fff; }
+  .sender { margin: 0 0 4px; font-size: 12px; font-weight: 600; }
+  .text { margin: 0; font-size: 14px; line-height: 1.6; }
+  .meta { display: block; text-align: right; font-size: 12px; opacity: 0.7; color: #9ca3af; }
+  .own .meta { color: #dcfce7; }
+  .note { font-style: italic; opacity: 0.7; }
+  .media { display: block; margin-top: 8px; max-width: 320px; width: 100%; border-radius: 8px; }
+  audio.media { max-width: 100%; }
+  .file { display: block; margin-top: 8px; padding: 8px; border-radius: 4px; background: rgba(0, 0, 0, 0.2); color: inherit; text-decoration: none; }
+  .omitted { margin-top: 4px; padding: 12px; border-radius: 8px; background: #374151; border: 1px solid #4b5563; }
+  .omitted p { margin: 0; font-size: 14px; color: #d1d5db; }
+  .omitted small { font-size: 12px; color: #9ca3af; }
+  a { color: #93c5fd; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+`;
+
+/**
+ * Escape text for use in HTML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render formatting nodes to escaped HTML
+ * @param {Array} nodes - Nodes from tokenizeMessage
+ * @returns {string} - HTML
+ */
+function renderNodesHtml(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return escapeHtml(node.text);
+      case 'bold':
+        return `<strong>${renderNodesHtml(node.children)}</strong>`;
+      case 'italic':
+        return `<em>${renderNodesHtml(node.children)}</em>`;
+      case 'strike':
+        return `<del>${renderNodesHtml(node.children)}</del>`;
+      case 'code':
+        return `<code>${escapeHtml(node.text)}</code>`;
+      case 'link':
+        return `<a href="${escapeHtml(node.href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(node.text)}</a>`;
+      case 'break':
+        return '<br>';
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Read a blob as a data URI
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} - Data URI
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Render an attachment
+ * @param {Object} attachment - Message attachment
+ * @param {string|undefined} src - URL of the media, if it could be read
+ * @returns {string} - HTML
+ */
+function renderAttachmentHtml(attachment, src) {
+  const name = escapeHtml(attachment.filename);
+  if (!src) {
+    return `<span class="file">📎 ${name} (not available)</span>`;
+  }
+
+  const url = escapeHtml(src);
+  switch (attachment.type) {
+    case 'image':
+      return `<a href="${url}" target="_blank"><img class="media" src="${url}" alt="${name}" loading="lazy"></a>`;
+    case 'video':
+      return `<video class="media" src="${url}" controls preload="metadata"></video>`;
+    case 'audio':
+      return `<audio class="media" src="${url}" controls preload="metadata"></audio>`;
+    default:
+      return `<a class="file" href="${url}" download="${name}">${attachment.type === 'document' ? '📄' : '📎'} ${name}</a>`;
+  }
+}
+
+/**
+ * Render one message row
+ * @param {Object} message - Parsed message
+ * @param {Object|undefined} prevMessage - Previous message
+ * @param {Object} options - Render options
+ * @returns {string} - HTML
+ */
+function renderMessageHtml(message, prevMessage, { ownerName, colorMap, mediaUrls }) {
+  const parts = [];
+
+  if (!prevMessage || prevMessage.date !== message.date) {
+    parts.push(`<div class="date"><span>${escapeHtml(message.date)}</span></div>`);
+  }
+
+  if (message.type === 'system') {
+    parts.push(`<div class="system"><span>${escapeHtml(message.message)}</span></div>`);
+    return parts.join('');
+  }
+
+  const isOwnMessage = message.sender === ownerName;
+  const sameSenderAsPrevious = prevMessage &&
+    prevMessage.type !== 'system' &&
+    prevMessage.sender === message.sender &&
+    prevMessage.date === message.date;
+  const rowClass = ['row', isOwnMessage && 'own', sameSenderAsPrevious && 'same'].filter(Boolean).join(' ');
+  const time = `${message.edited ? 'Edited ' : ''}${escapeHtml(message.time)}`;
+
+  let body = '';
+  if (!isOwnMessage && !sameSenderAsPrevious) {
+    const color = colorMap[message.sender] || DEFAULT_SENDER_COLOR;
+    body += `<p class="sender" style="color: ${escapeHtml(color)}">${escapeHtml(message.sender)}</p>`;
+  }
+
+  if (message.mediaOmitted) {
+    body += '<div class="omitted"><p>Media omitted</p><small>This media was not included in the export</small></div>';
+  } else if (message.deleted) {
+    body += `<p class="text note">🚫 ${escapeHtml(message.message)}</p>`;
+  } else {
+    if (message.attachment) {
+      body += renderAttachmentHtml(message.attachment, mediaUrls.get(message.attachment.filename));
+    }
+    if (message.message.trim()) {
+      body += `<p class="text">${renderNodesHtml(tokenizeMessage(message.message))}</p>`;
+    }
+  }
+
+  body += `<span class="meta">${time}</span>`;
+  parts.push(`<div class="${rowClass}"><div class="bubble">${body}</div></div>`);
+
+  return parts.join('');
+}
+
+/**
+ * Render the full page
+ * @param {Array} messages - Parsed messages
+ * @param {Object} options - Render options
+ * @returns {string} - HTML document
+ */
+function renderPage(messages, { title, ...options }) {
+  const rows = messages.map((message, index) => renderMessageHtml(message, messages[index - 1], options));
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+  const range = first ? `${first.date} – ${last.date} · ${messages.length} messages` : 'No messages';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${PAGE_STYLES}</style>
+</head>
+<body>
+<header>${escapeHtml(title)}<small>${escapeHtml(range)}</small></header>
+<main>
+${rows.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Get a safe media path for an attachment inside the export folder
+ * Attachments from different folders of the archive can share a name; later ones get
+ * a numbered suffix. Names are compared case-insensitively for case-insensitive file systems.
+ * @param {string} filename - Attachment filename
+ * @param {Set} usedPaths - Lower-cased paths already taken, added to
+ * @returns {string} - Relative path
+ */
+function getMediaPath(filename, usedPaths) {
+  const name = filename.split('/').pop().replace(/[\\:*?"<>|]/g, '_');
+  const dot = name.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+  let path = MEDIA_FOLDER + name;
+  for (let copy = 2; usedPaths.has(path.toLowerCase()); copy++) {
+    path = `${MEDIA_FOLDER}${base} (${copy})${extension}`;
+  }
+  usedPaths.add(path.toLowerCase());
+  return path;
+}
+
+/**
+ * Export a chat as offline HTML
+ * @param {Array} messages - Parsed messages
+ * @param {Object} fileSource - Attachment source (ZipHandler)
+ * @param {Object} options - Export options
+ * @param {string} [options.mode] - HTML_EXPORT_MODES.SINGLE_FILE or HTML_EXPORT_MODES.FOLDER
+ * @param {string} [options.title] - Page title
+ * @param {string|null} [options.ownerName] - Participant shown on the right
+ * @param {Object} [options.colorMap] - Sender name to colour
+ * @param {Function} [options.onProgress] - Called with { loaded, total } as media is processed
+ * @param {AbortSignal} [options.signal] - Aborts the export
+ * @returns {Promise<Blob>} - HTML file or ZIP archive
+ */
+export async function exportChatHtml(messages, fileSource, {
+  mode = HTML_EXPORT_MODES.SINGLE_FILE,
+  title = 'WhatsApp Chat',
+  ownerName = null,
+  colorMap = {},
+  onProgress,
+  signal
+} = {}) {
+  const filenames = [...new Set(
+    messages
+      .filter(message => message.attachment && !message.deleted)
+      .map(message => message.attachment.filename)
+  )];
+
+  const zip = mode === HTML_EXPORT_MODES.FOLDER ? new JSZip() : null;
+  const mediaUrls = new Map();
+  const usedPaths = new Set();
+
+  for (let i = 0; i < filenames.length; i++) {
+    if (signal?.aborted) {
+      throw new Error('Export cancelled');
+    }
+
+    const filename = filenames[i];
+    onProgress?.({ loaded: i, total: filenames.length });
+
+    try {
+      const blob = fileSource ? await fileSource.getFile(filename) : null;
+      if (blob) {
+        if (zip) {
+          const path = getMediaPath(filename, usedPaths);
+          zip.file(path, blob);
+          mediaUrls.set(filename, path.split('/').map(encodeURIComponent).join('/'));
+        } else {
+          mediaUrls.set(filename, await blobToDataUrl(blob));
+        }
+      }
+    } catch (error) {
+      console.warn(`Skipping attachment in export: ${filename}`, error);
+    }
+  }
+
+  onProgress?.({ loaded: filenames.length, total: filenames.length });
+
+  const html = renderPage(messages, { title, ownerName, colorMap, mediaUrls });
+
+  if (!zip) {
+    return new Blob([html], { type: 'text/html;charset=utf-8' });
+  }
+
+  zip.file('index.html', html);
+  return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from 'vitest';
+import JSZip from 'jszip';
+import { exportChatHtml, HTML_EXPORT_MODES } from './htmlExport';
+import { createMessage, createSystemMessage } from '../test/fixtures';
+
+const PHOTO = 'IMG-20261019-WA0001.jpg';
+
+const MESSAGES = [
+  createSystemMessage('Alice added Bob', 'joined', { date: '19/10/2026', time: '10:00' }),
+  createMessage('Alice', 'Hi *Bob* <script>alert(1)</script>', { date: '19/10/2026', time: '10:01' }),
+  createMessage('Bob', 'see www.example.com', { date: '19/10/2026', time: '10:02', edited: true }),
+  createMessage('Bob', '', { date: '20/10/2026', time: '09:00', attachment: { filename: PHOTO, type: 'image' } }),
+  createMessage('Bob', '', { date: '20/10/2026', time: '09:01', attachment: { filename: 'missing.pdf', type: 'document' } }),
+  createMessage('Alice', '<Media omitted>', { date: '20/10/2026', time: '09:02', mediaOmitted: true })
+];
+
+/**
+ * Attachment source holding one photo
+ * @returns {Object} - File source with a getFile spy
+ */
+function createFileSource() {
+  return {
+    getFile: vi.fn(async (filename) => (filename === PHOTO ? new Blob(['jpeg'], { type: 'image/jpeg' }) : null))
+  };
+}
+
+describe('exportChatHtml', () => {
+  it('writes a standalone page with escaped, formatted messages', async () => {
+    const blob = await exportChatHtml(MESSAGES, createFileSource(), { title: 'Trip <2026>', ownerName: 'Alice' });
+    const html = await blob.text();
+
+    expect(blob.type).toBe('text/html;charset=utf-8');
+    expect(html).toContain('<title>Trip &lt;2026&gt;</title>');
+    expect(html).toContain('19/10/2026 – 20/10/2026 · 6 messages');
+    expect(html).toContain('Hi <strong>Bob</strong> &lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('<a href="https://www.example.com/" target="_blank" rel="noopener noreferrer">www.example.com</a>');
+    expect(html).toContain('<div class="system"><span>Alice added Bob</span></div>');
+    expect(html).toContain('Edited 10:02');
+    expect(html).toContain('Media omitted');
+    expect(html).not.toMatch(/https?:\/\/(?!www\.example\.com)/);
+  });
+
+  it('shows the owner on the right without a sender name', async () => {
+    const html = await (await exportChatHtml(MESSAGES, null, { ownerName: 'Alice', colorMap: { Bob: '#ff0000' } })).text();
+    expect(html).toContain('<div class="row own"><div class="bubble"><p class="text">Hi');
+    expect(html).toContain('<p class="sender" style="color: #ff0000">Bob</p>');
+    expect(html).not.toContain('<p class="sender" style="color: #6B7280">Alice</p>');
+  });
+
+  it('inlines media as data URIs in a single file', async () => {
+    const html = await (await exportChatHtml(MESSAGES, createFileSource())).text();
+    expect(html).toContain(`<img class="media" src="data:image/jpeg;base64,${btoa('jpeg')}" alt="${PHOTO}" loading="lazy">`);
+    expect(html).toContain('📎 missing.pdf (not available)');
+  });
+
+  it('writes media next to index.html in folder mode', async () => {
+    const onProgress = vi.fn();
+    const blob = await exportChatHtml(MESSAGES, createFileSource(), { mode: HTML_EXPORT_MODES.FOLDER, onProgress });
+    const zip = await JSZip.loadAsync(await blob.arrayBuffer());
+
+    expect(Object.keys(zip.files).sort()).toEqual(['index.html', 'media/', `media/${PHOTO}`]);
+    expect(await zip.file('index.html').async('string')).toContain(`src="media/${PHOTO}"`);
+    expect(onProgress).toHaveBeenLastCalledWith({ loaded: 2, total: 2 });
+  });
+
+  it('keeps same-named attachments from different folders apart', async () => {
+    const fileSource = { getFile: vi.fn(async (filename) => new Blob([filename])) };
+    const messages = ['a/photo.jpg', 'b/photo.jpg', 'c/PHOTO.jpg', 'd/photo'].map(filename =>
+      createMessage('Bob', '', { date: '20/10/2026', attachment: { filename, type: 'image' } })
+    );
+    const blob = await exportChatHtml(messages, fileSource, { mode: HTML_EXPORT_MODES.FOLDER });
+    const zip = await JSZip.loadAsync(await blob.arrayBuffer());
+    const html = await zip.file('index.html').async('string');
+
+    expect(await zip.file('media/photo.jpg').async('string')).toBe('a/photo.jpg');
+    expect(await zip.file('media/photo (2).jpg').async('string')).toBe('b/photo.jpg');
+    expect(await zip.file('media/PHOTO (3).jpg').async('string')).toBe('c/PHOTO.jpg');
+    expect(await zip.file('media/photo').async('string')).toBe('d/photo');
+    expect(html).toContain('src="media/photo%20(2).jpg"');
+  });
+
+  it('skips attachments of deleted messages', async () => {
+    const fileSource = createFileSource();
+    const deleted = createMessage('Bob', 'This message was deleted', {
+      date: '20/10/2026',
+      deleted: true,
+      attachment: { filename: PHOTO, type: 'image' }
+    });
+    await exportChatHtml([deleted], fileSource);
+    expect(fileSource.getFile).not.toHaveBeenCalled();
+  });
+
+  it('stops when aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(exportChatHtml(MESSAGES, createFileSource(), { signal: controller.signal })).rejects.toThrow('Export cancelled');
+  });
+});
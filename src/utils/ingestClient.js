@@ -0,0 +1,103 @@
+import { ZipHandler } from './zipHandler';
+import { runIngest } from './ingestPipeline';
+import { checkBrowserSupport } from './performanceUtils';
+
+/**
+ * Ingest Client
+ * Runs the ingest pipeline in a Web Worker, falling back to the main thread
+ */
+
+/**
+ * Create the ingest worker, or null if workers are unavailable
+ * @returns {Worker|null} - Worker instance or null
+ */
+function createIngestWorker() {
+  if (!checkBrowserSupport().webWorkers) return null;
+
+  try {
+    return new Worker(new URL('../workers/ingestWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('Ingest worker unavailable, processing on the main thread', error);
+    return null;
+  }
+}
+
+/**
+ * Load, extract and parse a WhatsApp ZIP export
+ * @param {File} file - ZIP file to process
+ * @param {Object} options - Ingest options
+ * @param {Function} [options.onProgress] - Called with { phase, loaded, total }
+ * @param {AbortSignal} [options.signal] - Aborts processing when signalled
+ * @param {Object} [options.parseOptions] - Options passed to parseChat
+ * @returns {Promise<Object>} - { zipHandler, chatText, chatFileName, messages, searchIndex, dateFormat, metadata }
+ */
+export function ingestZipFile(file, { onProgress, signal, parseOptions } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(new Error('Upload cancelled'));
+  }
+
+  const worker = createIngestWorker();
+  if (!worker) {
+    return ingestOnMainThread(file, { onProgress, signal, parseOptions });
+  }
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      signal?.removeEventListener('abort', handleAbort);
+      worker.terminate();
+    };
+
+    const handleAbort = () => {
+      worker.postMessage({ type: 'cancel' });
+      finish();
+      reject(new Error('Upload cancelled'));
+    };
+
+    worker.onmessage = (event) => {
+      const { type, progress, result, message } = event.data;
+
+      if (type === 'progress') {
+        onProgress?.(progress);
+      } else if (type === 'done') {
+        finish();
+        const { files, ...rest } = result;
+        const zipHandler = new ZipHandler();
+        zipHandler.adoptIndex(file, files);
+        resolve({ ...rest, zipHandler });
+      } else if (type === 'error') {
+        finish();
+        reject(new Error(message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Chat processing failed'));
+    };
+
+    signal?.addEventListener('abort', handleAbort);
+    worker.postMessage({ type: 'start', file, parseOptions });
+  });
+}
+
+/**
+ * Main-thread fallback for browsers without Web Workers
+ * @param {File} file - ZIP file to process
+ * @param {Object} options - Ingest options
+ * @returns {Promise<Object>} - Same shape as ingestZipFile
+ */
+async function ingestOnMainThread(file, { onProgress, signal, parseOptions }) {
+  try {
+    const { handler, ...result } = await runIngest(file, {
+      onProgress,
+      parseOptions,
+      isCancelled: () => Boolean(signal?.aborted)
+    });
+    return { ...result, zipHandler: handler };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new Error('Upload cancelled');
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ingestZipFile } from './ingestClient';
+import { createZipFile } from '../test/fixtures';
+
+/**
+ * Worker stand-in that answers a start message with the given replies
+ * @param {Array} replies - Messages posted back, in order
+ * @returns {Object} - Worker class and the messages it was sent
+ */
+function createFakeWorker(replies) {
+  const received = [];
+
+  class FakeWorker {
+    postMessage(message) {
+      received.push(message);
+      if (message.type !== 'start') return;
+      queueMicrotask(() => replies.forEach(data => this.onmessage({ data })));
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  }
+
+  return { FakeWorker, received };
+}
+
+describe('ingestZipFile', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('runs on the main thread without workers', async () => {
+    const file = await createZipFile({ 'WhatsApp Chat.txt': '03/04/2026, 10:00 - Alice: Hi' });
+    const result = await ingestZipFile(file);
+    expect(result.messages).toHaveLength(1);
+    expect(result.zipHandler.getFile('WhatsApp Chat.txt')).not.toBeNull();
+  });
+
+  it('rejects at once when already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(ingestZipFile(new File([], 'chat.zip'), { signal: controller.signal })).rejects.toThrow('Upload cancelled');
+  });
+
+  it('relays worker progress and adopts the extracted files', async () => {
+    const files = new Map([['WhatsApp Chat.txt', new Blob(['hi'])]]);
+    const { FakeWorker, received } = createFakeWorker([
+      { type: 'progress', progress: { phase: 'parsing', loaded: 1, total: 1 } },
+      { type: 'done', result: { messages: [], chatFileName: 'WhatsApp Chat.txt', files } }
+    ]);
+    vi.stubGlobal('Worker', FakeWorker);
+
+    const onProgress = vi.fn();
+    const result = await ingestZipFile(new File([], 'chat.zip'), { onProgress, parseOptions: { locale: 'de' } });
+
+    expect(received[0]).toMatchObject({ type: 'start', parseOptions: { locale: 'de' } });
+    expect(onProgress).toHaveBeenCalledWith({ phase: 'parsing', loaded: 1, total: 1 });
+    expect(result.zipHandler.getAllFiles()).toBe(files);
+    expect(result).not.toHaveProperty('files');
+  });
+
+  it('rejects with the worker error', async () => {
+    const { FakeWorker } = createFakeWorker([{ type: 'error', message: 'Failed to process ZIP file: bad' }]);
+    vi.stubGlobal('Worker', FakeWorker);
+    await expect(ingestZipFile(new File([], 'chat.zip'))).rejects.toThrow('Failed to process ZIP file: bad');
+  });
+
+  it('cancels the worker on abort', async () => {
+    const { FakeWorker, received } = createFakeWorker([]);
+    vi.stubGlobal('Worker', FakeWorker);
+
+    const controller = new AbortController();
+    const pending = ingestZipFile(new File([], 'chat.zip'), { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('Upload cancelled');
+    expect(received.map(message => message.type)).toEqual(['start', 'cancel']);
+  });
+});
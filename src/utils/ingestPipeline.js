@@ -0,0 +1,43 @@
+import { ZipHandler } from './zipHandler';
+import { parseChatWithFormat } from './chatParser';
+import { buildSearchIndex } from './searchIndex';
+
+/**
+ * Chat Ingest Pipeline
+ * Loads a ZIP export, finds the chat file, parses it and matches attachments.
+ * Runs unchanged inside the ingest worker or on the main thread as a fallback.
+ */
+
+/**
+ * Run the full ingest pipeline for a ZIP file
+ * @param {File} file - ZIP file to process
+ * @param {Object} options - Pipeline options
+ * @param {Function} [options.onProgress] - Called with { phase, loaded, total }
+ * @param {Function} [options.isCancelled] - Returns true to abort
+ * @param {Object} [options.parseOptions] - Options passed to parseChatWithFormat
+ * @returns {Promise<Object>} - { handler, chatText, chatFileName, messages, searchIndex, dateFormat, metadata }
+ */
+export async function runIngest(file, { onProgress, isCancelled, parseOptions } = {}) {
+  const handler = new ZipHandler();
+  const result = await handler.loadZipFile(file, { onProgress, isCancelled });
+
+  if (isCancelled?.()) {
+    throw new Error('Upload cancelled');
+  }
+
+  onProgress?.({ phase: 'parsing', loaded: 0, total: 1 });
+  const chatText = await result.chatFile.blob.text();
+  const { messages, dateFormat } = parseChatWithFormat(chatText, result.files, parseOptions);
+  const searchIndex = buildSearchIndex(messages);
+  onProgress?.({ phase: 'parsing', loaded: 1, total: 1 });
+
+  return {
+    handler,
+    chatText,
+    chatFileName: result.chatFile.name,
+    messages,
+    searchIndex,
+    dateFormat,
+    metadata: result.metadata
+  };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { runIngest } from './ingestPipeline';
+import { parseSearchQuery, searchMessages } from './searchIndex';
+import { createZipFile } from '../test/fixtures';
+
+const CHAT_TEXT = [
+  '03/04/2026, 10:00 - Alice: Hi',
+  '03/04/2026, 10:01 - Bob: IMG-20260403-WA0001.jpg (file attached)'
+].join('\n');
+
+/**
+ * Build an export with a chat file and one photo
+ * @returns {Promise<File>} - Archive
+ */
+function createExport() {
+  return createZipFile({
+    'WhatsApp Chat with Alice.txt': CHAT_TEXT,
+    'IMG-20260403-WA0001.jpg': new Uint8Array([0xff, 0xd8, 0xff, 0xd9])
+  });
+}
+
+describe('runIngest', () => {
+  it('extracts, parses and matches attachments', async () => {
+    const result = await runIngest(await createExport());
+
+    expect(result.chatFileName).toBe('WhatsApp Chat with Alice.txt');
+    expect(result.chatText).toBe(CHAT_TEXT);
+    expect(result.metadata.totalFiles).toBe(2);
+    expect(result.messages).toHaveLength(2);
+    expect(result.messages[1].attachment).toMatchObject({ filename: 'IMG-20260403-WA0001.jpg', type: 'image' });
+    expect((await result.handler.getFile('IMG-20260403-WA0001.jpg')).size).toBe(4);
+  });
+
+  it('builds the search index alongside the messages', async () => {
+    const { messages, searchIndex } = await runIngest(await createExport());
+    expect(searchMessages(searchIndex, messages, parseSearchQuery('hi'))).toEqual([0]);
+  });
+
+  it('reports progress through each phase', async () => {
+    const phases = [];
+    await runIngest(await createExport(), { onProgress: ({ phase }) => phases.push(phase) });
+    expect([...new Set(phases)]).toEqual(['loading', 'extracting', 'parsing']);
+  });
+
+  it('passes parse options to the parser', async () => {
+    const { messages } = await runIngest(await createExport(), { parseOptions: { dateOrder: 'MDY' } });
+    expect(messages[0].timestamp).toBe(new Date(2026, 2, 4, 10, 0).getTime());
+  });
+
+  it('returns the date format the messages were parsed with', async () => {
+    expect((await runIngest(await createExport())).dateFormat).toMatchObject({ order: 'DMY', confident: false });
+    expect((await runIngest(await createExport(), { parseOptions: { dateOrder: 'MDY' } })).dateFormat.order).toBe('MDY');
+  });
+
+  it('stops when cancelled', async () => {
+    await expect(runIngest(await createExport(), { isCancelled: () => true })).rejects.toThrow('Upload cancelled');
+  });
+
+  it('rejects archives without a chat file', async () => {
+    const file = await createZipFile({ 'photo.jpg': 'x' });
+    await expect(runIngest(file)).rejects.toThrow('No chat file found');
+  });
+});
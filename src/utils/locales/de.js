@@ -0,0 +1,61 @@
+/**
+ * German phrases used by WhatsApp exports
+ */
+export default {
+  code: 'de',
+  name: 'Deutsch',
+  systemMessages: {
+    encryption: ['nachrichten und anrufe sind ende-zu-ende-verschlüsselt'],
+    created: ['hat die gruppe erstellt', 'erstellt'],
+    name_changed: ['hat den betreff', 'hat den gruppennamen', 'gruppennamen geändert'],
+    description_changed: ['hat die gruppenbeschreibung', 'gruppenbeschreibung geändert'],
+    icon_changed: ['hat das gruppenbild', 'gruppenbild geändert'],
+    admin: ['jetzt admin', 'nicht mehr admin'],
+    removed: ['entfernt'],
+    left: ['hat die gruppe verlassen', 'verlassen'],
+    joined: ['ist über den einladungslink dieser gruppe beigetreten', 'beigetreten', 'hinzugefügt']
+  },
+  mediaOmitted: [
+    '<medien ausgeschlossen>',
+    'bild weggelassen',
+    'video weggelassen',
+    'audio weggelassen',
+    'sticker weggelassen',
+    'dokument weggelassen',
+    'gif weggelassen'
+  ],
+  deletedMessage: ['diese nachricht wurde gelöscht', 'du hast diese nachricht gelöscht'],
+  ownDeletedMessage: ['du hast diese nachricht gelöscht'],
+  editedMessage: ['<diese nachricht wurde bearbeitet>'],
+  fileAttached: ['datei angehängt'],
+  // Group events with their people and names, for the group history view
+  groupEvents: {
+    you: ['du', 'dich'],
+    and: 'und',
+    patterns: [
+      { type: 'created', pattern: /^(?<actor>.+?) (?:hat|hast) die gruppe [„"“](?<to>.*)[“"”] erstellt$/i },
+      { type: 'name_changed', pattern: /^(?<actor>.+?) (?:hat|hast) den (?:betreff|gruppennamen) von [„"“](?<from>.*)[“"”] (?:zu|in) [„"“](?<to>.*)[“"”] geändert$/i },
+      { type: 'name_changed', pattern: /^(?<actor>.+?) (?:hat|hast) den (?:betreff|gruppennamen) (?:zu|in) [„"“](?<to>.*)[“"”] geändert$/i },
+      { type: 'description_changed', pattern: /^(?<actor>.+?) (?:hat|hast) die gruppenbeschreibung/i },
+      { type: 'icon_changed', pattern: /^(?<actor>.+?) (?:hat|hast) das gruppenbild/i },
+      { type: 'admin_added', pattern: /^(?<targets>.+?) (?:bist|ist|sind) jetzt admin/i },
+      { type: 'admin_removed', pattern: /^(?<targets>.+?) (?:bist|ist|sind) (?:kein admin mehr|nicht mehr admin)/i },
+      { type: 'removed', pattern: /^(?<actor>.+?) (?:hat|hast) (?<targets>.+?) entfernt$/i },
+      { type: 'left', pattern: /^(?<targets>.+?) (?:hat|hast) die gruppe verlassen$/i },
+      { type: 'joined', pattern: /^(?<targets>.+?) (?:ist|bist) .*beigetreten$/i },
+      { type: 'added', pattern: /^(?<actor>.+?) (?:hat|hast) (?<targets>.+?) hinzugefügt$/i }
+    ]
+  },
+  // Common words left out of word frequency analysis
+  stopWords: [
+    'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis',
+    'bist', 'da', 'dann', 'das', 'dass', 'dein', 'deine', 'dem', 'den', 'der', 'des',
+    'dich', 'die', 'dir', 'doch', 'du', 'ein', 'eine', 'einem', 'einen', 'einer', 'es',
+    'für', 'gibt', 'hab', 'habe', 'haben', 'hast', 'hat', 'hatte', 'ich', 'ihr', 'im', 'in',
+    'ist', 'ja', 'jetzt', 'kann', 'kein', 'keine', 'man', 'mein', 'meine', 'mich', 'mir',
+    'mit', 'muss', 'nach', 'nein', 'nicht', 'noch', 'nur', 'ob', 'oder', 'schon', 'sehr',
+    'sein', 'seine', 'sich', 'sie', 'sind', 'so', 'um', 'und', 'uns', 'unser', 'von', 'vor',
+    'war', 'was', 'weil', 'wenn', 'wer', 'wie', 'wir', 'wird', 'wo', 'zu', 'zum', 'zur',
+    'über', 'okay', 'ok'
+  ]
+};
@@ -0,0 +1,79 @@
+/**
+ * English phrases used by WhatsApp exports
+ */
+export default {
+  code: 'en',
+  name: 'English',
+  systemMessages: {
+    encryption: ['messages and calls are end-to-end encrypted'],
+    created: ['created group', 'group created'],
+    name_changed: ['changed the group name', 'group name changed', 'changed the subject'],
+    description_changed: ['changed group description', 'changed the group description', 'group description changed'],
+    icon_changed: ['changed this group\'s icon', 'group icon changed', 'changed the group icon'],
+    admin: ['now an admin', 'no longer an admin'],
+    removed: ['removed'],
+    left: ['left'],
+    joined: ['joined using this group\'s invite link', 'joined', 'added'],
+    ended: ['ended', 'deleted']
+  },
+  mediaOmitted: [
+    '<media omitted>',
+    'image omitted',
+    'video omitted',
+    'audio omitted',
+    'sticker omitted',
+    'document omitted',
+    'gif omitted',
+    'contact card omitted'
+  ],
+  deletedMessage: ['this message was deleted', 'you deleted this message'],
+  ownDeletedMessage: ['you deleted this message'],
+  editedMessage: ['<this message was edited>'],
+  fileAttached: ['file attached', 'image attached'],
+  // Group events with their people and names, for the group history view.
+  // Roles listed in `you` belong to the exporter when the pattern leaves them out.
+  groupEvents: {
+    you: ['you'],
+    and: 'and',
+    patterns: [
+      { type: 'created', pattern: /^(?<actor>.+?) created (?:the )?group ["“](?<to>.*)["”]$/i },
+      { type: 'created', pattern: /^(?<actor>.+?) created this group$/i },
+      { type: 'name_changed', pattern: /^(?<actor>.+?) changed (?:the group name|the subject) from ["“](?<from>.*)["”] to ["“](?<to>.*)["”]$/i },
+      { type: 'name_changed', pattern: /^(?<actor>.+?) changed (?:the group name|the subject) to ["“](?<to>.*)["”]$/i },
+      { type: 'description_changed', pattern: /^(?<actor>.+?) (?:changed|deleted) the group description/i },
+      { type: 'icon_changed', pattern: /^(?<actor>.+?) (?:changed|deleted) (?:this group['’]s|the group) icon/i },
+      { type: 'admin_added', pattern: /^you['’]re now an admin/i, you: 'targets' },
+      { type: 'admin_added', pattern: /^(?<targets>.+?) (?:is|are) now an admin/i },
+      { type: 'admin_removed', pattern: /^you['’]re no longer an admin/i, you: 'targets' },
+      { type: 'admin_removed', pattern: /^(?<targets>.+?) (?:is|are) no longer an admin/i },
+      { type: 'removed', pattern: /^(?<actor>.+?) removed (?<targets>.+)$/i },
+      { type: 'left', pattern: /^(?<targets>.+?) left$/i },
+      { type: 'joined', pattern: /^(?<targets>.+?) joined using .*link/i },
+      { type: 'joined', pattern: /^(?<targets>.+?) joined$/i },
+      { type: 'added', pattern: /^(?<actor>.+?) added (?<targets>.+)$/i }
+    ]
+  },
+  // Common words left out of word frequency analysis
+  stopWords: [
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any',
+    'are', 'aren\'t', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below',
+    'between', 'both', 'but', 'by', 'can', 'can\'t', 'cannot', 'could', 'couldn\'t', 'did',
+    'didn\'t', 'do', 'does', 'doesn\'t', 'doing', 'don\'t', 'down', 'during', 'each', 'few',
+    'for', 'from', 'further', 'had', 'hadn\'t', 'has', 'hasn\'t', 'have', 'haven\'t',
+    'having', 'he', 'he\'d', 'he\'ll', 'he\'s', 'her', 'here', 'here\'s', 'hers', 'herself',
+    'him', 'himself', 'his', 'how', 'how\'s', 'i', 'i\'d', 'i\'ll', 'i\'m', 'i\'ve', 'if',
+    'in', 'into', 'is', 'isn\'t', 'it', 'it\'s', 'its', 'itself', 'just', 'let\'s', 'me',
+    'more', 'most', 'mustn\'t', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off',
+    'on', 'once', 'only', 'or', 'other', 'ought', 'our', 'ours', 'ourselves', 'out', 'over',
+    'own', 'same', 'shan\'t', 'she', 'she\'d', 'she\'ll', 'she\'s', 'should', 'shouldn\'t',
+    'so', 'some', 'such', 'than', 'that', 'that\'s', 'the', 'their', 'theirs', 'them',
+    'themselves', 'then', 'there', 'there\'s', 'these', 'they', 'they\'d', 'they\'ll',
+    'they\'re', 'they\'ve', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+    'very', 'was', 'wasn\'t', 'we', 'we\'d', 'we\'ll', 'we\'re', 'we\'ve', 'were',
+    'weren\'t', 'what', 'what\'s', 'when', 'when\'s', 'where', 'where\'s', 'which', 'while',
+    'who', 'who\'s', 'whom', 'why', 'why\'s', 'will', 'with', 'won\'t', 'would',
+    'wouldn\'t', 'you', 'you\'d', 'you\'ll', 'you\'re', 'you\'ve', 'your', 'yours',
+    'yourself', 'yourselves', 'im', 'dont', 'ok', 'okay', 'yes', 'yeah', 'ya', 'u', 'ur',
+    'also', 'get', 'got', 'go', 'going', 'like', 'one'
+  ]
+};
@@ -0,0 +1,66 @@
+/**
+ * Spanish phrases used by WhatsApp exports
+ */
+export default {
+  code: 'es',
+  name: 'Español',
+  systemMessages: {
+    encryption: ['los mensajes y las llamadas están cifrados de extremo a extremo'],
+    created: ['creó el grupo', 'creaste el grupo'],
+    name_changed: ['cambió el nombre del grupo', 'cambiaste el nombre del grupo', 'cambió el asunto', 'cambiaste el asunto'],
+    description_changed: ['cambió la descripción del grupo', 'cambiaste la descripción del grupo'],
+    icon_changed: ['cambió el ícono de este grupo', 'cambió la imagen de este grupo', 'cambiaste el ícono de este grupo'],
+    admin: ['ahora eres admin', 'ya no eres admin', 'ahora es admin'],
+    removed: ['eliminó a', 'te eliminó', 'eliminaste a'],
+    left: ['salió del grupo', 'saliste del grupo', 'salió'],
+    joined: ['se unió usando el enlace de invitación de este grupo', 'se unió', 'añadió a', 'te añadió', 'añadiste a', 'agregó a']
+  },
+  mediaOmitted: [
+    '<multimedia omitido>',
+    'imagen omitida',
+    'video omitido',
+    'audio omitido',
+    'sticker omitido',
+    'documento omitido',
+    'gif omitido'
+  ],
+  deletedMessage: ['se eliminó este mensaje', 'eliminaste este mensaje'],
+  ownDeletedMessage: ['eliminaste este mensaje'],
+  editedMessage: ['<se editó este mensaje.>', '<se editó este mensaje>'],
+  fileAttached: ['archivo adjunto'],
+  // Group events with their people and names, for the group history view
+  groupEvents: {
+    you: ['tú', 'tu'],
+    and: 'y',
+    patterns: [
+      { type: 'created', pattern: /^(?:(?<actor>.+?) creó|creaste) el grupo ["“](?<to>.*)["”]$/i, you: 'actor' },
+      { type: 'name_changed', pattern: /^(?:(?<actor>.+?) cambió|cambiaste) (?:el nombre del grupo|el asunto) de ["“](?<from>.*)["”] a ["“](?<to>.*)["”]$/i, you: 'actor' },
+      { type: 'name_changed', pattern: /^(?:(?<actor>.+?) cambió|cambiaste) (?:el nombre del grupo|el asunto) a ["“](?<to>.*)["”]$/i, you: 'actor' },
+      { type: 'description_changed', pattern: /^(?:(?<actor>.+?) cambió|cambiaste) la descripción del grupo/i, you: 'actor' },
+      { type: 'icon_changed', pattern: /^(?:(?<actor>.+?) cambió|cambiaste) (?:el ícono|la imagen) de este grupo/i, you: 'actor' },
+      { type: 'admin_added', pattern: /^ahora eres admin/i, you: 'targets' },
+      { type: 'admin_added', pattern: /^(?<targets>.+?) ahora es admin/i },
+      { type: 'admin_removed', pattern: /^ya no eres admin/i, you: 'targets' },
+      { type: 'removed', pattern: /^(?<actor>.+?) te eliminó/i, you: 'targets' },
+      { type: 'removed', pattern: /^(?:(?<actor>.+?) eliminó|eliminaste) a (?<targets>.+)$/i, you: 'actor' },
+      { type: 'left', pattern: /^(?:(?<targets>.+?) salió|saliste)(?: del grupo)?$/i, you: 'targets' },
+      { type: 'joined', pattern: /^(?:(?<targets>.+?) se unió|te uniste)/i, you: 'targets' },
+      { type: 'added', pattern: /^(?<actor>.+?) te (?:añadió|agregó)/i, you: 'targets' },
+      { type: 'added', pattern: /^(?:(?<actor>.+?) (?:añadió|agregó)|añadiste|agregaste) a (?<targets>.+)$/i, you: 'actor' }
+    ]
+  },
+  // Common words left out of word frequency analysis
+  stopWords: [
+    'a', 'al', 'algo', 'algunas', 'algunos', 'ante', 'antes', 'como', 'con', 'contra',
+    'cual', 'cuando', 'de', 'del', 'desde', 'donde', 'durante', 'e', 'el', 'ella', 'ellas',
+    'ellos', 'en', 'entre', 'era', 'eras', 'es', 'esa', 'esas', 'ese', 'eso', 'esos',
+    'esta', 'estaba', 'estado', 'estamos', 'estan', 'estar', 'estas', 'este', 'esto',
+    'estos', 'estoy', 'está', 'están', 'fue', 'fueron', 'ha', 'había', 'han', 'has',
+    'hasta', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'más', 'me', 'mi', 'mis',
+    'mucho', 'muy', 'nada', 'ni', 'no', 'nos', 'nosotros', 'o', 'os', 'otra', 'otro',
+    'para', 'pero', 'poco', 'por', 'porque', 'que', 'qué', 'quien', 'se', 'sea', 'ser',
+    'si', 'sí', 'sin', 'sobre', 'son', 'su', 'sus', 'también', 'te', 'tengo', 'ti', 'tiene',
+    'tu', 'tus', 'tú', 'un', 'una', 'uno', 'unos', 'y', 'ya', 'yo', 'él', 'pues', 'bueno',
+    'vale', 'jaja'
+  ]
+};
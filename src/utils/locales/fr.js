@@ -0,0 +1,53 @@
+/**
+ * French phrases used by WhatsApp exports
+ */
+export default {
+  code: 'fr',
+  name: 'Français',
+  systemMessages: {
+    encryption: ['les messages et les appels sont chiffrés de bout en bout'],
+    created: ['a créé le groupe', 'avez créé le groupe'],
+    name_changed: ['a modifié le nom du groupe', 'a changé le sujet', 'avez changé le sujet'],
+    description_changed: ['a modifié la description du groupe', 'avez modifié la description du groupe'],
+    icon_changed: ['a changé l\'icône de ce groupe', 'a modifié la photo du groupe'],
+    admin: ['maintenant administrateur', 'n\'êtes plus administrateur'],
+    removed: ['a retiré', 'avez retiré'],
+    left: ['est parti', 'êtes parti'],
+    joined: ['a rejoint ce groupe via le lien d\'invitation', 'a rejoint', 'a ajouté', 'avez ajouté']
+  },
+  mediaOmitted: ['<médias omis>', 'image absente', 'vidéo absente', 'audio omis', 'sticker omis'],
+  deletedMessage: ['ce message a été supprimé', 'vous avez supprimé ce message'],
+  ownDeletedMessage: ['vous avez supprimé ce message'],
+  editedMessage: ['<ce message a été modifié>'],
+  fileAttached: ['fichier joint'],
+  // Group events with their people and names, for the group history view
+  groupEvents: {
+    you: ['vous'],
+    and: 'et',
+    patterns: [
+      { type: 'created', pattern: /^(?<actor>.+?) (?:a|avez) créé le groupe [«"“]\s*(?<to>.*?)\s*[»"”]$/i },
+      { type: 'name_changed', pattern: /^(?<actor>.+?) (?:a|avez) (?:modifié|changé) (?:le nom du groupe|le sujet) de [«"“]\s*(?<from>.*?)\s*[»"”] (?:en|à|pour) [«"“]\s*(?<to>.*?)\s*[»"”]$/i },
+      { type: 'name_changed', pattern: /^(?<actor>.+?) (?:a|avez) (?:modifié|changé) (?:le nom du groupe|le sujet) (?:en|à|pour) [«"“]\s*(?<to>.*?)\s*[»"”]$/i },
+      { type: 'description_changed', pattern: /^(?<actor>.+?) (?:a|avez) modifié la description du groupe/i },
+      { type: 'icon_changed', pattern: /^(?<actor>.+?) (?:a|avez) (?:changé l['’]icône de ce groupe|modifié la photo du groupe)/i },
+      { type: 'admin_added', pattern: /^(?<targets>.+?) (?:êtes|est) maintenant administrat/i },
+      { type: 'admin_removed', pattern: /^(?<targets>.+?) n['’](?:êtes|est) plus administrat/i },
+      { type: 'removed', pattern: /^(?<actor>.+?) vous a retiré/i, you: 'targets' },
+      { type: 'removed', pattern: /^(?<actor>.+?) (?:a|avez) retiré (?<targets>.+)$/i },
+      { type: 'left', pattern: /^(?<targets>.+?) (?:est|êtes) partie?s?$/i },
+      { type: 'joined', pattern: /^(?<targets>.+?) (?:a|avez) rejoint/i },
+      { type: 'added', pattern: /^(?<actor>.+?) vous a ajouté/i, you: 'targets' },
+      { type: 'added', pattern: /^(?<actor>.+?) (?:a|avez) ajouté (?<targets>.+)$/i }
+    ]
+  },
+  // Common words left out of word frequency analysis
+  stopWords: [
+    'à', 'a', 'ai', 'au', 'aux', 'avec', 'avez', 'avoir', 'c', 'ça', 'ce', 'ces', 'cela',
+    'cet', 'cette', 'd', 'dans', 'de', 'des', 'du', 'elle', 'elles', 'en', 'es', 'est',
+    'et', 'été', 'être', 'il', 'ils', 'j', 'je', 'l', 'la', 'le', 'les', 'leur', 'lui', 'm',
+    'ma', 'mais', 'me', 'mes', 'moi', 'mon', 'n', 'ne', 'ni', 'nos', 'notre', 'nous', 'on',
+    'ou', 'où', 'par', 'pas', 'pour', 'qu', 'que', 'qui', 's', 'sa', 'sans', 'se', 'ses',
+    'si', 'son', 'sont', 'sur', 't', 'ta', 'te', 'tes', 'toi', 'ton', 'tu', 'un', 'une',
+    'vos', 'votre', 'vous', 'y', 'c\'est', 'j\'ai', 'oui', 'ok'
+  ]
+};
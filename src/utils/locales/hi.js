@@ -0,0 +1,34 @@
+/**
+ * Hindi phrases used by WhatsApp exports
+ */
+export default {
+  code: 'hi',
+  name: 'हिन्दी',
+  systemMessages: {
+    encryption: ['एंड-टू-एंड एन्क्रिप्टेड'],
+    created: ['ग्रुप बनाया'],
+    name_changed: ['ग्रुप का नाम बदला', 'विषय बदला'],
+    description_changed: ['ग्रुप का विवरण बदला'],
+    icon_changed: ['ग्रुप का आइकॉन बदला', 'ग्रुप की फ़ोटो बदली'],
+    admin: ['अब एडमिन', 'एडमिन नहीं'],
+    removed: ['हटाया', 'निकाल दिया'],
+    left: ['छोड़ दिया', 'छोड़ा'],
+    joined: ['आमंत्रण लिंक', 'जुड़े', 'जोड़ा']
+  },
+  mediaOmitted: ['<मीडिया छोड़ा गया>', '<मीडिया के बिना>'],
+  deletedMessage: ['यह संदेश हटा दिया गया', 'आपने यह संदेश हटा दिया'],
+  ownDeletedMessage: ['आपने यह संदेश हटा दिया'],
+  editedMessage: ['<यह संदेश संपादित किया गया>'],
+  fileAttached: ['फ़ाइल संलग्न'],
+  // Common words left out of word frequency analysis
+  stopWords: [
+    'है', 'हैं', 'था', 'थे', 'थी', 'हो', 'और', 'का', 'की', 'के', 'को', 'से', 'में', 'पर',
+    'भी', 'नहीं', 'तो', 'यह', 'वह', 'ये', 'वो', 'एक', 'कि', 'जो', 'कर', 'करना', 'किया',
+    'लिए', 'कुछ', 'अब', 'तक', 'मैं', 'हम', 'तुम', 'आप', 'मुझे', 'मेरा', 'मेरी', 'हमारा',
+    'उस', 'उसके', 'इस', 'इसके', 'क्या', 'कैसे', 'कौन', 'जब', 'तब', 'ही', 'hai', 'hain',
+    'tha', 'the', 'thi', 'ho', 'aur', 'ka', 'ki', 'ke', 'ko', 'se', 'me', 'mein', 'main',
+    'par', 'bhi', 'nahi', 'nhi', 'to', 'toh', 'ye', 'yeh', 'wo', 'woh', 'ek', 'kya',
+    'kaise', 'kab', 'jab', 'ab', 'kuch', 'mera', 'meri', 'tum', 'aap', 'hum', 'haan', 'ha',
+    'na'
+  ]
+};
@@ -0,0 +1,113 @@
+/**
+ * Chat Locale Registry
+ * Phrase tables for system messages and markers in each export language
+ */
+
+import en from './en';
+import es from './es';
+import de from './de';
+import pt from './pt';
+import fr from './fr';
+import it from './it';
+import hi from './hi';
+
+// Order matters: more specific system message types are checked first
+export const SYSTEM_MESSAGE_TYPES = [
+  'encryption',
+  'created',
+  'name_changed',
+  'description_changed',
+  'icon_changed',
+  'admin',
+  'removed',
+  'left',
+  'joined',
+  'ended'
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const locales = new Map();
+
+/**
+ * Register a locale phrase table
+ * Phrases are matched case-insensitively as substrings
+ * @param {Object} locale - Locale table ({ code, name, systemMessages, mediaOmitted, deletedMessage, ownDeletedMessage, editedMessage, fileAttached, stopWords, groupEvents })
+ */
+export function registerLocale(locale) {
+  if (!locale || !locale.code) {
+    throw new Error('Locale must have a code');
+  }
+
+  locales.set(locale.code, {
+    systemMessages: {},
+    mediaOmitted: [],
+    deletedMessage: [],
+    ownDeletedMessage: [],
+    editedMessage: [],
+    fileAttached: [],
+    stopWords: [],
+    groupEvents: { you: [], and: '', patterns: [] },
+    ...locale
+  });
+}
+
+/**
+ * Get a registered locale, falling back to English
+ * @param {string} code - Locale code
+ * @returns {Object} - Locale table
+ */
+export function getLocale(code) {
+  return locales.get(code) || locales.get(DEFAULT_LOCALE);
+}
+
+/**
+ * Get all registered locales
+ * @returns {Array} - Array of locale tables
+ */
+export function getLocales() {
+  return Array.from(locales.values());
+}
+
+/**
+ * Check whether text contains any of the given phrases
+ * @param {string} lowerText - Lowercased text
+ * @param {Array} phrases - Lowercase phrases
+ * @returns {boolean} - True if any phrase matches
+ */
+export function matchesAnyPhrase(lowerText, phrases = []) {
+  return phrases.some(phrase => lowerText.includes(phrase));
+}
+
+/**
+ * Detect the export language from system lines and message bodies
+ * @param {Array} systemLines - Text of lines without a sender
+ * @param {Array} messageBodies - Text of regular message bodies
+ * @returns {string} - Best matching locale code
+ */
+export function detectLocale(systemLines, messageBodies) {
+  let bestCode = DEFAULT_LOCALE;
+  let bestScore = 0;
+
+  locales.forEach((locale, code) => {
+    const systemPhrases = Object.values(locale.systemMessages).flat();
+    const markers = [...locale.mediaOmitted, ...locale.deletedMessage, ...locale.editedMessage];
+    let score = 0;
+
+    systemLines.forEach(line => {
+      if (matchesAnyPhrase(line.toLowerCase(), systemPhrases)) score++;
+    });
+    messageBodies.forEach(body => {
+      if (matchesAnyPhrase(body.toLowerCase(), markers)) score++;
+    });
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestCode = code;
+    }
+  });
+
+  return bestCode;
+}
+
+[en, es, de, pt, fr, it, hi].forEach(registerLocale);
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { SYSTEM_MESSAGE_TYPES, getLocale, getLocales, registerLocale, matchesAnyPhrase, detectLocale } from './index';
+
+describe('locale tables', () => {
+  const locales = getLocales();
+
+  it('registers every bundled language', () => {
+    expect(locales.map(locale => locale.code).sort()).toEqual(['de', 'en', 'es', 'fr', 'hi', 'it', 'pt']);
+  });
+
+  it.each(locales.map(locale => [locale.code, locale]))('%s only uses known system message types', (code, locale) => {
+    Object.keys(locale.systemMessages).forEach(type => {
+      expect(SYSTEM_MESSAGE_TYPES).toContain(type);
+    });
+  });
+
+  // Phrases are compared with lowercased text, so an upper-case letter would never match
+  it.each(locales.map(locale => [locale.code, locale]))('%s has lowercase, non-empty phrases', (code, locale) => {
+    const phrases = [
+      ...Object.values(locale.systemMessages).flat(),
+      ...locale.mediaOmitted,
+      ...locale.deletedMessage,
+      ...locale.ownDeletedMessage,
+      ...locale.editedMessage,
+      ...locale.fileAttached
+    ];
+    phrases.forEach(phrase => {
+      expect(phrase.trim()).not.toBe('');
+      expect(phrase).toBe(phrase.toLowerCase());
+    });
+  });
+
+  // Words are lower-cased before they are compared with stop words
+  it.each(locales.map(locale => [locale.code, locale]))('%s has lowercase stop words', (code, locale) => {
+    expect(locale.stopWords.length).toBeGreaterThan(0);
+    locale.stopWords.forEach(word => {
+      expect(word).toBe(word.toLowerCase().trim());
+    });
+  });
+
+  it.each(locales.map(locale => [locale.code, locale]))('%s counts the exporter\'s own deletions as deletions', (code, locale) => {
+    expect(locale.ownDeletedMessage.length).toBeGreaterThan(0);
+    locale.ownDeletedMessage.forEach(phrase => {
+      expect(locale.deletedMessage).toContain(phrase);
+    });
+  });
+});
+
+describe('getLocale', () => {
+  it('falls back to English for unknown codes', () => {
+    expect(getLocale('de').name).toBe('Deutsch');
+    expect(getLocale('xx').code).toBe('en');
+  });
+});
+
+describe('registerLocale', () => {
+  it('rejects tables without a code', () => {
+    expect(() => registerLocale({ name: 'Nameless' })).toThrow('Locale must have a code');
+  });
+});
+
+describe('matchesAnyPhrase', () => {
+  it('matches phrases as substrings', () => {
+    expect(matchesAnyPhrase('alice added bob', ['added'])).toBe(true);
+    expect(matchesAnyPhrase('alice added bob', [])).toBe(false);
+  });
+});
+
+describe('detectLocale', () => {
+  it('scores system lines and message markers', () => {
+    expect(detectLocale(['Alice hat die Gruppe verlassen'], ['<Medien ausgeschlossen>'])).toBe('de');
+    expect(detectLocale([], ['Se eliminó este mensaje'])).toBe('es');
+  });
+
+  it('defaults to English without evidence', () => {
+    expect(detectLocale([], ['hello'])).toBe('en');
+  });
+});
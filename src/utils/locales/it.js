@@ -0,0 +1,55 @@
+/**
+ * Italian phrases used by WhatsApp exports
+ */
+export default {
+  code: 'it',
+  name: 'Italiano',
+  systemMessages: {
+    encryption: ['i messaggi e le chiamate sono crittografati end-to-end'],
+    created: ['ha creato il gruppo', 'hai creato il gruppo'],
+    name_changed: ['ha cambiato il nome del gruppo', 'ha cambiato l\'oggetto', 'hai cambiato l\'oggetto'],
+    description_changed: ['ha cambiato la descrizione del gruppo', 'hai cambiato la descrizione del gruppo'],
+    icon_changed: ['ha cambiato l\'immagine di questo gruppo', 'hai cambiato l\'immagine di questo gruppo'],
+    admin: ['ora sei un amministratore', 'non sei più un amministratore'],
+    removed: ['ha rimosso', 'hai rimosso'],
+    left: ['è uscito', 'sei uscito', 'ha abbandonato'],
+    joined: ['si è unito tramite il link d\'invito', 'si è unito', 'ha aggiunto', 'hai aggiunto']
+  },
+  mediaOmitted: ['<media omessi>', 'immagine omessa', 'video omesso', 'audio omesso', 'sticker omesso'],
+  deletedMessage: ['questo messaggio è stato eliminato', 'hai eliminato questo messaggio'],
+  ownDeletedMessage: ['hai eliminato questo messaggio'],
+  editedMessage: ['<questo messaggio è stato modificato>'],
+  fileAttached: ['file allegato'],
+  // Group events with their people and names, for the group history view
+  groupEvents: {
+    you: ['tu'],
+    and: 'e',
+    patterns: [
+      { type: 'created', pattern: /^(?:(?<actor>.+?) ha|hai) creato il gruppo ["“](?<to>.*)["”]$/i, you: 'actor' },
+      { type: 'name_changed', pattern: /^(?:(?<actor>.+?) ha|hai) cambiato (?:il nome del gruppo|l['’]oggetto) da ["“](?<from>.*)["”] a ["“](?<to>.*)["”]$/i, you: 'actor' },
+      { type: 'name_changed', pattern: /^(?:(?<actor>.+?) ha|hai) cambiato (?:il nome del gruppo|l['’]oggetto) in ["“](?<to>.*)["”]$/i, you: 'actor' },
+      { type: 'description_changed', pattern: /^(?:(?<actor>.+?) ha|hai) cambiato la descrizione del gruppo/i, you: 'actor' },
+      { type: 'icon_changed', pattern: /^(?:(?<actor>.+?) ha|hai) cambiato l['’]immagine di questo gruppo/i, you: 'actor' },
+      { type: 'admin_added', pattern: /^ora sei un amministratore/i, you: 'targets' },
+      { type: 'admin_added', pattern: /^(?<targets>.+?) è ora un amministratore/i },
+      { type: 'admin_removed', pattern: /^non sei più un amministratore/i, you: 'targets' },
+      { type: 'removed', pattern: /^(?<actor>.+?) ti ha rimoss[oa]/i, you: 'targets' },
+      { type: 'removed', pattern: /^(?:(?<actor>.+?) ha|hai) rimosso (?<targets>.+)$/i, you: 'actor' },
+      { type: 'left', pattern: /^(?:(?<targets>.+?) è uscit[oa]|sei uscit[oa])/i, you: 'targets' },
+      { type: 'left', pattern: /^(?:(?<targets>.+?) ha|hai) abbandonato/i, you: 'targets' },
+      { type: 'joined', pattern: /^(?:(?<targets>.+?) si è unit[oa]|ti sei unit[oa])/i, you: 'targets' },
+      { type: 'added', pattern: /^(?<actor>.+?) ti ha aggiunt[oa]/i, you: 'targets' },
+      { type: 'added', pattern: /^(?:(?<actor>.+?) ha|hai) aggiunto (?<targets>.+)$/i, you: 'actor' }
+    ]
+  },
+  // Common words left out of word frequency analysis
+  stopWords: [
+    'a', 'ad', 'al', 'alla', 'alle', 'anche', 'che', 'chi', 'ci', 'come', 'con', 'da',
+    'dal', 'dalla', 'dei', 'del', 'della', 'delle', 'di', 'e', 'è', 'ed', 'gli', 'ha',
+    'hai', 'ho', 'i', 'il', 'in', 'io', 'la', 'le', 'lei', 'li', 'lo', 'loro', 'lui', 'ma',
+    'mi', 'mia', 'mio', 'ne', 'nei', 'nel', 'nella', 'no', 'noi', 'non', 'o', 'per',
+    'perché', 'più', 'quando', 'quella', 'quello', 'questa', 'questo', 'se', 'si', 'sei',
+    'sia', 'siamo', 'sono', 'su', 'sua', 'suo', 'ti', 'tu', 'tua', 'tuo', 'un', 'una',
+    'uno', 'vi', 'voi', 'sì', 'ok'
+  ]
+};
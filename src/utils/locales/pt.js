@@ -0,0 +1,60 @@
+/**
+ * Portuguese phrases used by WhatsApp exports
+ */
+export default {
+  code: 'pt',
+  name: 'Português',
+  systemMessages: {
+    encryption: ['as mensagens e as ligações são protegidas com a criptografia de ponta a ponta', 'criptografia de ponta a ponta'],
+    created: ['criou o grupo', 'você criou o grupo'],
+    name_changed: ['mudou o nome do grupo', 'alterou o nome do grupo', 'mudou o assunto'],
+    description_changed: ['mudou a descrição do grupo', 'alterou a descrição do grupo'],
+    icon_changed: ['mudou a imagem deste grupo', 'alterou a imagem do grupo', 'mudou o ícone deste grupo'],
+    admin: ['agora é admin', 'não é mais admin'],
+    removed: ['removeu'],
+    left: ['saiu'],
+    joined: ['entrou usando o link de convite deste grupo', 'entrou', 'adicionou']
+  },
+  mediaOmitted: [
+    '<mídia oculta>',
+    '<arquivo de mídia oculto>',
+    'imagem ocultada',
+    'vídeo omitido',
+    'áudio omitido',
+    'figurinha omitida',
+    'documento omitido'
+  ],
+  deletedMessage: ['mensagem apagada', 'esta mensagem foi apagada', 'você apagou esta mensagem'],
+  ownDeletedMessage: ['você apagou esta mensagem'],
+  editedMessage: ['<mensagem editada>'],
+  fileAttached: ['arquivo anexado'],
+  // Group events with their people and names, for the group history view
+  groupEvents: {
+    you: ['você'],
+    and: 'e',
+    patterns: [
+      { type: 'created', pattern: /^(?<actor>.+?) criou o grupo ["“](?<to>.*)["”]$/i },
+      { type: 'name_changed', pattern: /^(?<actor>.+?) (?:mudou|alterou) (?:o nome do grupo|o assunto) de ["“](?<from>.*)["”] para ["“](?<to>.*)["”]$/i },
+      { type: 'name_changed', pattern: /^(?<actor>.+?) (?:mudou|alterou) (?:o nome do grupo|o assunto) para ["“](?<to>.*)["”]$/i },
+      { type: 'description_changed', pattern: /^(?<actor>.+?) (?:mudou|alterou) a descrição do grupo/i },
+      { type: 'icon_changed', pattern: /^(?<actor>.+?) (?:mudou|alterou) (?:a imagem|o ícone) (?:deste|do) grupo/i },
+      { type: 'admin_added', pattern: /^agora você é admin/i, you: 'targets' },
+      { type: 'admin_added', pattern: /^(?<targets>.+?) agora é admin/i },
+      { type: 'admin_removed', pattern: /^(?<targets>.+?) não é mais admin/i },
+      { type: 'removed', pattern: /^(?<actor>.+?) removeu (?<targets>.+)$/i },
+      { type: 'left', pattern: /^(?<targets>.+?) saiu$/i },
+      { type: 'joined', pattern: /^(?<targets>.+?) entrou/i },
+      { type: 'added', pattern: /^(?<actor>.+?) adicionou (?<targets>.+)$/i }
+    ]
+  },
+  // Common words left out of word frequency analysis
+  stopWords: [
+    'a', 'ao', 'aos', 'as', 'até', 'com', 'como', 'da', 'das', 'de', 'dela', 'dele', 'do',
+    'dos', 'e', 'ela', 'elas', 'ele', 'eles', 'em', 'entre', 'era', 'essa', 'esse', 'esta',
+    'está', 'estão', 'eu', 'foi', 'for', 'há', 'isso', 'isto', 'já', 'lhe', 'mais', 'mas',
+    'me', 'meu', 'minha', 'muito', 'na', 'nas', 'não', 'nem', 'no', 'nos', 'nós', 'o', 'os',
+    'ou', 'para', 'pela', 'pelo', 'por', 'porque', 'pra', 'que', 'quem', 'se', 'sem', 'ser',
+    'seu', 'sua', 'são', 'só', 'também', 'te', 'tem', 'tenho', 'tu', 'um', 'uma', 'você',
+    'vocês', 'vc', 'é', 'né', 'tá', 'kkk'
+  ]
+};
@@ -0,0 +1,92 @@
+/**
+ * Least-recently-used cache bounded by entry count and total size
+ */
+export class LRUCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} [options.maxEntries] - Maximum number of entries
+   * @param {number} [options.maxSize] - Maximum total size as reported by getSize
+   * @param {Function} [options.getSize] - (value) => size of an entry
+   * @param {Function} [options.onEvict] - (key, value) => called when an entry is dropped
+   */
+  constructor({ maxEntries = Infinity, maxSize = Infinity, getSize = () => 0, onEvict } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxSize = maxSize;
+    this.getSize = getSize;
+    this.onEvict = onEvict;
+    this.entries = new Map();
+    this.totalSize = 0;
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   * @param {*} key - Cache key
+   * @returns {*} - Cached value or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Check whether a key is cached without changing its recency
+   * @param {*} key - Cache key
+   * @returns {boolean} - True if cached
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Add or replace a value, evicting the least recently used entries if needed
+   * @param {*} key - Cache key
+   * @param {*} value - Value to store
+   */
+  set(key, value) {
+    if (this.entries.has(key)) {
+      this.delete(key);
+    }
+
+    this.entries.set(key, value);
+    this.totalSize += this.getSize(value);
+
+    // Always keep the newest entry, even if it alone exceeds the size budget
+    while (this.entries.size > 1 &&
+           (this.entries.size > this.maxEntries || this.totalSize > this.maxSize)) {
+      const oldestKey = this.entries.keys().next().value;
+      this.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {*} key - Cache key
+   */
+  delete(key) {
+    if (!this.entries.has(key)) return;
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.totalSize -= this.getSize(value);
+    this.onEvict?.(key, value);
+  }
+
+  /**
+   * Remove all values
+   */
+  clear() {
+    Array.from(this.entries.keys()).forEach(key => this.delete(key));
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} - Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
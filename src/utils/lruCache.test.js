@@ -0,0 +1,46 @@
+import { describe, it, expect, vi } from 'vitest';
+import { LRUCache } from './lruCache';
+
+describe('LRUCache', () => {
+  it('evicts the least recently used entry past the entry limit', () => {
+    const onEvict = vi.fn();
+    const cache = new LRUCache({ maxEntries: 2, onEvict });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.has('b')).toBe(false);
+    expect([cache.get('a'), cache.get('c')]).toEqual([1, 3]);
+    expect(onEvict).toHaveBeenCalledWith('b', 2);
+  });
+
+  it('keeps the total size within budget but always keeps the newest entry', () => {
+    const cache = new LRUCache({ maxSize: 10, getSize: value => value.length });
+    cache.set('small', 'abcd');
+    cache.set('medium', 'abcdef');
+    expect(cache.size).toBe(2);
+
+    cache.set('huge', 'x'.repeat(20));
+    expect(cache.size).toBe(1);
+    expect(cache.totalSize).toBe(20);
+  });
+
+  it('replaces values without counting them twice', () => {
+    const cache = new LRUCache({ getSize: value => value });
+    cache.set('a', 5);
+    cache.set('a', 7);
+    expect(cache.totalSize).toBe(7);
+  });
+
+  it('reports every entry when cleared', () => {
+    const onEvict = vi.fn();
+    const cache = new LRUCache({ onEvict });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.clear();
+
+    expect(cache.size).toBe(0);
+    expect(onEvict.mock.calls).toEqual([['a', 1], ['b', 2]]);
+  });
+});
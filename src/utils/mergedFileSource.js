@@ -0,0 +1,73 @@
+/**
+ * Merged File Source
+ * Serves attachments for a merged chat from whichever archive contains them.
+ * Implements the same getFile / acquireObjectUrl / releaseObjectUrl / getAllFiles / cleanup
+ * surface as ZipHandler.
+ */
+export class MergedFileSource {
+  /**
+   * @param {Array} handlers - ZipHandlers in priority order
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+  }
+
+  /**
+   * Find the first archive that has a file
+   * @private
+   * @param {string} filename - File name
+   * @returns {Object|null} - ZipHandler or null
+   */
+  findHandler(filename) {
+    return this.handlers.find(handler => handler.getAllFiles().has(filename)) || null;
+  }
+
+  /**
+   * Get file contents by filename
+   * @param {string} filename - Name of the file to retrieve
+   * @returns {Promise<Blob|null>} - File blob or null if no archive has it
+   */
+  async getFile(filename) {
+    const handler = this.findHandler(filename);
+    return handler ? handler.getFile(filename) : null;
+  }
+
+  /**
+   * Get an object URL for a file and hold it until releaseObjectUrl is called
+   * @param {string} filename - Name of the file
+   * @returns {Promise<string|null>} - Object URL or null if no archive has it
+   */
+  async acquireObjectUrl(filename) {
+    const handler = this.findHandler(filename);
+    return handler ? handler.acquireObjectUrl(filename) : null;
+  }
+
+  /**
+   * Release an object URL taken with acquireObjectUrl
+   * @param {string} filename - Name of the file
+   */
+  releaseObjectUrl(filename) {
+    this.findHandler(filename)?.releaseObjectUrl(filename);
+  }
+
+  /**
+   * Get all files across archives; earlier archives win on name clashes
+   * @returns {Map} - Map of filename to index entry
+   */
+  getAllFiles() {
+    const files = new Map();
+    this.handlers.forEach(handler => {
+      handler.getAllFiles().forEach((entry, filename) => {
+        if (!files.has(filename)) files.set(filename, entry);
+      });
+    });
+    return files;
+  }
+
+  /**
+   * Clean up every archive
+   */
+  cleanup() {
+    this.handlers.forEach(handler => handler.cleanup());
+  }
+}
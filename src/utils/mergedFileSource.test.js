@@ -0,0 +1,52 @@
+import { describe, it, expect, vi } from 'vitest';
+import { MergedFileSource } from './mergedFileSource';
+
+/**
+ * Archive stand-in holding named files
+ * @param {string} label - Text every file resolves to
+ * @param {Array} filenames - Files in the archive
+ * @returns {Object} - Handler with the ZipHandler file surface
+ */
+function createHandler(label, filenames) {
+  return {
+    getAllFiles: () => new Map(filenames.map(filename => [filename, { label }])),
+    getFile: vi.fn(async () => new Blob([label])),
+    acquireObjectUrl: vi.fn(async (filename) => `blob:${label}/${filename}`),
+    releaseObjectUrl: vi.fn(),
+    cleanup: vi.fn()
+  };
+}
+
+describe('MergedFileSource', () => {
+  const older = createHandler('older', ['a.jpg', 'shared.jpg']);
+  const newer = createHandler('newer', ['b.jpg', 'shared.jpg']);
+  const source = new MergedFileSource([older, newer]);
+
+  it('reads each file from the archive that has it', async () => {
+    expect(await (await source.getFile('b.jpg')).text()).toBe('newer');
+    expect(await source.acquireObjectUrl('a.jpg')).toBe('blob:older/a.jpg');
+  });
+
+  it('releases object URLs through the archive that handed them out', () => {
+    source.releaseObjectUrl('b.jpg');
+    expect(newer.releaseObjectUrl).toHaveBeenCalledWith('b.jpg');
+    expect(older.releaseObjectUrl).not.toHaveBeenCalled();
+  });
+
+  it('prefers earlier archives on name clashes', async () => {
+    expect(await (await source.getFile('shared.jpg')).text()).toBe('older');
+    expect(source.getAllFiles().get('shared.jpg')).toEqual({ label: 'older' });
+    expect([...source.getAllFiles().keys()].sort()).toEqual(['a.jpg', 'b.jpg', 'shared.jpg']);
+  });
+
+  it('returns null for files no archive has', async () => {
+    expect(await source.getFile('missing.jpg')).toBeNull();
+    expect(await source.acquireObjectUrl('missing.jpg')).toBeNull();
+  });
+
+  it('cleans up every archive', () => {
+    source.cleanup();
+    expect(older.cleanup).toHaveBeenCalled();
+    expect(newer.cleanup).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Message Formatter
+ * Tokenizes WhatsApp message markup into a tree of whitelisted nodes.
+ * Nothing here produces HTML: message text only ever ends up in text nodes,
+ * so markup in untrusted exports is displayed rather than executed.
+ *
+ * Node types:
+ *   { type: 'text', text, start }      - plain text; start is its offset in the original message
+ *   { type: 'bold' | 'italic' | 'strike', children }
+ *   { type: 'code', text, start }      - ```monospace```, contents are not formatted
+ *   { type: 'link', href, text, start } - http(s) links only
+ *   { type: 'break' }                  - line break
+ */
+
+const STYLE_MARKERS = {
+  '*': 'bold',
+  _: 'italic',
+  '~': 'strike'
+};
+
+const CODE_FENCE = '```';
+const LINK_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"]+|(?:[a-zA-Z0-9-]+\.)+[a-zA-Z]{2,}(?![a-zA-Z0-9-])(?:\/[^\s<>"]*)?/y;
+const TRAILING_PUNCTUATION = /[.,!?;:'")\]]+$/;
+// Endings of file names such as report.pdf or IMG-20261019-WA0001.jpg, which look like bare domains
+const FILE_EXTENSIONS = new Set([
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg', 'heic', 'mp4', 'mov', 'avi', 'mkv', 'webm', '3gp',
+  'mp3', 'm4a', 'aac', 'ogg', 'opus', 'wav', 'flac', 'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+  'txt', 'csv', 'tsv', 'json', 'vcf', 'zip', 'rar', '7z', 'apk', 'exe', 'htm', 'html', 'js', 'css', 'xml', 'log'
+]);
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const WHITESPACE = /\s/;
+
+/**
+ * Check whether a style marker at a position can open a span
+ * @param {string} text - Message text
+ * @param {number} index - Marker position
+ * @returns {boolean} - True if the marker starts a word
+ */
+function canOpen(text, index) {
+  const before = text[index - 1];
+  const after = text[index + 1];
+  return (before === undefined || !WORD_CHAR.test(before)) &&
+    after !== undefined && !WHITESPACE.test(after);
+}
+
+/**
+ * Check whether a style marker at a position can close a span
+ * @param {string} text - Message text
+ * @param {number} index - Marker position
+ * @returns {boolean} - True if the marker ends a word
+ */
+function canClose(text, index) {
+  const before = text[index - 1];
+  const after = text[index + 1];
+  return before !== undefined && !WHITESPACE.test(before) &&
+    (after === undefined || !WORD_CHAR.test(after));
+}
+
+/**
+ * Find the closing marker for a style span on the same line
+ * @param {string} text - Message text
+ * @param {string} marker - Marker character
+ * @param {number} from - Position after the opening marker
+ * @param {number} end - End of the range being parsed
+ * @returns {number} - Closing marker position or -1
+ */
+function findClosingMarker(text, marker, from, end) {
+  for (let i = from + 1; i < end; i++) {
+    if (text[i] === '\n') return -1;
+    if (text[i] === marker && canClose(text, i)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Build a safe href for a detected link
+ * @param {string} url - Link text
+ * @returns {string|null} - http(s) URL or null if it is not one
+ */
+function toHref(url) {
+  const href = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+
+  try {
+    const parsed = new URL(href);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Match a link starting at a position
+ * @param {string} text - Message text
+ * @param {number} index - Start position
+ * @param {number} end - End of the range being parsed
+ * @returns {Object|null} - Link node or null
+ */
+function matchLink(text, index, end) {
+  const before = text[index - 1];
+  if (before !== undefined && (WORD_CHAR.test(before) || before === '.' || before === '@')) {
+    return null;
+  }
+
+  LINK_PATTERN.lastIndex = index;
+  const match = LINK_PATTERN.exec(text);
+  if (!match) return null;
+
+  const url = match[0].slice(0, end - index).replace(TRAILING_PUNCTUATION, '');
+  if (!/^(?:https?:\/\/|www\.)/i.test(url)) {
+    const host = url.split('/')[0];
+    if (FILE_EXTENSIONS.has(host.slice(host.lastIndexOf('.') + 1).toLowerCase())) return null;
+  }
+  const href = url && toHref(url);
+  if (!href) return null;
+
+  return { type: 'link', href, text: url, start: index };
+}
+
+/**
+ * Tokenize a range of message text
+ * @param {string} text - Message text
+ * @param {number} start - Range start
+ * @param {number} end - Range end (exclusive)
+ * @returns {Array} - Nodes
+ */
+function tokenizeRange(text, start, end) {
+  const nodes = [];
+  let textStart = start;
+
+  const flushText = (upTo) => {
+    if (upTo > textStart) {
+      nodes.push({ type: 'text', text: text.slice(textStart, upTo), start: textStart });
+    }
+  };
+
+  let i = start;
+  while (i < end) {
+    const char = text[i];
+
+    if (char === '\n') {
+      flushText(i);
+      nodes.push({ type: 'break' });
+      textStart = ++i;
+      continue;
+    }
+
+    if (text.startsWith(CODE_FENCE, i)) {
+      const close = text.indexOf(CODE_FENCE, i + CODE_FENCE.length);
+      if (close !== -1 && close + CODE_FENCE.length <= end && close > i + CODE_FENCE.length) {
+        flushText(i);
+        const codeStart = i + CODE_FENCE.length;
+        nodes.push({ type: 'code', text: text.slice(codeStart, close), start: codeStart });
+        i = close + CODE_FENCE.length;
+        textStart = i;
+        continue;
+      }
+    }
+
+    const style = STYLE_MARKERS[char];
+    if (style && canOpen(text, i)) {
+      const close = findClosingMarker(text, char, i, end);
+      if (close !== -1) {
+        flushText(i);
+        nodes.push({ type: style, children: tokenizeRange(text, i + 1, close) });
+        i = close + 1;
+        textStart = i;
+        continue;
+      }
+    }
+
+    const link = matchLink(text, i, end);
+    if (link) {
+      flushText(i);
+      nodes.push(link);
+      i += link.text.length;
+      textStart = i;
+      continue;
+    }
+
+    i++;
+  }
+
+  flushText(end);
+  return nodes;
+}
+
+/**
+ * Tokenize WhatsApp message markup
+ * @param {string} text - Raw message text
+ * @returns {Array} - Formatting nodes
+ */
+export function tokenizeMessage(text) {
+  if (!text) return [];
+  return tokenizeRange(text, 0, text.length);
+}
+
+/**
+ * Collect the links in a message, including those inside formatted spans
+ * @param {string} text - Raw message text
+ * @returns {Array} - Link nodes ({ href, text, start }) in order of appearance
+ */
+export function extractLinks(text) {
+  const links = [];
+  const visit = (nodes) => nodes.forEach(node => {
+    if (node.type === 'link') {
+      links.push(node);
+    } else if (node.children) {
+      visit(node.children);
+    }
+  });
+  visit(tokenizeMessage(text));
+  return links;
+}
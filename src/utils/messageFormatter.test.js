@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { tokenizeMessage, extractLinks } from './messageFormatter';
+
+describe('tokenizeMessage', () => {
+  it('returns no nodes for empty text', () => {
+    expect(tokenizeMessage('')).toEqual([]);
+  });
+
+  it('nests bold, italic and strike spans', () => {
+    expect(tokenizeMessage('*bold _both_* ~gone~')).toEqual([
+      { type: 'bold', children: [
+        { type: 'text', text: 'bold ', start: 1 },
+        { type: 'italic', children: [{ type: 'text', text: 'both', start: 7 }] }
+      ] },
+      { type: 'text', text: ' ', start: 13 },
+      { type: 'strike', children: [{ type: 'text', text: 'gone', start: 15 }] }
+    ]);
+  });
+
+  it('leaves markers inside words alone', () => {
+    expect(tokenizeMessage('snake_case_name 2*3*4')).toEqual([
+      { type: 'text', text: 'snake_case_name 2*3*4', start: 0 }
+    ]);
+  });
+
+  it('does not format inside code fences', () => {
+    expect(tokenizeMessage('```*not bold*```')).toEqual([
+      { type: 'code', text: '*not bold*', start: 3 }
+    ]);
+  });
+
+  it('splits lines and keeps spans on one line', () => {
+    expect(tokenizeMessage('*a\nb*')).toEqual([
+      { type: 'text', text: '*a', start: 0 },
+      { type: 'break' },
+      { type: 'text', text: 'b*', start: 3 }
+    ]);
+  });
+
+  it('turns links into nodes with a safe href', () => {
+    expect(tokenizeMessage('see www.test.org, ok')).toEqual([
+      { type: 'text', text: 'see ', start: 0 },
+      { type: 'link', href: 'https://www.test.org/', text: 'www.test.org', start: 4 },
+      { type: 'text', text: ', ok', start: 16 }
+    ]);
+  });
+
+  it('keeps markup in text nodes', () => {
+    expect(tokenizeMessage('<img src=x onerror=alert(1)>')).toEqual([
+      { type: 'text', text: '<img src=x onerror=alert(1)>', start: 0 }
+    ]);
+  });
+
+  it('does not link e-mail addresses or javascript: URLs', () => {
+    const types = tokenizeMessage('mail me@example.com or javascript:alert(1)').map(node => node.type);
+    expect(types).toEqual(['text']);
+  });
+});
+
+describe('extractLinks', () => {
+  it('finds links with and without a scheme', () => {
+    expect(extractLinks('see https://example.com/a?b=1, www.test.org and docs.github.com/x').map(link => link.href))
+      .toEqual(['https://example.com/a?b=1', 'https://www.test.org/', 'https://docs.github.com/x']);
+  });
+
+  it('drops trailing punctuation', () => {
+    expect(extractLinks('(visit example.com).')[0].text).toBe('example.com');
+  });
+
+  it('finds links inside formatted spans', () => {
+    expect(extractLinks('*read https://example.com*')[0].href).toBe('https://example.com/');
+  });
+
+  it('ignores e-mail addresses and javascript: URLs', () => {
+    expect(extractLinks('mail me@example.com or javascript:alert(1)')).toEqual([]);
+  });
+
+  it('does not treat file names as bare domains', () => {
+    expect(extractLinks('report.pdf')).toEqual([]);
+    expect(extractLinks('IMG-20261019-WA0001.jpg (file attached)')).toEqual([]);
+    expect(extractLinks('notes.TXT and Song.mp3')).toEqual([]);
+  });
+
+  it('still links file names behind a scheme or in a path', () => {
+    expect(extractLinks('https://example.com/report.pdf')[0].href).toBe('https://example.com/report.pdf');
+    expect(extractLinks('example.com/files/report.pdf')[0].href).toBe('https://example.com/files/report.pdf');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Message Layout Utilities
+ * Size estimates used by the virtualized message list before rows are measured
+ */
+
+const DATE_SEPARATOR_HEIGHT = 56;
+const SYSTEM_MESSAGE_HEIGHT = 36;
+const BUBBLE_CHROME_HEIGHT = 44;
+const LINE_HEIGHT = 23;
+const CHARS_PER_LINE = 60;
+const VISUAL_ATTACHMENT_HEIGHT = 260;
+const FILE_ATTACHMENT_HEIGHT = 56;
+const POLL_HEIGHT = 220;
+
+/**
+ * Estimate the rendered height of a message row
+ * @param {Object} message - Parsed message
+ * @param {Object|undefined} prevMessage - Previous message in the chat
+ * @returns {number} - Estimated height in pixels
+ */
+export function estimateMessageHeight(message, prevMessage) {
+  let height = 4;
+
+  if (!prevMessage || prevMessage.date !== message.date) {
+    height += DATE_SEPARATOR_HEIGHT;
+  }
+
+  if (message.type === 'system') {
+    return height + SYSTEM_MESSAGE_HEIGHT;
+  }
+
+  height += BUBBLE_CHROME_HEIGHT;
+
+  if (/poll:|📊/i.test(message.message)) {
+    return height + POLL_HEIGHT;
+  }
+
+  const attachment = message.attachment;
+  if (attachment) {
+    height += attachment.type === 'image' || attachment.type === 'video'
+      ? VISUAL_ATTACHMENT_HEIGHT
+      : FILE_ATTACHMENT_HEIGHT;
+  }
+
+  if (message.message) {
+    const lineCount = message.message
+      .split('\n')
+      .reduce((total, line) => total + Math.max(1, Math.ceil(line.length / CHARS_PER_LINE)), 0);
+    height += lineCount * LINE_HEIGHT;
+  }
+
+  return height;
+}
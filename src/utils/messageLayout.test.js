@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { estimateMessageHeight } from './messageLayout';
+import { createMessage, createSystemMessage } from '../test/fixtures';
+
+describe('estimateMessageHeight', () => {
+  const previous = createMessage('Bob', 'Hi', { date: '19/10/2026' });
+
+  /**
+   * Estimate a message sent on the same day as the previous one
+   * @param {Object} message - Message
+   * @returns {number} - Estimated height
+   */
+  function estimate(message) {
+    return estimateMessageHeight({ date: '19/10/2026', ...message }, previous);
+  }
+
+  it('adds a date separator to the first message of a day', () => {
+    const message = createMessage('Alice', 'Hi', { date: '20/10/2026' });
+    expect(estimateMessageHeight(message, previous) - estimate(createMessage('Alice', 'Hi'))).toBe(56);
+    expect(estimateMessageHeight(message, undefined)).toBe(estimateMessageHeight(message, previous));
+  });
+
+  it('grows with wrapped and explicit lines', () => {
+    const oneLine = estimate(createMessage('Alice', 'short'));
+    expect(estimate(createMessage('Alice', 'x'.repeat(61))) - oneLine).toBe(23);
+    expect(estimate(createMessage('Alice', 'a\n\nb')) - oneLine).toBe(46);
+  });
+
+  it('reserves more room for visual attachments than for files', () => {
+    const photo = estimate(createMessage('Alice', '', { attachment: { type: 'image' } }));
+    const file = estimate(createMessage('Alice', '', { attachment: { type: 'document' } }));
+    expect(photo - file).toBe(204);
+  });
+
+  it('uses fixed heights for system messages and polls', () => {
+    expect(estimate(createSystemMessage('Alice added Bob', 'joined'))).toBe(40);
+    expect(estimate(createMessage('Alice', 'POLL:\nLunch?\nOPTION: Pizza (2 votes)'))).toBe(268);
+  });
+});
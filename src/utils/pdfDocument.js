@@ -0,0 +1,109 @@
+import { pdfjs } from 'react-pdf';
+// pdf.js refuses a worker from any other version, so package.json pins pdfjs-dist to
+// exactly the version react-pdf depends on; vite.config.js fails the build if they differ
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+/**
+ * PDF Document Helpers
+ * Worker setup for react-pdf plus in-document text search.
+ * The worker is bundled locally, so PDFs are rendered without any network access.
+ */
+
+pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+// Page text per loaded document, so repeated searches do not re-read pages
+const textCache = new WeakMap();
+
+/**
+ * Escape text for the text layer, which react-pdf inserts as HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Count case-insensitive occurrences of a query
+ * @param {string} text - Text to search
+ * @param {string} needle - Lower-cased query
+ * @returns {number} - Number of matches
+ */
+function countMatches(text, needle) {
+  const haystack = text.toLowerCase();
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+}
+
+/**
+ * Read the text items of every page
+ * @param {Object} pdf - Loaded pdf.js document
+ * @returns {Promise<Array>} - Per page, the list of text item strings
+ */
+function getPageTexts(pdf) {
+  if (!textCache.has(pdf)) {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      pages.push(
+        pdf.getPage(pageNumber)
+          .then(page => page.getTextContent())
+          .then(content => content.items.map(item => item.str || ''))
+      );
+    }
+    textCache.set(pdf, Promise.all(pages));
+  }
+  return textCache.get(pdf);
+}
+
+/**
+ * Find the pages that contain a query
+ * Matches are counted per text item, the same way they are highlighted.
+ * @param {Object} pdf - Loaded pdf.js document
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} - [{ pageNumber, count }] for pages with matches
+ */
+export async function findPdfMatches(pdf, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  const pageTexts = await getPageTexts(pdf);
+  const matches = [];
+  pageTexts.forEach((items, index) => {
+    const count = items.reduce((sum, text) => sum + countMatches(text, needle), 0);
+    if (count) matches.push({ pageNumber: index + 1, count });
+  });
+  return matches;
+}
+
+/**
+ * Render one text-layer item with matches wrapped in <mark>
+ * @param {string} text - Text item string
+ * @param {string} query - Search text
+ * @returns {string} - Escaped HTML
+ */
+export function highlightPdfText(text, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return escapeHtml(text);
+
+  const haystack = text.toLowerCase();
+  let html = '';
+  let cursor = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    html += escapeHtml(text.slice(cursor, index));
+    html += `<mark>${escapeHtml(text.slice(index, index + needle.length))}</mark>`;
+    cursor = index + needle.length;
+    index = haystack.indexOf(needle, cursor);
+  }
+  return html + escapeHtml(text.slice(cursor));
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect, vi } from 'vitest';
+import { findPdfMatches, highlightPdfText } from './pdfDocument';
+
+// react-pdf needs browser globals; only the worker setting is used here
+vi.mock('react-pdf', () => ({ pdfjs: { GlobalWorkerOptions: {} } }));
+
+/**
+ * Stand-in for a loaded pdf.js document
+ * @param {Array} pages - Per page, the list of text item strings
+ * @returns {Object} - Document with a getPage spy
+ */
+function createPdf(pages) {
+  return {
+    numPages: pages.length,
+    getPage: vi.fn(async (pageNumber) => ({
+      getTextContent: async () => ({ items: pages[pageNumber - 1].map(str => ({ str })) })
+    }))
+  };
+}
+
+describe('findPdfMatches', () => {
+  it('counts case-insensitive matches per page', async () => {
+    const pdf = createPdf([['Invoice total', 'TOTAL due'], ['Nothing here'], ['total', 'totaltotal']]);
+
+    expect(await findPdfMatches(pdf, ' Total ')).toEqual([
+      { pageNumber: 1, count: 2 },
+      { pageNumber: 3, count: 3 }
+    ]);
+  });
+
+  it('reads each page only once across searches', async () => {
+    const pdf = createPdf([['alpha'], ['beta']]);
+    await findPdfMatches(pdf, 'alpha');
+    expect(await findPdfMatches(pdf, 'beta')).toEqual([{ pageNumber: 2, count: 1 }]);
+    expect(pdf.getPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('finds nothing for an empty query', async () => {
+    const pdf = createPdf([['alpha']]);
+    expect(await findPdfMatches(pdf, '  ')).toEqual([]);
+    expect(pdf.getPage).not.toHaveBeenCalled();
+  });
+});
+
+describe('highlightPdfText', () => {
+  it('wraps matches in marks and escapes the rest', () => {
+    expect(highlightPdfText('<b>Tom & tom</b>', 'tom')).toBe('&lt;b&gt;<mark>Tom</mark> &amp; <mark>tom</mark>&lt;/b&gt;');
+  });
+
+  it('only escapes when there is no query', () => {
+    expect(highlightPdfText('"a" < b', '')).toBe('&quot;a&quot; &lt; b');
+  });
+});
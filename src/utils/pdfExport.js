@@ -0,0 +1,521 @@
+import { tokenizeMessage } from './messageFormatter';
+import { ImagePdfWriter } from './pdfWriter';
+
+/**
+ * PDF Export
+ * Lays out a range of messages as print-friendly A4 pages, draws each page on a canvas
+ * as soon as it is full and writes it to the PDF along with its text, so Western European
+ * text stays selectable. Runs entirely in the browser.
+ */
+
+const PAGE_WIDTH = 595.28; // A4 in points
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+const HEADER_HEIGHT = 62;
+const CONTENT_TOP = MARGIN + HEADER_HEIGHT;
+const CONTENT_BOTTOM = PAGE_HEIGHT - MARGIN;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const RENDER_SCALE = 2; // canvas pixels per point
+const JPEG_QUALITY = 0.85;
+
+// Page labels are written as PDF text in Helvetica once the page count is known
+const LABEL_FONT = '10px Helvetica, Arial, sans-serif';
+
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, "Noto Sans", sans-serif';
+const FONTS = {
+  title: `bold 14px ${FONT_FAMILY}`,
+  header: `10px ${FONT_FAMILY}`,
+  sender: `bold 10px ${FONT_FAMILY}`,
+  body: `10px ${FONT_FAMILY}`,
+  note: `italic 10px ${FONT_FAMILY}`,
+  meta: `8px ${FONT_FAMILY}`,
+  date: `bold 9px ${FONT_FAMILY}`,
+  system: `italic 9px ${FONT_FAMILY}`,
+  section: `bold 12px ${FONT_FAMILY}`
+};
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  pill: '#f3f4f6',
+  attachment: '#1d4ed8'
+};
+
+const LINE_HEIGHT = 14;
+const SMALL_LINE_HEIGHT = 12;
+const MESSAGE_GAP = 8;
+const DATE_SEPARATOR_HEIGHT = 30;
+const THUMBNAIL_MAX_WIDTH = 220;
+const THUMBNAIL_MAX_HEIGHT = 160;
+
+/**
+ * Flatten formatting nodes to plain text
+ * @param {Array} nodes - Nodes from tokenizeMessage
+ * @returns {string} - Plain text
+ */
+function nodesToText(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'break') return '\n';
+    if (node.children) return nodesToText(node.children);
+    return node.text;
+  }).join('');
+}
+
+/**
+ * Darken a hex colour so light sender colours stay readable on paper
+ * @param {string} hex - #rrggbb colour
+ * @returns {string} - Darker colour
+ */
+function darken(hex) {
+  const match = /^#([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return COLORS.text;
+
+  const value = parseInt(match[1], 16);
+  const channel = (shift) => Math.round(((value >> shift) & 0xff) * 0.55);
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
+
+/**
+ * Break text into lines that fit a width
+ * @param {CanvasRenderingContext2D} ctx - Context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Available width
+ * @returns {Array} - Lines
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+
+    paragraph.split(/(\s+)/).forEach(word => {
+      if (!word) return;
+      const candidate = line + word;
+      if (ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        return;
+      }
+
+      if (line.trim()) lines.push(line.trimEnd());
+      line = /^\s+$/.test(word) ? '' : word;
+
+      // Words wider than the line are broken by character
+      while (ctx.measureText(line).width > maxWidth) {
+        const chars = Array.from(line);
+        let fit = 1;
+        while (fit < chars.length && ctx.measureText(chars.slice(0, fit + 1).join('')).width <= maxWidth) {
+          fit++;
+        }
+        lines.push(chars.slice(0, fit).join(''));
+        line = chars.slice(fit).join('');
+      }
+    });
+
+    lines.push(line.trimEnd());
+  });
+
+  return lines;
+}
+
+/**
+ * Load an image attachment as a bitmap
+ * @param {Object} fileSource - Attachment source
+ * @param {string} filename - Attachment filename
+ * @returns {Promise<ImageBitmap|null>} - Bitmap or null if it cannot be decoded
+ */
+async function loadBitmap(fileSource, filename) {
+  try {
+    const blob = await fileSource.getFile(filename);
+    return blob ? await createImageBitmap(blob) : null;
+  } catch (error) {
+    console.warn(`Could not decode image for PDF: ${filename}`, error);
+    return null;
+  }
+}
+
+/**
+ * Lays out content into pages of draw operations
+ */
+class PageLayout {
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    this.y = CONTENT_TOP;
+  }
+
+  /**
+   * Start a new page unless the given height still fits
+   * @param {number} height - Height needed
+   */
+  ensureSpace(height) {
+    if (this.y + height > CONTENT_BOTTOM && this.y > CONTENT_TOP) {
+      this.newPage();
+    }
+  }
+
+  text(text, x, { font, color = COLORS.text, align = 'left', lineHeight = LINE_HEIGHT }) {
+    this.current.push({ kind: 'text', text, x, y: this.y, font, color, align });
+    this.y += lineHeight;
+  }
+
+  /**
+   * Add wrapped text, flowing onto new pages line by line
+   * @param {string} text - Text
+   * @param {Object} style - { font, color, indent, width, align, lineHeight }
+   */
+  paragraph(text, { font, color, indent = 0, width = CONTENT_WIDTH - indent, align = 'left', lineHeight = LINE_HEIGHT }) {
+    this.ctx.font = font;
+    const x = align === 'center' ? MARGIN + CONTENT_WIDTH / 2
+      : align === 'right' ? PAGE_WIDTH - MARGIN
+        : MARGIN + indent;
+    wrapText(this.ctx, text, width).forEach(line => {
+      this.ensureSpace(lineHeight);
+      this.text(line, x, { font, color, align, lineHeight });
+    });
+  }
+
+  add(op, height) {
+    this.current.push({ ...op, y: this.y });
+    this.y += height;
+  }
+}
+
+/**
+ * Lay out the messages, handing over each page as soon as it is full
+ * @param {CanvasRenderingContext2D} ctx - Measuring context
+ * @param {Array} messages - Messages to include
+ * @param {Object} options - { fileSource, ownerName, colorMap, signal, onProgress, onPage }
+ * @returns {Promise<void>}
+ */
+async function layoutMessages(ctx, messages, options) {
+  const layout = new PageLayout(ctx);
+  try {
+    await layoutInto(layout, messages, options);
+  } finally {
+    // Thumbnails of pages that were never rendered, after an error or cancel
+    layout.pages.flat().forEach(op => op.bitmap?.close());
+  }
+}
+
+/**
+ * Lay out the messages into a page layout
+ * @param {PageLayout} layout - Layout to fill
+ * @param {Array} messages - Messages to include
+ * @param {Object} options - { fileSource, ownerName, colorMap, signal, onProgress, onPage }
+ * @returns {Promise<void>}
+ */
+async function layoutInto(layout, messages, { fileSource, ownerName, colorMap, signal, onProgress, onPage }) {
+  const attachments = [];
+
+  // Every page but the one being filled is complete
+  const flushPages = async () => {
+    while (layout.pages.length > 1) {
+      await onPage(layout.pages.shift());
+    }
+  };
+
+  for (let index = 0; index < messages.length; index++) {
+    if (signal?.aborted) throw new Error('Export cancelled');
+    if (index % 200 === 0) onProgress?.({ phase: 'rendering', loaded: index, total: messages.length });
+    await flushPages();
+
+    const message = messages[index];
+    const prevMessage = messages[index - 1];
+
+    if (!prevMessage || prevMessage.date !== message.date) {
+      layout.ensureSpace(DATE_SEPARATOR_HEIGHT + LINE_HEIGHT * 2);
+      layout.add({ kind: 'date', text: message.date }, DATE_SEPARATOR_HEIGHT);
+    }
+
+    if (message.type === 'system') {
+      layout.paragraph(message.message, {
+        font: FONTS.system,
+        color: COLORS.muted,
+        align: 'center',
+        width: CONTENT_WIDTH * 0.8,
+        lineHeight: SMALL_LINE_HEIGHT
+      });
+      layout.y += MESSAGE_GAP / 2;
+      continue;
+    }
+
+    // The owner's messages sit on the right without a sender name, as in the chat view
+    const isOwnMessage = message.sender === ownerName;
+    const align = isOwnMessage ? 'right' : 'left';
+    const width = isOwnMessage ? CONTENT_WIDTH * 0.8 : CONTENT_WIDTH;
+
+    // Keep the sender line together with the first line of the message
+    layout.ensureSpace(LINE_HEIGHT * 2);
+    layout.add({
+      kind: 'sender',
+      sender: isOwnMessage ? null : message.sender,
+      color: darken(colorMap[message.sender]),
+      time: `${message.time}${message.edited ? ' · edited' : ''}`
+    }, LINE_HEIGHT);
+
+    if (message.mediaOmitted) {
+      layout.paragraph('Media omitted', { font: FONTS.note, color: COLORS.muted, align, width });
+    } else if (message.deleted) {
+      layout.paragraph(message.message, { font: FONTS.note, color: COLORS.muted, align, width });
+    } else {
+      const attachment = message.attachment;
+      if (attachment) {
+        const bitmap = attachment.type === 'image' && fileSource
+          ? await loadBitmap(fileSource, attachment.filename)
+          : null;
+
+        if (bitmap) {
+          // The bitmap is drawn and closed when its page is rendered
+          const scale = Math.min(1, THUMBNAIL_MAX_WIDTH / bitmap.width, THUMBNAIL_MAX_HEIGHT / bitmap.height);
+          const imageWidth = bitmap.width * scale;
+          const imageHeight = bitmap.height * scale;
+          const x = isOwnMessage ? PAGE_WIDTH - MARGIN - imageWidth : MARGIN;
+          layout.ensureSpace(imageHeight + 4);
+          layout.add({ kind: 'image', bitmap, x, width: imageWidth, height: imageHeight }, imageHeight + 4);
+        } else {
+          attachments.push({ message, attachment });
+          layout.paragraph(`📎 ${attachment.filename} (${attachment.type}) - see attachment list`, {
+            font: FONTS.body,
+            color: COLORS.attachment,
+            align,
+            width
+          });
+        }
+      }
+
+      const text = nodesToText(tokenizeMessage(message.message)).trim();
+      if (text) {
+        layout.paragraph(text, { font: FONTS.body, color: COLORS.text, align, width });
+      }
+    }
+
+    layout.y += MESSAGE_GAP;
+  }
+
+  if (attachments.length) {
+    layout.ensureSpace(LINE_HEIGHT * 4);
+    layout.y += LINE_HEIGHT;
+    layout.text(`Attachments (${attachments.length})`, MARGIN, { font: FONTS.section, lineHeight: LINE_HEIGHT * 1.5 });
+    attachments.forEach(({ message, attachment }) => {
+      layout.paragraph(
+        `${message.date} ${message.time} · ${message.sender} · ${attachment.filename} (${attachment.type})`,
+        { font: FONTS.body, color: COLORS.text }
+      );
+    });
+  }
+
+  await flushPages();
+  await onPage(layout.pages.shift());
+}
+
+/**
+ * Draw a line of text and record where it went for the PDF text layer
+ * @param {CanvasRenderingContext2D} ctx - Page context (in points) with font and alignment set
+ * @param {Array} runs - Text runs of the page, appended to
+ * @param {string} text - Text
+ * @param {number} x - Anchor position for the current alignment
+ * @param {number} y - Top of the line
+ * @param {number} [maxWidth] - Width longer text is squeezed into
+ */
+function drawText(ctx, runs, text, x, y, maxWidth) {
+  if (maxWidth === undefined) {
+    ctx.fillText(text, x, y);
+  } else {
+    ctx.fillText(text, x, y, maxWidth);
+  }
+
+  const width = Math.min(ctx.measureText(text).width, maxWidth ?? Infinity);
+  const left = ctx.textAlign === 'center' ? x - width / 2 : ctx.textAlign === 'right' ? x - width : x;
+  const size = Number(/(\d+(?:\.\d+)?)px/.exec(ctx.font)?.[1] || 10);
+  runs.push({ text, x: left, y, size, width });
+}
+
+/**
+ * Draw the running header on a page, without the page label
+ * @param {CanvasRenderingContext2D} ctx - Page context (in points)
+ * @param {Array} runs - Text runs of the page, appended to
+ * @param {Object} header - { title, participants, dateRange }
+ */
+function drawHeader(ctx, runs, { title, participants, dateRange }) {
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = COLORS.text;
+  ctx.font = FONTS.title;
+  ctx.textAlign = 'left';
+  drawText(ctx, runs, title, MARGIN, MARGIN, CONTENT_WIDTH - 90);
+
+  ctx.font = FONTS.header;
+  ctx.fillStyle = COLORS.muted;
+  const participantLine = wrapText(ctx, `Participants: ${participants.join(', ')}`, CONTENT_WIDTH);
+  drawText(
+    ctx,
+    runs,
+    participantLine.length > 1 ? `${participantLine[0]}…` : participantLine[0],
+    MARGIN,
+    MARGIN + 20
+  );
+  drawText(ctx, runs, dateRange, MARGIN, MARGIN + 34);
+
+  ctx.strokeStyle = COLORS.rule;
+  ctx.lineWidth = 0.5;
+  ctx.beginPath();
+  ctx.moveTo(MARGIN, MARGIN + 50);
+  ctx.lineTo(PAGE_WIDTH - MARGIN, MARGIN + 50);
+  ctx.stroke();
+}
+
+/**
+ * Draw one page of layout operations, closing its thumbnails
+ * @param {CanvasRenderingContext2D} ctx - Page context (in points)
+ * @param {Array} runs - Text runs of the page, appended to
+ * @param {Array} ops - Draw operations
+ */
+function drawPage(ctx, runs, ops) {
+  ctx.textBaseline = 'top';
+
+  for (const op of ops) {
+    switch (op.kind) {
+      case 'text':
+        ctx.font = op.font;
+        ctx.fillStyle = op.color;
+        ctx.textAlign = op.align;
+        drawText(ctx, runs, op.text, op.x, op.y);
+        break;
+
+      case 'date': {
+        ctx.font = FONTS.date;
+        const width = ctx.measureText(op.text).width + 20;
+        ctx.fillStyle = COLORS.pill;
+        ctx.beginPath();
+        ctx.roundRect(PAGE_WIDTH / 2 - width / 2, op.y + 6, width, 16, 8);
+        ctx.fill();
+        ctx.fillStyle = COLORS.muted;
+        ctx.textAlign = 'center';
+        drawText(ctx, runs, op.text, PAGE_WIDTH / 2, op.y + 9);
+        break;
+      }
+
+      case 'sender': {
+        if (op.sender === null) {
+          ctx.font = FONTS.meta;
+          ctx.fillStyle = COLORS.muted;
+          ctx.textAlign = 'right';
+          drawText(ctx, runs, op.time, PAGE_WIDTH - MARGIN, op.y + 1.5);
+          break;
+        }
+        ctx.font = FONTS.sender;
+        ctx.fillStyle = op.color;
+        ctx.textAlign = 'left';
+        drawText(ctx, runs, op.sender, MARGIN, op.y, CONTENT_WIDTH * 0.7);
+        const senderWidth = Math.min(ctx.measureText(op.sender).width, CONTENT_WIDTH * 0.7);
+        ctx.font = FONTS.meta;
+        ctx.fillStyle = COLORS.muted;
+        drawText(ctx, runs, op.time, MARGIN + senderWidth + 8, op.y + 1.5);
+        break;
+      }
+
+      case 'image':
+        ctx.drawImage(op.bitmap, op.x, op.y, op.width, op.height);
+        op.bitmap.close();
+        break;
+
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Filter messages to a date range
+ * @param {Array} messages - Parsed messages
+ * @param {number|null} from - Start timestamp (inclusive), or null for the beginning
+ * @param {number|null} to - End timestamp (exclusive), or null for the end
+ * @returns {Array} - Messages in the range
+ */
+export function filterMessagesByDate(messages, from, to) {
+  if (from === null && to === null) return messages;
+
+  return messages.filter(message => {
+    if (Number.isNaN(message.timestamp)) return false;
+    if (from !== null && message.timestamp < from) return false;
+    if (to !== null && message.timestamp >= to) return false;
+    return true;
+  });
+}
+
+/**
+ * Export messages as a paginated PDF
+ * @param {Array} messages - Messages to include (already filtered to the range)
+ * @param {Object} fileSource - Attachment source (ZipHandler)
+ * @param {Object} options - Export options
+ * @param {string} [options.title] - Chat name for the header
+ * @param {string|null} [options.ownerName] - Participant shown on the right
+ * @param {Object} [options.colorMap] - Sender name to colour
+ * @param {Function} [options.onProgress] - Called with { phase, loaded, total }
+ * @param {AbortSignal} [options.signal] - Aborts the export
+ * @returns {Promise<Blob>} - PDF file
+ */
+export async function exportChatPdf(messages, fileSource, {
+  title = 'WhatsApp Chat',
+  ownerName = null,
+  colorMap = {},
+  onProgress,
+  signal
+} = {}) {
+  if (!messages.length) {
+    throw new Error('No messages in the selected date range');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(PAGE_WIDTH * RENDER_SCALE);
+  canvas.height = Math.round(PAGE_HEIGHT * RENDER_SCALE);
+  const ctx = canvas.getContext('2d');
+
+  const participants = [...new Set(
+    messages.filter(message => message.type !== 'system').map(message => message.sender)
+  )];
+  const header = {
+    title,
+    participants,
+    dateRange: `${messages[0].date} – ${messages[messages.length - 1].date} · ${messages.length} messages`
+  };
+
+  const writer = new ImagePdfWriter({ pageWidth: PAGE_WIDTH, pageHeight: PAGE_HEIGHT, title });
+
+  const renderPage = async (ops) => {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(RENDER_SCALE, 0, 0, RENDER_SCALE, 0, 0);
+
+    const runs = [];
+    drawHeader(ctx, runs, header);
+    drawPage(ctx, runs, ops);
+
+    const jpeg = await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        blob => (blob ? resolve(blob) : reject(new Error('Failed to render PDF page'))),
+        'image/jpeg',
+        JPEG_QUALITY
+      );
+    });
+    writer.addPage(jpeg, canvas.width, canvas.height, runs);
+  };
+
+  await layoutMessages(ctx, messages, { fileSource, ownerName, colorMap, signal, onProgress, onPage: renderPage });
+  onProgress?.({ phase: 'rendering', loaded: messages.length, total: messages.length });
+
+  return writer.finish({
+    getPageLabel: (pageNumber, pageCount) => {
+      const text = `Page ${pageNumber} of ${pageCount}`;
+      ctx.font = LABEL_FONT;
+      const width = ctx.measureText(text).width;
+      return { text, x: PAGE_WIDTH - MARGIN - width, y: MARGIN + 2, size: 10, color: COLORS.muted };
+    }
+  });
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { exportChatPdf, filterMessagesByDate } from './pdfExport';
+import { createMessage, DAY, START } from '../test/fixtures';
+
+/**
+ * Stand in for the page canvas, recording the text drawn on it
+ * Text is measured as 5 points per character.
+ * @returns {Array} - Drawn text as { text, x, align }
+ */
+function stubCanvas() {
+  const drawn = [];
+  const ctx = {
+    measureText: (text) => ({ width: text.length * 5 }),
+    fillText(text, x) {
+      drawn.push({ text, x, align: this.textAlign });
+    },
+    setTransform() {},
+    fillRect() {},
+    beginPath() {},
+    roundRect() {},
+    fill() {},
+    moveTo() {},
+    lineTo() {},
+    stroke() {}
+  };
+  const canvas = {
+    getContext: () => ctx,
+    toBlob: (callback) => callback(new Blob(['jpeg']))
+  };
+  vi.stubGlobal('document', { createElement: () => canvas });
+  return drawn;
+}
+
+describe('filterMessagesByDate', () => {
+  const messages = [
+    createMessage('Alice', 'before', { timestamp: START - DAY }),
+    createMessage('Alice', 'first', { timestamp: START }),
+    createMessage('Bob', 'undated', { timestamp: NaN }),
+    createMessage('Bob', 'last', { timestamp: START + DAY - 1 }),
+    createMessage('Bob', 'after', { timestamp: START + DAY })
+  ];
+  const texts = (result) => result.map(message => message.message);
+
+  it('keeps the start and drops the end of the range', () => {
+    expect(texts(filterMessagesByDate(messages, START, START + DAY))).toEqual(['first', 'last']);
+  });
+
+  it('leaves either end open', () => {
+    expect(texts(filterMessagesByDate(messages, null, START))).toEqual(['before']);
+    expect(texts(filterMessagesByDate(messages, START + DAY, null))).toEqual(['after']);
+  });
+
+  it('returns the whole chat, undated messages included, without a range', () => {
+    expect(filterMessagesByDate(messages, null, null)).toBe(messages);
+  });
+});
+
+describe('exportChatPdf', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('puts the owner\'s messages on the right without a sender name', async () => {
+    const drawn = stubCanvas();
+    const messages = [
+      createMessage('Alice', 'Hi Bob', { date: '19/10/2026', time: '12:00' }),
+      createMessage('Bob', 'Hi Alice', { date: '19/10/2026', time: '12:01' })
+    ];
+    const blob = await exportChatPdf(messages, null, { ownerName: 'Bob' });
+    const find = (text) => drawn.find(item => item.text === text);
+
+    expect(blob.type).toBe('application/pdf');
+    expect(find('Alice')).toMatchObject({ x: 40, align: 'left' });
+    expect(find('Hi Bob')).toMatchObject({ x: 40, align: 'left' });
+    expect(find('Bob')).toBeUndefined();
+    expect(find('12:01')).toMatchObject({ x: 555.28, align: 'right' });
+    expect(find('Hi Alice')).toMatchObject({ x: 555.28, align: 'right' });
+  });
+
+  it('shows every sender on the left without an owner', async () => {
+    const drawn = stubCanvas();
+    await exportChatPdf([createMessage('Bob', 'Hi Alice', { date: '19/10/2026', time: '12:01' })], null);
+    expect(drawn.find(item => item.text === 'Hi Alice')).toMatchObject({ x: 40, align: 'left' });
+  });
+});
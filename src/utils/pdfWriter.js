@@ -0,0 +1,231 @@
+/**
+ * Minimal PDF Writer
+ * Builds a PDF whose pages are full-page JPEG images with an invisible text layer.
+ * Pages are rendered on a canvas by the caller, so any script or emoji the browser
+ * can draw ends up in the document. The text layer uses the standard Courier font,
+ * so nothing is embedded; it can only hold WinAnsi (Western European) characters and
+ * other characters are selected and copied as '?'.
+ */
+
+const encoder = new TextEncoder();
+
+// Advance of every Courier glyph in 1/1000 em; runs are stretched to the drawn width
+const COURIER_WIDTH = 600;
+
+// WinAnsi codes 0x80-0x9F, which differ from Latin-1
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+  'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+const WIN_ANSI_UNKNOWN = 0x3F;
+
+/**
+ * Encode text in WinAnsiEncoding as hex digits
+ * @param {string} text - Text to encode
+ * @returns {Object} - { hex: two digits per character, count: number of characters }
+ */
+function toWinAnsiHex(text) {
+  let hex = '';
+  let count = 0;
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    const code = (codePoint >= 0x20 && codePoint <= 0x7E) || (codePoint >= 0xA0 && codePoint <= 0xFF)
+      ? codePoint
+      : WIN_ANSI_EXTRA[char] ?? WIN_ANSI_UNKNOWN;
+    hex += code.toString(16).padStart(2, '0').toUpperCase();
+    count++;
+  }
+  return { hex, count };
+}
+
+/**
+ * Encode a string as a PDF text string (UTF-16BE with BOM, hex form)
+ * @param {string} text - Text to encode
+ * @returns {string} - PDF hex string
+ */
+function toPdfTextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * Encode an ASCII string as a PDF literal string
+ * @param {string} text - Text to encode
+ * @returns {string} - PDF literal string
+ */
+function toPdfLiteralString(text) {
+  return `(${text.replace(/[\\()]/g, char => `\\${char}`)})`;
+}
+
+/**
+ * Format a number for PDF output
+ * @param {number} value - Number
+ * @returns {string} - Number with at most two decimals
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Convert a #rrggbb colour to PDF fill colour operands
+ * @param {string} hex - #rrggbb colour
+ * @returns {string} - "r g b" components between 0 and 1
+ */
+function toPdfColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [16, 8, 0].map(shift => formatNumber(((value >> shift) & 0xff) / 255)).join(' ');
+}
+
+/**
+ * Writes a PDF of image pages one page at a time
+ * Page images are kept as the blobs they were encoded to, so a long document is not
+ * held in memory as JPEG bytes. Page dictionaries are written last, once the page
+ * count is known for the page labels.
+ */
+export class ImagePdfWriter {
+  /**
+   * @param {Object} options - Document options
+   * @param {number} options.pageWidth - Page width in points
+   * @param {number} options.pageHeight - Page height in points
+   * @param {string} [options.title] - Document title
+   */
+  constructor({ pageWidth, pageHeight, title = '' }) {
+    this.pageWidth = pageWidth;
+    this.pageHeight = pageHeight;
+    this.title = title;
+    this.chunks = [];
+    this.offsets = [];
+    this.length = 0;
+    this.pages = [];
+
+    // Objects referenced before they are written
+    this.pagesId = 2;
+    this.textFontId = 3;
+    this.labelFontId = 4;
+    this.nextId = 5;
+
+    // A binary comment marks the file as binary for transfer tools
+    this.push('%PDF-1.4\n%âãÏÓ\n');
+    this.beginObject(1);
+    this.push(`<< /Type /Catalog /Pages ${this.pagesId} 0 R >>\nendobj\n`);
+  }
+
+  push(data) {
+    const chunk = typeof data === 'string' ? encoder.encode(data) : data;
+    this.chunks.push(chunk);
+    this.length += chunk instanceof Blob ? chunk.size : chunk.length;
+  }
+
+  beginObject(id = this.nextId++) {
+    this.offsets[id] = this.length;
+    this.push(`${id} 0 obj\n`);
+    return id;
+  }
+
+  /**
+   * Write a stream object
+   * @param {string|Uint8Array|Blob} data - Stream data
+   * @param {string} [entries] - Extra dictionary entries
+   * @returns {number} - Object id
+   */
+  writeStream(data, entries = '') {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const length = bytes instanceof Blob ? bytes.size : bytes.length;
+    const id = this.beginObject();
+    this.push(`<< ${entries}${entries ? ' ' : ''}/Length ${length} >>\nstream\n`);
+    this.push(bytes);
+    this.push('\nendstream\nendobj\n');
+    return id;
+  }
+
+  /**
+   * Add a page
+   * @param {Blob} image - Page image as JPEG
+   * @param {number} imageWidth - Image width in pixels
+   * @param {number} imageHeight - Image height in pixels
+   * @param {Array} textRuns - Text drawn on the image as { text, x, y, size, width }, with
+   *   x and y the top left corner in points from the top left of the page
+   */
+  addPage(image, imageWidth, imageHeight, textRuns) {
+    const imageId = this.writeStream(
+      image,
+      `/Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+      '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode'
+    );
+
+    // Invisible text (render mode 3) stretched over the drawn text
+    const runs = textRuns.filter(run => run.text && run.width > 0).map(run => {
+      const { hex, count } = toWinAnsiHex(run.text);
+      const naturalWidth = count * COURIER_WIDTH / 1000 * run.size;
+      const scale = formatNumber(run.width / naturalWidth * 100);
+      const baseline = this.pageHeight - run.y - run.size * 0.8;
+      return `/F0 ${formatNumber(run.size)} Tf ${scale} Tz ` +
+        `1 0 0 1 ${formatNumber(run.x)} ${formatNumber(baseline)} Tm <${hex}> Tj`;
+    });
+    const content = `q ${formatNumber(this.pageWidth)} 0 0 ${formatNumber(this.pageHeight)} 0 0 cm /Im0 Do Q\n` +
+      (runs.length ? `BT 3 Tr\n${runs.join('\n')}\nET\n` : '');
+    const contentId = this.writeStream(content);
+
+    this.pages.push({ imageId, contentId });
+  }
+
+  /**
+   * Finish the document
+   * @param {Object} [options] - Finishing options
+   * @param {Function} [options.getPageLabel] - (pageNumber, pageCount) => { text, x, y, size, color }
+   *   for visible text added to each page, in ASCII; x and y are its top left corner in points
+   * @returns {Blob} - PDF file
+   */
+  finish({ getPageLabel } = {}) {
+    const width = formatNumber(this.pageWidth);
+    const height = formatNumber(this.pageHeight);
+    const pageCount = this.pages.length;
+
+    const pageIds = this.pages.map(({ imageId, contentId }, index) => {
+      const contents = [contentId];
+      const label = getPageLabel?.(index + 1, pageCount);
+      if (label) {
+        const baseline = this.pageHeight - label.y - label.size * 0.8;
+        contents.push(this.writeStream(
+          `BT /F1 ${formatNumber(label.size)} Tf ${toPdfColor(label.color)} rg ` +
+          `1 0 0 1 ${formatNumber(label.x)} ${formatNumber(baseline)} Tm ${toPdfLiteralString(label.text)} Tj ET`
+        ));
+      }
+
+      const pageId = this.beginObject();
+      this.push(`<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /XObject << /Im0 ${imageId} 0 R >> ` +
+        `/Font << /F0 ${this.textFontId} 0 R /F1 ${this.labelFontId} 0 R >> >> ` +
+        `/Contents [${contents.map(id => `${id} 0 R`).join(' ')}] >>\nendobj\n`);
+      return pageId;
+    });
+
+    this.beginObject(this.pagesId);
+    this.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>\nendobj\n`);
+
+    this.beginObject(this.textFontId);
+    this.push('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+    this.beginObject(this.labelFontId);
+    this.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+    const infoId = this.beginObject();
+    this.push(`<< /Title ${toPdfTextString(this.title)} /Producer ${toPdfTextString('WhatsApp Chat Viewer')} >>\nendobj\n`);
+
+    const objectCount = this.nextId;
+    const xrefOffset = this.length;
+    let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objectCount; id++) {
+      xref += `${String(this.offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    this.push(xref);
+    this.push(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(this.chunks, { type: 'application/pdf' });
+  }
+}
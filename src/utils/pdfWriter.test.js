@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { ImagePdfWriter } from './pdfWriter';
+
+// Smallest baseline JPEG: one white pixel
+const PIXEL_JPEG = Uint8Array.from(atob(
+  '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////' +
+  '////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/a' +
+  'AAgBAQABPxA='
+), char => char.charCodeAt(0));
+
+/**
+ * Write a document and read it back with pdf.js
+ * @param {Array} pages - Text runs of each page
+ * @returns {Promise<Object>} - { document, texts: text items per page }
+ */
+async function writeAndRead(pages) {
+  const writer = new ImagePdfWriter({ pageWidth: 595.28, pageHeight: 841.89, title: 'Chat' });
+  pages.forEach(runs => writer.addPage(new Blob([PIXEL_JPEG]), 1, 1, runs));
+  const blob = await writer.finish({
+    getPageLabel: (pageNumber, pageCount) => ({
+      text: `Page ${pageNumber} of ${pageCount}`,
+      x: 480,
+      y: 42,
+      size: 10,
+      color: '#6b7280'
+    })
+  });
+
+  const document = await getDocument({ data: new Uint8Array(await blob.arrayBuffer()), verbosity: 0 }).promise;
+  const texts = [];
+  for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+    const content = await (await document.getPage(pageNumber)).getTextContent();
+    texts.push(content.items.filter(item => item.str.trim()));
+  }
+  return { document, texts };
+}
+
+describe('ImagePdfWriter', () => {
+  it('writes pages with a title and page labels', async () => {
+    const { document, texts } = await writeAndRead([[], []]);
+    expect(document.numPages).toBe(2);
+    expect((await document.getMetadata()).info.Title).toBe('Chat');
+    expect(texts.map(items => items.map(item => item.str))).toEqual([['Page 1 of 2'], ['Page 2 of 2']]);
+  });
+
+  it('makes the drawn text extractable where it was drawn', async () => {
+    const { texts } = await writeAndRead([[
+      { text: 'Grüße – “ok”', x: 40, y: 100, size: 10, width: 60 },
+      { text: 'Second line', x: 40, y: 120, size: 12, width: 55 }
+    ]]);
+    const [greeting, second] = texts[0];
+
+    expect(greeting.str).toBe('Grüße – “ok”');
+    expect(greeting.transform[4]).toBeCloseTo(40);
+    expect(greeting.transform[5]).toBeCloseTo(841.89 - 108);
+    expect(greeting.width).toBeCloseTo(60);
+    expect(second.str).toBe('Second line');
+    expect(second.width).toBeCloseTo(55);
+  });
+
+  it('replaces characters the standard font cannot encode', async () => {
+    const { texts } = await writeAndRead([[{ text: 'ok 😀 नमस्ते', x: 40, y: 100, size: 10, width: 40 }]]);
+    expect(texts[0][0].str).toBe('ok ? ??????');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Chat Perspective
+ * Guesses which participant exported the chat and remembers the user's choice per chat.
+ * Exports name the exporter by their own profile name, never "You", so it has to be inferred.
+ */
+
+const STORAGE_PREFIX = 'whatsview:perspective:';
+
+// Unsaved contacts show up as phone numbers; the exporter never does
+const PHONE_NUMBER = /^\+?[\d\s\-().]{7,}$/;
+
+// "WhatsApp Chat with Alice.txt" and its translations name the other person in a 1:1 chat
+const CHAT_WITH_PATTERNS = [
+  /whatsapp chat with (.+?)(?:\.txt)?$/i,
+  /chat de whatsapp con (.+?)(?:\.txt)?$/i,
+  /whatsapp-chat mit (.+?)(?:\.txt)?$/i,
+  /conversa do whatsapp com (.+?)(?:\.txt)?$/i,
+  /discussion whatsapp avec (.+?)(?:\.txt)?$/i,
+  /chat whatsapp con (.+?)(?:\.txt)?$/i
+];
+
+const OWN_DELETION_SCORE = 5;
+const OTHER_DELETION_SCORE = -5;
+const SYSTEM_MENTION_SCORE = -2;
+const EXCLUDED_SCORE = -100;
+
+/**
+ * Get the other participant's name from the chat file name
+ * @param {string} chatFileName - Chat file name inside the ZIP
+ * @returns {string|null} - Contact name or null
+ */
+function getChatPartner(chatFileName) {
+  const baseName = (chatFileName || '').split('/').pop();
+
+  for (const pattern of CHAT_WITH_PATTERNS) {
+    const match = baseName.match(pattern);
+    if (match) return match[1].trim();
+  }
+
+  return null;
+}
+
+/**
+ * Suggest which participant exported the chat
+ * @param {Array} messages - Parsed messages
+ * @param {Array} participants - Unique sender names
+ * @param {string} chatFileName - Chat file name inside the ZIP
+ * @returns {string|null} - Most likely exporter, or null if there is no clear winner
+ */
+export function suggestOwner(messages, participants, chatFileName) {
+  if (!participants.length) return null;
+
+  const scores = new Map(participants.map(name => [name, 0]));
+  const addScore = (name, score) => {
+    if (scores.has(name)) scores.set(name, scores.get(name) + score);
+  };
+
+  participants.forEach(name => {
+    if (PHONE_NUMBER.test(name)) addScore(name, EXCLUDED_SCORE);
+  });
+
+  const partner = getChatPartner(chatFileName);
+  if (partner) {
+    addScore(partner, EXCLUDED_SCORE);
+  }
+
+  const mentioned = new Set();
+  messages.forEach(message => {
+    if (message.type === 'system') {
+      // The exporter is always "You" in system lines, so anyone named there is someone else
+      participants.forEach(name => {
+        if (!mentioned.has(name) && message.message.includes(name)) {
+          mentioned.add(name);
+          addScore(name, SYSTEM_MENTION_SCORE);
+        }
+      });
+    } else if (message.deleted) {
+      addScore(message.sender, message.deletedByOwner ? OWN_DELETION_SCORE : OTHER_DELETION_SCORE);
+    }
+  });
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+
+  // In a two-person chat, ruling one out identifies the other
+  if (ranked.length === 2 && ranked[1][1] <= EXCLUDED_SCORE && ranked[0][1] > EXCLUDED_SCORE) {
+    return ranked[0][0];
+  }
+
+  if (ranked.length === 1 || ranked[0][1] > ranked[1][1]) {
+    return ranked[0][1] > EXCLUDED_SCORE ? ranked[0][0] : null;
+  }
+
+  return null;
+}
+
+/**
+ * Build a storage key identifying a chat
+ * @param {string} chatFileName - Chat file name inside the ZIP
+ * @param {Array} participants - Unique sender names
+ * @returns {string} - Chat key
+ */
+export function getChatKey(chatFileName, participants) {
+  return `${chatFileName || ''}|${[...participants].sort().join(',')}`;
+}
+
+/**
+ * Load the saved perspective for a chat
+ * @param {string} chatKey - Key from getChatKey
+ * @returns {string|null} - Saved participant name or null
+ */
+export function loadPerspective(chatKey) {
+  try {
+    return localStorage.getItem(STORAGE_PREFIX + chatKey);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save or clear the perspective for a chat
+ * @param {string} chatKey - Key from getChatKey
+ * @param {string|null} owner - Participant name, or null to go back to the suggestion
+ */
+export function savePerspective(chatKey, owner) {
+  try {
+    if (owner) {
+      localStorage.setItem(STORAGE_PREFIX + chatKey, owner);
+    } else {
+      localStorage.removeItem(STORAGE_PREFIX + chatKey);
+    }
+  } catch (error) {
+    console.warn('Could not save chat perspective', error);
+  }
+}
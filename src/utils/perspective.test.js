@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { suggestOwner, getChatKey, loadPerspective, savePerspective } from './perspective';
+import { createMessage, createSystemMessage } from '../test/fixtures';
+
+describe('suggestOwner', () => {
+  it('picks whoever deleted their own messages', () => {
+    const messages = [
+      createMessage('Alice', 'You deleted this message', { deleted: true, deletedByOwner: true }),
+      createMessage('Bob', 'Hi'),
+      createMessage('Carol', 'Hi')
+    ];
+    expect(suggestOwner(messages, ['Alice', 'Bob', 'Carol'], 'WhatsApp Chat - Trip.txt')).toBe('Alice');
+  });
+
+  it('rules out people whose deletions are worded in the third person', () => {
+    const messages = [createMessage('Bob', 'This message was deleted', { deleted: true, deletedByOwner: false })];
+    expect(suggestOwner(messages, ['Alice', 'Bob', 'Carol'], '')).toBeNull();
+    expect(suggestOwner(messages, ['Alice', 'Bob'], '')).toBe('Alice');
+  });
+
+  it('leaves out the contact named in the chat file', () => {
+    expect(suggestOwner([], ['Alice', 'Bob'], 'WhatsApp Chat with Bob.txt')).toBe('Alice');
+    expect(suggestOwner([], ['Alice', 'Bob'], 'WhatsApp-Chat mit Alice.txt')).toBe('Bob');
+  });
+
+  it('leaves out phone numbers', () => {
+    expect(suggestOwner([], ['+49 151 2345678', 'Alice'], '')).toBe('Alice');
+  });
+
+  it('counts people named in system messages as someone else', () => {
+    const messages = [createSystemMessage('You added Bob', 'joined'), createSystemMessage('Carol left', 'left')];
+    expect(suggestOwner(messages, ['Alice', 'Bob', 'Carol'], '')).toBe('Alice');
+  });
+
+  it('gives up without a clear winner', () => {
+    expect(suggestOwner([], ['Alice', 'Bob'], '')).toBeNull();
+    expect(suggestOwner([], [], '')).toBeNull();
+    expect(suggestOwner([], ['+1 555 0100 200'], '')).toBeNull();
+  });
+});
+
+describe('getChatKey', () => {
+  it('does not depend on participant order', () => {
+    expect(getChatKey('chat.txt', ['Bob', 'Alice'])).toBe(getChatKey('chat.txt', ['Alice', 'Bob']));
+    expect(getChatKey('chat.txt', ['Alice'])).not.toBe(getChatKey('other.txt', ['Alice']));
+  });
+});
+
+describe('perspective storage', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('saves, loads and clears a choice per chat', () => {
+    const store = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: key => store.get(key) ?? null,
+      setItem: (key, value) => store.set(key, value),
+      removeItem: key => store.delete(key)
+    });
+
+    savePerspective('chat-a', 'Alice');
+    expect(loadPerspective('chat-a')).toBe('Alice');
+    expect(loadPerspective('chat-b')).toBeNull();
+
+    savePerspective('chat-a', null);
+    expect(loadPerspective('chat-a')).toBeNull();
+  });
+
+  it('keeps working when storage is unavailable', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubGlobal('localStorage', undefined);
+    expect(() => savePerspective('chat-a', 'Alice')).not.toThrow();
+    expect(loadPerspective('chat-a')).toBeNull();
+  });
+});
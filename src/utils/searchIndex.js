@@ -0,0 +1,306 @@
+/**
+ * Message Search
+ * Inverted index over message text with case- and diacritic-insensitive matching,
+ * quoted phrases and from:/after:/before:/on: filters.
+ */
+
+const COMBINING_MARKS = /\p{M}/gu;
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+const FILTER_PATTERN = /(\w+):(?:"([^"]*)"|(\S+))/y;
+const PHRASE_PATTERN = /"([^"]*)"?/y;
+const WORD_PATTERN = /\S+/y;
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+
+/**
+ * Lowercase text and strip diacritics
+ * @param {string} text - Text to fold
+ * @returns {string} - Folded text
+ */
+export function foldText(text) {
+  return (text || '').normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+}
+
+/**
+ * Fold text while keeping a map from folded offsets back to the original
+ * @param {string} text - Text to fold
+ * @returns {Object} - { folded, offsets } where offsets[i] is the original index of folded[i]
+ */
+function foldWithOffsets(text) {
+  let folded = '';
+  const offsets = [];
+
+  for (let i = 0; i < text.length;) {
+    const codePoint = text.codePointAt(i);
+    const char = String.fromCodePoint(codePoint);
+    const foldedChar = foldText(char);
+    for (let j = 0; j < foldedChar.length; j++) {
+      offsets.push(i);
+    }
+    folded += foldedChar;
+    i += char.length;
+  }
+
+  offsets.push(text.length);
+  return { folded, offsets };
+}
+
+/**
+ * Split folded text into index terms
+ * @param {string} folded - Folded text
+ * @returns {Array} - Terms in order of appearance
+ */
+function tokenize(folded) {
+  return folded.match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Build an inverted index for a list of messages
+ * @param {Array} messages - Parsed messages
+ * @returns {Object} - { terms, postings } with sorted terms and message indices per term
+ */
+export function buildSearchIndex(messages) {
+  const postings = new Map();
+
+  messages.forEach((message, index) => {
+    const seen = new Set(tokenize(foldText(message.message)));
+    seen.forEach(term => {
+      let list = postings.get(term);
+      if (!list) {
+        list = [];
+        postings.set(term, list);
+      }
+      list.push(index);
+    });
+  });
+
+  return {
+    terms: Array.from(postings.keys()).sort(),
+    postings
+  };
+}
+
+/**
+ * Parse an ISO date (YYYY-MM-DD) to local midnight
+ * @param {string} value - Date string
+ * @returns {number|null} - Timestamp or null if invalid
+ */
+function parseFilterDate(value) {
+  const match = ISO_DATE.exec(value);
+  if (!match) return null;
+
+  const time = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Parse a search query
+ * Supports bare words, "quoted phrases", from:Name, from:"Full Name",
+ * after:YYYY-MM-DD, before:YYYY-MM-DD and on:YYYY-MM-DD
+ * @param {string} query - Raw query
+ * @returns {Object} - { terms, phrases, senders, after, before }
+ */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], senders: [], after: null, before: null };
+  const text = query || '';
+  let position = 0;
+
+  const matchAt = (pattern) => {
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    if (match) position = pattern.lastIndex;
+    return match;
+  };
+
+  while (position < text.length) {
+    if (/\s/.test(text[position])) {
+      position++;
+      continue;
+    }
+
+    const filter = matchAt(FILTER_PATTERN);
+    if (filter) {
+      const key = filter[1].toLowerCase();
+      const value = filter[2] ?? filter[3];
+      const date = parseFilterDate(value);
+
+      if (key === 'from' && value) {
+        parsed.senders.push(foldText(value));
+        continue;
+      }
+      if (key === 'after' && date !== null) {
+        parsed.after = date;
+        continue;
+      }
+      if (key === 'before' && date !== null) {
+        parsed.before = date;
+        continue;
+      }
+      if (key === 'on' && date !== null) {
+        const nextDay = new Date(date);
+        nextDay.setDate(nextDay.getDate() + 1);
+        parsed.after = date;
+        parsed.before = nextDay.getTime();
+        continue;
+      }
+
+      // Unknown filters are searched as plain text
+      tokenize(foldText(filter[0])).forEach(term => parsed.terms.push(term));
+      continue;
+    }
+
+    const phrase = matchAt(PHRASE_PATTERN);
+    if (phrase) {
+      const folded = foldText(phrase[1]).replace(/\s+/g, ' ').trim();
+      const terms = tokenize(folded);
+      if (terms.length > 1) {
+        parsed.phrases.push(folded);
+      }
+      terms.forEach(term => parsed.terms.push(term));
+      continue;
+    }
+
+    const word = matchAt(WORD_PATTERN);
+    tokenize(foldText(word[0])).forEach(term => parsed.terms.push(term));
+  }
+
+  return parsed;
+}
+
+/**
+ * Check whether a query has anything to search for
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean} - True if the query is empty
+ */
+export function isEmptyQuery(parsed) {
+  return !parsed.terms.length && !parsed.senders.length &&
+    parsed.after === null && parsed.before === null;
+}
+
+/**
+ * Find message indices containing a term as a prefix of any indexed word
+ * @param {Object} index - Search index
+ * @param {string} prefix - Folded term
+ * @returns {Set} - Matching message indices
+ */
+function findPrefixMatches(index, prefix) {
+  const { terms, postings } = index;
+  const matches = new Set();
+
+  // Binary search for the first term >= prefix
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (terms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+    postings.get(terms[i]).forEach(messageIndex => matches.add(messageIndex));
+  }
+
+  return matches;
+}
+
+/**
+ * Search messages using the inverted index
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {Array} messages - Messages the index was built from
+ * @param {Object} parsed - Query from parseSearchQuery
+ * @returns {Array} - Matching message indices in chat order
+ */
+export function searchMessages(index, messages, parsed) {
+  if (!index || isEmptyQuery(parsed)) return [];
+
+  let candidates = null;
+
+  // Intersect postings, starting with the rarest term
+  const termMatches = [...new Set(parsed.terms)]
+    .map(term => findPrefixMatches(index, term))
+    .sort((a, b) => a.size - b.size);
+
+  for (const matches of termMatches) {
+    candidates = candidates === null
+      ? matches
+      : new Set([...candidates].filter(messageIndex => matches.has(messageIndex)));
+    if (!candidates.size) return [];
+  }
+
+  const results = candidates === null
+    ? messages.map((message, messageIndex) => messageIndex)
+    : [...candidates].sort((a, b) => a - b);
+
+  return results.filter(messageIndex => {
+    const message = messages[messageIndex];
+
+    if (parsed.senders.length) {
+      if (message.type === 'system') return false;
+      const sender = foldText(message.sender);
+      if (!parsed.senders.some(name => sender.includes(name))) return false;
+    }
+
+    if (parsed.after !== null || parsed.before !== null) {
+      if (Number.isNaN(message.timestamp)) return false;
+      if (parsed.after !== null && message.timestamp < parsed.after) return false;
+      if (parsed.before !== null && message.timestamp >= parsed.before) return false;
+    }
+
+    if (parsed.phrases.length) {
+      const folded = foldText(message.message).replace(/\s+/g, ' ');
+      if (!parsed.phrases.every(phrase => folded.includes(phrase))) {
+        return false;
+      }
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Find the ranges of a message's text that match a query
+ * @param {string} text - Original message text
+ * @param {Object} parsed - Query from parseSearchQuery
+ * @returns {Array} - Sorted, non-overlapping [start, end] ranges in the original text
+ */
+export function getHighlightRanges(text, parsed) {
+  if (!text || !parsed || (!parsed.terms.length && !parsed.phrases.length)) return [];
+
+  const { folded, offsets } = foldWithOffsets(text);
+  const ranges = [];
+
+  parsed.phrases.forEach(phrase => {
+    let start = folded.indexOf(phrase);
+    while (start !== -1) {
+      ranges.push([start, start + phrase.length]);
+      start = folded.indexOf(phrase, start + phrase.length);
+    }
+  });
+
+  // Terms match from the start of a word, like the index lookup
+  TOKEN_PATTERN.lastIndex = 0;
+  let token;
+  while ((token = TOKEN_PATTERN.exec(folded)) !== null) {
+    const word = token[0];
+    const longest = parsed.terms.reduce(
+      (best, term) => (word.startsWith(term) && term.length > best ? term.length : best),
+      0
+    );
+    if (longest) {
+      ranges.push([token.index, token.index + longest]);
+    }
+  }
+
+  // Merge overlaps and map back to original offsets
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  return merged.map(([start, end]) => [offsets[start], offsets[end]]);
+}
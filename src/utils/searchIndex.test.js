@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { foldText, buildSearchIndex, parseSearchQuery, searchMessages, getHighlightRanges } from './searchIndex';
+import { createMessage, createSystemMessage } from '../test/fixtures';
+
+/**
+ * Timestamp fields for noon on a day of October 2026
+ * @param {number} day - Day of the month
+ * @returns {Object} - Message fields
+ */
+function onDay(day) {
+  return { timestamp: new Date(2026, 9, day, 12).getTime() };
+}
+
+const MESSAGES = [
+  createMessage('Alice Smith', 'Café tomorrow at nine?', onDay(1)),
+  createMessage('Bob', 'Sure, the cafe near the station', onDay(2)),
+  createMessage('Alice Smith', 'See you at the station then', onDay(3)),
+  createSystemMessage('Alice added Carol', 'joined', { timestamp: new Date(2026, 9, 3, 13).getTime() }),
+  createMessage('Carol', 'Is the café open late?', onDay(4))
+];
+const INDEX = buildSearchIndex(MESSAGES);
+
+/**
+ * Run a query against the test messages
+ * @param {string} query - Raw query
+ * @returns {Array} - Matching message indices
+ */
+function search(query) {
+  return searchMessages(INDEX, MESSAGES, parseSearchQuery(query));
+}
+
+describe('foldText', () => {
+  it('lower-cases and strips diacritics', () => {
+    expect(foldText('Crème BRÛLÉE')).toBe('creme brulee');
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('splits words, phrases and filters', () => {
+    expect(parseSearchQuery('café "the station" from:"Alice Smith" after:2026-10-02')).toEqual({
+      terms: ['cafe', 'the', 'station'],
+      phrases: ['the station'],
+      senders: ['alice smith'],
+      after: new Date(2026, 9, 2).getTime(),
+      before: null
+    });
+  });
+
+  it('turns on: into a one-day range', () => {
+    const parsed = parseSearchQuery('on:2026-10-03');
+    expect([parsed.after, parsed.before]).toEqual([new Date(2026, 9, 3).getTime(), new Date(2026, 9, 4).getTime()]);
+  });
+
+  it('searches unknown filters and bad dates as text', () => {
+    expect(parseSearchQuery('to:bob after:soon').terms).toEqual(['to', 'bob', 'after', 'soon']);
+  });
+});
+
+describe('searchMessages', () => {
+  it('matches word prefixes regardless of case and accents', () => {
+    expect(search('CAFE')).toEqual([0, 1, 4]);
+    expect(search('stat')).toEqual([1, 2]);
+  });
+
+  it('requires every term and every phrase', () => {
+    expect(search('cafe station')).toEqual([1]);
+    expect(search('"station then"')).toEqual([2]);
+  });
+
+  it('filters by sender, which system messages never match', () => {
+    expect(search('from:alice')).toEqual([0, 2]);
+    expect(search('from:system')).toEqual([]);
+    expect(search('alice')).toEqual([3]);
+  });
+
+  it('filters by date', () => {
+    expect(search('after:2026-10-02 before:2026-10-04')).toEqual([1, 2, 3]);
+    expect(search('on:2026-10-04')).toEqual([4]);
+  });
+
+  it('returns nothing for an empty query', () => {
+    expect(search('   ')).toEqual([]);
+  });
+});
+
+describe('getHighlightRanges', () => {
+  it('maps matches back to the original text', () => {
+    const text = 'Ça va? Café!';
+    expect(getHighlightRanges(text, parseSearchQuery('ca')).map(([start, end]) => text.slice(start, end)))
+      .toEqual(['Ça', 'Ca']);
+  });
+
+  it('merges overlapping phrase and term matches', () => {
+    expect(getHighlightRanges('near the station', parseSearchQuery('"the station" stat'))).toEqual([[5, 16]]);
+  });
+});
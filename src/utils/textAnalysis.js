@@ -0,0 +1,234 @@
+import { tokenizeMessage, extractLinks } from './messageFormatter';
+import { getLocales } from './locales';
+import { buildTimeline } from './chatStatistics';
+
+/**
+ * Text Analysis
+ * Word, n-gram, emoji and link frequencies computed from message text.
+ * WhatsApp markup is removed before counting, code spans and links are not counted
+ * as words, and system messages, deleted messages and media placeholders are skipped.
+ */
+
+const TOP_WORDS = 100;
+const TOP_NGRAMS = 30;
+const TOP_EMOJI = 10;
+const TOP_DOMAINS = 30;
+const MIN_WORD_LENGTH = 2;
+
+// Letters and digits, with inner apostrophes and hyphens (don't, e-mail)
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+const NUMBER_PATTERN = /^\p{N}+$/u;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+// Used where Intl.Segmenter is missing; keeps ZWJ sequences and modifiers together
+const EMOJI_SEQUENCE_PATTERN = /\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F)*(?:\u200D\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F)*)*/gu;
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Get the stop words of the chosen languages
+ * @param {Array<string>} codes - Locale codes
+ * @returns {Set<string>} - Lower-case stop words
+ */
+export function getStopWords(codes) {
+  return new Set(
+    getLocales()
+      .filter(locale => codes.includes(locale.code))
+      .flatMap(locale => locale.stopWords)
+  );
+}
+
+/**
+ * Check whether a message has text worth analysing
+ * @param {Object} message - Parsed message
+ * @returns {boolean} - False for system messages, deleted messages and media placeholders
+ */
+function isAnalysable(message) {
+  return message.type !== 'system' && !message.deleted && !message.mediaOmitted && Boolean(message.message);
+}
+
+/**
+ * Get the plain text of a message without markup, code spans or links
+ * @param {string} text - Raw message text
+ * @returns {string} - Readable text
+ */
+function getPlainText(text) {
+  const parts = [];
+  const visit = (nodes) => nodes.forEach(node => {
+    if (node.type === 'text') {
+      parts.push(node.text);
+    } else if (node.type === 'break') {
+      parts.push('\n');
+    } else if (node.children) {
+      visit(node.children);
+    }
+  });
+  visit(tokenizeMessage(text));
+  return parts.join(' ');
+}
+
+/**
+ * Split message text into lower-case words
+ * @param {string} text - Raw message text
+ * @returns {Array<string>} - Words, without numbers and single letters
+ */
+export function tokenizeWords(text) {
+  const words = [];
+  for (const match of getPlainText(text).toLowerCase().matchAll(WORD_PATTERN)) {
+    const word = match[0].replace(/’/g, '\'');
+    if ([...word].length >= MIN_WORD_LENGTH && !NUMBER_PATTERN.test(word)) {
+      words.push(word);
+    }
+  }
+  return words;
+}
+
+/**
+ * Find the emoji in a text
+ * @param {string} text - Raw message text
+ * @returns {Array<string>} - Emoji, one entry per occurrence
+ */
+export function extractEmoji(text) {
+  if (!graphemeSegmenter) {
+    return text.match(EMOJI_SEQUENCE_PATTERN) || [];
+  }
+  const emoji = [];
+  for (const { segment } of graphemeSegmenter.segment(text)) {
+    if (EMOJI_PATTERN.test(segment)) emoji.push(segment);
+  }
+  return emoji;
+}
+
+/**
+ * Get the host of a link without a leading www.
+ * @param {string} href - Link URL
+ * @returns {string|null} - Domain, or null if the URL cannot be parsed
+ */
+function getDomain(href) {
+  try {
+    return new URL(href).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Increment a counter in a map
+ * @param {Map} counts - Counts by key
+ * @param {string} key - Key to count
+ */
+function increment(counts, key) {
+  counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+/**
+ * Get the most frequent entries of a count map
+ * @param {Map} counts - Counts by key
+ * @param {number} limit - Entries to keep
+ * @returns {Array} - [key, count] pairs, most frequent first
+ */
+function topEntries(counts, limit) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, limit);
+}
+
+/**
+ * Analyse word, phrase, emoji and link usage
+ * @param {Array} messages - Parsed messages
+ * @param {Object} options - Analysis options
+ * @param {Set<string>} [options.stopWords] - Words left out of the word and phrase rankings
+ * @returns {Object} - { totalWords, uniqueWords, topWords, topBigrams, topTrigrams, topEmoji, emojiByParticipant, domains }
+ */
+export function analyzeText(messages, { stopWords = new Set() } = {}) {
+  const wordCounts = new Map();
+  const ngramCounts = { 2: new Map(), 3: new Map() };
+  const emojiCounts = new Map();
+  const participantEmoji = new Map();
+  const domains = new Map();
+  let totalWords = 0;
+
+  messages.forEach((message, index) => {
+    if (!isAnalysable(message)) return;
+
+    const words = tokenizeWords(message.message);
+    totalWords += words.length;
+    words.forEach((word, position) => {
+      if (!stopWords.has(word)) increment(wordCounts, word);
+
+      // Phrases may contain stop words inside, but not at either end
+      [2, 3].forEach(size => {
+        const last = words[position + size - 1];
+        if (last !== undefined && !stopWords.has(word) && !stopWords.has(last)) {
+          increment(ngramCounts[size], words.slice(position, position + size).join(' '));
+        }
+      });
+    });
+
+    const emoji = extractEmoji(message.message);
+    if (emoji.length > 0) {
+      if (!participantEmoji.has(message.sender)) participantEmoji.set(message.sender, new Map());
+      const counts = participantEmoji.get(message.sender);
+      emoji.forEach(item => {
+        increment(emojiCounts, item);
+        increment(counts, item);
+      });
+    }
+
+    extractLinks(message.message).forEach(link => {
+      const domain = getDomain(link.href);
+      if (!domain) return;
+      const entry = domains.get(domain) || { domain, count: 0, lastIndex: index };
+      entry.count++;
+      entry.lastIndex = index;
+      domains.set(domain, entry);
+    });
+  });
+
+  const toPairs = (counts, limit, key) => topEntries(counts, limit).map(([value, count]) => ({ [key]: value, count }));
+
+  return {
+    totalWords,
+    uniqueWords: wordCounts.size,
+    topWords: toPairs(wordCounts, TOP_WORDS, 'word'),
+    // A phrase that occurs once is not a pattern
+    topBigrams: toPairs(ngramCounts[2], TOP_NGRAMS, 'phrase').filter(entry => entry.count > 1),
+    topTrigrams: toPairs(ngramCounts[3], TOP_NGRAMS, 'phrase').filter(entry => entry.count > 1),
+    topEmoji: toPairs(emojiCounts, TOP_EMOJI * 2, 'emoji'),
+    emojiByParticipant: [...participantEmoji.entries()]
+      .map(([name, counts]) => ({
+        name,
+        total: [...counts.values()].reduce((sum, count) => sum + count, 0),
+        top: toPairs(counts, TOP_EMOJI, 'emoji')
+      }))
+      .sort((a, b) => b.total - a.total),
+    domains: [...domains.values()].sort((a, b) => b.count - a.count).slice(0, TOP_DOMAINS)
+  };
+}
+
+/**
+ * Count how often a word is used over time
+ * @param {Array} messages - Parsed messages
+ * @param {string} word - Word to follow (matched case-insensitively as a whole word)
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {Array} - Buckets as { start, count } covering the whole chat
+ */
+export function getWordTrend(messages, word, granularity) {
+  const target = tokenizeWords(word)[0];
+  const dated = messages.filter(message => !Number.isNaN(message.timestamp));
+  if (!target || dated.length === 0) return [];
+
+  const occurrences = [];
+  dated.forEach(message => {
+    if (!isAnalysable(message)) return;
+    tokenizeWords(message.message).forEach(token => {
+      if (token === target) occurrences.push(message.timestamp);
+    });
+  });
+
+  return buildTimeline(occurrences.sort((a, b) => a - b), granularity, {
+    from: dated.reduce((min, message) => Math.min(min, message.timestamp), Infinity),
+    to: dated.reduce((max, message) => Math.max(max, message.timestamp), -Infinity)
+  });
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { getStopWords, tokenizeWords, extractEmoji, analyzeText, getWordTrend } from './textAnalysis';
+import { createMessage, createSystemMessage, DAY, START } from '../test/fixtures';
+
+describe('tokenizeWords', () => {
+  it('lower-cases words and keeps inner apostrophes and hyphens', () => {
+    expect(tokenizeWords('Don’t use E-mail, OK?')).toEqual(['don\'t', 'use', 'e-mail', 'ok']);
+  });
+
+  it('drops numbers, single letters, markup and links', () => {
+    expect(tokenizeWords('*bold* 42 a ```code``` see https://example.com')).toEqual(['bold', 'see']);
+  });
+
+  it('keeps words in other scripts', () => {
+    expect(tokenizeWords('नमस्ते दोस्त')).toEqual(['नमस्ते', 'दोस्त']);
+  });
+});
+
+describe('extractEmoji', () => {
+  it('keeps modifiers, flags and ZWJ sequences together', () => {
+    expect(extractEmoji('hi 👍🏽 🇩🇪 👨‍👩‍👧 ok 👍🏽')).toEqual(['👍🏽', '🇩🇪', '👨‍👩‍👧', '👍🏽']);
+  });
+
+  it('returns nothing for plain text', () => {
+    expect(extractEmoji('no emoji here')).toEqual([]);
+  });
+});
+
+describe('getStopWords', () => {
+  it('combines the stop words of the chosen locales', () => {
+    const stopWords = getStopWords(['en', 'de']);
+    expect(stopWords.has('the')).toBe(true);
+    expect(stopWords.has('und')).toBe(true);
+    expect(getStopWords(['en']).has('und')).toBe(false);
+  });
+});
+
+describe('analyzeText', () => {
+  const messages = [
+    createMessage('Alice', 'the pizza party was great 🍕'),
+    createMessage('Bob', 'pizza party again? 🍕🍕'),
+    createMessage('Bob', 'read www.example.com and https://docs.example.org/x'),
+    createSystemMessage('Alice added Bob', 'joined'),
+    createMessage('Alice', 'This message was deleted', { deleted: true }),
+    createMessage('Alice', '<Media omitted>', { mediaOmitted: true })
+  ];
+  const result = analyzeText(messages, { stopWords: getStopWords(['en']) });
+
+  it('counts words without stop words and skips placeholders', () => {
+    expect(result.totalWords).toBe(10);
+    expect(result.topWords.slice(0, 2)).toEqual([{ word: 'party', count: 2 }, { word: 'pizza', count: 2 }]);
+    expect(result.topWords.map(entry => entry.word)).not.toContain('the');
+    expect(result.topWords.map(entry => entry.word)).not.toContain('deleted');
+  });
+
+  it('keeps phrases that repeat', () => {
+    expect(result.topBigrams).toEqual([{ phrase: 'pizza party', count: 2 }]);
+  });
+
+  it('counts emoji overall and per participant', () => {
+    expect(result.topEmoji).toEqual([{ emoji: '🍕', count: 3 }]);
+    expect(result.emojiByParticipant.map(entry => [entry.name, entry.total])).toEqual([['Bob', 2], ['Alice', 1]]);
+  });
+
+  it('groups links by domain', () => {
+    expect(result.domains.map(entry => [entry.domain, entry.count, entry.lastIndex])).toEqual([
+      ['example.com', 1, 2],
+      ['docs.example.org', 1, 2]
+    ]);
+  });
+});
+
+describe('getWordTrend', () => {
+  it('counts a word per bucket across the whole chat', () => {
+    const messages = [
+      createMessage('Alice', 'Pizza tonight?', { timestamp: START }),
+      createMessage('Bob', 'no', { timestamp: START + DAY }),
+      createMessage('Alice', 'pizza pizza', { timestamp: START + 2 * DAY })
+    ];
+
+    const trend = getWordTrend(messages, 'PIZZA', 'day');
+    expect(trend.map(bucket => bucket.count)).toEqual([1, 0, 2]);
+  });
+
+  it('returns no buckets for an empty word', () => {
+    expect(getWordTrend([createMessage('Alice', 'hi')], '', 'day')).toEqual([]);
+  });
+});
@@ -1,46 +1,83 @@
 import JSZip from 'jszip';
+import { readZipIndex, readZipEntry, supportsNativeInflate } from './zipIndex';
+import { LRUCache } from './lruCache';
+import { getMimeType } from './fileTypeDetector';
+
+// JSZip reads the whole archive into memory, so it keeps the old size limit
+const JSZIP_MAX_SIZE = 500 * 1024 * 1024; // 500MB
+const BLOB_CACHE_SIZE = 256 * 1024 * 1024; // 256MB of decompressed attachments
+// Object URLs no longer shown anywhere, kept for quick reuse before being revoked
+const IDLE_URL_ENTRIES = 300;
 
 /**
- * Handles ZIP file upload and extraction
+ * Handles ZIP file upload and on-demand extraction.
+ * Only the central directory is read up front; attachments are decompressed
+ * when first requested and kept in an LRU cache.
  */
 export class ZipHandler {
   constructor() {
-    this.zip = null;
+    this.file = null;
+    this.zipPromise = null;
     this.files = new Map();
+    this.pending = new Map();
+    this.blobCache = new LRUCache({
+      maxSize: BLOB_CACHE_SIZE,
+      getSize: (blob) => blob.size
+    });
+    // Object URLs by filename with the number of holders; only unheld URLs are revoked
+    this.urls = new Map();
+    this.idleUrls = new LRUCache({
+      maxEntries: IDLE_URL_ENTRIES,
+      onEvict: (filename) => {
+        const record = this.urls.get(filename);
+        if (record && record.refs === 0) {
+          URL.revokeObjectURL(record.url);
+          this.urls.delete(filename);
+        }
+      }
+    });
   }
 
   /**
-   * Load and extract ZIP file
+   * Index ZIP file and read its chat file
    * @param {File} file - ZIP file to process
-   * @returns {Promise<Object>} - Extracted files and metadata
+   * @param {Object} options - Load options
+   * @param {Function} [options.onProgress] - Called with { phase, loaded, total }
+   * @param {Function} [options.isCancelled] - Returns true to abort loading
+   * @returns {Promise<Object>} - Chat file, file index and metadata
    */
-  async loadZipFile(file) {
+  async loadZipFile(file, { onProgress, isCancelled } = {}) {
     try {
       // Validate file type
       if (!file.name.toLowerCase().endsWith('.zip')) {
         throw new Error('Please upload a ZIP file');
       }
 
-      // Validate file size (500MB limit)
-      const maxSize = 500 * 1024 * 1024; // 500MB
-      if (file.size > maxSize) {
-        throw new Error('File too large. Maximum size is 500MB');
+      this.file = file;
+
+      // Index the archive
+      onProgress?.({ phase: 'loading', loaded: 0, total: file.size });
+      await this.indexFiles();
+
+      if (isCancelled?.()) {
+        throw new Error('Upload cancelled');
       }
 
-      // Load ZIP file
-      this.zip = await JSZip.loadAsync(file);
-      
-      // Extract all files
-      await this.extractFiles();
-      
       // Find chat file
       const chatFile = this.findChatFile();
       if (!chatFile) {
         throw new Error('No chat file found. Please ensure your ZIP contains a WhatsApp chat export.');
       }
 
+      onProgress?.({ phase: 'extracting', loaded: 0, total: 1 });
+      const chatBlob = await this.getFile(chatFile.name);
+      onProgress?.({ phase: 'extracting', loaded: 1, total: 1 });
+
       return {
-        chatFile,
+        chatFile: {
+          name: chatFile.name,
+          blob: chatBlob
+        },
         files: this.files,
         metadata: {
           totalFiles: this.files.size,
@@ -54,46 +91,67 @@ export class ZipHandler {
   }
 
   /**
-   * Extract all files from ZIP to memory
+   * Read the archive's file index without decompressing anything
    * @private
    */
-  async extractFiles() {
+  async indexFiles() {
     this.files.clear();
-    
-    // Process files in batches to avoid blocking the UI
-    const fileEntries = Object.entries(this.zip.files);
-    const batchSize = 10;
-    
-    for (let i = 0; i < fileEntries.length; i += batchSize) {
-      const batch = fileEntries.slice(i, i + batchSize);
-      
-      await Promise.all(
-        batch.map(async ([filename, zipFile]) => {
-          if (!zipFile.dir) {
-            try {
-              const blob = await zipFile.async('blob');
-              this.files.set(filename, blob);
-            } catch (error) {
-              console.warn(`Failed to extract file: ${filename}`, error);
-            }
-          }
-        })
-      );
-      
-      // Yield to browser for smooth UI
-      await new Promise(resolve => setTimeout(resolve, 0));
+
+    if (supportsNativeInflate()) {
+      try {
+        this.files = await readZipIndex(this.file);
+        return;
+      } catch (error) {
+        console.warn('Falling back to JSZip for this archive', error);
+      }
+    }
+
+    const zip = await this.loadWithJSZip();
+    Object.values(zip.files).forEach(zipFile => {
+      if (!zipFile.dir) {
+        this.files.set(zipFile.name, {
+          name: zipFile.name,
+          // JSZip only exposes sizes on its internal record
+          size: zipFile._data ? zipFile._data.uncompressedSize : 0
+        });
+      }
+    });
+  }
+
+  /**
+   * Fallback for browsers without DecompressionStream or unusual archives
+   * @private
+   * @returns {Promise<JSZip>} - Loaded archive
+   */
+  loadWithJSZip() {
+    if (!this.zipPromise) {
+      if (this.file.size > JSZIP_MAX_SIZE) {
+        return Promise.reject(new Error('File too large for this browser. Maximum size is 500MB'));
+      }
+      this.zipPromise = JSZip.loadAsync(this.file);
     }
+    return this.zipPromise;
+  }
+
+  /**
+   * Use an index that was built elsewhere (e.g. in a worker)
+   * @param {File} file - The ZIP file the index belongs to
+   * @param {Map} files - Map of filename to entry
+   */
+  adoptIndex(file, files) {
+    this.file = file;
+    this.files = files;
   }
 
   /**
-   * Find the main chat file in the extracted files
+   * Find the main chat file in the archive index
    * @private
    * @returns {Object|null} - Chat file info or null
    */
   findChatFile() {
     const chatFiles = Array.from(this.files.keys()).filter(filename => {
       const lowerName = filename.toLowerCase();
-      return lowerName.endsWith('.txt') && 
+      return lowerName.endsWith('.txt') &&
              (lowerName.includes('chat') || lowerName.includes('whatsapp'));
     });
 
@@ -102,25 +160,95 @@ export class ZipHandler {
     }
 
     // Return the first chat file found
-    const chatFileName = chatFiles[0];
-    return {
-      name: chatFileName,
-      blob: this.files.get(chatFileName)
-    };
+    return { name: chatFiles[0] };
   }
 
   /**
-   * Get file by filename
+   * Get file contents by filename, decompressing on first access
    * @param {string} filename - Name of the file to retrieve
-   * @returns {Blob|null} - File blob or null if not found
+   * @returns {Promise<Blob|null>} - File blob or null if not found
+   */
+  async getFile(filename) {
+    const entry = this.files.get(filename);
+    if (!entry) return null;
+
+    const cached = this.blobCache.get(filename);
+    if (cached) return cached;
+
+    // Share in-flight decompression between concurrent callers
+    if (!this.pending.has(filename)) {
+      const promise = this.extractEntry(entry)
+        .then(blob => {
+          this.blobCache.set(filename, blob);
+          return blob;
+        })
+        .finally(() => this.pending.delete(filename));
+      this.pending.set(filename, promise);
+    }
+
+    return this.pending.get(filename);
+  }
+
+  /**
+   * Get an object URL for a file and hold it until releaseObjectUrl is called
+   * @param {string} filename - Name of the file
+   * @returns {Promise<string|null>} - Object URL or null if not found
+   */
+  async acquireObjectUrl(filename) {
+    if (!this.urls.has(filename)) {
+      const blob = await this.getFile(filename);
+      if (!blob) return null;
+
+      // Another caller may have created the URL while we were decompressing
+      if (!this.urls.has(filename)) {
+        this.urls.set(filename, { url: URL.createObjectURL(blob), refs: 0 });
+      }
+    }
+
+    const record = this.urls.get(filename);
+    record.refs++;
+    // Held again, so it must not be revoked as idle
+    this.idleUrls.delete(filename);
+    return record.url;
+  }
+
+  /**
+   * Release an object URL taken with acquireObjectUrl
+   * Unheld URLs are kept for reuse and revoked once enough newer ones are released
+   * @param {string} filename - Name of the file
    */
-  getFile(filename) {
-    return this.files.get(filename) || null;
+  releaseObjectUrl(filename) {
+    const record = this.urls.get(filename);
+    if (!record || record.refs === 0) return;
+
+    record.refs--;
+    if (record.refs === 0) {
+      this.idleUrls.set(filename, true);
+    }
+  }
+
+  /**
+   * Decompress one entry
+   * @private
+   * @param {Object} entry - Index entry
+   * @returns {Promise<Blob>} - Entry contents
+   */
+  async extractEntry(entry) {
+    const needsJSZip = entry.localHeaderOffset === undefined ||
+      (entry.method !== 0 && !supportsNativeInflate());
+
+    if (!needsJSZip) {
+      return readZipEntry(this.file, entry);
+    }
+
+    const zip = await this.loadWithJSZip();
+    const blob = await zip.file(entry.name).async('blob');
+    return new Blob([blob], { type: getMimeType(entry.name) });
   }
 
   /**
    * Get all files
-   * @returns {Map} - Map of all extracted files
+   * @returns {Map} - Map of filename to index entry ({ name, size, ... })
    */
   getAllFiles() {
     return this.files;
@@ -130,7 +258,13 @@ export class ZipHandler {
    * Clean up resources
    */
   cleanup() {
+    this.urls.forEach(record => URL.revokeObjectURL(record.url));
+    this.urls.clear();
+    this.idleUrls.clear();
+    this.blobCache.clear();
+    this.pending.clear();
     this.files.clear();
-    this.zip = null;
+    this.file = null;
+    this.zipPromise = null;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ZipHandler } from './zipHandler';
+
+/**
+ * Handler whose files resolve to small blobs without a real archive
+ * @returns {ZipHandler} - Handler with stubbed file access
+ */
+function createHandler() {
+  const handler = new ZipHandler();
+  handler.getFile = async (filename) => new Blob([filename]);
+  return handler;
+}
+
+describe('ZipHandler object URLs', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('returns the same URL to every holder', async () => {
+    const handler = createHandler();
+    const first = await handler.acquireObjectUrl('a.jpg');
+    const second = await handler.acquireObjectUrl('a.jpg');
+    expect(second).toBe(first);
+    handler.cleanup();
+  });
+
+  it('never revokes a URL that is still held', async () => {
+    const revoke = vi.spyOn(URL, 'revokeObjectURL');
+    const handler = createHandler();
+    const held = await handler.acquireObjectUrl('held.mp4');
+
+    // Far more released URLs than the idle cache keeps
+    for (let i = 0; i < 400; i++) {
+      await handler.acquireObjectUrl(`${i}.jpg`);
+      handler.releaseObjectUrl(`${i}.jpg`);
+    }
+
+    expect(revoke).not.toHaveBeenCalledWith(held);
+    expect(revoke).toHaveBeenCalledTimes(100);
+    handler.cleanup();
+  });
+
+  it('reuses a released URL until it is evicted', async () => {
+    const revoke = vi.spyOn(URL, 'revokeObjectURL');
+    const handler = createHandler();
+    const url = await handler.acquireObjectUrl('a.jpg');
+    handler.releaseObjectUrl('a.jpg');
+
+    expect(await handler.acquireObjectUrl('a.jpg')).toBe(url);
+    expect(revoke).not.toHaveBeenCalled();
+    handler.cleanup();
+  });
+
+  it('revokes everything on cleanup', async () => {
+    const revoke = vi.spyOn(URL, 'revokeObjectURL');
+    const handler = createHandler();
+    const url = await handler.acquireObjectUrl('a.jpg');
+    handler.cleanup();
+    expect(revoke).toHaveBeenCalledWith(url);
+  });
+
+  it('ignores releases without a matching acquire', async () => {
+    const handler = createHandler();
+    handler.releaseObjectUrl('missing.jpg');
+    const url = await handler.acquireObjectUrl('a.jpg');
+    handler.releaseObjectUrl('a.jpg');
+    handler.releaseObjectUrl('a.jpg');
+    expect(await handler.acquireObjectUrl('a.jpg')).toBe(url);
+    handler.cleanup();
+  });
+});
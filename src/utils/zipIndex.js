@@ -0,0 +1,210 @@
+/**
+ * ZIP Central Directory Reader
+ * Indexes a ZIP archive without reading its contents and decompresses single entries on demand.
+ * Only the bytes that are needed are sliced from the File, so archive size is not limited by memory.
+ */
+
+import { getMimeType } from './fileTypeDetector';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const LOCAL_HEADER_SIZE = 30;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const textDecoder = new TextDecoder('utf-8');
+
+/**
+ * Read a byte range of a Blob into a DataView
+ * @param {Blob} file - Source blob
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {Promise<DataView>} - View over the bytes
+ */
+async function readRange(file, start, end) {
+  const buffer = await file.slice(start, end).arrayBuffer();
+  return new DataView(buffer);
+}
+
+/**
+ * Read a 64-bit little-endian integer as a Number
+ * @param {DataView} view - Data view
+ * @param {number} offset - Byte offset
+ * @returns {number} - Value
+ */
+function readUint64(view, offset) {
+  return Number(view.getBigUint64(offset, true));
+}
+
+/**
+ * Locate the end of central directory record
+ * @param {Blob} file - ZIP file
+ * @returns {Promise<Object>} - { entryCount, directorySize, directoryOffset }
+ */
+async function readEndOfCentralDirectory(file) {
+  const searchSize = Math.min(file.size, EOCD_MIN_SIZE + MAX_COMMENT_SIZE);
+  const searchStart = file.size - searchSize;
+  const view = await readRange(file, searchStart, file.size);
+
+  for (let offset = searchSize - EOCD_MIN_SIZE; offset >= 0; offset--) {
+    if (view.getUint32(offset, true) !== EOCD_SIGNATURE) continue;
+
+    let entryCount = view.getUint16(offset + 10, true);
+    let directorySize = view.getUint32(offset + 12, true);
+    let directoryOffset = view.getUint32(offset + 16, true);
+
+    // ZIP64 archives store the real values in a separate record
+    if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+      const locatorStart = searchStart + offset - 20;
+      const locator = await readRange(file, locatorStart, locatorStart + 20);
+      if (locator.getUint32(0, true) !== ZIP64_LOCATOR_SIGNATURE) {
+        throw new Error('Invalid ZIP64 archive');
+      }
+
+      const zip64Offset = readUint64(locator, 8);
+      const zip64 = await readRange(file, zip64Offset, zip64Offset + 56);
+      if (zip64.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+        throw new Error('Invalid ZIP64 archive');
+      }
+
+      entryCount = readUint64(zip64, 32);
+      directorySize = readUint64(zip64, 40);
+      directoryOffset = readUint64(zip64, 48);
+    }
+
+    return { entryCount, directorySize, directoryOffset };
+  }
+
+  throw new Error('Not a valid ZIP archive');
+}
+
+/**
+ * Read ZIP64 sizes and offsets from a central directory extra field
+ * @param {DataView} view - Central directory view
+ * @param {number} start - Extra field start
+ * @param {number} length - Extra field length
+ * @param {Object} entry - Entry to update in place
+ */
+function applyZip64Extra(view, start, length, entry) {
+  let offset = start;
+  const end = start + length;
+
+  while (offset + 4 <= end) {
+    const headerId = view.getUint16(offset, true);
+    const dataSize = view.getUint16(offset + 2, true);
+    let cursor = offset + 4;
+
+    if (headerId === ZIP64_EXTRA_FIELD) {
+      if (entry.size === 0xffffffff) {
+        entry.size = readUint64(view, cursor);
+        cursor += 8;
+      }
+      if (entry.compressedSize === 0xffffffff) {
+        entry.compressedSize = readUint64(view, cursor);
+        cursor += 8;
+      }
+      if (entry.localHeaderOffset === 0xffffffff) {
+        entry.localHeaderOffset = readUint64(view, cursor);
+      }
+      return;
+    }
+
+    offset += 4 + dataSize;
+  }
+}
+
+/**
+ * Index the entries of a ZIP archive from its central directory
+ * @param {Blob} file - ZIP file
+ * @returns {Promise<Map>} - Map of filename to entry { name, size, compressedSize, method, localHeaderOffset }
+ */
+export async function readZipIndex(file) {
+  const { entryCount, directorySize, directoryOffset } = await readEndOfCentralDirectory(file);
+  const view = await readRange(file, directoryOffset, directoryOffset + directorySize);
+  const entries = new Map();
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const nameStart = offset + 46;
+    const name = textDecoder.decode(
+      new Uint8Array(view.buffer, view.byteOffset + nameStart, nameLength)
+    );
+
+    const entry = {
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    };
+    applyZip64Extra(view, nameStart + nameLength, extraLength, entry);
+
+    if (!name.endsWith('/')) {
+      entries.set(name, entry);
+    }
+
+    offset = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Check whether entries can be decompressed natively
+ * @returns {boolean} - True if DecompressionStream supports raw deflate
+ */
+export function supportsNativeInflate() {
+  if (typeof DecompressionStream === 'undefined') return false;
+
+  try {
+    new DecompressionStream('deflate-raw');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decompress a single entry from the archive
+ * @param {Blob} file - ZIP file
+ * @param {Object} entry - Entry from readZipIndex
+ * @returns {Promise<Blob>} - Entry contents typed by file extension
+ */
+export async function readZipEntry(file, entry) {
+  const header = await readRange(file, entry.localHeaderOffset, entry.localHeaderOffset + LOCAL_HEADER_SIZE);
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+
+  const dataStart = entry.localHeaderOffset + LOCAL_HEADER_SIZE +
+    header.getUint16(26, true) + header.getUint16(28, true);
+  const compressed = file.slice(dataStart, dataStart + entry.compressedSize);
+  const type = getMimeType(entry.name);
+
+  if (entry.method === METHOD_STORED) {
+    return compressed.slice(0, compressed.size, type);
+  }
+
+  if (entry.method !== METHOD_DEFLATE) {
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  const stream = compressed.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  const blob = await new Response(stream).blob();
+  return new Blob([blob], { type });
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { readZipIndex, readZipEntry, supportsNativeInflate } from './zipIndex';
+
+/**
+ * Build a ZIP archive
+ * @param {Object} [options] - JSZip generate options
+ * @returns {Promise<Blob>} - Archive
+ */
+async function createArchive(options = {}) {
+  const zip = new JSZip();
+  zip.file('WhatsApp Chat with Ana.txt', '19/10/2026, 14:03 - Ana: Olá', { compression: 'DEFLATE' });
+  zip.file('IMG-20261019-WA0001.jpg', new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), { compression: 'STORE' });
+  zip.folder('media').file('Canção.opus', 'sound');
+  const data = await zip.generateAsync({ type: 'uint8array', ...options });
+  return new Blob([data]);
+}
+
+describe('readZipIndex', () => {
+  it('lists files with their sizes and skips folders', async () => {
+    const entries = await readZipIndex(await createArchive());
+
+    expect([...entries.keys()].sort()).toEqual([
+      'IMG-20261019-WA0001.jpg',
+      'WhatsApp Chat with Ana.txt',
+      'media/Canção.opus'
+    ]);
+    expect(entries.get('IMG-20261019-WA0001.jpg')).toMatchObject({ size: 4, compressedSize: 4, method: 0 });
+    expect(entries.get('WhatsApp Chat with Ana.txt')).toMatchObject({ method: 8 });
+  });
+
+  it('finds the directory behind an archive comment', async () => {
+    const entries = await readZipIndex(await createArchive({ comment: 'exported '.repeat(100) }));
+    expect(entries.size).toBe(3);
+  });
+
+  it('rejects files that are not ZIP archives', async () => {
+    await expect(readZipIndex(new Blob(['just some text that is long enough to search']))).rejects.toThrow('Not a valid ZIP archive');
+  });
+});
+
+describe('readZipEntry', () => {
+  it('reads stored and deflated entries typed by extension', async () => {
+    expect(supportsNativeInflate()).toBe(true);
+    const archive = await createArchive();
+    const entries = await readZipIndex(archive);
+
+    const chat = await readZipEntry(archive, entries.get('WhatsApp Chat with Ana.txt'));
+    expect(await chat.text()).toBe('19/10/2026, 14:03 - Ana: Olá');
+
+    const image = await readZipEntry(archive, entries.get('IMG-20261019-WA0001.jpg'));
+    expect(image.type).toBe('image/jpeg');
+    expect([...new Uint8Array(await image.arrayBuffer())]).toEqual([0xff, 0xd8, 0xff, 0xd9]);
+  });
+
+  it('rejects entries whose local header is missing', async () => {
+    const archive = await createArchive();
+    const entry = { ...(await readZipIndex(archive)).get('IMG-20261019-WA0001.jpg'), localHeaderOffset: 1 };
+    await expect(readZipEntry(archive, entry)).rejects.toThrow('Corrupt ZIP entry');
+  });
+});
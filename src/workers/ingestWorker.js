@@ -0,0 +1,43 @@
+import { runIngest } from '../utils/ingestPipeline';
+
+/**
+ * Ingest Worker
+ * Runs ZIP extraction and chat parsing off the main thread.
+ *
+ * Incoming: { type: 'start', file, parseOptions } | { type: 'cancel' }
+ * Outgoing: { type: 'progress', progress } | { type: 'done', result } | { type: 'error', message }
+ */
+
+let cancelled = false;
+
+self.onmessage = async (event) => {
+  const { type, file, parseOptions } = event.data;
+
+  if (type === 'cancel') {
+    cancelled = true;
+    return;
+  }
+
+  if (type !== 'start') return;
+
+  cancelled = false;
+
+  try {
+    const { handler, ...result } = await runIngest(file, {
+      parseOptions,
+      isCancelled: () => cancelled,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+
+    // Only the archive index is posted back; attachments are read from the File on demand
+    self.postMessage({
+      type: 'done',
+      result: {
+        ...result,
+        files: handler.getAllFiles()
+      }
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
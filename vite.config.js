@@ -1,7 +1,33 @@
+import { createRequire } from 'node:module'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const require = createRequire(import.meta.url)
+
+/**
+ * Fail when the pdfjs-dist the app bundles its PDF worker from is not the copy react-pdf
+ * uses, since pdf.js refuses a worker from any other version
+ * @returns {Object} - Vite plugin
+ */
+function pdfjsVersionCheck() {
+  return {
+    name: 'pdfjs-version-check',
+    buildStart() {
+      const requireFromReactPdf = createRequire(require.resolve('react-pdf'))
+      const expected = requireFromReactPdf('pdfjs-dist/package.json').version
+      const actual = require('pdfjs-dist/package.json').version
+      if (actual !== expected) {
+        this.error(`pdfjs-dist ${actual} is installed but react-pdf uses ${expected}; ` +
+          `set "pdfjs-dist" to "${expected}" in package.json and reinstall`)
+      }
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pdfjsVersionCheck()],
+  test: {
+    setupFiles: ['./src/test/setup.js'],
+  },
 })